@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+// onnx-inspect: headless front end to the parser core for scripts and CI.
+//
+//   onnx-inspect model.onnx [--json] [--ops] [--check] [--roundtrip]
+//                           [--diff other.onnx] [--target ort-wasm|allowlist.json]
+//
+// Exit codes: 0 ok, 1 parse failure, (with --check) validation errors or
+// an incompatible target, (with --roundtrip) a lossy re-encode, 2 bad usage.
+import { openAsBlob } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getModelProto } from '../src/OnnxSchema.js';
+import { parseONNXModelComplete } from '../src/ONNXParser.js';
+import { loadExternalTensors } from '../src/ExternalData.js';
+import { diffModels } from '../src/ModelDiff.js';
+import { checkRoundTrip } from '../src/ModelSerializer.js';
+import { checkTarget, parseTarget, TARGETS } from '../src/Compatibility.js';
+import { formatShape } from '../src/ShapeInference.js';
+
+const USAGE = `Usage: onnx-inspect <model.onnx> [options]
+
+Options:
+  --json               print the full analysis as JSON
+  --ops                print the operator histogram instead of the summary
+  --check              exit with status 1 when validation finds errors or the
+                       model does not run on --target
+  --roundtrip          re-encode the model and verify nothing was lost
+  --diff <other.onnx>  compare against another model
+  --target <target>    check runtime support: ${Object.keys(TARGETS).join(', ')}
+                       or an allowlist JSON file
+  -h, --help           show this help`;
+
+const parseArgs = (argv) => {
+  const options = { json: false, ops: false, check: false, roundtrip: false, diff: null, target: null, model: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--ops') options.ops = true;
+    else if (arg === '--check') options.check = true;
+    else if (arg === '--roundtrip') options.roundtrip = true;
+    else if (arg === '--diff') {
+      options.diff = argv[++i];
+      if (!options.diff) throw new Error('--diff needs a model path');
+    } else if (arg === '--target') {
+      options.target = argv[++i];
+      if (!options.target) throw new Error('--target needs a target name or allowlist file');
+    } else if (arg === '-h' || arg === '--help') options.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+    else if (options.model) throw new Error(`Unexpected argument ${arg}`);
+    else options.model = arg;
+  }
+  if (!options.model && !options.help) throw new Error('No model given');
+  return options;
+};
+
+const openFile = async (filePath, name) => {
+  try {
+    return new File([await openAsBlob(filePath)], name);
+  } catch (err) {
+    throw new Error(`Cannot open ${filePath}: ${err.message}`);
+  }
+};
+
+// The external_data locations the model's initializers name, read from the
+// model bytes before the full parse
+const externalLocations = (bytes) => {
+  const { graph } = getModelProto().decode(bytes);
+  const entries = (graph?.initializer || []).flatMap((tensor) => tensor.externalData || []);
+  return [...new Set(entries.filter((entry) => entry.key === 'location').map((entry) => entry.value))];
+};
+
+// Opens the files those locations point to, relative to the model's
+// directory. Opening is lazy, so only the byte ranges tensors use are read;
+// locations that leave the directory or do not exist are left out and
+// reported as missing by the parser.
+const companionFiles = async (modelPath, locations) => {
+  const dir = path.resolve(path.dirname(modelPath));
+  const files = await Promise.all(
+    locations.map(async (location) => {
+      const filePath = path.resolve(dir, location);
+      const relative = path.relative(dir, filePath);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+      return openFile(filePath, relative.split(path.sep).join('/')).catch(() => null);
+    })
+  );
+  return files.filter(Boolean);
+};
+
+const loadTarget = async (target) => {
+  if (TARGETS[target]) return TARGETS[target];
+  try {
+    return parseTarget(JSON.parse(await readFile(target, 'utf8')), path.basename(target));
+  } catch (err) {
+    throw new Error(`Cannot load target ${target}: ${err.message}`);
+  }
+};
+
+const loadModel = async (modelPath) => {
+  const file = await openFile(modelPath, path.basename(modelPath));
+  const locations = externalLocations(new Uint8Array(await file.arrayBuffer()));
+  const result = await parseONNXModelComplete(file, await companionFiles(modelPath, locations));
+  if (result.error) throw new Error(`${modelPath}: ${result.error}`);
+  return result;
+};
+
+const formatCount = (n) => {
+  if (n >= 1e12) return `${(n / 1e12).toFixed(2)}T`;
+  if (n >= 1e9) return `${(n / 1e9).toFixed(2)}G`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(2)}K`;
+  return String(n);
+};
+
+const formatBytes = (n) => {
+  if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(2)} GB`;
+  if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(2)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(2)} KB`;
+  return `${n} B`;
+};
+
+// Tensor payloads are summarized rather than dumped into the JSON report
+const jsonReplacer = (key, value) => {
+  if (ArrayBuffer.isView(value)) return { type: value.constructor.name, length: value.length };
+  if (typeof value === 'bigint') return value.toString();
+  // the companion file behind external data; external.file names it
+  if (value instanceof Blob) return undefined;
+  return value;
+};
+
+const printSummary = ({ file, model, graph, analysis, diagnostics, validation }) => {
+  const values = (list) => list.map((v) => `    ${v.name}: ${v.dtype} ${formatShape(v.shape)}`).join('\n');
+  console.log(`${file.name} (${formatBytes(file.size)})`);
+  console.log(`  producer:     ${model.producerName} ${model.producerVersion}`);
+  console.log(`  ir version:   ${model.irVersion}`);
+  console.log(`  opsets:       ${model.opsetImport.map((o) => `${o.domain || 'ai.onnx'} ${o.version}`).join(', ')}`);
+  console.log(`  inputs:\n${values(graph.inputs)}`);
+  console.log(`  outputs:\n${values(graph.outputs)}`);
+  console.log(`  nodes:        ${analysis.totalNodes} (${analysis.totalNodesRecursive} including ${analysis.subgraphCount} subgraphs)`);
+  // analyses that failed are null and show up under diagnostics
+  if (analysis.cost) {
+    const { totals } = analysis.cost;
+    console.log(`  parameters:   ${formatCount(totals.params)} (${formatBytes(totals.weightBytes)})`);
+    console.log(`  FLOPs:        ${formatCount(totals.flops)} (MACs ${formatCount(totals.macs)})`);
+    console.log(`  peak memory:  ${formatBytes(totals.peakActivationBytes)} activations`);
+  }
+  if (analysis.quantization?.quantized) {
+    const { counts, size } = analysis.quantization;
+    const precisions = Object.entries(counts).filter(([, n]) => n).map(([p, n]) => `${n} ${p}`);
+    console.log(`  quantization: ${precisions.join(', ')} node(s)`);
+    console.log(`                weights ${formatBytes(size.actualBytes)} vs ${formatBytes(size.fp32Bytes)} in float32`);
+  }
+  const ranges = analysis.compatibility?.opsets.filter((o) => o.standard) || [];
+  if (ranges.length) {
+    const range = (o) => (o.min > o.max ? 'none' : `${o.min}-${o.max}`);
+    console.log(`  valid opsets: ${ranges.map((o) => `${o.domain || 'ai.onnx'} ${range(o)}`).join(', ')}`);
+  }
+  if (analysis.patterns.summary.length) {
+    console.log(`  patterns:     ${analysis.patterns.summary.map((p) => `${p.name} ×${p.count}`).join(', ')}`);
+  }
+  if (validation) {
+    console.log(`  validation:   ${validation.errorCount} error(s), ${validation.warningCount} warning(s)`);
+    for (const f of validation.findings) {
+      console.log(`    ${f.severity.toUpperCase()} ${f.code}${f.node ? ` [${f.node}]` : ''}: ${f.message}`);
+    }
+  }
+  if (diagnostics.length) {
+    console.log('  diagnostics:');
+    for (const d of diagnostics) console.log(`    ${d.severity.toUpperCase()} ${d.source}: ${d.message}`);
+  }
+};
+
+const printOps = (analysis) => {
+  const entries = Object.entries(analysis.operatorFrequency).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const width = Math.max(0, ...entries.map(([op]) => op.length));
+  console.log('Operators:');
+  for (const [op, count] of entries) console.log(`  ${op.padEnd(width)}  ${count}`);
+};
+
+const printDiff = (diff, before, after) => {
+  console.log(`Diff ${before.file.name} -> ${after.file.name}: ${diff.changeCount} change(s)`);
+  const sections = [
+    ['opsets', diff.opsets],
+    ['inputs', diff.inputs],
+    ['outputs', diff.outputs],
+    ['initializers', diff.initializers],
+    ['nodes', diff.nodes],
+  ];
+  for (const [label, section] of sections) {
+    if (!section.added.length && !section.removed.length && !section.changed.length) continue;
+    console.log(`  ${label}:`);
+    for (const e of section.removed) console.log(`    - ${e.name}: ${e.before}`);
+    for (const e of section.added) console.log(`    + ${e.name}: ${e.after}`);
+    for (const e of section.changed) {
+      console.log(`    ~ ${e.name}: ${e.before === e.after ? e.after : `${e.before} -> ${e.after}`}`);
+      for (const a of e.attributes || []) console.log(`        ${a.name}: ${a.before ?? '(unset)'} -> ${a.after ?? '(unset)'}`);
+      if (e.rename) console.log(`        name: ${e.rename.before ?? '(unnamed)'} -> ${e.rename.after ?? '(unnamed)'}`);
+      for (const input of e.inputs || []) console.log(`        input ${input.index}: ${input.before ?? '(none)'} -> ${input.after ?? '(none)'}`);
+      if (e.delta) {
+        const { maxAbs, meanAbs, changedElements, elements } = e.delta;
+        console.log(`        ${changedElements}/${elements} values differ, max |Δ| ${maxAbs.toPrecision(4)}, mean |Δ| ${meanAbs.toPrecision(4)}`);
+      }
+    }
+  }
+  if (diff.operators.length) {
+    console.log('  operator counts:');
+    for (const { op, before: a, after: b } of diff.operators) console.log(`    ${op}: ${a} -> ${b}`);
+  }
+};
+
+const printTarget = ({ target, compatible, findings }) => {
+  console.log(`Target ${target.name}: ${compatible ? 'compatible' : `${findings.length} problem(s)`}`);
+  for (const f of findings) console.log(`  ${f.code}: ${f.message}`);
+};
+
+const printRoundTrip = ({ difference, originalSize, encodedSize, identicalBytes }) => {
+  if (difference) {
+    console.log(`Round-trip: LOSSY at ${difference.path} (${difference.before} -> ${difference.after})`);
+    return;
+  }
+  const bytes = identicalBytes ? 'byte-identical' : `${formatBytes(originalSize)} -> ${formatBytes(encodedSize)}`;
+  console.log(`Round-trip: semantically identical (${bytes})`);
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const result = await loadModel(options.model);
+  const other = options.diff ? await loadModel(options.diff) : null;
+  // external weights are only read to compare their values
+  if (other) {
+    await loadExternalTensors(result.graph.initializers);
+    await loadExternalTensors(other.graph.initializers);
+  }
+  const diff = other ? diffModels(result, other) : null;
+  const roundtrip = options.roundtrip ? checkRoundTrip(new Uint8Array(await readFile(options.model))) : null;
+  const target = options.target && result.analysis.compatibility ? checkTarget(result.analysis.compatibility, await loadTarget(options.target)) : null;
+
+  if (options.json) {
+    const { file, model, graph, functions, analysis, diagnostics, validation } = result;
+    const report = {
+      file,
+      model,
+      graph,
+      functions,
+      analysis,
+      diagnostics,
+      validation,
+      ...(diff ? { diff } : {}),
+      ...(roundtrip ? { roundtrip } : {}),
+      ...(target ? { target } : {}),
+    };
+    console.log(JSON.stringify(report, jsonReplacer, 2));
+  } else {
+    if (options.ops) printOps(result.analysis);
+    else printSummary(result);
+    if (diff) printDiff(diff, result, other);
+    if (roundtrip) printRoundTrip(roundtrip);
+    if (target) printTarget(target);
+  }
+
+  if (roundtrip?.difference) return 1;
+  // a check that could not run counts as failed
+  const failed =
+    !result.validation || result.validation.errorCount > 0 || (options.target && !target) || target?.compatible === false;
+  return options.check && failed ? 1 : 0;
+};
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+);
@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['bin/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
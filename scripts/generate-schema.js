@@ -0,0 +1,14 @@
+// Compiles schema/onnx.proto into src/OnnxDescriptor.js, the protobufjs JSON
+// descriptor the parser imports. Rerun after updating the .proto:
+//   npm run schema
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import protobuf from 'protobufjs';
+
+const source = fileURLToPath(new URL('../schema/onnx.proto', import.meta.url));
+const target = fileURLToPath(new URL('../src/OnnxDescriptor.js', import.meta.url));
+
+const root = protobuf.loadSync(source);
+const header = '// Generated from schema/onnx.proto by scripts/generate-schema.js. Do not edit.\n';
+writeFileSync(target, `${header}export default ${JSON.stringify(root.toJSON(), null, 2)};\n`);
+console.log(`Wrote ${target}`);
@@ -0,0 +1,88 @@
+// Intermediate activation capture: every tensor the top-level graph computes
+// becomes an extra graph output on a copy of the model, so a single run
+// returns all of them. Also the summaries the activation inspector draws.
+import { createSession, runSession } from './InferenceRunner.js';
+import { encodeModel } from './ModelSerializer.js';
+
+/**
+ * Copy of `model` whose graph outputs also list every node output of the
+ * top-level graph. The extra outputs carry no type: onnxruntime takes the
+ * types it infers, which a stale value_info could otherwise contradict.
+ */
+export const exposeIntermediates = (model) => {
+  const graph = model.graph;
+  const existing = new Set((graph.output || []).map((value) => value.name));
+  const names = [...new Set((graph.node || []).flatMap((node) => node.output || []))].filter(
+    (name) => name && !existing.has(name)
+  );
+  return {
+    model: { ...model, graph: { ...graph, output: [...(graph.output || []), ...names.map((name) => ({ name }))] } },
+    names,
+  };
+};
+
+/**
+ * Runs `model` with every intermediate exposed. Returns { outputs,
+ * activations, runMs, loadMs }: `outputs` are the model's own outputs and
+ * `activations` maps every captured tensor name (outputs included) to its
+ * runner summary { name, dtype, shape, data, stats }.
+ */
+export const captureActivations = async (model, feeds, { externalFiles = [] } = {}) => {
+  const exposed = exposeIntermediates(model).model;
+  const { session, loadMs } = await createSession(encodeModel(exposed), { model: exposed, externalFiles });
+  try {
+    const run = await runSession(session, feeds);
+    const own = new Set((model.graph.output || []).map((value) => value.name));
+    return {
+      outputs: run.outputs.filter((output) => own.has(output.name)),
+      activations: Object.fromEntries(run.outputs.map((output) => [output.name, output])),
+      runMs: run.runMs,
+      loadMs,
+    };
+  } finally {
+    await session.release();
+  }
+};
+
+/** { min, max, counts } over the finite values of `data`, in `bins` buckets. */
+export const histogram = (data, bins = 40) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    const v = Number(data[i]);
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const counts = new Array(bins).fill(0);
+  if (min > max) return { min: null, max: null, counts };
+  const width = (max - min) / bins || 1;
+  for (let i = 0; i < data.length; i++) {
+    const v = Number(data[i]);
+    if (Number.isFinite(v)) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  }
+  return { min, max, counts };
+};
+
+/** True for float [N, C, H, W] tensors, which get a per-channel heatmap. */
+export const isFeatureMap = (activation) =>
+  activation.shape.length === 4 && (activation.data instanceof Float32Array || activation.data instanceof Float64Array);
+
+/**
+ * One H x W plane of a feature map: { width, height, values, min, max },
+ * with non-finite values left as NaN for the caller to flag.
+ */
+export const featureMapPlane = (activation, batch = 0, channel = 0) => {
+  const [, channels, height, width] = activation.shape;
+  const plane = width * height;
+  const start = (batch * channels + channel) * plane;
+  const values = activation.data.subarray(start, start + plane);
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { width, height, values, min: min > max ? null : min, max: min > max ? null : max };
+};
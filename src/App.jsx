@@ -1,28 +1,215 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import DiffPanel from './components/DiffPanel';
 import FileUpload from './components/FileUpload';
+import GraphEditor from './components/GraphEditor';
+import ActivationView from './components/ActivationView';
+import ParityPanel from './components/ParityPanel';
+import ProfilePanel from './components/ProfilePanel';
+import QuantizationPanel from './components/QuantizationPanel';
+import CompatibilityPanel from './components/CompatibilityPanel';
 import ModelViewer from './components/ModelViewer';
-import { parseONNXModelComplete } from './ONNXParser';
+import TransformPanel from './components/TransformPanel';
+import { downloadBlob } from './GraphExport';
+import { diffModels, nodeDiffStatus } from './ModelDiff';
+import { encodeModel } from './ModelSerializer';
+import { parseInWorker } from './ParserClient';
+import { nodeLatencies } from './Profiler';
 import RawCanvas from './components/RawCanvas';
+import RunPanel from './components/RunPanel';
+import ValidationPanel from './components/ValidationPanel';
+
+const PHASE_LABELS = {
+  schema: 'Loading ONNX schema',
+  read: 'Reading file',
+  decode: 'Decoding protobuf',
+  analysis: 'Analyzing graph',
+};
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Undo steps kept per model
+const HISTORY_LIMIT = 100;
+
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
 
 function App() {
   const [modelData, setModelData] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
+  // second model for the diff view; the canvas shows one side at a time
+  const [compareData, setCompareData] = useState(null);
+  const [canvasSide, setCanvasSide] = useState('before');
   const [error, setError] = useState(null);
+  // { index, requestedAt } so clicking the same finding twice refocuses
+  const [focusRequest, setFocusRequest] = useState(null);
+  // parses in flight, by upload slot ('base' or 'compare'): the latest
+  // progress report, or {} before the first one
+  const [uploads, setUploads] = useState({});
+  // one AbortController per slot, so the two uploads never cancel each other
+  const abortRef = useRef({});
+  // edits to the base model: snapshots of its editable ModelProto
+  const [history, setHistory] = useState(null);
+  const [revalidating, setRevalidating] = useState(false);
+  const externalFilesRef = useRef([]);
+  const compareExternalFilesRef = useRef([]);
+  // the model modelData was parsed from, so re-analysis runs only after edits
+  const analyzedRef = useRef(null);
+  // tensors chosen as the boundary of a subgraph extraction
+  const [cut, setCut] = useState({ inputs: [], outputs: [] });
+  // last activation capture: { model, values } so edits invalidate it
+  const [activations, setActivations] = useState(null);
+  // { model, data }: a latency profile of one model snapshot
+  const [profile, setProfile] = useState(null);
+  const [heatmap, setHeatmap] = useState(true);
+  // colors the canvas by the precision each node runs at
+  const [precisionOverlay, setPrecisionOverlay] = useState(false);
+
+  // `target` is 'base' for the main model or 'compare' for the diff view
+  const handleFileUpload = async (file, externalFiles = [], target = 'base') => {
+    const setData = target === 'compare' ? setCompareData : setModelData;
+    abortRef.current[target]?.abort();
+    const controller = new AbortController();
+    abortRef.current[target] = controller;
+    const setProgress = (progress) => setUploads((current) => ({ ...current, [target]: progress }));
 
-  const handleFileUpload = async (file) => {
-    setIsLoading(true);
     setError(null);
+    setProgress({});
     try {
-      const parsedData = await parseONNXModelComplete(file);
-      setModelData(parsedData);
+      const parsedData = await parseInWorker(file, externalFiles, {
+        onProgress: (progress) => abortRef.current[target] === controller && setProgress(progress),
+        signal: controller.signal,
+      });
+      if (parsedData.error) {
+        setData(null);
+        setError(`Failed to parse the ONNX model: ${parsedData.error}`);
+        return;
+      }
+      setData(parsedData);
+      if (target === 'base') {
+        externalFilesRef.current = externalFiles;
+        analyzedRef.current = parsedData.editableModel;
+        setHistory({ past: [], present: parsedData.editableModel, future: [] });
+        setCut({ inputs: [], outputs: [] });
+      } else {
+        compareExternalFilesRef.current = externalFiles;
+      }
+      setFocusRequest(null);
+      setCanvasSide(target === 'compare' ? 'after' : 'before');
     } catch (err) {
+      // a newer upload superseded this one; its own state wins
+      if (abortRef.current[target] !== controller) return;
+      if (err.name === 'AbortError') {
+        setError('Parsing cancelled.');
+        return;
+      }
       setError('Failed to parse the ONNX model. Please make sure the file is valid.');
       console.error(err);
     } finally {
-      setIsLoading(false);
+      if (abortRef.current[target] === controller) {
+        abortRef.current[target] = null;
+        setUploads((current) => Object.fromEntries(Object.entries(current).filter(([slot]) => slot !== target)));
+      }
     }
   };
 
+  const handleCancel = (target) => abortRef.current[target]?.abort();
+
+  // Runs edit(model) on the current model and records the result; errors
+  // propagate so the editor can show them next to the field.
+  const applyEdit = (edit) => {
+    const next = edit(history.present);
+    if (next === history.present) return;
+    setHistory({ past: [...history.past, history.present].slice(-HISTORY_LIMIT), present: next, future: [] });
+  };
+
+  const undo = () =>
+    setHistory((h) =>
+      h?.past.length ? { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future] } : h
+    );
+  const redo = () =>
+    setHistory((h) => (h?.future.length ? { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1) } : h));
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isTyping(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Live validation: every edit is encoded and parsed again off the main
+  // thread, so shapes, findings and the canvas follow the edited model.
+  const present = history?.present;
+  // re-analysis keeps the name, so this changes only when a model is loaded
+  const modelName = modelData?.file.name;
+  useEffect(() => {
+    if (!present || present === analyzedRef.current) return;
+    const controller = new AbortController();
+    setRevalidating(true);
+    const timer = setTimeout(async () => {
+      try {
+        const bytes = encodeModel(present);
+        const parsed = await parseInWorker(new File([bytes], modelName), externalFilesRef.current, { signal: controller.signal });
+        if (parsed.error) throw new Error(parsed.error);
+        analyzedRef.current = present;
+        setModelData(parsed);
+        setError(null);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setError(`The edited model could not be analyzed: ${err.message}`);
+      } finally {
+        if (!controller.signal.aborted) setRevalidating(false);
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+      setRevalidating(false);
+    };
+  }, [present, modelName]);
+
+  const edited = Boolean(history?.past.length);
+
+  const currentActivations = history && activations?.model === history.present ? activations.values : null;
+  const currentProfile = history && profile?.model === history.present ? profile.data : null;
+  const latency = useMemo(
+    () => (currentProfile && heatmap && modelData ? nodeLatencies(currentProfile, modelData.graph.nodes) : null),
+    [currentProfile, heatmap, modelData]
+  );
+
+  // Tensors whose captured values go with a canvas selection
+  const selectionTensors = (selection) => {
+    const graph = history.present.graph;
+    if (selection.kind === 'edge') return [selection.tensor];
+    if (selection.kind === 'node') return (graph.node[selection.nodeIndex]?.output || []).filter(Boolean);
+    const value = graph[selection.kind]?.[selection.index];
+    return value ? [value.name] : [];
+  };
+
+  const pickTensor = (name, role) =>
+    setCut((current) => (current[role].includes(name) ? current : { ...current, [role]: [...current[role], name] }));
+
+  // Re-encodes the editable ModelProto so edits survive as a real .onnx file
+  const handleSave = () => {
+    try {
+      const bytes = encodeModel(history?.present ?? modelData.editableModel);
+      const name = edited ? modelData.file.name.replace(/(\.onnx)?$/i, '-edited.onnx') : modelData.file.name;
+      downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), name);
+    } catch (err) {
+      setError(`Failed to save the ONNX model: ${err.message}`);
+    }
+  };
+
+  const diff = useMemo(() => (modelData && compareData ? diffModels(modelData, compareData) : null), [modelData, compareData]);
+  const showCompare = diff && canvasSide === 'after';
+  const diffStatus = useMemo(() => (diff ? nodeDiffStatus(diff, canvasSide) : null), [diff, canvasSide]);
+
+  const focusNode = (side, index) => {
+    setCanvasSide(side);
+    setFocusRequest({ index, requestedAt: Date.now() });
+  };
+
   return (
     <div className="min-h-screen bg-gray-100 p-8">
       <div className="max-w-7xl mx-auto">
@@ -33,11 +220,37 @@ function App() {
           <FileUpload onFileUpload={handleFileUpload} />
         </div>
 
-        {isLoading && (
-          <div className="flex justify-center items-center p-8">
+        {Object.entries(uploads).map(([target, progress]) => (
+          <div key={target} className="flex items-center gap-4 p-8">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+            <div className="flex-1">
+              <div className="flex justify-between text-sm text-gray-700 mb-1">
+                <span>
+                  {target === 'compare' && 'Comparison model: '}
+                  {PHASE_LABELS[progress.phase] || 'Starting parser'}…
+                </span>
+                {progress.total > 0 && (
+                  <span>
+                    {formatMB(progress.loaded)} / {formatMB(progress.total)}
+                  </span>
+                )}
+              </div>
+              <div className="w-full bg-gray-200 rounded h-2">
+                <div
+                  className="bg-blue-500 h-2 rounded"
+                  style={{ width: `${progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0}%` }}
+                />
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleCancel(target)}
+              className="px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              Cancel
+            </button>
           </div>
-        )}
+        ))}
 
         {error && (
           <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-8" role="alert">
@@ -46,13 +259,205 @@ function App() {
         )}
 
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h2 className="text-xl font-semibold text-gray-700 mb-4">Model Information</h2>
-          <ModelViewer modelData={modelData} />
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-700">Model Information</h2>
+            {modelData?.editableModel && (
+              <button
+                type="button"
+                onClick={handleSave}
+                className="px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                Download .onnx
+              </button>
+            )}
+          </div>
+          <ModelViewer modelData={modelData} activations={currentActivations} operatorLatency={currentProfile?.operators} />
         </div>
 
+        {modelData?.validation && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Validation</h2>
+            <ValidationPanel
+              validation={modelData.validation}
+              onFocusNode={(index) => focusNode('before', index)}
+            />
+          </div>
+        )}
+
+        {modelData?.analysis?.quantization?.quantized && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Quantization</h2>
+            <QuantizationPanel
+              report={modelData.analysis.quantization}
+              overlay={precisionOverlay}
+              onOverlayChange={setPrecisionOverlay}
+              onFocusNode={(index) => focusNode('before', index)}
+            />
+          </div>
+        )}
+
+        {modelData?.analysis?.compatibility && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Compatibility</h2>
+            <CompatibilityPanel
+              report={modelData.analysis.compatibility}
+              onFocusNode={(index) => focusNode('before', index)}
+            />
+          </div>
+        )}
+
+        {history && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Graph Transforms</h2>
+            <TransformPanel model={history.present} onApply={applyEdit} cut={cut} onCutChange={setCut} />
+          </div>
+        )}
+
+        {history && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Run Model</h2>
+            <RunPanel
+              modelData={modelData}
+              model={history.present}
+              externalFiles={externalFilesRef.current}
+              onCapture={(values) => setActivations({ model: history.present, values })}
+            />
+          </div>
+        )}
+
+        {history && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Latency Profile</h2>
+            <ProfilePanel
+              modelData={modelData}
+              model={history.present}
+              externalFiles={externalFilesRef.current}
+              profile={currentProfile}
+              onProfile={(data) => setProfile(data && { model: history.present, data })}
+              heatmap={heatmap}
+              onHeatmapChange={setHeatmap}
+            />
+          </div>
+        )}
+
+        {modelData && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-700">Compare Models</h2>
+              {compareData && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setCompareData(null);
+                    setCanvasSide('before');
+                  }}
+                  className="px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+                >
+                  Clear comparison
+                </button>
+              )}
+            </div>
+            {diff ? (
+              <>
+                <DiffPanel
+                  diff={diff}
+                  beforeName={modelData.file.name}
+                  afterName={compareData.file.name}
+                  onFocusNode={focusNode}
+                />
+                {history && (
+                  <div className="mt-6">
+                    <h3 className="text-lg font-semibold text-gray-700 mb-3">Numeric Parity</h3>
+                    <ParityPanel
+                      modelData={modelData}
+                      reference={history.present}
+                      candidate={compareData.editableModel}
+                      referenceName={modelData.file.name}
+                      candidateName={compareData.file.name}
+                      externalFiles={[externalFilesRef.current, compareExternalFilesRef.current]}
+                    />
+                  </div>
+                )}
+              </>
+            ) : (
+              <FileUpload id="compare-dropzone" onFileUpload={(file, externalFiles) => handleFileUpload(file, externalFiles, 'compare')} />
+            )}
+          </div>
+        )}
+
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h2 className="text-xl font-semibold text-gray-700 mb-4">Raw Canvas</h2>
-          <RawCanvas modelData={modelData} />
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-3">
+              <h2 className="text-xl font-semibold text-gray-700">Raw Canvas</h2>
+              {history && !showCompare && (
+                <div className="flex items-center gap-2 text-sm">
+                  <button
+                    type="button"
+                    onClick={undo}
+                    disabled={!history.past.length}
+                    title="Undo (Ctrl+Z)"
+                    className="px-2 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+                  >
+                    Undo
+                  </button>
+                  <button
+                    type="button"
+                    onClick={redo}
+                    disabled={!history.future.length}
+                    title="Redo (Ctrl+Shift+Z)"
+                    className="px-2 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+                  >
+                    Redo
+                  </button>
+                  {revalidating && <span className="text-gray-500">Re-validating…</span>}
+                </div>
+              )}
+            </div>
+            {diff && (
+              <div className="flex text-sm">
+                {[['before', modelData.file.name], ['after', compareData.file.name]].map(([side, name]) => (
+                  <button
+                    key={side}
+                    type="button"
+                    onClick={() => setCanvasSide(side)}
+                    className={`px-3 py-1 border border-gray-300 first:rounded-l last:rounded-r ${
+                      canvasSide === side ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <RawCanvas
+            modelData={showCompare ? compareData : modelData}
+            focusRequest={focusRequest}
+            diffStatus={diffStatus}
+            latency={showCompare ? null : latency}
+            precision={!showCompare && precisionOverlay ? modelData?.analysis?.quantization?.precision : null}
+            renderDetails={
+              history && !showCompare
+                ? (selection, { clearSelection }) => (
+                    <>
+                      <GraphEditor
+                        model={history.present}
+                        selection={selection}
+                        onApply={applyEdit}
+                        onPickTensor={pickTensor}
+                        clearSelection={clearSelection}
+                      />
+                      {currentActivations &&
+                        selectionTensors(selection).map((name) => (
+                          <div key={name} className="mt-4 pt-3 border-t border-gray-600 text-blue-100">
+                            <ActivationView name={name} activation={currentActivations[name]} />
+                          </div>
+                        ))}
+                    </>
+                  )
+                : undefined
+            }
+          />
         </div>
       </div>
     </div>
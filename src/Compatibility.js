@@ -0,0 +1,368 @@
+// Opset and runtime compatibility. Combines the model's opset imports with
+// the bundled operator table (OperatorSchemas): which ops and attributes are
+// deprecated or were redefined after the imported opset, the opset range the
+// graph is valid for as written, and whether a target runtime has a kernel
+// for every op.
+import { nodeFunctionKey } from './ModelFunctions.js';
+import { isStandardDomain, normalizeDomain, OPERATOR_SCHEMAS, resolveSchema } from './OperatorSchemas.js';
+import { walkGraphTree } from './Subgraphs.js';
+
+const domainName = (domain) => domain || 'ai.onnx';
+
+// newest opset the bundled table describes, per standard domain
+const LATEST = Object.fromEntries(
+  Object.entries(OPERATOR_SCHEMAS).map(([domain, ops]) => [domain, Math.max(...Object.values(ops).flatMap((s) => s.since))])
+);
+
+// Attributes an op dropped at a given opset. `input` is the input position
+// that took over the value; without one the attribute went away entirely.
+const A = (name, removed, input) => ({ name, removed, input });
+const BROADCAST = [A('broadcast', 7), A('axis', 7)];
+const AXES_INPUT = (removed) => [A('axes', removed, 1)];
+
+const REMOVED_ATTRIBUTES = {
+  Add: BROADCAST,
+  And: BROADCAST,
+  BatchNormalization: [A('is_test', 7), A('spatial', 9)],
+  Clip: [A('min', 11, 1), A('max', 11, 2)],
+  Div: BROADCAST,
+  Dropout: [A('is_test', 7), A('ratio', 12, 1)],
+  Equal: BROADCAST,
+  Gemm: [A('broadcast', 7)],
+  Greater: BROADCAST,
+  Less: BROADCAST,
+  Mul: BROADCAST,
+  Or: BROADCAST,
+  Pad: [A('pads', 11, 1), A('value', 11, 2)],
+  Pow: BROADCAST,
+  ReduceL1: AXES_INPUT(18),
+  ReduceL2: AXES_INPUT(18),
+  ReduceLogSum: AXES_INPUT(18),
+  ReduceLogSumExp: AXES_INPUT(18),
+  ReduceMax: AXES_INPUT(18),
+  ReduceMean: AXES_INPUT(18),
+  ReduceMin: AXES_INPUT(18),
+  ReduceProd: AXES_INPUT(18),
+  ReduceSum: AXES_INPUT(13),
+  ReduceSumSquare: AXES_INPUT(18),
+  Reshape: [A('shape', 5, 1)],
+  Slice: [A('starts', 10, 1), A('ends', 10, 2), A('axes', 10, 3)],
+  Split: [A('split', 13, 1)],
+  Squeeze: AXES_INPUT(13),
+  Sub: BROADCAST,
+  Tile: [A('tiles', 6, 1), A('axis', 6)],
+  TopK: [A('k', 10, 1)],
+  Unsqueeze: AXES_INPUT(13),
+  Upsample: [A('scales', 9, 1)],
+  Xor: BROADCAST,
+};
+
+// opset 1 in-place hint, gone from every op that had it in opset 6
+for (const op of [
+  'Abs', 'Add', 'BatchNormalization', 'Ceil', 'Clip', 'Div', 'Elu', 'Exp', 'Floor', 'HardSigmoid', 'InstanceNormalization',
+  'LeakyRelu', 'Log', 'Max', 'Mean', 'Min', 'Mul', 'Neg', 'PRelu', 'Reciprocal', 'Relu', 'Selu', 'Sigmoid', 'Sqrt', 'Sub',
+  'Sum', 'Tanh',
+]) {
+  REMOVED_ATTRIBUTES[op] = [A('consumed_inputs', 6), ...(REMOVED_ATTRIBUTES[op] || [])];
+}
+
+/**
+ * Bundled runtime targets. A domain entry bounds its opset (`min`, `max`)
+ * and lists either the only ops with kernels (`ops`) or the ops without one
+ * (`except`); a domain that is absent is not supported at all. These are
+ * snapshots of each runtime's published operator coverage, so pin an exact
+ * build with a custom allowlist (parseTarget).
+ */
+export const TARGETS = {
+  'ort-wasm': {
+    name: 'onnxruntime-web (WASM)',
+    domains: {
+      '': { min: 7, max: 21, except: ['ImageDecoder'] },
+      'ai.onnx.ml': { min: 1, max: 5 },
+      'com.microsoft': {},
+    },
+  },
+  'ort-webgl': {
+    name: 'onnxruntime-web (WebGL)',
+    domains: {
+      '': {
+        min: 7,
+        max: 13,
+        ops: [
+          'Abs', 'Acos', 'Add', 'And', 'Asin', 'Atan', 'AveragePool', 'BatchNormalization', 'Cast', 'Ceil', 'Clip', 'Concat',
+          'Conv', 'ConvTranspose', 'Cos', 'DepthToSpace', 'Div', 'Dropout', 'Elu', 'Equal', 'Exp', 'Flatten', 'Floor',
+          'Gather', 'Gemm', 'GlobalAveragePool', 'GlobalMaxPool', 'Greater', 'Identity', 'ImageScaler',
+          'InstanceNormalization', 'LeakyRelu', 'Less', 'Log', 'MatMul', 'MaxPool', 'Mul', 'Neg', 'Not', 'Or', 'PRelu', 'Pad',
+          'Pow', 'ReduceLogSum', 'ReduceMax', 'ReduceMean', 'ReduceMin', 'ReduceProd', 'ReduceSum', 'ReduceSumSquare', 'Relu',
+          'Reshape', 'Resize', 'Shape', 'Sigmoid', 'Sin', 'Slice', 'Softmax', 'Split', 'Sqrt', 'Squeeze', 'Sub', 'Sum', 'Tan',
+          'Tanh', 'Tile', 'Transpose', 'Unsqueeze', 'Upsample', 'Xor',
+        ],
+      },
+    },
+  },
+  tensorrt: {
+    name: 'TensorRT',
+    domains: {
+      '': {
+        min: 7,
+        max: 20,
+        except: [
+          'Bernoulli', 'BitShift', 'BitwiseAnd', 'BitwiseNot', 'BitwiseOr', 'BitwiseXor', 'CenterCropPad', 'Col2Im',
+          'ConcatFromSequence', 'ConvInteger', 'DFT', 'Det', 'DynamicQuantizeLinear', 'ImageDecoder', 'MatMulInteger',
+          'MelWeightMatrix', 'Multinomial', 'NegativeLogLikelihoodLoss', 'Optional', 'OptionalGetElement',
+          'OptionalHasElement', 'QLinearConv', 'QLinearMatMul', 'RegexFullMatch', 'STFT', 'SequenceAt', 'SequenceConstruct',
+          'SequenceEmpty', 'SequenceErase', 'SequenceInsert', 'SequenceLength', 'SequenceMap', 'SoftmaxCrossEntropyLoss',
+          'SplitToSequence', 'StringConcat', 'StringNormalizer', 'StringSplit', 'TfIdfVectorizer', 'Unique',
+        ],
+      },
+    },
+  },
+};
+
+const isOpList = (value) => Array.isArray(value) && value.every((op) => typeof op === 'string' && op);
+
+/**
+ * Validates a custom target: either a plain array of ai.onnx op types or
+ * { name, domains } shaped like a TARGETS entry, with "ai.onnx" accepted as
+ * the default domain's key. Throws on anything malformed.
+ */
+export const parseTarget = (json, fallbackName = 'Custom allowlist') => {
+  if (isOpList(json)) return { name: fallbackName, domains: { '': { ops: json } } };
+  if (!json || typeof json !== 'object' || !json.domains || typeof json.domains !== 'object') {
+    throw new Error('Expected an array of op types or an object with "domains".');
+  }
+  const domains = {};
+  for (const [key, spec] of Object.entries(json.domains)) {
+    const where = `Domain "${key || 'ai.onnx'}"`;
+    if (!spec || typeof spec !== 'object') throw new Error(`${where} must map to an object.`);
+    for (const bound of ['min', 'max']) {
+      if (spec[bound] !== undefined && !Number.isInteger(spec[bound])) throw new Error(`${where}: "${bound}" must be an integer.`);
+    }
+    for (const list of ['ops', 'except']) {
+      if (spec[list] !== undefined && !isOpList(spec[list])) throw new Error(`${where}: "${list}" must be an array of op types.`);
+    }
+    if (spec.ops && spec.except) throw new Error(`${where}: give either "ops" or "except", not both.`);
+    domains[normalizeDomain(key)] = spec;
+  }
+  return { name: typeof json.name === 'string' && json.name ? json.name : fallbackName, domains };
+};
+
+const nodeLabel = (node, index) => node.name || `${node.opType} #${index}`;
+
+const finding = (severity, code, message, suggestion, nodeIndex, node) => ({
+  severity,
+  code,
+  message,
+  suggestion,
+  ...(nodeIndex !== undefined ? { nodeIndex, node: nodeLabel(node, nodeIndex) } : {}),
+});
+
+const sortFindings = (findings) => {
+  const order = { error: 0, warning: 1, info: 2 };
+  return findings.sort((a, b) => order[a.severity] - order[b.severity]);
+};
+
+// Narrows a domain's range and records why
+const limit = (entry, bound, version, opType, reason) => {
+  const tighter = bound === 'min' ? version > entry.min : version < entry.max;
+  if (!tighter) return;
+  entry[bound] = version;
+  entry.limits[bound] = { opType, version, reason };
+};
+
+/**
+ * Compatibility report for a parsed model: `opsets` holds, per imported
+ * domain, the imported version and the [min, max] range the graph is valid
+ * for without rewriting any node (null bounds for domains the bundled table
+ * does not cover); `operators` one entry per op type with its count, the
+ * definition in effect and later redefinitions; `findings` the problems.
+ * Ops of If/Loop/Scan bodies and local function bodies are included; calls
+ * to local functions are not, since runtimes inline them.
+ */
+export const analyzeCompatibility = (opsetImport, graphTree, functions) => {
+  const findings = [];
+  const imports = new Map(opsetImport.map(({ domain, version }) => [normalizeDomain(domain), version]));
+  const opsets = new Map(
+    [...imports].map(([domain, version]) => {
+      const standard = isStandardDomain(domain);
+      return [domain, { domain, imported: version, standard, min: standard ? 1 : null, max: standard ? LATEST[domain] : null, latest: standard ? LATEST[domain] : null, limits: {} }];
+    })
+  );
+  const functionKeys = new Set(functions.map((fn) => fn.key));
+  const operators = new Map();
+
+  const visitNode = (node, nodeIndex) => {
+    if (functionKeys.has(nodeFunctionKey(node))) return;
+    const domain = normalizeDomain(node.domain);
+    const key = `${domain}::${node.opType}`;
+    if (!operators.has(key)) {
+      const imported = imports.get(domain);
+      const resolved = imported === undefined ? null : resolveSchema(domain, node.opType, imported);
+      const schema = resolved?.schema;
+      operators.set(key, {
+        domain,
+        opType: node.opType,
+        count: 0,
+        // top-level graph nodes, for focusing
+        nodes: [],
+        known: Boolean(schema),
+        version: resolved?.version ?? null,
+        since: schema?.since || [],
+        deprecated: schema?.deprecated ?? null,
+        replacement: schema?.replacement ?? null,
+        // redefinitions between the imported opset and the newest one
+        redefined: schema ? schema.since.filter((v) => v > imported) : [],
+      });
+    }
+    const entry = operators.get(key);
+    entry.count++;
+    if (nodeIndex !== undefined) entry.nodes.push({ index: nodeIndex, name: nodeLabel(node, nodeIndex) });
+
+    const range = opsets.get(domain);
+    if (!entry.known || !range?.standard) return;
+    limit(range, 'min', entry.since[0], node.opType, `${node.opType} was introduced in opset ${entry.since[0]}`);
+    if (entry.deprecated) {
+      limit(range, 'max', entry.deprecated - 1, node.opType, `${node.opType} is deprecated since opset ${entry.deprecated}`);
+    }
+    if (domain) return;
+
+    const present = new Set((node.attribute || []).map((a) => a.name));
+    for (const change of REMOVED_ATTRIBUTES[node.opType] || []) {
+      if (present.has(change.name)) {
+        limit(range, 'max', change.removed - 1, node.opType, `${node.opType} attribute "${change.name}" was removed in opset ${change.removed}`);
+        if (range.imported >= change.removed && nodeIndex !== undefined) {
+          findings.push(
+            finding(
+              'warning',
+              'REMOVED_ATTRIBUTE',
+              `${node.opType} has attribute "${change.name}", which opset ${change.removed} removed; the model imports opset ${range.imported}.`,
+              change.input !== undefined
+                ? `Pass the value as input ${change.input} instead.`
+                : `Drop "${change.name}"; runtimes reject or ignore it.`,
+              nodeIndex,
+              node
+            )
+          );
+        }
+      } else if (change.input !== undefined && node.input?.[change.input] && range.imported >= change.removed) {
+        limit(range, 'min', change.removed, node.opType, `${node.opType} takes "${change.name}" as an input since opset ${change.removed}`);
+      }
+    }
+  };
+
+  walkGraphTree(graphTree, (graph) => graph.nodes.forEach((node, index) => visitNode(node, graph.id === 'main' ? index : undefined)));
+  functions.forEach((fn) => fn.nodes.forEach((node) => visitNode(node)));
+
+  for (const range of opsets.values()) {
+    if (!range.standard) continue;
+    const name = domainName(range.domain);
+    if (range.imported > range.latest) {
+      findings.push(
+        finding(
+          'info',
+          'OPSET_NEWER_THAN_TABLE',
+          `The model imports ${name} opset ${range.imported}; the bundled operator table ends at ${range.latest}.`,
+          'Ops redefined after that version are checked against their last known definition.'
+        )
+      );
+    }
+    if (range.min > range.max) {
+      findings.push(
+        finding(
+          'error',
+          'NO_VALID_OPSET',
+          `No ${name} opset fits every node: ${range.limits.min.reason}, but ${range.limits.max.reason}.`,
+          `Rewrite the ${range.limits.max.opType} nodes for the newer opset, e.g. with the ONNX version converter.`
+        )
+      );
+    }
+  }
+
+  const changed = [...operators.values()].filter((op) => op.redefined.length);
+  if (changed.length) {
+    findings.push(
+      finding(
+        'info',
+        'OPS_REDEFINED',
+        `${changed.length} op type(s) changed after the imported opset: ${changed
+          .map((op) => `${op.opType} (${op.redefined.join(', ')})`)
+          .join(', ')}.`,
+        'Review the operator changelog for these ops before raising the opset_import.'
+      )
+    );
+  }
+
+  return {
+    opsets: [...opsets.values()],
+    operators: [...operators.values()].sort((a, b) => a.domain.localeCompare(b.domain) || a.opType.localeCompare(b.opType)),
+    findings: sortFindings(findings),
+  };
+};
+
+const opSupported = (spec, opType) => (spec.ops ? spec.ops.includes(opType) : !(spec.except || []).includes(opType));
+
+/**
+ * Checks a compatibility report against a target (a TARGETS entry or a
+ * parseTarget result). Returns { target, compatible, unsupported, opsets,
+ * findings }: `unsupported` lists op types without a kernel, `opsets` per
+ * domain whether the imported version is in the target's range and, when
+ * it is not, a version both the model and the target accept.
+ */
+export const checkTarget = (report, target) => {
+  const findings = [];
+  const unsupported = [];
+
+  for (const op of report.operators) {
+    const spec = target.domains[op.domain];
+    const reason = !spec ? 'domain' : opSupported(spec, op.opType) ? null : 'operator';
+    if (!reason) continue;
+    unsupported.push({ ...op, reason });
+    findings.push(
+      finding(
+        'error',
+        reason === 'domain' ? 'UNSUPPORTED_DOMAIN' : 'UNSUPPORTED_OPERATOR',
+        reason === 'domain'
+          ? `${target.name} has no kernels for domain "${domainName(op.domain)}" (${op.opType} × ${op.count}).`
+          : `${target.name} has no kernel for ${op.opType} (${op.count} node(s)).`,
+        reason === 'operator' && op.replacement
+          ? `Replace it with ${op.replacement}, or run these nodes on another execution provider.`
+          : 'Decompose it into supported ops, or run these nodes on another execution provider.',
+        op.nodes[0]?.index,
+        op.nodes[0]
+      )
+    );
+  }
+
+  const opsets = report.opsets
+    .filter((range) => target.domains[range.domain])
+    .map((range) => {
+      const { min = 1, max = Infinity } = target.domains[range.domain];
+      const supported = range.imported >= min && range.imported <= max;
+      // highest version valid for both, preferring one the graph needs no rewrite for
+      const low = Math.max(min, range.min ?? min);
+      const high = Math.min(max, range.max ?? max);
+      const suggested = supported ? null : low <= high ? high : null;
+      if (!supported) {
+        const name = domainName(range.domain);
+        findings.push(
+          finding(
+            'error',
+            'OPSET_UNSUPPORTED',
+            `${target.name} runs ${name} opsets ${min}–${max === Infinity ? 'latest' : max}; the model imports ${range.imported}.`,
+            suggested !== null
+              ? `Convert the model to ${name} opset ${suggested}.`
+              : `No ${name} opset suits both the model and ${target.name} as written; the graph needs rewriting first.`
+          )
+        );
+      }
+      return { domain: range.domain, imported: range.imported, min, max: max === Infinity ? null : max, supported, suggested };
+    });
+
+  return {
+    target,
+    compatible: !findings.length,
+    unsupported,
+    opsets,
+    findings: sortFindings(findings),
+  };
+};
@@ -0,0 +1,153 @@
+// Per-node FLOPs/MACs, parameter and memory estimates from inferred shapes.
+import { TENSOR_TYPES } from './TensorDecoder.js';
+import { getAttribute } from './NodeAttributes.js';
+import { topologicalSort } from './GraphUtils.js';
+
+const BYTES_PER_ELEMENT = Object.fromEntries(
+  Object.values(TENSOR_TYPES).map((spec) => [
+    spec.dtype,
+    spec.packed ? 0.5 : (spec.size || 0) * (spec.components || 1),
+  ])
+);
+
+// Approximate FLOPs per output element for elementwise and normalization ops.
+const ELEMENTWISE_FLOPS = {
+  Add: 1, Sub: 1, Mul: 1, Div: 1, Pow: 1, Max: 1, Min: 1, Mod: 1, Neg: 1, Abs: 1,
+  Relu: 1, LeakyRelu: 2, PRelu: 2, Clip: 2, Sqrt: 1, Reciprocal: 1, Floor: 1, Ceil: 1, Round: 1,
+  Exp: 1, Log: 1, Erf: 1, Sin: 1, Cos: 1, Tanh: 1, Sigmoid: 4, HardSigmoid: 3, HardSwish: 4,
+  Elu: 3, Selu: 4, Celu: 3, Softplus: 3, Softsign: 3, Mish: 6, Gelu: 8,
+  Softmax: 5, LogSoftmax: 5, BatchNormalization: 2, InstanceNormalization: 5,
+  LayerNormalization: 8, GroupNormalization: 5, LpNormalization: 3, Where: 1,
+  Equal: 1, Less: 1, Greater: 1, LessOrEqual: 1, GreaterOrEqual: 1, And: 1, Or: 1, Xor: 1, Not: 1,
+  QuantizeLinear: 3, DequantizeLinear: 2, Cast: 0,
+};
+
+const REDUCE_OPS = new Set([
+  'ReduceMean', 'ReduceSum', 'ReduceMax', 'ReduceMin', 'ReduceProd', 'ReduceL1', 'ReduceL2',
+  'ReduceLogSum', 'ReduceLogSumExp', 'ReduceSumSquare', 'GlobalAveragePool', 'GlobalMaxPool',
+  'GlobalLpPool', 'ArgMax', 'ArgMin',
+]);
+
+// Symbolic dims are replaced with `symbolValue` (default 1, i.e. batch 1).
+const numericShape = (shape, symbolValue) => {
+  if (!shape) return null;
+  const dims = shape.map((d) => (typeof d === 'number' ? d : d === null ? null : symbolValue));
+  return dims.includes(null) ? null : dims;
+};
+
+const product = (dims) => dims.reduce((a, b) => a * b, 1);
+
+const computeCost = (node, shapeOf) => {
+  const out = shapeOf(node.output[0]);
+  const x = shapeOf(node.input[0]);
+  const op = node.opType;
+
+  switch (op) {
+    case 'Conv': {
+      const w = shapeOf(node.input[1]);
+      if (!out || !w) return null;
+      // W is [M, C/group, k...], so w[1] already accounts for grouping
+      const macs = product(out) * (w[1] || 1) * product(w.slice(2));
+      const bias = node.input[2] ? product(out) : 0;
+      return { macs, flops: 2 * macs + bias };
+    }
+    case 'ConvTranspose': {
+      const w = shapeOf(node.input[1]);
+      if (!x || !w) return null;
+      // W is [C, M/group, k...]: every input element feeds M/group * k outputs
+      const macs = product(x) * (w[1] || 1) * product(w.slice(2));
+      const bias = node.input[2] && out ? product(out) : 0;
+      return { macs, flops: 2 * macs + bias };
+    }
+    case 'MatMul':
+    case 'MatMulInteger': {
+      if (!x || !out) return null;
+      const macs = product(out) * x[x.length - 1];
+      return { macs, flops: 2 * macs };
+    }
+    case 'Gemm': {
+      if (!x || !out) return null;
+      const k = x[getAttribute(node, 'transA', 0) ? 0 : 1];
+      const macs = product(out) * k;
+      const bias = node.input[2] ? product(out) : 0;
+      return { macs, flops: 2 * macs + bias };
+    }
+    case 'MaxPool':
+    case 'AveragePool':
+    case 'LpPool': {
+      const kernel = getAttribute(node, 'kernel_shape');
+      if (!out || !kernel) return null;
+      return { macs: 0, flops: product(out) * product(kernel) };
+    }
+    default:
+      if (REDUCE_OPS.has(op)) return x ? { macs: 0, flops: product(x) } : null;
+      if (op in ELEMENTWISE_FLOPS) return out ? { macs: 0, flops: product(out) * ELEMENTWISE_FLOPS[op] } : null;
+      return { macs: 0, flops: 0 };
+  }
+};
+
+/**
+ * Estimates cost per node and for the whole graph. `valueInfo` comes from
+ * ShapeInference, `initializers` from TensorDecoder. Nodes whose shapes are
+ * not fully known are listed in `unresolved` and count as zero.
+ */
+export const estimateCosts = (nodes, valueInfo, initializers, { symbolValue = 1, top = 10 } = {}) => {
+  const weights = new Map(initializers.map((t) => [t.name, t]));
+  const shapeOf = (name) => (name ? numericShape(valueInfo[name]?.shape, symbolValue) : null);
+  const bytesOf = (name) => {
+    const info = valueInfo[name];
+    const shape = shapeOf(name);
+    return shape ? Math.ceil(product(shape) * (BYTES_PER_ELEMENT[info.dtype] || 0)) : 0;
+  };
+
+  const unresolved = [];
+  const perNode = nodes.map((node, index) => {
+    const nodeWeights = [...new Set(node.input)].filter((name) => weights.has(name)).map((name) => weights.get(name));
+    const cost = computeCost(node, shapeOf);
+    if (!cost) unresolved.push(index);
+    return {
+      index,
+      name: node.name || `#${index}`,
+      opType: node.opType,
+      flops: cost?.flops ?? 0,
+      macs: cost?.macs ?? 0,
+      params: nodeWeights.reduce((sum, t) => sum + t.elementCount, 0),
+      weightBytes: nodeWeights.reduce((sum, t) => sum + t.byteSize, 0),
+      activationBytes: node.output.filter(Boolean).reduce((sum, name) => sum + bytesOf(name), 0),
+    };
+  });
+
+  // Peak live activation memory, freeing each tensor after its last consumer.
+  const { order, cyclic } = topologicalSort(nodes);
+  const schedule = [...order, ...cyclic];
+  const lastUse = new Map();
+  schedule.forEach((index, step) => nodes[index].input.forEach((name) => lastUse.set(name, step)));
+  const produced = new Set(nodes.flatMap((node) => node.output));
+  let live = 0;
+  let peakActivationBytes = 0;
+  schedule.forEach((index, step) => {
+    live += perNode[index].activationBytes;
+    peakActivationBytes = Math.max(peakActivationBytes, live);
+    for (const name of new Set(nodes[index].input)) {
+      if (lastUse.get(name) === step && produced.has(name)) live -= bytesOf(name);
+    }
+  });
+
+  const totals = {
+    flops: perNode.reduce((sum, n) => sum + n.flops, 0),
+    macs: perNode.reduce((sum, n) => sum + n.macs, 0),
+    params: initializers.reduce((sum, t) => sum + t.elementCount, 0),
+    weightBytes: initializers.reduce((sum, t) => sum + t.byteSize, 0),
+    activationBytes: perNode.reduce((sum, n) => sum + n.activationBytes, 0),
+    peakActivationBytes,
+  };
+  totals.memoryBytes = totals.weightBytes + peakActivationBytes;
+
+  const topLayers = [...perNode]
+    .filter((n) => n.flops > 0)
+    .sort((a, b) => b.flops - a.flops)
+    .slice(0, top)
+    .map((n) => ({ ...n, share: totals.flops ? n.flops / totals.flops : 0 }));
+
+  return { nodes: perNode, totals, topLayers, unresolved, assumptions: { symbolValue } };
+};
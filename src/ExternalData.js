@@ -0,0 +1,138 @@
+// Resolves TensorProto.external_data references against companion files
+// supplied next to the .onnx model (multi-file or folder upload).
+import { computeTensorStats, decodeTensorBytes } from './TensorDecoder.js';
+
+const normalizePath = (path) =>
+  path
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((part) => part && part !== '.')
+    .join('/');
+
+const relativePath = (file) => normalizePath(file.webkitRelativePath || file.name);
+
+const directoryOf = (path) => {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index + 1);
+};
+
+/**
+ * Finds the companion file for an external_data `location`. The location is
+ * relative to the model file, so an exact match against the model's folder
+ * wins; otherwise fall back to a path-suffix or bare file-name match.
+ */
+export const findExternalFile = (files, location, modelFile) => {
+  const target = normalizePath(location);
+  const modelDir = modelFile ? directoryOf(relativePath(modelFile)) : '';
+
+  return (
+    files.find((file) => relativePath(file) === modelDir + target) ||
+    files.find((file) => relativePath(file).endsWith(`/${target}`)) ||
+    files.find((file) => file.name === target.split('/').pop())
+  );
+};
+
+const readRange = async (file, offset, length) =>
+  new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+
+/**
+ * Checks every EXTERNAL initializer's reference without reading any data:
+ * the companion file must be there and long enough for the tensor's byte
+ * range. A tensor that passes keeps the file in `external.source` (its path
+ * in `external.file`) for loadExternalTensor, so models larger than memory
+ * parse without touching their weights. Returns diagnostics for missing
+ * files and bad ranges.
+ */
+export const resolveExternalData = (initializers, files = [], modelFile = null) => {
+  const diagnostics = [];
+  const missing = new Map();
+
+  for (const tensor of initializers) {
+    if (tensor.dataLocation !== 'EXTERNAL') continue;
+
+    const { location, offset = 0, length } = tensor.external || {};
+    if (!location) {
+      tensor.error = 'external_data has no location';
+      diagnostics.push({
+        severity: 'error',
+        source: 'external-data',
+        tensor: tensor.name,
+        message: `Tensor "${tensor.name}" is marked EXTERNAL but has no location key.`,
+      });
+      continue;
+    }
+
+    const file = findExternalFile(files, location, modelFile);
+    if (!file) {
+      tensor.error = `Missing external file "${location}"`;
+      if (!missing.has(location)) missing.set(location, []);
+      missing.get(location).push(tensor.name);
+      continue;
+    }
+
+    const size = length ?? tensor.byteSize;
+    if (size < tensor.byteSize) {
+      tensor.error = `external length ${size} is smaller than tensor size ${tensor.byteSize}`;
+      diagnostics.push({
+        severity: 'error',
+        source: 'external-data',
+        tensor: tensor.name,
+        location,
+        message: `Tensor "${tensor.name}" declares ${size} bytes in "${location}" but needs ${tensor.byteSize}.`,
+      });
+      continue;
+    }
+    if (offset + size > file.size) {
+      tensor.error = `"${location}" is truncated`;
+      diagnostics.push({
+        severity: 'error',
+        source: 'external-data',
+        tensor: tensor.name,
+        location,
+        message: `"${location}" is ${file.size} bytes, but tensor "${tensor.name}" reads bytes ${offset}–${offset + size}. The file is truncated or does not belong to this model.`,
+      });
+      continue;
+    }
+
+    tensor.external.file = relativePath(file);
+    tensor.external.source = file;
+  }
+
+  for (const [location, tensors] of missing) {
+    diagnostics.push({
+      severity: 'error',
+      source: 'external-data',
+      location,
+      tensors,
+      message: `External file "${location}" was not provided (${tensors.length} tensor${
+        tensors.length === 1 ? '' : 's'
+      }). Upload it together with the model, or select the model's folder.`,
+    });
+  }
+
+  return diagnostics;
+};
+
+/**
+ * Reads and decodes the byte range of a tensor resolveExternalData accepted,
+ * the first time something needs its values, and keeps the result on the
+ * tensor as `data` and `stats` (or `error`). Resolves to the tensor.
+ */
+export const loadExternalTensor = async (tensor) => {
+  const { source, location, offset = 0 } = tensor.external || {};
+  if (tensor.data || tensor.error || !source) return tensor;
+  try {
+    const bytes = await readRange(source, offset, tensor.byteSize);
+    tensor.data = decodeTensorBytes(bytes, tensor.dataType, tensor.shape);
+    tensor.stats = computeTensorStats(tensor.data);
+  } catch (err) {
+    tensor.error = `Could not decode tensor from "${location}": ${err.message}`;
+  }
+  return tensor;
+};
+
+/** loadExternalTensor for every external tensor of `initializers`, one at a time. */
+export const loadExternalTensors = async (initializers) => {
+  for (const tensor of initializers) await loadExternalTensor(tensor);
+  return initializers;
+};
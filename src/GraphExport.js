@@ -0,0 +1,326 @@
+// Exports the laid-out graph (the ELK result RawCanvas renders) as SVG, PNG
+// or PDF. The layout is first flattened into a scene of absolute-positioned
+// rects, arrows and text, which each format then serializes.
+
+const THEMES = {
+  dark: { background: '#1b2631', edge: '#ecf0f1', edgeLabel: '#bdc3c7', text: '#ffffff', filled: true },
+  light: { background: '#ffffff', edge: '#7f8c8d', edgeLabel: '#566573', text: '#1b2631', filled: false },
+};
+
+const MARGIN = 40;
+
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+// Blends `color` over `background`; the scene carries no alpha so every
+// format renders translucent containers the same way.
+const mix = (color, background, alpha) => {
+  const a = hexToRgb(color);
+  const b = hexToRgb(background);
+  return `#${a
+    .map((c, i) => Math.round(c * alpha + b[i] * (1 - alpha)).toString(16).padStart(2, '0'))
+    .join('')}`;
+};
+
+/**
+ * Flattens an ELK layout into { width, height, background, items }. Items
+ * are { type: 'rect', x, y, width, height, radius, fill, stroke, dash },
+ * { type: 'arrow', points, stroke } or { type: 'text', x, y, text, size,
+ * bold, mono, fill } in absolute coordinates. `colorOf(node)` returns the
+ * node's { fill } color.
+ */
+export const buildScene = (layout, { theme = 'dark', shapeLabels = true, colorOf }) => {
+  const palette = THEMES[theme];
+  const items = [];
+
+  // absolute box of every node; an edge may end inside a nested group
+  const boxes = new Map();
+  const place = (container, offsetX, offsetY) => {
+    for (const node of container.children || []) {
+      const x = offsetX + node.x;
+      const y = offsetY + node.y;
+      boxes.set(node.id, { x, y, width: node.width, height: node.height });
+      place(node, x, y);
+    }
+  };
+  place(layout, MARGIN, MARGIN);
+
+  const addScope = (container, offsetX, offsetY) => {
+    for (const edge of container.edges || []) {
+      const from = boxes.get(edge.sources[0]);
+      const to = boxes.get(edge.targets[0]);
+      if (!from || !to) continue;
+      const fromX = from.x + from.width;
+      const fromY = from.y + from.height / 2;
+      const toX = to.x;
+      const toY = to.y + to.height / 2;
+      const midX = (fromX + toX) / 2;
+      items.push({ type: 'arrow', points: [fromX, fromY, midX, fromY, midX, toY, toX, toY], stroke: palette.edge });
+      if (shapeLabels && edge.shapeLabel) {
+        items.push({ type: 'text', x: midX + 6, y: toY - 16, text: edge.shapeLabel, size: 11, mono: true, fill: palette.edgeLabel });
+      }
+    }
+
+    for (const node of container.children) {
+      const x = offsetX + node.x;
+      const y = offsetY + node.y;
+      const { fill } = colorOf(node);
+
+      if (node.children) {
+        const alpha = node.nodeType === 'Subgraph' ? 0.35 : 0.25;
+        items.push({
+          type: 'rect',
+          x,
+          y,
+          width: node.width,
+          height: node.height,
+          radius: 15,
+          fill: mix(fill, palette.background, alpha),
+          stroke: fill,
+          dash: node.nodeType === 'Subgraph',
+        });
+        items.push({
+          type: 'text',
+          x: x + 15,
+          y: y + 14,
+          text: node.labels.map((label) => label.text).join('  '),
+          size: node.nodeType === 'Subgraph' ? 13 : 16,
+          bold: true,
+          fill: palette.filled ? '#ffffff' : fill,
+        });
+        addScope(node, x, y);
+        continue;
+      }
+
+      items.push({
+        type: 'rect',
+        x,
+        y,
+        width: node.width,
+        height: node.height,
+        radius: 15,
+        fill: palette.filled ? fill : mix(fill, palette.background, 0.12),
+        stroke: palette.filled ? null : fill,
+      });
+      node.labels.forEach((label, i) => {
+        items.push({
+          type: 'text',
+          x: x + 15,
+          y: y + 15 + i * 18,
+          text: label.text,
+          size: i === 0 ? 16 : 12,
+          bold: i === 0,
+          fill: palette.text,
+        });
+      });
+    }
+  };
+
+  addScope(layout, MARGIN, MARGIN);
+  return {
+    width: (layout.width || 0) + MARGIN * 2,
+    height: (layout.height || 0) + MARGIN * 2,
+    background: palette.background,
+    items,
+  };
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+const arrowHead = (points, length = 12, width = 8) => {
+  const n = points.length;
+  const [x1, y1, x2, y2] = points.slice(n - 4);
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const back = (side) => [
+    x2 - length * Math.cos(angle) + side * (width / 2) * Math.sin(angle),
+    y2 - length * Math.sin(angle) - side * (width / 2) * Math.cos(angle),
+  ];
+  return [[x2, y2], back(1), back(-1)];
+};
+
+/**
+ * Serializes a scene as SVG with real <text> elements. `region` ({ x, y,
+ * width, height } in scene units) and `pixelWidth`/`pixelHeight` crop and
+ * scale the output; PNG tiling renders one such region per tile.
+ */
+export const sceneToSVG = (scene, { region, pixelWidth, pixelHeight } = {}) => {
+  const view = region || { x: 0, y: 0, width: scene.width, height: scene.height };
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth || view.width}" height="${pixelHeight || view.height}" viewBox="${view.x} ${view.y} ${view.width} ${view.height}">`,
+    `<rect x="0" y="0" width="${scene.width}" height="${scene.height}" fill="${scene.background}"/>`,
+  ];
+
+  for (const item of scene.items) {
+    if (item.type === 'rect') {
+      parts.push(
+        `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="${item.radius}" fill="${item.fill}"` +
+          (item.stroke ? ` stroke="${item.stroke}" stroke-width="2"` : '') +
+          (item.dash ? ' stroke-dasharray="8 4"' : '') +
+          '/>'
+      );
+    } else if (item.type === 'arrow') {
+      const head = arrowHead(item.points);
+      parts.push(
+        `<polyline points="${item.points.join(' ')}" fill="none" stroke="${item.stroke}" stroke-width="2"/>`,
+        `<polygon points="${head.map((p) => p.join(',')).join(' ')}" fill="${item.stroke}"/>`
+      );
+    } else {
+      const family = item.mono ? 'monospace' : 'Arial, sans-serif';
+      parts.push(
+        `<text x="${item.x}" y="${item.y}" dominant-baseline="hanging" font-family="${family}" font-size="${item.size}"` +
+          `${item.bold ? ' font-weight="bold"' : ''} fill="${item.fill}">${escapeXml(item.text)}</text>`
+      );
+    }
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+};
+
+/**
+ * Rasterizes a scene to PNG at `pixelRatio`. Graphs larger than
+ * `maxTileSize` device pixels per side come back as a grid of tiles, each
+ * rendered from its own SVG region so no canvas exceeds browser limits.
+ * Resolves to [{ row, col, blob }].
+ */
+export const renderPNGTiles = async (scene, { pixelRatio = 2, maxTileSize = 4096 } = {}) => {
+  const tileUnits = Math.floor(maxTileSize / pixelRatio);
+  const cols = Math.ceil(scene.width / tileUnits);
+  const rows = Math.ceil(scene.height / tileUnits);
+  const tiles = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const region = {
+        x: col * tileUnits,
+        y: row * tileUnits,
+        width: Math.min(tileUnits, scene.width - col * tileUnits),
+        height: Math.min(tileUnits, scene.height - row * tileUnits),
+      };
+      const pixelWidth = Math.round(region.width * pixelRatio);
+      const pixelHeight = Math.round(region.height * pixelRatio);
+      const svg = sceneToSVG(scene, { region, pixelWidth, pixelHeight });
+      const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+      try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0, pixelWidth, pixelHeight);
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(`Could not encode PNG tile ${row},${col}.`);
+        tiles.push({ row, col, blob });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }
+  return tiles;
+};
+
+// PDF pages are limited to 14400 units per side
+const PDF_MAX_PAGE = 14400;
+
+// Standard-14 fonts only cover WinAnsi; map what we draw and drop the rest.
+const pdfText = (text) =>
+  String(text)
+    .replace(/[−–]/g, '-')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+
+const pdfColor = (hex) =>
+  hexToRgb(hex)
+    .map((c) => (c / 255).toFixed(3))
+    .join(' ');
+
+const roundedRectPath = ({ x, y, width, height, radius }) => {
+  const r = Math.min(radius, width / 2, height / 2);
+  const k = r * 0.5523;
+  return [
+    `${x + r} ${y} m`,
+    `${x + width - r} ${y} l`,
+    `${x + width - r + k} ${y} ${x + width} ${y + r - k} ${x + width} ${y + r} c`,
+    `${x + width} ${y + height - r} l`,
+    `${x + width} ${y + height - r + k} ${x + width - r + k} ${y + height} ${x + width - r} ${y + height} c`,
+    `${x + r} ${y + height} l`,
+    `${x + r - k} ${y + height} ${x} ${y + height - r + k} ${x} ${y + height - r} c`,
+    `${x} ${y + r} l`,
+    `${x} ${y + r - k} ${x + r - k} ${y} ${x + r} ${y} c`,
+    'h',
+  ].join('\n');
+};
+
+/**
+ * Serializes a scene as a single-page vector PDF. Text uses the standard
+ * Helvetica/Courier fonts, so it stays selectable without embedding fonts.
+ */
+export const sceneToPDF = (scene) => {
+  const scale = Math.min(1, PDF_MAX_PAGE / Math.max(scene.width, scene.height));
+  const pageWidth = scene.width * scale;
+  const pageHeight = scene.height * scale;
+
+  // Flip to a top-left origin so scene coordinates can be used as-is
+  const ops = [`${scale} 0 0 ${-scale} 0 ${pageHeight} cm`];
+  ops.push(`${pdfColor(scene.background)} rg`, `0 0 ${scene.width} ${scene.height} re f`);
+
+  for (const item of scene.items) {
+    if (item.type === 'rect') {
+      ops.push(`${pdfColor(item.fill)} rg`);
+      if (item.stroke) ops.push(`${pdfColor(item.stroke)} RG 2 w`, item.dash ? '[8 4] 0 d' : '[] 0 d');
+      ops.push(roundedRectPath(item), item.stroke ? 'B' : 'f');
+    } else if (item.type === 'arrow') {
+      const { points } = item;
+      ops.push(`${pdfColor(item.stroke)} RG ${pdfColor(item.stroke)} rg 2 w [] 0 d`);
+      ops.push(`${points[0]} ${points[1]} m`);
+      for (let i = 2; i < points.length; i += 2) ops.push(`${points[i]} ${points[i + 1]} l`);
+      ops.push('S');
+      const head = arrowHead(points);
+      ops.push(`${head[0].join(' ')} m ${head[1].join(' ')} l ${head[2].join(' ')} l h f`);
+    } else {
+      const font = item.mono ? '/F3' : item.bold ? '/F2' : '/F1';
+      // text matrix flips glyphs back upright; y moves from top to baseline
+      ops.push(
+        `BT ${font} ${item.size} Tf ${pdfColor(item.fill)} rg 1 0 0 -1 ${item.x} ${item.y + item.size * 0.8} Tm (${pdfText(item.text)}) Tj ET`
+      );
+    }
+  }
+
+  const content = ops.join('\n');
+  const fonts = ['Helvetica', 'Helvetica-Bold', 'Courier'];
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}] ` +
+      '/Resources << /Font << /F1 5 0 R /F2 6 0 R /F3 7 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ...fonts.map((name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+  ];
+
+  // One byte per char: pdfText keeps everything within Latin-1
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, (c) => c.charCodeAt(0));
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,191 @@
+// Text exporters for the top-level graph: Graphviz DOT, Mermaid flowchart
+// and GraphML. All three serialize the same structure: graph inputs, op
+// nodes and graph outputs joined by tensor edges, as RawCanvas draws them.
+import { attributeType, attributeValue } from './NodeAttributes.js';
+import { formatShape } from './ShapeInference.js';
+
+const formatAttribute = (attr) => {
+  const value = attributeValue(attr);
+  switch (attributeType(attr)) {
+    case 'TENSOR':
+    case 'SPARSE_TENSOR':
+      return '<tensor>';
+    case 'GRAPH':
+      return `<graph: ${value.node?.length || 0} nodes>`;
+    case 'GRAPHS':
+      return `<${value.length} graphs>`;
+    case 'TENSORS':
+    case 'SPARSE_TENSORS':
+      return `<${value.length} tensors>`;
+    default:
+      return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+  }
+};
+
+/**
+ * Builds { name, nodes, edges } for the top-level graph. Nodes are { id,
+ * kind: 'input' | 'output' | 'op' | 'initializer', label, opType,
+ * attributes, constants }; edges are { source, target, tensor, shape }.
+ * With `collapseConstants`, initializers and Constant nodes get no node of
+ * their own and are listed in their consumers' `constants` instead.
+ */
+export const buildGraphStructure = (modelData, { collapseConstants = true } = {}) => {
+  const { graph } = modelData;
+  const valueInfo = graph.valueInfo || {};
+  const nodes = [];
+  const edges = [];
+  const producer = new Map();
+  const constants = new Set();
+
+  graph.inputs.forEach((input, i) => {
+    nodes.push({ id: `in${i}`, kind: 'input', label: input.name, attributes: {}, constants: [] });
+    producer.set(input.name, `in${i}`);
+  });
+
+  (graph.initializers || []).forEach((tensor, i) => {
+    if (producer.has(tensor.name)) return;
+    if (collapseConstants) {
+      constants.add(tensor.name);
+      return;
+    }
+    nodes.push({ id: `init${i}`, kind: 'initializer', label: tensor.name, attributes: {}, constants: [] });
+    producer.set(tensor.name, `init${i}`);
+  });
+
+  graph.nodes.forEach((node, i) => {
+    if (collapseConstants && node.opType === 'Constant') {
+      (node.output || []).forEach((output) => constants.add(output));
+      return;
+    }
+    const attributes = {};
+    for (const attr of node.attribute || []) attributes[attr.name] = formatAttribute(attr);
+    nodes.push({
+      id: `n${i}`,
+      kind: 'op',
+      label: node.name || node.opType,
+      opType: node.domain ? `${node.domain}.${node.opType}` : node.opType,
+      attributes,
+      constants: (node.input || []).filter((input) => constants.has(input)),
+    });
+    (node.output || []).forEach((output) => output && producer.set(output, `n${i}`));
+  });
+
+  const connect = (tensor, target) => {
+    const source = producer.get(tensor);
+    if (!source) return;
+    const shape = valueInfo[tensor] ? formatShape(valueInfo[tensor].shape) : null;
+    edges.push({ source, target, tensor, shape });
+  };
+  graph.nodes.forEach((node, i) => {
+    if (collapseConstants && node.opType === 'Constant') return;
+    (node.input || []).forEach((input) => input && connect(input, `n${i}`));
+  });
+  graph.outputs.forEach((output, i) => {
+    nodes.push({ id: `out${i}`, kind: 'output', label: output.name, attributes: {}, constants: [] });
+    connect(output.name, `out${i}`);
+  });
+
+  return { name: modelData.file?.name || 'graph', nodes, edges };
+};
+
+// Label lines shared by DOT and Mermaid
+const labelLines = (node) => {
+  if (node.kind !== 'op') return [node.label];
+  const lines = node.label === node.opType ? [node.opType] : [node.opType, node.label];
+  for (const [name, value] of Object.entries(node.attributes)) lines.push(`${name}=${value}`);
+  if (node.constants.length) lines.push(`const: ${node.constants.join(', ')}`);
+  return lines;
+};
+
+const edgeLabel = (edge) => (edge.shape ? `${edge.tensor} ${edge.shape}` : edge.tensor);
+
+const DOT_STYLES = {
+  input: 'shape=ellipse, fillcolor="#2ecc71"',
+  output: 'shape=ellipse, fillcolor="#e67e22"',
+  initializer: 'shape=note, fillcolor="#d5dbdb"',
+  op: 'fillcolor="#aed6f1"',
+};
+
+const dotString = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+export const toDOT = (structure) => {
+  const lines = [
+    `digraph ${dotString(structure.name)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=8];',
+  ];
+  for (const node of structure.nodes) {
+    const label = labelLines(node).map((line) => dotString(line).slice(1, -1)).join('\\n');
+    lines.push(`  ${node.id} [label="${label}", ${DOT_STYLES[node.kind]}];`);
+  }
+  for (const edge of structure.edges) {
+    lines.push(`  ${edge.source} -> ${edge.target} [label=${dotString(edgeLabel(edge))}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+};
+
+// Mermaid labels are quoted; quotes and markup-significant characters go
+// through its #entity; escapes.
+const mermaidText = (text) =>
+  String(text).replace(/["<>#]/g, (c) => ({ '"': '#quot;', '<': '#lt;', '>': '#gt;', '#': '#35;' })[c]);
+
+const MERMAID_SHAPES = {
+  input: ['([', '])'],
+  output: ['([', '])'],
+  initializer: ['[/', '/]'],
+  op: ['[', ']'],
+};
+
+export const toMermaid = (structure) => {
+  const lines = ['flowchart LR'];
+  for (const node of structure.nodes) {
+    const [open, close] = MERMAID_SHAPES[node.kind];
+    lines.push(`  ${node.id}${open}"${labelLines(node).map(mermaidText).join('<br/>')}"${close}`);
+  }
+  for (const edge of structure.edges) {
+    lines.push(`  ${edge.source} -->|"${mermaidText(edgeLabel(edge))}"| ${edge.target}`);
+  }
+  return lines.join('\n');
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+
+/**
+ * GraphML with one <key> per node attribute name (prefixed "attr."), so
+ * yEd and Gephi can filter and color by any ONNX attribute.
+ */
+export const toGraphML = (structure) => {
+  const attributeNames = [...new Set(structure.nodes.flatMap((node) => Object.keys(node.attributes)))].sort();
+  const keyId = new Map(attributeNames.map((name, i) => [name, `a${i}`]));
+  const data = (key, value) => `      <data key="${key}">${escapeXml(value)}</data>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="op" for="node" attr.name="op_type" attr.type="string"/>',
+    '  <key id="const" for="node" attr.name="constants" attr.type="string"/>',
+    ...attributeNames.map((name) => `  <key id="${keyId.get(name)}" for="node" attr.name="attr.${escapeXml(name)}" attr.type="string"/>`),
+    '  <key id="tensor" for="edge" attr.name="tensor" attr.type="string"/>',
+    '  <key id="shape" for="edge" attr.name="shape" attr.type="string"/>',
+    `  <graph id="${escapeXml(structure.name)}" edgedefault="directed">`,
+  ];
+  for (const node of structure.nodes) {
+    lines.push(`    <node id="${node.id}">`, data('label', node.label), data('kind', node.kind));
+    if (node.opType) lines.push(data('op', node.opType));
+    if (node.constants.length) lines.push(data('const', node.constants.join(', ')));
+    for (const [name, value] of Object.entries(node.attributes)) lines.push(data(keyId.get(name), value));
+    lines.push('    </node>');
+  }
+  structure.edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${edge.source}" target="${edge.target}">`, data('tensor', edge.tensor));
+    if (edge.shape) lines.push(data('shape', edge.shape));
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+};
@@ -0,0 +1,414 @@
+// Graph surgery on an editable ModelProto (see ModelSerializer): subgraph
+// extraction, dead-code removal, constant folding and two fusions. Like the
+// ModelEditor operations, every transform returns a new model and leaves its
+// argument untouched. Each returns { model, summary, changes } where
+// `changes` lists what was done, one line per node or tensor; when nothing
+// applies, `model` is the argument itself.
+import { getAttribute } from './NodeAttributes.js';
+import { inferShapes } from './ShapeInference.js';
+import { subgraphAttributes } from './Subgraphs.js';
+import { TENSOR_TYPES, decodeTensorObject } from './TensorDecoder.js';
+import { tensorNames, uniqueName } from './ModelEditor.js';
+
+const FLOAT32 = 1;
+const INT32 = 6;
+const INT64 = 7;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const describeNode = (node, index) => `${node.opType} "${node.name || `#${index}`}"`;
+
+const result = (model, summary, changes) => ({ model, summary, changes });
+
+// Every tensor a node reads, including names its bodies take from this scope
+const nodeReads = (node) => [
+  ...(node.input || []),
+  ...subgraphAttributes(node).flatMap(({ graph }) => (graph.node || []).flatMap(nodeReads)),
+];
+
+const producers = (graph) => {
+  const map = new Map();
+  (graph.node || []).forEach((node, index) => (node.output || []).forEach((name) => name && map.set(name, index)));
+  return map;
+};
+
+// tensor name -> number of reads by nodes and graph outputs
+const readCounts = (graph) => {
+  const counts = new Map();
+  const read = (name) => name && counts.set(name, (counts.get(name) || 0) + 1);
+  (graph.node || []).forEach((node) => nodeReads(node).forEach(read));
+  (graph.output || []).forEach((value) => read(value.name));
+  return counts;
+};
+
+const analyze = (model) =>
+  inferShapes(model.graph, (model.graph.initializer || []).map(decodeTensorObject)).valueInfo;
+
+const dataTypeOf = (dtype) => Number(Object.keys(TENSOR_TYPES).find((key) => TENSOR_TYPES[key].dtype === dtype));
+
+// ValueInfoProto for an inferred { dtype, shape }
+const inferredValueInfo = (name, info) => {
+  const elemType = info && dataTypeOf(info.dtype);
+  if (!elemType) return { name };
+  const tensorType = { elemType };
+  if (info.shape) {
+    tensorType.shape = {
+      dim: info.shape.map((d) => (typeof d === 'number' ? { dimValue: String(d) } : d ? { dimParam: d } : {})),
+    };
+  }
+  return { name, type: { tensorType } };
+};
+
+/**
+ * Removes nodes none of whose outputs reach a graph output, then
+ * initializers nothing reads. Bodies of If/Loop/Scan count as readers of
+ * the outer names they use.
+ */
+export const removeDeadNodes = (model) => {
+  const graph = model.graph;
+  const nodes = graph.node || [];
+  const producer = producers(graph);
+  const live = new Set();
+  const pending = (graph.output || []).map((value) => value.name);
+  while (pending.length) {
+    const index = producer.get(pending.pop());
+    if (index === undefined || live.has(index)) continue;
+    live.add(index);
+    pending.push(...nodeReads(nodes[index]).filter(Boolean));
+  }
+
+  const changes = [];
+  nodes.forEach((node, index) => !live.has(index) && changes.push(`Removed ${describeNode(node, index)}`));
+  const kept = nodes.filter((_, index) => live.has(index));
+  const used = new Set([...kept.flatMap(nodeReads), ...(graph.output || []).map((value) => value.name)]);
+  const unused = new Set((graph.initializer || []).map((t) => t.name).filter((name) => !used.has(name)));
+  unused.forEach((name) => changes.push(`Removed initializer "${name}"`));
+  if (!changes.length) return result(model, 'Nothing to remove.', changes);
+
+  const removedCount = nodes.length - kept.length;
+  const defined = new Set(kept.flatMap((node) => node.output || []));
+  return result(
+    {
+      ...model,
+      graph: {
+        ...graph,
+        node: kept,
+        initializer: (graph.initializer || []).filter((t) => !unused.has(t.name)),
+        // initializers listed as inputs (IR < 4) go with them
+        input: (graph.input || []).filter((value) => !unused.has(value.name)),
+        valueInfo: (graph.valueInfo || []).filter((value) => defined.has(value.name)),
+      },
+    },
+    `Removed ${plural(removedCount, 'node')} and ${plural(unused.size, 'initializer')}.`,
+    changes
+  );
+};
+
+// Removes what a rewrite left behind: of the tensors in `orphaned` (those
+// the replaced nodes read), every initializer nothing reads any more and
+// every node none of whose outputs is read, recursively up the graph.
+// Unrelated dead nodes and initializers stay; removeDeadNodes sweeps those.
+const pruneOrphans = (model, orphaned) => {
+  const graph = model.graph;
+  const nodes = graph.node || [];
+  const counts = readCounts(graph);
+  const producer = producers(graph);
+  const initializers = new Set((graph.initializer || []).map((t) => t.name));
+  const deadNodes = new Set();
+  const unused = new Set();
+  const pending = [...orphaned];
+  while (pending.length) {
+    const name = pending.pop();
+    if (!name || counts.get(name)) continue;
+    if (initializers.has(name)) {
+      unused.add(name);
+      continue;
+    }
+    const index = producer.get(name);
+    if (index === undefined || deadNodes.has(index)) continue;
+    if ((nodes[index].output || []).some((output) => counts.get(output))) continue;
+    deadNodes.add(index);
+    for (const read of nodeReads(nodes[index])) {
+      if (!read) continue;
+      counts.set(read, counts.get(read) - 1);
+      pending.push(read);
+    }
+  }
+
+  const changes = [];
+  nodes.forEach((node, index) => deadNodes.has(index) && changes.push(`Removed ${describeNode(node, index)}`));
+  unused.forEach((name) => changes.push(`Removed initializer "${name}"`));
+  if (!changes.length) return result(model, 'Nothing to remove.', changes);
+
+  const kept = nodes.filter((_, index) => !deadNodes.has(index));
+  const dropped = new Set([...deadNodes].flatMap((index) => nodes[index].output || []));
+  return result(
+    {
+      ...model,
+      graph: {
+        ...graph,
+        node: kept,
+        initializer: (graph.initializer || []).filter((t) => !unused.has(t.name)),
+        input: (graph.input || []).filter((value) => !unused.has(value.name)),
+        valueInfo: (graph.valueInfo || []).filter((value) => !dropped.has(value.name)),
+      },
+    },
+    `Removed ${plural(deadNodes.size, 'node')} and ${plural(unused.size, 'initializer')}.`,
+    changes
+  );
+};
+
+/**
+ * Cuts out the part of the graph that computes `outputNames` from
+ * `inputNames`. Inputs and outputs keep their declared types, or get the
+ * inferred ones when the tensor was internal. Throws when a name does not
+ * exist or the outputs also depend on graph inputs that were not chosen.
+ */
+export const extractSubgraph = (model, inputNames, outputNames) => {
+  const graph = model.graph;
+  if (!outputNames.length) throw new Error('Choose at least one output tensor.');
+  const names = tensorNames(model);
+  for (const name of [...inputNames, ...outputNames]) {
+    if (!names.has(name)) throw new Error(`There is no tensor named "${name}".`);
+  }
+
+  const nodes = graph.node || [];
+  const producer = producers(graph);
+  const initializers = new Set((graph.initializer || []).map((t) => t.name));
+  const cut = new Set(inputNames);
+  const keep = new Set();
+  const missing = new Set();
+  const pending = [...outputNames];
+  const visited = new Set();
+  while (pending.length) {
+    const name = pending.pop();
+    if (!name || visited.has(name) || cut.has(name)) continue;
+    visited.add(name);
+    const index = producer.get(name);
+    if (index !== undefined) {
+      keep.add(index);
+      pending.push(...nodeReads(nodes[index]));
+    } else if (!initializers.has(name)) {
+      missing.add(name);
+    }
+  }
+  if (missing.size) {
+    throw new Error(`The outputs also depend on ${[...missing].map((n) => `"${n}"`).join(', ')}; add them to the inputs.`);
+  }
+
+  const declared = new Map([...(graph.valueInfo || []), ...(graph.input || []), ...(graph.output || [])].map((v) => [v.name, v]));
+  let inferred = null;
+  const valueInfo = (name) => {
+    if (declared.get(name)?.type) return declared.get(name);
+    inferred = inferred || analyze(model);
+    return inferredValueInfo(name, inferred[name]);
+  };
+
+  const kept = nodes.filter((_, index) => keep.has(index));
+  const reads = new Set(kept.flatMap(nodeReads));
+  const internal = new Set(kept.flatMap((node) => node.output || []));
+  const extracted = {
+    ...model,
+    graph: {
+      ...graph,
+      node: kept,
+      input: inputNames.map(valueInfo),
+      output: outputNames.map(valueInfo),
+      initializer: (graph.initializer || []).filter((t) => reads.has(t.name) && !cut.has(t.name)),
+      valueInfo: (graph.valueInfo || []).filter((v) => internal.has(v.name) && !outputNames.includes(v.name)),
+    },
+  };
+
+  const changes = [
+    `Inputs: ${inputNames.join(', ') || '(none)'}`,
+    `Outputs: ${outputNames.join(', ')}`,
+    ...nodes.map((node, index) => !keep.has(index) && `Removed ${describeNode(node, index)}`).filter(Boolean),
+  ];
+  return result(
+    extracted,
+    `Kept ${plural(kept.length, 'node')} of ${nodes.length} and ${plural(extracted.graph.initializer.length, 'initializer')}.`,
+    changes
+  );
+};
+
+const constantNode = (name, output, dtype, shape, values) => {
+  const dataType = dtype === 'int32' ? INT32 : INT64;
+  const tensor = { dims: shape.map(String), dataType };
+  // int64Data holds longs, which the editable form keeps as strings
+  tensor[dataType === INT64 ? 'int64Data' : 'int32Data'] = dataType === INT64 ? values.map(String) : values;
+  return { name, opType: 'Constant', input: [], output: [output], attribute: [{ name: 'value', type: 'TENSOR', t: tensor }] };
+};
+
+const isFoldable = (info) =>
+  info &&
+  (info.dtype === 'int64' || info.dtype === 'int32') &&
+  info.value &&
+  info.shape?.every((d) => typeof d === 'number') &&
+  info.value.length === info.shape.reduce((n, d) => n * d, 1) &&
+  info.value.every(Number.isInteger);
+
+/**
+ * Replaces every node whose outputs shape inference could compute (Shape,
+ * Gather, Concat, ... over static dims and constants) with a Constant node,
+ * then removes the nodes and initializers only the folded chains read. Only integer tensors
+ * are folded, so no float rounding creeps in; the tracked values are the
+ * small shape-like tensors ShapeInference follows.
+ */
+export const foldConstants = (model) => {
+  const inferred = analyze(model);
+  const changes = [];
+  const orphaned = [];
+  const node = (model.graph.node || []).map((current, index) => {
+    if (current.opType === 'Constant' || (current.domain && current.domain !== 'ai.onnx')) return current;
+    const outputs = (current.output || []).filter(Boolean);
+    if (outputs.length !== 1 || !(current.input || []).some(Boolean)) return current;
+    const info = inferred[outputs[0]];
+    if (!isFoldable(info)) return current;
+    changes.push(`Folded ${describeNode(current, index)} into [${info.value.join(', ')}]`);
+    orphaned.push(...nodeReads(current));
+    return constantNode(current.name || '', outputs[0], info.dtype, info.shape, info.value);
+  });
+  if (!changes.length) return result(model, 'No statically known values to fold.', changes);
+
+  const pruned = pruneOrphans({ ...model, graph: { ...model.graph, node } }, orphaned);
+  return result(
+    pruned.model,
+    `Folded ${plural(changes.length, 'node')} into constants. ${pruned.changes.length ? pruned.summary : ''}`.trim(),
+    [...changes, ...pruned.changes]
+  );
+};
+
+// --- fusions -----------------------------------------------------------------
+
+const floatInitializer = (graph, name) => {
+  const tensor = (graph.initializer || []).find((t) => t.name === name);
+  if (!tensor || tensor.dataType !== FLOAT32) return null;
+  const decoded = decodeTensorObject(tensor);
+  return decoded.data ? decoded : null;
+};
+
+const floatTensor = (name, dims, data) => {
+  const rawData = new Uint8Array(data.length * 4);
+  const view = new DataView(rawData.buffer);
+  data.forEach((value, i) => view.setFloat32(i * 4, value, true));
+  return { name, dims: dims.map(String), dataType: FLOAT32, rawData };
+};
+
+// Finds pairs (first, second) where `second` is the only reader of
+// `first`'s single output, and hands them to `fuse`, which returns the
+// replacement for `first` plus new initializers, or null to skip.
+const fusePairs = (model, firstOp, secondOp, fuse) => {
+  const graph = model.graph;
+  const nodes = graph.node || [];
+  const counts = readCounts(graph);
+  const consumer = new Map();
+  nodes.forEach((node, index) => (node.input || []).forEach((name) => name && consumer.set(name, index)));
+  const taken = tensorNames(model);
+
+  const replaced = new Map();
+  const removed = new Set();
+  const initializers = [];
+  const changes = [];
+  const orphaned = [];
+  // the tensor between each fused pair, which no longer exists
+  const dropped = new Set();
+  nodes.forEach((first, index) => {
+    if (first.opType !== firstOp || first.domain || removed.has(index)) return;
+    const output = first.output?.[0];
+    const nextIndex = consumer.get(output);
+    const second = nodes[nextIndex];
+    if (!second || second.opType !== secondOp || second.domain || counts.get(output) !== 1 || (first.output || []).length !== 1) return;
+    const fused = fuse(first, second, { taken });
+    if (!fused) return;
+    replaced.set(fused.at === 'second' ? nextIndex : index, fused.node);
+    removed.add(fused.at === 'second' ? index : nextIndex);
+    initializers.push(...(fused.initializers || []));
+    fused.initializers?.forEach((t) => taken.add(t.name));
+    orphaned.push(...nodeReads(first), ...nodeReads(second));
+    dropped.add(output);
+    changes.push(`Fused ${describeNode(first, index)} and ${describeNode(second, nextIndex)} into ${fused.node.opType}`);
+  });
+  if (!changes.length) return null;
+
+  const fusedModel = {
+    ...model,
+    graph: {
+      ...graph,
+      node: nodes.map((node, index) => replaced.get(index) ?? node).filter((_, index) => !removed.has(index)),
+      initializer: [...(graph.initializer || []), ...initializers],
+      valueInfo: (graph.valueInfo || []).filter((value) => !dropped.has(value.name)),
+    },
+  };
+  const pruned = pruneOrphans(fusedModel, orphaned);
+  return { model: pruned.model, changes: [...changes, ...pruned.changes] };
+};
+
+/**
+ * Folds each BatchNormalization that directly follows a Conv into the
+ * Conv's weights and bias. Needs float32 initializers for the weights and
+ * all four BatchNormalization parameters, and inference-mode BN.
+ */
+export const fuseConvBatchNorm = (model) => {
+  const fused = fusePairs(model, 'Conv', 'BatchNormalization', (conv, bn, { taken }) => {
+    if ((bn.output || []).filter(Boolean).length !== 1 || getAttribute(bn, 'training_mode', 0)) return null;
+    const graph = model.graph;
+    const weight = floatInitializer(graph, conv.input[1]);
+    const [scale, shift, mean, variance] = bn.input.slice(1, 5).map((name) => floatInitializer(graph, name));
+    if (!weight || !scale || !shift || !mean || !variance) return null;
+    const channels = weight.shape[0];
+    if ([scale, shift, mean, variance].some((t) => t.data.length !== channels)) return null;
+    const bias = conv.input[2] ? floatInitializer(graph, conv.input[2]) : null;
+    if (conv.input[2] && !bias) return null;
+
+    const epsilon = getAttribute(bn, 'epsilon', 1e-5);
+    const perChannel = weight.data.length / channels;
+    const factor = Float32Array.from(scale.data, (s, c) => s / Math.sqrt(variance.data[c] + epsilon));
+    const fusedWeight = Float32Array.from(weight.data, (w, i) => w * factor[Math.floor(i / perChannel)]);
+    const fusedBias = Float32Array.from(factor, (f, c) => ((bias ? bias.data[c] : 0) - mean.data[c]) * f + shift.data[c]);
+
+    const weightName = uniqueName(taken, `${conv.input[1]}_bn`);
+    const biasName = uniqueName(taken, `${conv.input[2] || conv.input[1]}_bn_bias`);
+    return {
+      node: { ...conv, input: [conv.input[0], weightName, biasName], output: [bn.output[0]] },
+      initializers: [floatTensor(weightName, weight.shape, fusedWeight), floatTensor(biasName, [channels], fusedBias)],
+    };
+  });
+  if (!fused) return result(model, 'No Conv + BatchNormalization pairs to fuse.', []);
+  const count = fused.changes.filter((line) => line.startsWith('Fused')).length;
+  return result(fused.model, `Fused ${plural(count, 'Conv + BatchNormalization pair')}.`, fused.changes);
+};
+
+const FLOAT_DTYPES = new Set(['float32', 'float16', 'float64', 'bfloat16']);
+
+/**
+ * Rewrites MatMul followed by Add of a bias into one Gemm. Gemm only takes
+ * 2-D operands, so both MatMul inputs need a known rank of 2, and the bias
+ * must broadcast to [M, N] along rows: shape [], [1], [N] or [1, N].
+ */
+export const fuseMatMulAdd = (model) => {
+  let inferred = null;
+  const fused = fusePairs(model, 'MatMul', 'Add', (matmul, add) => {
+    inferred = inferred || analyze(model);
+    const [a, b] = matmul.input.map((name) => inferred[name]);
+    const biasName = add.input[0] === matmul.output[0] ? add.input[1] : add.input[0];
+    const bias = inferred[biasName];
+    if (a?.shape?.length !== 2 || b?.shape?.length !== 2 || !bias?.shape || !FLOAT_DTYPES.has(a.dtype)) return null;
+    const n = b.shape[1];
+    const last = bias.shape[bias.shape.length - 1];
+    const rowBias = bias.shape.length <= 1 || (bias.shape.length === 2 && bias.shape[0] === 1);
+    if (!rowBias || (bias.shape.length && last !== 1 && last !== n)) return null;
+    return {
+      // at the Add, where the bias is already computed
+      at: 'second',
+      node: {
+        name: matmul.name || add.name || '',
+        opType: 'Gemm',
+        input: [matmul.input[0], matmul.input[1], biasName],
+        output: [add.output[0]],
+      },
+    };
+  });
+  if (!fused) return result(model, 'No MatMul + Add pairs to fuse.', []);
+  const count = fused.changes.filter((line) => line.startsWith('Fused')).length;
+  return result(fused.model, `Fused ${plural(count, 'MatMul + Add pair')} into Gemm.`, fused.changes);
+};
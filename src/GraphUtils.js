@@ -0,0 +1,41 @@
+// Graph traversal helpers shared by the analysis modules.
+
+/**
+ * Kahn's algorithm over node indices. Nodes are connected through tensor
+ * names; inputs nobody produces (graph inputs, initializers) are ignored.
+ * Nodes left over because they sit on a cycle are returned in `cyclic`.
+ */
+export const topologicalSort = (nodes) => {
+  const producers = new Map();
+  nodes.forEach((node, index) => {
+    for (const output of node.output || []) {
+      if (output) producers.set(output, index);
+    }
+  });
+
+  const consumers = nodes.map(() => []);
+  const indegree = nodes.map(() => 0);
+  nodes.forEach((node, index) => {
+    const deps = new Set();
+    for (const input of node.input || []) {
+      const producer = producers.get(input);
+      if (producer !== undefined && producer !== index) deps.add(producer);
+      if (producer === index) deps.add(index);
+    }
+    for (const dep of deps) {
+      consumers[dep].push(index);
+      indegree[index]++;
+    }
+  });
+
+  const queue = [];
+  indegree.forEach((degree, index) => degree === 0 && queue.push(index));
+  for (let head = 0; head < queue.length; head++) {
+    for (const next of consumers[queue[head]]) {
+      if (--indegree[next] === 0) queue.push(next);
+    }
+  }
+
+  const placed = new Set(queue);
+  return { order: queue, cyclic: nodes.map((_, i) => i).filter((i) => !placed.has(i)) };
+};
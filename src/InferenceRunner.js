@@ -0,0 +1,366 @@
+// In-browser inference with onnxruntime-web on the WASM backend: input feeds
+// built from the parsed graph signature (random, zeros, .npy/JSON files or
+// images), sessions over the editable model's bytes, and output summaries.
+import { findExternalFile } from './ExternalData.js';
+import { computeTensorStats, decodeTensorBytes } from './TensorDecoder.js';
+
+const FLOAT16 = 10;
+
+let runtime = null;
+
+// onnxruntime-web is several MB; load it the first time something runs
+export const loadRuntime = () => {
+  if (!runtime) runtime = import('onnxruntime-web');
+  return runtime;
+};
+
+// Typed array onnxruntime-web expects for each dtype; float16 travels as raw
+// half-precision bits.
+const ARRAY_TYPES = {
+  float32: Float32Array,
+  float64: Float64Array,
+  float16: Uint16Array,
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  int64: BigInt64Array,
+  uint64: BigUint64Array,
+  bool: Uint8Array,
+};
+
+export const SUPPORTED_INPUT_DTYPES = Object.keys(ARRAY_TYPES);
+
+const isFloat = (dtype) => dtype.startsWith('float');
+
+const floatScratch = new Float32Array(1);
+const floatBits = new Uint32Array(floatScratch.buffer);
+
+// float32 -> IEEE half bits, rounding to nearest
+const floatToHalf = (value) => {
+  floatScratch[0] = value;
+  const bits = floatBits[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 112;
+  const mantissa = bits & 0x7fffff;
+  if (exponent >= 31) return sign | (((bits >>> 23) & 0xff) === 0xff && mantissa ? 0x7e00 : 0x7c00);
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    return sign | (((mantissa | 0x800000) >>> (13 - exponent)) + 1) >>> 1;
+  }
+  return (sign | (exponent << 10) | (mantissa >>> 13)) + ((mantissa >>> 12) & 1);
+};
+
+/** Converts plain numbers (or BigInts) to the typed array for `dtype`. */
+export const toTypedArray = (values, dtype) => {
+  const ArrayType = ARRAY_TYPES[dtype];
+  if (!ArrayType) throw new Error(`Inputs of type ${dtype} are not supported.`);
+  if (ArrayType === BigInt64Array || ArrayType === BigUint64Array) {
+    return ArrayType.from(values, (v) => BigInt(typeof v === 'bigint' ? v : Math.trunc(Number(v))));
+  }
+  if (dtype === 'float16') return Uint16Array.from(values, (v) => floatToHalf(Number(v)));
+  if (dtype === 'bool') return Uint8Array.from(values, (v) => (Number(v) ? 1 : 0));
+  return ArrayType.from(values, Number);
+};
+
+/**
+ * The inputs a caller has to feed: graph inputs minus initializers, which
+ * IR < 4 models also list as inputs. Entries are the parser's { name,
+ * dtype, shape }.
+ */
+export const feedSignature = (modelData) => {
+  const initializers = new Set((modelData.graph.initializers || []).map((t) => t.name));
+  return modelData.graph.inputs.filter((input) => !initializers.has(input.name));
+};
+
+/** Concrete shape for an input: static dims as declared, the rest 1. */
+export const defaultShape = (shape) => (shape || []).map((d) => (typeof d === 'number' && d >= 0 ? d : 1));
+
+const elementCount = (shape) => shape.reduce((n, d) => n * d, 1);
+
+/** Random feed: uniform [0, 1) for floats, 0..9 for integers, 0/1 for bool. */
+export const randomTensor = (dtype, shape) => {
+  const count = elementCount(shape);
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = isFloat(dtype) ? Math.random() : Math.floor(Math.random() * (dtype === 'bool' ? 2 : 10));
+  }
+  return { dtype, shape, data: toTypedArray(values, dtype) };
+};
+
+export const zerosTensor = (dtype, shape) => {
+  if (!ARRAY_TYPES[dtype]) throw new Error(`Inputs of type ${dtype} are not supported.`);
+  return { dtype, shape, data: new ARRAY_TYPES[dtype](elementCount(shape)) };
+};
+
+// .npy descr (without byte order) -> dtype
+const NPY_TYPES = {
+  f2: 'float16',
+  f4: 'float32',
+  f8: 'float64',
+  i1: 'int8',
+  i2: 'int16',
+  i4: 'int32',
+  i8: 'int64',
+  u1: 'uint8',
+  u2: 'uint16',
+  u4: 'uint32',
+  u8: 'uint64',
+  b1: 'bool',
+};
+
+/**
+ * Reads a NumPy .npy file (format versions 1-3, C order, little-endian)
+ * into { dtype, shape, data }.
+ */
+export const parseNpy = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const magic = String.fromCharCode(...bytes.slice(1, 6));
+  if (bytes[0] !== 0x93 || magic !== 'NUMPY') throw new Error('Not a .npy file.');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+  const descr = /'descr':\s*'([^']+)'/.exec(header)?.[1];
+  const fortran = /'fortran_order':\s*(True|False)/.exec(header)?.[1];
+  const shapeText = /'shape':\s*\(([^)]*)\)/.exec(header)?.[1];
+  if (!descr || !fortran || shapeText === undefined) throw new Error('Malformed .npy header.');
+  if (fortran === 'True') throw new Error('Fortran-ordered .npy arrays are not supported.');
+  if (descr[0] === '>') throw new Error('Big-endian .npy arrays are not supported.');
+  const dtype = NPY_TYPES[descr.replace(/^[<|=]/, '')];
+  if (!dtype) throw new Error(`Unsupported .npy dtype ${descr}.`);
+
+  const shape = shapeText
+    .split(',')
+    .map((d) => d.trim())
+    .filter(Boolean)
+    .map(Number);
+  const ArrayType = ARRAY_TYPES[dtype];
+  const offset = headerStart + headerLength;
+  const count = elementCount(shape);
+  if (bytes.length - offset < count * ArrayType.BYTES_PER_ELEMENT) throw new Error('The .npy file is truncated.');
+  // copy so the typed array is aligned regardless of the header length
+  const data = new ArrayType(bytes.slice(offset, offset + count * ArrayType.BYTES_PER_ELEMENT).buffer);
+  return { dtype, shape, data };
+};
+
+/**
+ * Reads a JSON tensor: either nested arrays, whose nesting gives the shape,
+ * or { data, shape } with flat data. Values are plain numbers.
+ */
+export const parseJsonTensor = (text) => {
+  const json = JSON.parse(text);
+  if (json && !Array.isArray(json)) {
+    if (!Array.isArray(json.data)) throw new Error('Expected an array or an object with a "data" array.');
+    const data = json.data.flat(Infinity);
+    const shape = json.shape || json.dims || [data.length];
+    if (elementCount(shape) !== data.length) throw new Error(`Shape [${shape}] does not match ${data.length} values.`);
+    return { shape, data };
+  }
+  const shape = [];
+  for (let level = json; Array.isArray(level); level = level[0]) shape.push(level.length);
+  const data = json.flat(Infinity);
+  if (elementCount(shape) !== data.length) throw new Error('Nested arrays must be rectangular.');
+  return { shape, data };
+};
+
+/** Loads a .npy or .json file as a feed for an input of `dtype`. */
+export const tensorFromFile = async (file, dtype) => {
+  const parsed = /\.npy$/i.test(file.name) ? parseNpy(await file.arrayBuffer()) : parseJsonTensor(await file.text());
+  if (parsed.dtype === dtype) return { dtype, shape: parsed.shape, data: parsed.data };
+  // float16 arrives as raw bits; widen it before converting
+  const values = parsed.dtype === 'float16' ? decodeTensorBytes(new Uint8Array(parsed.data.buffer), FLOAT16, parsed.shape) : parsed.data;
+  const data = toTypedArray(Array.from(values), dtype);
+  return { dtype, shape: parsed.shape, data };
+};
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  width: 224,
+  height: 224,
+  layout: 'NCHW',
+  channelOrder: 'RGB',
+  // divide by 255 before mean/std
+  rescale: true,
+  mean: [0.485, 0.456, 0.406],
+  std: [0.229, 0.224, 0.225],
+};
+
+/**
+ * Image preprocessing options that fit an input shape: NCHW or NHWC from
+ * where the 3-channel dim sits, and the spatial size when it is static.
+ */
+export const imageOptionsFor = (shape) => {
+  const options = { ...DEFAULT_IMAGE_OPTIONS };
+  if (shape?.length !== 4) return options;
+  const nhwc = shape[3] === 3 && shape[1] !== 3;
+  const [h, w] = nhwc ? [shape[1], shape[2]] : [shape[2], shape[3]];
+  return {
+    ...options,
+    layout: nhwc ? 'NHWC' : 'NCHW',
+    height: typeof h === 'number' && h > 0 ? h : options.height,
+    width: typeof w === 'number' && w > 0 ? w : options.width,
+  };
+};
+
+/**
+ * Resizes an image (any CanvasImageSource, e.g. an ImageBitmap) to
+ * width x height and returns a [1, 3, H, W] or [1, H, W, 3] tensor,
+ * normalized as (pixel [/ 255] - mean) / std per channel. uint8 inputs
+ * get the raw pixels.
+ */
+export const imageToTensor = (image, dtype, options = DEFAULT_IMAGE_OPTIONS) => {
+  const { width, height, layout, channelOrder, rescale, mean, std } = options;
+  const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+  const pixels = context.getImageData(0, 0, width, height).data;
+
+  const plane = width * height;
+  const values = new Array(plane * 3);
+  const channels = channelOrder === 'BGR' ? [2, 1, 0] : [0, 1, 2];
+  for (let p = 0; p < plane; p++) {
+    channels.forEach((source, c) => {
+      const raw = pixels[p * 4 + source];
+      const value = dtype === 'uint8' ? raw : ((rescale ? raw / 255 : raw) - mean[c]) / std[c];
+      values[layout === 'NHWC' ? p * 3 + c : c * plane + p] = value;
+    });
+  }
+  const shape = layout === 'NHWC' ? [1, height, width, 3] : [1, 3, height, width];
+  return { dtype, shape, data: toTypedArray(values, dtype) };
+};
+
+const parseList = (text) =>
+  text
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '')
+    .map(Number);
+
+/**
+ * How an input is fed until the user changes it: random data of the
+ * declared shape (dynamic dims as 1). `source` is 'random', 'zeros', 'file'
+ * (.npy/JSON) or 'image'; `shape` is the editable dims text.
+ */
+export const defaultFeedConfig = (input) => ({
+  source: 'random',
+  shape: defaultShape(input.shape).join(', '),
+  file: null,
+  image: imageOptionsFor(input.shape),
+});
+
+/** Builds the { dtype, shape, data } feed for `input` from its config. */
+export const buildFeed = async (input, config) => {
+  switch (config.source) {
+    case 'zeros':
+    case 'random': {
+      const shape = parseList(config.shape);
+      if (shape.some((d) => !Number.isInteger(d) || d < 0)) throw new Error(`"${input.name}": dims must be non-negative integers.`);
+      return config.source === 'zeros' ? zerosTensor(input.dtype, shape) : randomTensor(input.dtype, shape);
+    }
+    case 'file':
+      if (!config.file) throw new Error(`"${input.name}": choose a .npy or .json file.`);
+      return tensorFromFile(config.file, input.dtype);
+    case 'image': {
+      if (!config.file) throw new Error(`"${input.name}": choose an image.`);
+      const bitmap = await createImageBitmap(config.file);
+      try {
+        return imageToTensor(bitmap, input.dtype, config.image);
+      } finally {
+        bitmap.close();
+      }
+    }
+    default:
+      throw new Error(`Unknown input source ${config.source}.`);
+  }
+};
+
+/** Feeds for every input of `signature`, keyed by name. */
+export const buildFeeds = async (signature, configs = {}) => {
+  const feeds = {};
+  for (const input of signature) feeds[input.name] = await buildFeed(input, configs[input.name] ?? defaultFeedConfig(input));
+  return feeds;
+};
+
+// external_data locations the model's initializers point at
+const externalLocations = (model) =>
+  new Set(
+    (model.graph?.initializer || []).flatMap((tensor) =>
+      (tensor.externalData || []).filter((entry) => entry.key === 'location').map((entry) => entry.value)
+    )
+  );
+
+/**
+ * Creates a WASM-backend session for encoded model `bytes`. External
+ * weights are looked up among `externalFiles` like the parser does;
+ * `sessionOptions` go to onnxruntime as-is. Returns { session, loadMs }.
+ */
+export const createSession = async (bytes, { model, externalFiles = [], modelFile = null, sessionOptions = {} } = {}) => {
+  const ort = await loadRuntime();
+  const externalData = [];
+  for (const location of model ? externalLocations(model) : []) {
+    const file = findExternalFile(externalFiles, location, modelFile);
+    if (!file) throw new Error(`External data file "${location}" was not supplied.`);
+    externalData.push({ path: location, data: new Uint8Array(await file.arrayBuffer()) });
+  }
+  const started = performance.now();
+  const session = await ort.InferenceSession.create(bytes, {
+    executionProviders: ['wasm'],
+    ...sessionOptions,
+    ...(externalData.length ? { externalData } : {}),
+  });
+  return { session, loadMs: performance.now() - started };
+};
+
+/**
+ * Top-k entries of a classifier-like output: a float vector, possibly with
+ * leading 1-dims ([C], [1, C], ...). Scores that are not already
+ * probabilities get a softmax. Returns null for anything else.
+ */
+export const topK = (data, shape, k = 5) => {
+  const classes = shape[shape.length - 1];
+  if (!(data instanceof Float32Array || data instanceof Float64Array) || classes < 2 || data.length !== classes) return null;
+  const values = Array.from(data);
+  const sum = values.reduce((a, b) => a + b, 0);
+  const isDistribution = values.every((v) => v >= 0 && v <= 1) && Math.abs(sum - 1) < 1e-3;
+  const max = Math.max(...values);
+  const exp = isDistribution ? values : values.map((v) => Math.exp(v - max));
+  const total = isDistribution ? 1 : exp.reduce((a, b) => a + b, 0);
+  return values
+    .map((score, index) => ({ index, score, probability: exp[index] / total }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+};
+
+const describeOutput = (name, tensor) => {
+  const numeric = tensor.type !== 'string';
+  return {
+    name,
+    dtype: tensor.type,
+    shape: tensor.dims.map(Number),
+    data: tensor.data,
+    stats: numeric ? computeTensorStats(tensor.data) : null,
+    topK: numeric ? topK(tensor.data, tensor.dims) : null,
+  };
+};
+
+/**
+ * Runs `session` on `feeds` (input name -> { dtype, shape, data }).
+ * Returns { outputs: [{ name, dtype, shape, data, stats, topK }], runMs }.
+ */
+export const runSession = async (session, feeds) => {
+  const ort = await loadRuntime();
+  const tensors = {};
+  for (const [name, feed] of Object.entries(feeds)) {
+    tensors[name] = new ort.Tensor(feed.dtype, feed.data, feed.shape);
+  }
+  const started = performance.now();
+  const results = await session.run(tensors);
+  const runMs = performance.now() - started;
+  return { outputs: session.outputNames.map((name) => describeOutput(name, results[name])), runMs };
+};
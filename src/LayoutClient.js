@@ -0,0 +1,47 @@
+// Graph layout off the main thread: ELK runs in its own worker (elkjs's
+// prebuilt worker script), with the same cancellation as ParserClient.
+import ELK from 'elkjs/lib/elk-api.js';
+import elkWorkerUrl from 'elkjs/lib/elk-worker.min.js?url';
+
+export const LAYOUT_OPTIONS = {
+  'elk.algorithm': 'layered',
+  'elk.direction': 'RIGHT',
+  'elk.hierarchyHandling': 'INCLUDE_CHILDREN',
+  'elk.spacing.nodeNode': '80',
+  'elk.layered.spacing.nodeNodeBetweenLayers': '100',
+  'elk.spacing.edgeNode': '40',
+  'elk.layered.crossingMinimization.strategy': 'LAYER_SWEEP',
+};
+
+const abortError = () => new DOMException('Layout cancelled.', 'AbortError');
+
+/**
+ * Lays out the ELK `graph` (root children and edges) with LAYOUT_OPTIONS in
+ * a fresh worker and resolves with the positioned copy. Aborting `signal`
+ * terminates the worker and rejects with an AbortError. Falls back to the
+ * bundled build on the main thread where workers are unavailable.
+ */
+export const layoutInWorker = async (graph, { signal } = {}) => {
+  const root = { id: 'root', layoutOptions: LAYOUT_OPTIONS, ...graph };
+  if (typeof Worker === 'undefined') {
+    const { default: BundledELK } = await import('elkjs/lib/elk.bundled.js');
+    return new BundledELK().layout(root);
+  }
+  if (signal?.aborted) throw abortError();
+
+  const elk = new ELK({ workerUrl: elkWorkerUrl });
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      elk.terminateWorker();
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort);
+    elk
+      .layout(root)
+      .then(resolve, reject)
+      .finally(() => {
+        signal?.removeEventListener('abort', onAbort);
+        elk.terminateWorker();
+      });
+  });
+};
@@ -0,0 +1,279 @@
+// Structural checks on a ModelProto (toObject form), in the spirit of
+// onnx.checker. Each finding carries a severity, the offending node when
+// there is one, and a suggested fix.
+import { topologicalSort } from './GraphUtils.js';
+import { isStandardDomain, normalizeDomain, requiredAttributes, resolveSchema } from './OperatorSchemas.js';
+import { buildGraphTree, walkGraphTree } from './Subgraphs.js';
+
+const nodeLabel = (node, index) => node.name || `${node.opType} #${index}`;
+
+// `at` is where the finding points, { nodeIndex, node }, from a graph's locate
+const finding = (severity, code, message, suggestion, at) => ({
+  severity,
+  code,
+  message,
+  suggestion,
+  ...at,
+});
+
+// Top-level nodes are focused by their own index. Nodes of a body graph are
+// labelled with the graph's id and focus the top-level node that owns them;
+// nodes of a function body have nothing to focus.
+const topLevel = (nodes) => (index) => ({ nodeIndex: index, node: nodeLabel(nodes[index], index) });
+
+const nested = (tree, ownerIndex) => (index) => ({
+  ...(ownerIndex !== undefined ? { nodeIndex: ownerIndex } : {}),
+  node: `${tree.id}/${nodeLabel(tree.nodes[index], index)}`,
+});
+
+const checkOpsetImports = (model, nodes, findings) => {
+  const imports = new Map();
+  for (const { domain, version } of model.opsetImport || []) {
+    const key = normalizeDomain(domain);
+    if (imports.has(key)) {
+      findings.push(
+        finding(
+          'error',
+          'DUPLICATE_OPSET',
+          `Opset for domain "${key || 'ai.onnx'}" is imported more than once.`,
+          'Keep a single opset_import entry per domain.'
+        )
+      );
+    }
+    imports.set(key, Number(version));
+  }
+
+  const missing = new Set();
+  nodes.forEach((node) => {
+    const domain = normalizeDomain(node.domain);
+    if (!imports.has(domain)) missing.add(domain);
+  });
+  for (const domain of missing) {
+    findings.push(
+      finding(
+        'error',
+        'MISSING_OPSET',
+        `Nodes use domain "${domain || 'ai.onnx'}" but the model has no opset_import for it.`,
+        `Add an opset_import entry for "${domain || 'ai.onnx'}" with the version the model was exported for.`
+      )
+    );
+  }
+  return imports;
+};
+
+const checkOperators = (nodes, imports, localFunctions, locate, findings) => {
+  nodes.forEach((node, index) => {
+    const domain = normalizeDomain(node.domain);
+    const version = imports.get(domain);
+    if (version === undefined) return;
+    if (localFunctions.has(`${node.domain || ''}::${node.opType}`)) return;
+    if (!isStandardDomain(domain)) return;
+
+    const resolved = resolveSchema(domain, node.opType, version);
+    const domainName = domain || 'ai.onnx';
+    if (!resolved) {
+      findings.push(
+        finding(
+          'error',
+          'UNKNOWN_OPERATOR',
+          `${node.opType} is not an operator of domain "${domainName}".`,
+          'Check the op_type spelling, or set the node domain to the custom domain that defines it.',
+          locate(index)
+        )
+      );
+      return;
+    }
+    const { schema } = resolved;
+    if (resolved.version === 0) {
+      findings.push(
+        finding(
+          'error',
+          'OPERATOR_NOT_IN_OPSET',
+          `${node.opType} was introduced in ${domainName} opset ${schema.since[0]}, but the model imports opset ${version}.`,
+          `Raise the ${domainName} opset_import to at least ${schema.since[0]}.`,
+          locate(index)
+        )
+      );
+      return;
+    }
+    if (schema.deprecated && version >= schema.deprecated) {
+      findings.push(
+        finding(
+          'warning',
+          'DEPRECATED_OPERATOR',
+          `${node.opType} is deprecated since ${domainName} opset ${schema.deprecated}.`,
+          schema.replacement ? `Replace it with ${schema.replacement}.` : 'Re-export the model without it.',
+          locate(index)
+        )
+      );
+    }
+
+    const present = new Set((node.attribute || []).map((a) => a.name));
+    for (const name of requiredAttributes(schema, version)) {
+      if (present.has(name)) continue;
+      findings.push(
+        finding(
+          'error',
+          'MISSING_ATTRIBUTE',
+          `${node.opType} requires attribute "${name}".`,
+          `Set "${name}" on the node; it has no default value.`,
+          locate(index)
+        )
+      );
+    }
+  });
+};
+
+// Dataflow and operator checks for one graph of the tree (see
+// Subgraphs.buildGraphTree), then for its bodies. `scopes` are the enclosing
+// graphs' { names, consumed }, innermost first: a name a body reads from one
+// of them counts as used there, so an initializer read only inside an If or
+// Loop body is not reported as unused.
+const checkGraph = (tree, scopes, locate, context, findings) => {
+  const { nodes } = tree;
+  checkOperators(nodes, context.imports, context.localFunctions, locate, findings);
+
+  const graphInputs = new Set(tree.inputs);
+  const initializers = new Set(tree.initializers);
+  const producers = new Map();
+
+  const seenInitializers = new Set();
+  for (const name of tree.initializers) {
+    if (seenInitializers.has(name)) {
+      findings.push(
+        finding('error', 'DUPLICATE_TENSOR', `Initializer "${name}" is defined more than once.`, 'Remove or rename one of the initializers.')
+      );
+    }
+    seenInitializers.add(name);
+  }
+
+  nodes.forEach((node, index) => {
+    for (const output of node.output || []) {
+      if (!output) continue;
+      if (producers.has(output)) {
+        const first = producers.get(output);
+        findings.push(
+          finding(
+            'error',
+            'DUPLICATE_TENSOR',
+            `Tensor "${output}" is produced by both "${nodeLabel(nodes[first], first)}" and this node (SSA violation).`,
+            'Rename one of the outputs and update its consumers.',
+            locate(index)
+          )
+        );
+      } else if (graphInputs.has(output) || initializers.has(output)) {
+        findings.push(
+          finding(
+            'error',
+            'DUPLICATE_TENSOR',
+            `Tensor "${output}" is produced by this node but is also a graph input or initializer.`,
+            'Rename the node output, or drop the conflicting graph input/initializer.',
+            locate(index)
+          )
+        );
+      } else {
+        producers.set(output, index);
+      }
+    }
+  });
+
+  const consumed = new Set();
+  // marks `name` used where it is defined; false when no scope defines it
+  const resolve = (name) => {
+    if (producers.has(name) || graphInputs.has(name) || initializers.has(name)) return consumed.add(name);
+    const owner = scopes.find((scope) => scope.names.has(name));
+    return owner ? owner.consumed.add(name) : false;
+  };
+
+  nodes.forEach((node, index) => {
+    for (const input of node.input || []) {
+      if (!input || resolve(input)) continue;
+      findings.push(
+        finding(
+          'error',
+          'DANGLING_INPUT',
+          `Input "${input}" is not produced by any node, graph input or initializer.`,
+          `Add "${input}" as a graph input or initializer, or reconnect it to the tensor it was meant to read.`,
+          locate(index)
+        )
+      );
+    }
+  });
+
+  for (const output of tree.outputs) {
+    if (resolve(output)) continue;
+    findings.push(
+      finding(
+        'error',
+        'DANGLING_OUTPUT',
+        tree.id === 'main' ? `Graph output "${output}" is never produced.` : `Output "${output}" of ${tree.id} is never produced.`,
+        'Remove the graph output or connect it to a node output.'
+      )
+    );
+  }
+
+  const scope = { names: new Set([...graphInputs, ...initializers, ...producers.keys()]), consumed };
+  for (const child of tree.children) {
+    checkGraph(child.graph, [scope, ...scopes], nested(child.graph, locate(child.nodeIndex).nodeIndex), context, findings);
+  }
+
+  for (const name of seenInitializers) {
+    if (consumed.has(name)) continue;
+    findings.push(
+      finding('warning', 'UNUSED_INITIALIZER', `Initializer "${name}" is never used.`, 'Remove it to shrink the model.')
+    );
+  }
+
+  const { cyclic } = topologicalSort(nodes);
+  if (cyclic.length) {
+    findings.push(
+      finding(
+        'error',
+        'CYCLE',
+        `The graph contains a cycle through ${cyclic.length} node(s): ${cyclic
+          .slice(0, 5)
+          .map((i) => nodeLabel(nodes[i], i))
+          .join(', ')}${cyclic.length > 5 ? ', …' : ''}.`,
+        'Break the cycle; recurrences must be expressed with Loop or Scan.',
+        locate(cyclic[0])
+      )
+    );
+  }
+};
+
+/** Returns { findings, errorCount, warningCount } for a ModelProto object. */
+export const checkModel = (model) => {
+  const findings = [];
+  const graph = model.graph || {};
+  const nodes = graph.node || [];
+
+  if (!model.graph) {
+    findings.push(finding('error', 'NO_GRAPH', 'The model has no graph.', 'Re-export the model; the file may be truncated.'));
+  }
+
+  const tree = buildGraphTree(graph);
+  const treeNodes = [];
+  walkGraphTree(tree, (sub) => treeNodes.push(...sub.nodes));
+  const imports = checkOpsetImports(model, treeNodes, findings);
+  const localFunctions = new Set((model.functions || []).map((f) => `${f.domain || ''}::${f.name}`));
+  checkGraph(tree, [], topLevel(nodes), { imports, localFunctions }, findings);
+
+  // function bodies resolve ops against the function's own opset imports
+  for (const fn of model.functions || []) {
+    const body = buildGraphTree(
+      { input: (fn.input || []).map((name) => ({ name })), output: (fn.output || []).map((name) => ({ name })), node: fn.node },
+      { id: `${fn.domain || ''}::${fn.name}` }
+    );
+    const fnImports = new Map((fn.opsetImport || []).map(({ domain, version }) => [normalizeDomain(domain), Number(version)]));
+    checkGraph(body, [], nested(body), { imports: fnImports, localFunctions }, findings);
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  findings.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return {
+    findings,
+    errorCount: findings.filter((f) => f.severity === 'error').length,
+    warningCount: findings.filter((f) => f.severity === 'warning').length,
+  };
+};
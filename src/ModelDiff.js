@@ -0,0 +1,306 @@
+// Structural comparison of two parse results (see parseONNXModelComplete).
+import { attributeType, attributeValue } from './NodeAttributes.js';
+import { dtypeName, formatShape } from './ShapeInference.js';
+import { decodeTensorObject } from './TensorDecoder.js';
+
+const nodeKey = (node, index) => node.name || node.output?.[0] || `#${index}`;
+
+const nodeOp = (node) => (node.domain ? `${node.domain}.${node.opType}` : node.opType);
+
+const signature = (value) => `${value.dtype || value.type} ${formatShape(value.shape)}`;
+
+// Splits two keyed lists into added, removed and changed entries; `describe`
+// returns the text compared for entries present on both sides.
+const diffByKey = (before, after, key, describe) => {
+  const left = new Map(before.map((item, i) => [key(item, i), item]));
+  const right = new Map(after.map((item, i) => [key(item, i), item]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, item] of right) {
+    if (!left.has(name)) added.push({ name, after: describe(item) });
+  }
+  for (const [name, item] of left) {
+    if (!right.has(name)) {
+      removed.push({ name, before: describe(item) });
+      continue;
+    }
+    const a = describe(item);
+    const b = describe(right.get(name));
+    if (a !== b) changed.push({ name, before: a, after: b });
+  }
+  return { added, removed, changed };
+};
+
+// FNV-1a over a typed array's bytes; enough to tell tensor contents apart.
+const fingerprint = (data) => {
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const formatAttribute = (attr) => {
+  const value = attributeValue(attr);
+  switch (attributeType(attr)) {
+    case 'TENSOR': {
+      const tensor = decodeTensorObject(value);
+      const content = ArrayBuffer.isView(tensor.data) ? ` #${fingerprint(tensor.data)}` : tensor.data ? ` [${tensor.data.join(', ')}]` : '';
+      return `${tensor.dtype} ${formatShape(tensor.shape)}${content}`;
+    }
+    case 'GRAPH':
+      return `graph (${value.node?.length || 0} nodes)`;
+    case 'GRAPHS':
+      return `${value.length} graphs`;
+    case 'TYPE_PROTO':
+      return dtypeName(value?.tensorType?.elemType);
+    default:
+      return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+  }
+};
+
+const attributeChanges = (before, after) => {
+  const left = new Map((before.attribute || []).map((a) => [a.name, formatAttribute(a)]));
+  const right = new Map((after.attribute || []).map((a) => [a.name, formatAttribute(a)]));
+  const names = [...new Set([...left.keys(), ...right.keys()])].sort();
+  return names
+    .filter((name) => left.get(name) !== right.get(name))
+    .map((name) => ({ name, before: left.get(name) ?? null, after: right.get(name) ?? null }));
+};
+
+// Tensor name -> { node, slot } for every node output.
+const producers = (nodes) => {
+  const map = new Map();
+  nodes.forEach((node, i) => (node.output || []).forEach((o, slot) => o && map.set(o, { node: i, slot })));
+  return map;
+};
+
+const sameOp = (a, b) => a.opType === b.opType && (a.domain || '') === (b.domain || '');
+
+// Tensor name -> [{ node, slot }] for every node input.
+const consumers = (nodes) => {
+  const map = new Map();
+  nodes.forEach((node, i) =>
+    (node.input || []).forEach((name, slot) => {
+      if (!name) return;
+      if (!map.has(name)) map.set(name, []);
+      map.get(name).push({ node: i, slot });
+    })
+  );
+  return map;
+};
+
+// Pairs nodes by unique name, then by unique first output when the ops
+// agree, then by topology: an unmatched node pairs with the same-op node
+// whose inputs come from the most already-paired producers (or the same
+// graph input/initializer), looked up through the tensors it reads.
+const matchNodes = (before, after) => {
+  const pairs = new Map();
+  const taken = new Set();
+
+  const uniqueIndex = (nodes, key) => {
+    const index = new Map();
+    nodes.forEach((node, i) => {
+      const k = key(node);
+      if (!k) return;
+      index.set(k, index.has(k) ? -1 : i);
+    });
+    return index;
+  };
+  for (const [key, agree] of [
+    [(n) => n.name, () => true],
+    [(n) => n.output?.[0], sameOp],
+  ]) {
+    const left = uniqueIndex(before, key);
+    const right = uniqueIndex(after, key);
+    after.forEach((node, j) => {
+      if (pairs.has(j) || right.get(key(node)) !== j) return;
+      const i = left.get(key(node));
+      if (i === undefined || i < 0 || taken.has(i) || !agree(before[i], node)) return;
+      pairs.set(j, i);
+      taken.add(i);
+    });
+  }
+
+  const producedBefore = producers(before);
+  const producedAfter = producers(after);
+  const readBefore = consumers(before);
+
+  after.forEach((node, j) => {
+    if (pairs.has(j)) return;
+    // candidate before-node -> number of inputs fed from the same source
+    const scores = new Map();
+    (node.input || []).forEach((input, k) => {
+      if (!input) return;
+      const p = producedAfter.get(input);
+      let sources;
+      if (p === undefined) sources = producedBefore.has(input) ? [] : [input];
+      else sources = pairs.has(p.node) ? (before[pairs.get(p.node)].output || []).filter(Boolean) : [];
+      for (const source of sources) {
+        for (const { node: i, slot } of readBefore.get(source) || []) {
+          if (slot === k && !taken.has(i) && sameOp(before[i], node)) scores.set(i, (scores.get(i) || 0) + 1);
+        }
+      }
+    });
+    let best = -1;
+    let bestScore = 0;
+    for (const [i, score] of scores) {
+      const distance = Math.abs(i - j) - Math.abs(best - j);
+      if (score > bestScore || (score === bestScore && (distance < 0 || (distance === 0 && i < best)))) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    if (best >= 0) {
+      pairs.set(j, best);
+      taken.add(best);
+    }
+  });
+
+  return pairs;
+};
+
+// Inputs of a matched pair that read from a different source: another
+// producer (compared through `pairs`) or output slot, another graph input or
+// initializer, or a position present on one side only. Tensor names alone
+// are not compared, so outputs renamed along with their producer match.
+const inputChanges = (a, b, pairs, producedBefore, producedAfter) => {
+  const changes = [];
+  const count = Math.max((a.input || []).length, (b.input || []).length);
+  for (let k = 0; k < count; k++) {
+    const x = a.input?.[k] || null;
+    const y = b.input?.[k] || null;
+    const p = y && producedAfter.get(y);
+    const q = x && producedBefore.get(x);
+    const same = p || q ? Boolean(p && q && pairs.get(p.node) === q.node && p.slot === q.slot) : x === y;
+    if (!same) changes.push({ index: k, before: x, after: y });
+  }
+  return changes;
+};
+
+const diffNodes = (before, after) => {
+  const pairs = matchNodes(before, after);
+  const producedBefore = producers(before);
+  const producedAfter = producers(after);
+  const matched = new Set(pairs.values());
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  after.forEach((node, j) => {
+    if (!pairs.has(j)) added.push({ name: nodeKey(node, j), after: nodeOp(node), afterIndex: j });
+  });
+  before.forEach((node, i) => {
+    if (!matched.has(i)) removed.push({ name: nodeKey(node, i), before: nodeOp(node), beforeIndex: i });
+  });
+  for (const [j, i] of pairs) {
+    const a = before[i];
+    const b = after[j];
+    const attributes = attributeChanges(a, b);
+    const inputs = inputChanges(a, b, pairs, producedBefore, producedAfter);
+    const renamed = (a.name || '') !== (b.name || '');
+    if (nodeOp(a) === nodeOp(b) && !attributes.length && !inputs.length && !renamed) continue;
+    changed.push({
+      name: nodeKey(b, j),
+      before: nodeOp(a),
+      after: nodeOp(b),
+      beforeIndex: i,
+      afterIndex: j,
+      attributes,
+      inputs,
+      ...(renamed ? { rename: { before: a.name || null, after: b.name || null } } : {}),
+    });
+  }
+  changed.sort((x, y) => x.afterIndex - y.afterIndex);
+  return { added, removed, changed };
+};
+
+// Element-wise delta between two tensors of the same dtype and shape.
+const numericDelta = (a, b) => {
+  let maxAbs = 0;
+  let sumAbs = 0;
+  let changedElements = 0;
+  for (let i = 0; i < a.length; i++) {
+    const x = Number(a[i]);
+    const y = Number(b[i]);
+    if (x === y || (Number.isNaN(x) && Number.isNaN(y))) continue;
+    const d = Math.abs(y - x);
+    changedElements++;
+    sumAbs += d;
+    if (!(d <= maxAbs)) maxAbs = d;
+  }
+  return { maxAbs, meanAbs: a.length ? sumAbs / a.length : 0, changedElements, elements: a.length };
+};
+
+const diffInitializers = (before, after) => {
+  const { added, removed, changed } = diffByKey(before, after, (t) => t.name, signature);
+  const right = new Map(after.map((t) => [t.name, t]));
+  for (const tensor of before) {
+    const other = right.get(tensor.name);
+    if (!other || signature(tensor) !== signature(other)) continue;
+    if (!ArrayBuffer.isView(tensor.data) || !ArrayBuffer.isView(other.data)) continue;
+    const delta = numericDelta(tensor.data, other.data);
+    if (delta.changedElements) changed.push({ name: tensor.name, before: signature(tensor), after: signature(other), delta });
+  }
+  return { added, removed, changed };
+};
+
+const countChanges = (section) => section.added.length + section.removed.length + section.changed.length;
+
+/**
+ * Returns { opsets, inputs, outputs, nodes, initializers, operators,
+ * changeCount }. Keyed sections hold { added, removed, changed } lists.
+ * Node entries carry beforeIndex/afterIndex into graph.nodes and, when
+ * changed, the attribute differences, the inputs now fed from elsewhere
+ * ({ index, before, after } tensor names) and a `rename`; initializers whose dtype and shape
+ * match but whose values differ carry a numeric `delta`.
+ */
+export const diffModels = (before, after) => {
+  const opsets = diffByKey(
+    before.model.opsetImport || [],
+    after.model.opsetImport || [],
+    (o) => o.domain || 'ai.onnx',
+    (o) => String(o.version)
+  );
+  const inputs = diffByKey(before.graph.inputs, after.graph.inputs, (v) => v.name, signature);
+  const outputs = diffByKey(before.graph.outputs, after.graph.outputs, (v) => v.name, signature);
+  const nodes = diffNodes(before.graph.nodes, after.graph.nodes);
+  const initializers = diffInitializers(before.graph.initializers, after.graph.initializers);
+
+  const ops = new Set([
+    ...Object.keys(before.analysis.operatorFrequency),
+    ...Object.keys(after.analysis.operatorFrequency),
+  ]);
+  const operators = [...ops]
+    .map((op) => ({
+      op,
+      before: before.analysis.operatorFrequency[op] || 0,
+      after: after.analysis.operatorFrequency[op] || 0,
+    }))
+    .filter((entry) => entry.before !== entry.after)
+    .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before) || a.op.localeCompare(b.op));
+
+  return {
+    opsets,
+    inputs,
+    outputs,
+    nodes,
+    initializers,
+    operators,
+    changeCount: [opsets, inputs, outputs, nodes, initializers].reduce((sum, section) => sum + countChanges(section), 0),
+  };
+};
+
+/**
+ * Per-node status for drawing one side of a diff: { [nodeIndex]: 'added' |
+ * 'removed' | 'changed' } over the 'before' or 'after' graph.
+ */
+export const nodeDiffStatus = (diff, side) => {
+  const status = {};
+  const index = side === 'before' ? 'beforeIndex' : 'afterIndex';
+  if (side === 'before') diff.nodes.removed.forEach((e) => (status[e.beforeIndex] = 'removed'));
+  else diff.nodes.added.forEach((e) => (status[e.afterIndex] = 'added'));
+  diff.nodes.changed.forEach((e) => (status[e[index]] = 'changed'));
+  return status;
+};
@@ -0,0 +1,267 @@
+// Edit operations on an editable ModelProto (see ModelSerializer). Every
+// operation returns a new model and leaves its argument untouched, sharing
+// unchanged subtrees, so undo/redo can keep plain snapshots.
+import { attributeType, attributeValue } from './NodeAttributes.js';
+import { TENSOR_TYPES, decodeTensorObject } from './TensorDecoder.js';
+
+const textEncoder = new TextEncoder();
+
+const withGraph = (model, update) => ({ ...model, graph: update({ ...model.graph }) });
+
+const rename = (name, from, to) => (name === from ? to : name);
+
+// Renames a tensor inside one graph and every nested body that reads it.
+const renameInGraph = (graph, from, to) => ({
+  ...graph,
+  node: (graph.node || []).map((node) => ({
+    ...node,
+    input: (node.input || []).map((name) => rename(name, from, to)),
+    output: (node.output || []).map((name) => rename(name, from, to)),
+    attribute: (node.attribute || []).map((attr) => {
+      if (attr.g) return { ...attr, g: renameInGraph(attr.g, from, to) };
+      if (attr.graphs) return { ...attr, graphs: attr.graphs.map((g) => renameInGraph(g, from, to)) };
+      return attr;
+    }),
+  })),
+  input: (graph.input || []).map((v) => ({ ...v, name: rename(v.name, from, to) })),
+  output: (graph.output || []).map((v) => ({ ...v, name: rename(v.name, from, to) })),
+  valueInfo: (graph.valueInfo || []).map((v) => ({ ...v, name: rename(v.name, from, to) })),
+  initializer: (graph.initializer || []).map((t) => (t.name === from ? { ...t, name: to } : t)),
+});
+
+/** Every tensor name the top-level graph defines or reads. */
+export const tensorNames = (model) => {
+  const graph = model.graph || {};
+  return new Set([
+    ...(graph.input || []).map((v) => v.name),
+    ...(graph.initializer || []).map((t) => t.name),
+    ...(graph.node || []).flatMap((n) => [...(n.input || []), ...(n.output || [])]),
+  ]);
+};
+
+// `base`, or the first free `base_1`, `base_2`, ...
+export const uniqueName = (taken, base) => {
+  if (!taken.has(base)) return base;
+  let i = 1;
+  while (taken.has(`${base}_${i}`)) i++;
+  return `${base}_${i}`;
+};
+
+export const renameNode = (model, nodeIndex, name) =>
+  withGraph(model, (graph) => ({
+    ...graph,
+    node: graph.node.map((node, i) => (i === nodeIndex ? { ...node, name } : node)),
+  }));
+
+export const renameTensor = (model, from, to) => {
+  if (!to) throw new Error('Tensor names cannot be empty.');
+  if (from === to) return model;
+  if (tensorNames(model).has(to)) throw new Error(`A tensor named "${to}" already exists.`);
+  return { ...model, graph: renameInGraph(model.graph, from, to) };
+};
+
+/**
+ * Builds an editable AttributeProto of `type` from the text typed into the
+ * editor. Lists are comma-separated; TENSOR keeps `current`'s dtype and dims
+ * and replaces its values.
+ */
+export const attributeFromText = (name, type, text, current) => {
+  const list = () =>
+    text
+      .split(',')
+      .map((item) => item.trim())
+      .filter((item) => item !== '');
+  const number = (item) => {
+    const value = Number(item);
+    if (item === '' || Number.isNaN(value)) throw new Error(`"${item}" is not a number.`);
+    return value;
+  };
+  const integer = (item) => {
+    if (!/^-?\d+$/.test(item)) throw new Error(`"${item}" is not an integer.`);
+    return item;
+  };
+
+  switch (type) {
+    case 'INT':
+      return { name, type, i: integer(text.trim()) };
+    case 'FLOAT':
+      return { name, type, f: number(text.trim()) };
+    case 'STRING':
+      return { name, type, s: textEncoder.encode(text) };
+    case 'INTS':
+      return { name, type, ints: list().map(integer) };
+    case 'FLOATS':
+      return { name, type, floats: list().map(number) };
+    case 'STRINGS':
+      return { name, type, strings: list().map((item) => textEncoder.encode(item)) };
+    case 'TENSOR':
+      return { name, type, t: tensorFromText(current?.t, list()) };
+    default:
+      throw new Error(`Editing ${type} attributes is not supported.`);
+  }
+};
+
+// Tensor dtypes whose values can be typed in: plain numeric storage only
+const editableTensorType = (dataType) => {
+  const spec = TENSOR_TYPES[dataType];
+  return spec && spec.array && !spec.decode && !spec.components ? spec : null;
+};
+
+const tensorFromText = (tensor, items) => {
+  if (!tensor) throw new Error('A tensor attribute needs an existing tensor to edit.');
+  const spec = editableTensorType(tensor.dataType);
+  if (!spec) throw new Error('Values of this tensor type cannot be edited as text.');
+  const count = (tensor.dims || []).reduce((n, d) => n * Number(d), 1);
+  if (items.length !== count) throw new Error(`The tensor holds ${count} value(s); got ${items.length}.`);
+
+  const values = items.map((item) => {
+    const value = Number(item);
+    if (Number.isNaN(value)) throw new Error(`"${item}" is not a number.`);
+    // 64-bit fields are kept as decimal strings, like every other long here
+    return spec.size === 8 && spec.array !== Float64Array ? String(BigInt(Math.trunc(value))) : value;
+  });
+  const next = { ...tensor };
+  for (const field of ['rawData', 'floatData', 'int32Data', 'int64Data', 'doubleData', 'uint64Data']) delete next[field];
+  return { ...next, [spec.field]: values };
+};
+
+/** Text shown in the editor for an attribute; the inverse of attributeFromText. */
+export const attributeToText = (attr) => {
+  const value = attributeValue(attr);
+  switch (attributeType(attr)) {
+    case 'TENSOR': {
+      const tensor = decodeTensorObject(value);
+      return tensor.data ? Array.from(tensor.data, String).join(', ') : '';
+    }
+    case 'INTS':
+    case 'FLOATS':
+    case 'STRINGS':
+      return value.join(', ');
+    default:
+      return String(value ?? '');
+  }
+};
+
+/** True when attributeFromText can rebuild this attribute. */
+export const isEditableAttribute = (attr) => {
+  const type = attributeType(attr);
+  if (type === 'TENSOR') return Boolean(editableTensorType(attr.t?.dataType));
+  return ['INT', 'FLOAT', 'STRING', 'INTS', 'FLOATS', 'STRINGS'].includes(type);
+};
+
+export const setAttribute = (model, nodeIndex, attribute) =>
+  withGraph(model, (graph) => ({
+    ...graph,
+    node: graph.node.map((node, i) => {
+      if (i !== nodeIndex) return node;
+      const others = (node.attribute || []).filter((a) => a.name !== attribute.name);
+      const position = (node.attribute || []).findIndex((a) => a.name === attribute.name);
+      others.splice(position === -1 ? others.length : position, 0, attribute);
+      return { ...node, attribute: others };
+    }),
+  }));
+
+export const removeAttribute = (model, nodeIndex, name) =>
+  withGraph(model, (graph) => ({
+    ...graph,
+    node: graph.node.map((node, i) =>
+      i === nodeIndex ? { ...node, attribute: (node.attribute || []).filter((a) => a.name !== name) } : node
+    ),
+  }));
+
+/**
+ * Replaces the shape of graph input or output `index`. Dims are numbers
+ * (fixed), strings (symbolic, i.e. dynamic) or null (unknown).
+ */
+export const setValueShape = (model, kind, index, dims) => {
+  const field = kind === 'input' ? 'input' : 'output';
+  return withGraph(model, (graph) => ({
+    ...graph,
+    [field]: graph[field].map((value, i) => {
+      if (i !== index) return value;
+      if (!value.type?.tensorType) throw new Error(`"${value.name}" is not a tensor.`);
+      const dim = dims.map((d) => (typeof d === 'number' ? { dimValue: String(d) } : d ? { dimParam: d } : {}));
+      return { ...value, type: { ...value.type, tensorType: { ...value.type.tensorType, shape: { dim } } } };
+    }),
+  }));
+};
+
+const isGraphOutput = (graph, name) => (graph.output || []).some((v) => v.name === name);
+
+const producedByNode = (graph, name) => (graph.node || []).some((node) => (node.output || []).includes(name));
+
+/**
+ * Removes node `nodeIndex`. With `reconnect`, everything that read one of
+ * its outputs reads the node's first input instead, which is what deleting
+ * a pass-through op like Identity or Dropout needs. Graph outputs keep
+ * their names: the node producing that first input writes the output
+ * instead. Throws when it cannot, i.e. the input is a graph input,
+ * initializer or another graph output.
+ */
+export const deleteNode = (model, nodeIndex, { reconnect = true } = {}) => {
+  const removed = model.graph.node[nodeIndex];
+  const replacement = (removed.input || []).find(Boolean);
+  let next = withGraph(model, (graph) => ({
+    ...graph,
+    node: graph.node.filter((_, i) => i !== nodeIndex),
+    valueInfo: (graph.valueInfo || []).filter((v) => !(removed.output || []).includes(v.name)),
+  }));
+  if (!reconnect || !replacement) return next;
+
+  let source = replacement;
+  for (const output of removed.output || []) {
+    if (!output) continue;
+    if (isGraphOutput(next.graph, output)) {
+      if (!producedByNode(next.graph, source) || isGraphOutput(next.graph, source)) {
+        throw new Error(`"${output}" is a graph output that "${source}" cannot be renamed to; delete the node without reconnecting.`);
+      }
+      next = { ...next, graph: renameInGraph(next.graph, source, output) };
+      source = output;
+      continue;
+    }
+    next = withGraph(next, (graph) => ({
+      ...graph,
+      node: graph.node.map((node) =>
+        (node.input || []).includes(output) ? { ...node, input: node.input.map((name) => rename(name, output, source)) } : node
+      ),
+    }));
+  }
+  return next;
+};
+
+/**
+ * Inserts a single-input node on the edge carrying `tensor`. `target` is {
+ * nodeIndex } for one consumer or { output } for a graph output; only that
+ * consumer is rewired to the new node's output. On a graph output the new
+ * node writes the output's name and the tensor it reads is renamed, so the
+ * graph's outputs keep their names. Returns { model, nodeIndex }.
+ */
+export const insertNodeOnEdge = (model, tensor, target, { opType, domain = '', name = '' }) => {
+  if (!opType) throw new Error('The new node needs an op type.');
+  const toOutput = target.output !== undefined;
+  if (toOutput && !producedByNode(model.graph, tensor)) {
+    throw new Error(`Graph output "${tensor}" is not produced by a node, so nothing can be inserted before it.`);
+  }
+  const taken = tensorNames(model);
+  const fresh = uniqueName(taken, `${tensor}_${opType.toLowerCase()}`);
+  const nodeNames = new Set((model.graph.node || []).map((n) => n.name).filter(Boolean));
+  const node = {
+    name: name || uniqueName(nodeNames, fresh),
+    opType,
+    ...(domain ? { domain } : {}),
+    input: [toOutput ? fresh : tensor],
+    output: [toOutput ? tensor : fresh],
+  };
+
+  const position = target.nodeIndex ?? model.graph.node.length;
+  const next = withGraph(model, (graph) => {
+    // everything but the graph output keeps reading the original producer
+    const rewired = toOutput ? { ...renameInGraph({ ...graph, output: [] }, tensor, fresh), output: graph.output } : graph;
+    const nodes = rewired.node.map((n, i) =>
+      i === target.nodeIndex ? { ...n, input: n.input.map((name) => rename(name, tensor, fresh)) } : n
+    );
+    nodes.splice(position, 0, node);
+    return { ...rewired, node: nodes };
+  });
+  return { model: next, nodeIndex: position };
+};
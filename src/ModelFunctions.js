@@ -0,0 +1,55 @@
+// Model-local functions (ModelProto.functions) and operator domain grouping.
+import { attributeValue } from './NodeAttributes.js';
+import { isStandardDomain, normalizeDomain } from './OperatorSchemas.js';
+import { walkGraphTree } from './Subgraphs.js';
+
+export const functionKey = (domain, name, overload) => `${domain || ''}::${name}::${overload || ''}`;
+
+export const nodeFunctionKey = (node) => functionKey(node.domain, node.opType, node.overload);
+
+/** Signature and body of every FunctionProto, keyed for call lookup. */
+export const describeFunctions = (model) =>
+  (model.functions || []).map((fn) => ({
+    key: functionKey(fn.domain, fn.name, fn.overload),
+    name: fn.name,
+    domain: fn.domain || '',
+    overload: fn.overload || '',
+    inputs: fn.input || [],
+    outputs: fn.output || [],
+    attributes: [
+      ...(fn.attribute || []).map((name) => ({ name, default: undefined })),
+      ...(fn.attributeProto || []).map((attr) => ({ name: attr.name, default: attributeValue(attr) })),
+    ],
+    opsetImport: (fn.opsetImport || []).map(({ domain, version }) => ({ domain: domain || '', version: Number(version) })),
+    docString: fn.docString || '',
+    nodes: fn.node || [],
+    signature: `${fn.domain ? `${fn.domain}.` : ''}${fn.name}(${(fn.input || []).join(', ')}) -> (${(fn.output || []).join(', ')})`,
+  }));
+
+/**
+ * Groups every op in the graph tree by domain. Each entry notes whether the
+ * domain is one of the standard ONNX domains and which of its ops resolve to
+ * local functions rather than runtime kernels.
+ */
+export const summarizeDomains = (tree, functions) => {
+  const functionKeys = new Set(functions.map((fn) => fn.key));
+  const domains = {};
+
+  walkGraphTree(tree, (graph) => {
+    for (const node of graph.nodes) {
+      const domain = normalizeDomain(node.domain);
+      const name = domain || 'ai.onnx';
+      if (!domains[name]) {
+        domains[name] = { domain: name, standard: isStandardDomain(domain), nodeCount: 0, operators: {} };
+      }
+      const entry = domains[name];
+      entry.nodeCount++;
+      if (!entry.operators[node.opType]) {
+        entry.operators[node.opType] = { count: 0, isFunction: functionKeys.has(nodeFunctionKey(node)) };
+      }
+      entry.operators[node.opType].count++;
+    }
+  });
+
+  return Object.values(domains).sort((a, b) => Number(b.standard) - Number(a.standard) || a.domain.localeCompare(b.domain));
+};
@@ -0,0 +1,81 @@
+// Editable ModelProto objects and the way back to .onnx bytes. The editable
+// form is a plain toObject() tree that keeps only the fields present in the
+// file, so encoding it writes the same fields the exporter wrote.
+import { getModelProto } from './OnnxSchema.js';
+
+// bytes stay Uint8Array (no base64) and unset fields stay absent
+const EDITABLE_OPTIONS = { longs: String, enums: String };
+
+// Fully expanded form used to compare two models field by field
+const CANONICAL_OPTIONS = { longs: String, enums: String, defaults: true, arrays: true, objects: true };
+
+export const toEditableModel = (decoded, ModelProto = getModelProto()) => ModelProto.toObject(decoded, EDITABLE_OPTIONS);
+
+export const decodeModel = (bytes, ModelProto = getModelProto()) => toEditableModel(ModelProto.decode(bytes), ModelProto);
+
+/**
+ * Encodes an editable model to .onnx bytes. Throws when the object does not
+ * fit the schema, e.g. a message field holding a non-object.
+ */
+export const encodeModel = (model, ModelProto = getModelProto()) => {
+  const message = ModelProto.fromObject(model);
+  const error = ModelProto.verify(message);
+  if (error) throw new Error(`Invalid model: ${error}`);
+  return ModelProto.encode(message).finish();
+};
+
+const isBytes = (value) => value instanceof Uint8Array;
+
+// First path at which two canonical trees differ, or null
+const firstDifference = (a, b, path) => {
+  if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return null;
+  if (isBytes(a) && isBytes(b)) {
+    if (a.length !== b.length) return { path, before: `${a.length} bytes`, after: `${b.length} bytes` };
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return { path: `${path}[${i}]`, before: a[i], after: b[i] };
+    }
+    return null;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return { path, before: a, after: b };
+  if (Array.isArray(a) !== Array.isArray(b)) return { path, before: a, after: b };
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return { path: `${path}.length`, before: a.length, after: b.length };
+    for (let i = 0; i < a.length; i++) {
+      const difference = firstDifference(a[i], b[i], `${path}[${i}]`);
+      if (difference) return difference;
+    }
+    return null;
+  }
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const difference = firstDifference(a[key], b[key], path ? `${path}.${key}` : key);
+    if (difference) return difference;
+  }
+  return null;
+};
+
+/**
+ * Decodes two .onnx buffers and compares them with every default expanded,
+ * so field order and explicit-vs-implicit defaults do not count. Returns
+ * null when the models are semantically identical, else the first
+ * { path, before, after } that differs.
+ */
+export const compareEncodedModels = (a, b, ModelProto = getModelProto()) =>
+  firstDifference(
+    ModelProto.toObject(ModelProto.decode(a), CANONICAL_OPTIONS),
+    ModelProto.toObject(ModelProto.decode(b), CANONICAL_OPTIONS),
+    ''
+  );
+
+/**
+ * Load-then-save check: decodes `bytes`, re-encodes the untouched editable
+ * model and compares the result with the original.
+ */
+export const checkRoundTrip = (bytes, ModelProto = getModelProto()) => {
+  const encoded = encodeModel(decodeModel(bytes, ModelProto), ModelProto);
+  return {
+    difference: compareEncodedModels(bytes, encoded, ModelProto),
+    originalSize: bytes.length,
+    encodedSize: encoded.length,
+    identicalBytes: encoded.length === bytes.length && !encoded.some((byte, i) => byte !== bytes[i]),
+  };
+};
@@ -0,0 +1,177 @@
+// Hierarchy from name scopes. Exporters name nodes like
+// "/encoder/layer.3/attention/MatMul" or record the scope in node metadata;
+// scopes become collapsible groups, and sibling scopes with identical
+// contents (say 12 transformer layers) fold into one repeated block.
+
+// Python list literal of module paths, e.g. "['', 'encoder', 'encoder.layer.0']"
+const TORCH_SCOPES_KEY = 'pkg.torch.onnx.name_scopes';
+// "/"-separated path whose segments may carry a type: "encoder: Encoder/layer.0: Layer"
+const NAMESPACE_KEY = 'namespace';
+
+const splitPath = (path) =>
+  path
+    .split('/')
+    .map((segment) => segment.replace(/:.*$/, '').trim())
+    .filter(Boolean);
+
+// Torch lists cumulative module paths; keep each level's own part
+const torchScopes = (value) => {
+  const paths = [...value.matchAll(/'([^']*)'|"([^"]*)"/g)].map((m) => m[1] ?? m[2]).filter(Boolean);
+  return paths.map((path, i) => (i && path.startsWith(`${paths[i - 1]}.`) ? path.slice(paths[i - 1].length + 1) : path));
+};
+
+/**
+ * Scope path of a node, outermost first; [] when it has none. Node
+ * metadata wins over a "/"-separated node name, whose last segment is the
+ * node itself; a doc_string that starts with "/" is the last resort.
+ */
+export const nodeScope = (node) => {
+  for (const { key, value } of node.metadataProps || []) {
+    if (key === TORCH_SCOPES_KEY) return torchScopes(value);
+    if (key === NAMESPACE_KEY) return splitPath(value);
+  }
+  if (node.name?.includes('/')) return splitPath(node.name).slice(0, -1);
+  if (node.docString?.startsWith('/')) return splitPath(node.docString.split('\n')[0]);
+  return [];
+};
+
+// Node indices in and below `group`; cached, so only for finished groups
+const descendantCache = new WeakMap();
+const descendants = (group) => {
+  if (!descendantCache.has(group)) descendantCache.set(group, [...group.nodes, ...group.groups.flatMap(descendants)]);
+  return descendantCache.get(group);
+};
+
+// Structure of a group's nodes, blind to names: op type, domain, attributes
+// and where each input comes from (a node of the group, by position, or
+// outside). Identical layers give identical signatures.
+const signature = (group, nodes) => {
+  const indices = [...descendants(group)].sort((a, b) => a - b);
+  const produced = new Map();
+  indices.forEach((index, position) => nodes[index].output.forEach((name, slot) => name && produced.set(name, `${position}.${slot}`)));
+  return indices
+    .map((index) => {
+      const node = nodes[index];
+      const attributes = (node.attribute || [])
+        .map(({ name, type, i, f, s, ints, floats }) => JSON.stringify([name, type, i, f, s && Array.from(s), ints, floats]))
+        .sort()
+        .join(',');
+      const inputs = node.input.map((name) => (name ? produced.get(name) || 'x' : '')).join(',');
+      return `${node.domain || ''}:${node.opType}(${inputs})[${attributes}]{${node.output.length}}`;
+    })
+    .join(';');
+};
+
+const firstIndex = (group) => descendants(group).reduce((min, index) => Math.min(min, index), Infinity);
+
+// "layer.0…11" for numbered members, else their names
+const repeatLabel = (members) => {
+  const numbered = members.map((member) => member.name.match(/^(.*?)(\d+)$/));
+  if (numbered.every((m) => m && m[1] === numbered[0][1])) {
+    const numbers = numbered.map((m) => Number(m[2]));
+    return `${numbered[0][1]}${Math.min(...numbers)}…${Math.max(...numbers)}`;
+  }
+  return members.map((member) => member.name).join(', ');
+};
+
+// Turns every set of two or more isomorphic multi-node siblings into a
+// repeat group holding them, at the position of its first member
+const foldRepeats = (group, nodes) => {
+  group.groups.forEach((child) => foldRepeats(child, nodes));
+  const buckets = new Map();
+  for (const child of group.groups) {
+    if (descendants(child).length < 2) continue;
+    const key = signature(child, nodes);
+    buckets.set(key, [...(buckets.get(key) || []), child]);
+  }
+  const folded = new Set();
+  const repeats = [];
+  for (const members of buckets.values()) {
+    if (members.length < 2) continue;
+    members.forEach((member) => folded.add(member));
+    repeats.push({
+      id: `repeat:${members[0].id.slice('scope:'.length)}`,
+      name: repeatLabel(members),
+      repeat: members.length,
+      groups: members,
+      nodes: [],
+    });
+  }
+  group.groups = [...group.groups.filter((child) => !folded.has(child)), ...repeats].sort((a, b) => firstIndex(a) - firstIndex(b));
+};
+
+// Groups of one node dissolve into their parent and a group holding just
+// one subgroup merges with it ("encoder/layer.0"); the root never merges.
+const simplify = (group, isRoot = false) => {
+  const kept = [];
+  for (const child of group.groups) {
+    simplify(child);
+    if (!child.groups.length && child.nodes.length === 1) group.nodes.push(child.nodes[0]);
+    else kept.push(child);
+  }
+  group.groups = kept;
+  group.nodes.sort((a, b) => a - b);
+  if (!isRoot && !group.nodes.length && group.groups.length === 1) {
+    const [only] = group.groups;
+    Object.assign(group, { ...only, name: `${group.name}/${only.name}` });
+  }
+};
+
+/**
+ * Groups one graph's `nodes` (NodeProto-like, as the parser returns them)
+ * by scope. Returns the root group; a group is { id, name, nodes, groups }
+ * with `nodes` the indices directly in it and `groups` its subgroups, both
+ * in graph order. Repeat groups additionally carry `repeat`, the number of
+ * isomorphic member groups they hold. Returns null when no node has a
+ * scope, so callers can keep a flat graph.
+ */
+export const buildScopeTree = (nodes, { detectRepeats = true } = {}) => {
+  const root = { id: 'scope:', name: '', nodes: [], groups: [] };
+  const byPath = new Map([['', root]]);
+  let scoped = false;
+
+  nodes.forEach((node, index) => {
+    const path = nodeScope(node);
+    let group = root;
+    path.forEach((name, depth) => {
+      const key = path.slice(0, depth + 1).join('/');
+      if (!byPath.has(key)) {
+        const child = { id: `scope:${key}`, name, nodes: [], groups: [] };
+        byPath.set(key, child);
+        group.groups.push(child);
+      }
+      group = byPath.get(key);
+    });
+    group.nodes.push(index);
+    scoped = scoped || path.length > 0;
+  });
+  if (!scoped) return null;
+
+  // a root that is one scope ("/model/...") shows that scope's contents
+  while (!root.nodes.length && root.groups.length === 1) {
+    root.nodes = root.groups[0].nodes;
+    root.groups = root.groups[0].groups;
+  }
+  simplify(root, true);
+  if (detectRepeats) foldRepeats(root, nodes);
+  return root.groups.length ? root : null;
+};
+
+/**
+ * Node index -> the outermost group holding it for which `isExpanded(id)`
+ * is false. Nodes shown on their own are absent.
+ */
+export const collapsedOwners = (root, isExpanded) => {
+  const owners = new Map();
+  const visit = (group) => {
+    for (const child of group.groups) {
+      if (isExpanded(child.id)) visit(child);
+      else descendants(child).forEach((index) => owners.set(index, child));
+    }
+  };
+  if (root) visit(root);
+  return owners;
+};
+
+/** Number of nodes in and below `group`. */
+export const groupSize = (group) => descendants(group).length;
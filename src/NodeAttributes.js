@@ -0,0 +1,82 @@
+// Typed access to NodeProto attributes, in either message or toObject form.
+import { base64ToBytes } from './TensorDecoder.js';
+
+const ATTRIBUTE_TYPES = {
+  1: 'FLOAT',
+  2: 'INT',
+  3: 'STRING',
+  4: 'TENSOR',
+  5: 'GRAPH',
+  6: 'FLOATS',
+  7: 'INTS',
+  8: 'STRINGS',
+  9: 'TENSORS',
+  10: 'GRAPHS',
+  11: 'SPARSE_TENSOR',
+  12: 'SPARSE_TENSORS',
+  13: 'TYPE_PROTO',
+  14: 'TYPE_PROTOS',
+};
+
+const textDecoder = new TextDecoder();
+const decodeString = (s) => textDecoder.decode(typeof s === 'string' ? base64ToBytes(s) : s);
+
+// Models written before IR v3 may leave `type` unset; infer it from whichever
+// field is populated.
+const guessType = (attr) => {
+  if (attr.ints?.length) return 'INTS';
+  if (attr.floats?.length) return 'FLOATS';
+  if (attr.strings?.length) return 'STRINGS';
+  if (attr.tensors?.length) return 'TENSORS';
+  if (attr.graphs?.length) return 'GRAPHS';
+  if (attr.t) return 'TENSOR';
+  if (attr.g) return 'GRAPH';
+  if (attr.s?.length) return 'STRING';
+  if (attr.f) return 'FLOAT';
+  return 'INT';
+};
+
+export const attributeType = (attr) => {
+  const type = typeof attr.type === 'number' ? ATTRIBUTE_TYPES[attr.type] : attr.type;
+  return !type || type === 'UNDEFINED' ? guessType(attr) : type;
+};
+
+export const attributeValue = (attr) => {
+  switch (attributeType(attr)) {
+    case 'FLOAT':
+      return attr.f;
+    case 'INT':
+      return Number(attr.i);
+    case 'STRING':
+      return decodeString(attr.s);
+    case 'TENSOR':
+      return attr.t;
+    case 'GRAPH':
+      return attr.g;
+    case 'SPARSE_TENSOR':
+      return attr.sparseTensor;
+    case 'TYPE_PROTO':
+      return attr.tp;
+    case 'FLOATS':
+      return attr.floats || [];
+    case 'INTS':
+      return (attr.ints || []).map(Number);
+    case 'STRINGS':
+      return (attr.strings || []).map(decodeString);
+    case 'TENSORS':
+      return attr.tensors || [];
+    case 'GRAPHS':
+      return attr.graphs || [];
+    case 'SPARSE_TENSORS':
+      return attr.sparseTensors || [];
+    case 'TYPE_PROTOS':
+      return attr.typeProtos || [];
+    default:
+      return undefined;
+  }
+};
+
+export const getAttribute = (node, name, fallback) => {
+  const attr = node.attribute?.find((a) => a.name === name);
+  return attr ? attributeValue(attr) : fallback;
+};
@@ -1,29 +1,119 @@
-// src/utils/parseONNXModel.js
-import protobuf from 'protobufjs';
+import { getModelProto } from './OnnxSchema.js';
+import { toEditableModel } from './ModelSerializer.js';
+import { decodeTensor } from './TensorDecoder.js';
+import { resolveExternalData } from './ExternalData.js';
+import { inferShapes, parseTypeProto } from './ShapeInference.js';
+import { estimateCosts } from './CostModel.js';
+import { checkModel } from './ModelChecker.js';
+import { buildGraphTree, summarizeGraphTree } from './Subgraphs.js';
+import { describeFunctions, summarizeDomains } from './ModelFunctions.js';
+import { PATTERNS, recognizePatterns } from './Patterns.js';
+import { analyzeQuantization } from './QuantAnalysis.js';
+import { analyzeCompatibility } from './Compatibility.js';
+
+const describeValue = (vi) => {
+  const { kind, dtype, shape } = parseTypeProto(vi.type);
+  return { name: vi.name, type: kind, dtype, shape };
+};
+
+// Reads the file in chunks so progress can be reported; falls back to a
+// single arrayBuffer() where streams are unavailable.
+const readFileBytes = async (file, report, signal) => {
+  if (!file.stream) return new Uint8Array(await file.arrayBuffer());
+
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  const step = Math.max(1, Math.floor(file.size / 100));
+  let loaded = 0;
+  let reported = 0;
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytes.set(value, loaded);
+      loaded += value.length;
+      if (loaded - reported >= step) {
+        reported = loaded;
+        report('read', loaded);
+      }
+    }
+  } catch (err) {
+    // stop the file read instead of leaving the stream to fill its queue
+    await reader.cancel(err);
+    throw err;
+  }
+  return bytes;
+};
+
+// externalFiles: companion files (e.g. model.onnx.data) for initializers
+// stored with data_location = EXTERNAL.
+// options.onProgress({ phase, loaded, total }) is called as parsing moves
+// through 'schema', 'read', 'decode' and 'analysis'; options.signal aborts
+// between phases; options.schema overrides the bundled ONNX schema (see
+// getModelProto); options.patterns are recognized in addition to the
+// built-in PATTERNS (see Patterns.js).
+export const parseONNXModelComplete = async (file, externalFiles = [], options = {}) => {
+  const { onProgress, signal, schema, patterns = [] } = options;
+  const report = (phase, loaded = 0) => onProgress?.({ phase, loaded, total: file.size });
 
-export const parseONNXModelComplete = async (file) => {
   try {
-    const root = await protobuf.load('/onnx.proto'); // <- Serve it from public folder
-    const ModelProto = root.lookupType('onnx.ModelProto');
+    report('schema');
+    const ModelProto = getModelProto(schema);
 
-    const buffer = await file.arrayBuffer();
-    const decoded = ModelProto.decode(new Uint8Array(buffer));
+    report('read');
+    const bytes = await readFileBytes(file, report, signal);
+    signal?.throwIfAborted();
+
+    report('decode', file.size);
+    const decoded = ModelProto.decode(bytes);
+    // bytes fields stay Uint8Array views (no base64) so they can be transferred
     const model = ModelProto.toObject(decoded, {
       longs: String,
       enums: String,
-      bytes: String,
       defaults: true,
       arrays: true,
       objects: true,
     });
+    signal?.throwIfAborted();
+
+    // initializers are decoded from the message itself so raw_data stays binary
+    const initializers = (decoded.graph?.initializer || []).map(decodeTensor);
+    const diagnostics = resolveExternalData(initializers, externalFiles, file);
+    signal?.throwIfAborted();
+
+    report('analysis', file.size);
+
+    // Each analysis stands alone: one that throws is reported as a
+    // diagnostic and `fallback` takes its place, so the decoded model is kept.
+    const analyze = (label, run, fallback) => {
+      try {
+        return run();
+      } catch (err) {
+        diagnostics.push({ severity: 'error', source: 'analysis', message: `${label} failed: ${err.message}` });
+        return fallback;
+      }
+    };
 
-    // operator frequency
-    const operatorFrequency = {};
+    const shapeInference = analyze('Shape inference', () => inferShapes(model.graph, initializers), {
+      valueInfo: {},
+      diagnostics: [],
+    });
+    diagnostics.push(...shapeInference.diagnostics);
+
+    // operator frequency and node counts include If/Loop/Scan bodies
     const nodes = model.graph?.node || [];
-    for (const node of nodes) {
-      const op = node.opType;
-      if (op) operatorFrequency[op] = (operatorFrequency[op] || 0) + 1;
-    }
+    const { graphTree, operatorFrequency, ...treeSummary } = analyze(
+      'Subgraph walk',
+      () => {
+        const tree = buildGraphTree(model.graph);
+        return { graphTree: tree, ...summarizeGraphTree(tree) };
+      },
+      { graphTree: null, operatorFrequency: {}, totalNodes: nodes.length, subgraphCount: 0, maxDepth: 0, diagnostics: [] }
+    );
+    diagnostics.push(...treeSummary.diagnostics);
+    const functions = analyze('Function analysis', () => describeFunctions(model), []);
+    const opsetImport = (model.opsetImport || []).map(({ domain, version }) => ({ domain: domain || '', version: Number(version) }));
 
     return {
       file: {
@@ -34,24 +124,49 @@ export const parseONNXModelComplete = async (file) => {
       model: {
         producerName: model.producerName || 'Unknown',
         producerVersion: model.producerVersion || 'Unknown',
+        irVersion: Number(model.irVersion),
+        opsetImport,
       },
       graph: {
-        inputs: model.graph.input?.map(i => ({ name: i.name, type: i.type?.value || 'unknown' })) || [],
-        outputs: model.graph.output?.map(o => ({ name: o.name, type: o.type?.value || 'unknown' })) || [],
+        inputs: model.graph.input?.map(describeValue) || [],
+        outputs: model.graph.output?.map(describeValue) || [],
         nodes,
-        initializers: model.graph.initializer || [],
+        initializers,
+        valueInfo: shapeInference.valueInfo,
+        subgraphs: graphTree?.children || [],
       },
+      functions,
       analysis: {
         totalInputs: model.graph.input?.length || 0,
         totalOutputs: model.graph.output?.length || 0,
         totalNodes: nodes.length,
+        totalNodesRecursive: treeSummary.totalNodes,
+        subgraphCount: treeSummary.subgraphCount,
+        maxSubgraphDepth: treeSummary.maxDepth,
         totalInitializers: model.graph.initializer?.length || 0,
         modelComplexity: nodes.length > 1000 ? 'High' : nodes.length > 100 ? 'Medium' : 'Low',
         operatorFrequency,
+        // without a graph tree these have nothing to walk
+        domains: graphTree ? analyze('Domain summary', () => summarizeDomains(graphTree, functions), []) : [],
+        cost: analyze('Cost estimate', () => estimateCosts(nodes, shapeInference.valueInfo, initializers), null),
+        // { matches, summary } over the top-level graph
+        patterns: analyze('Pattern recognition', () => recognizePatterns(nodes, [...PATTERNS, ...patterns], initializers), {
+          matches: [],
+          summary: [],
+        }),
+        quantization: analyze('Quantization analysis', () => analyzeQuantization(nodes, initializers, shapeInference.valueInfo), null),
+        compatibility: graphTree
+          ? analyze('Compatibility analysis', () => analyzeCompatibility(opsetImport, graphTree, functions), null)
+          : null,
       },
+      diagnostics,
+      validation: analyze('Model check', () => checkModel(model), null),
+      // untouched ModelProto tree for editing and re-encoding (ModelSerializer)
+      editableModel: toEditableModel(decoded, ModelProto),
       parsingMethod: 'runtime-load',
     };
   } catch (err) {
+    if (err.name === 'AbortError') throw err;
     return {
       error: err.message,
       parsingMethod: 'fallback',
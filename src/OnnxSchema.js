@@ -0,0 +1,24 @@
+// Resolves the protobufjs ModelProto type. The bundled descriptor is compiled
+// from schema/onnx.proto, so parsing needs no network access; callers may
+// pass their own schema (e.g. a newer onnx.proto or ONNX-ML extensions).
+import protobuf from 'protobufjs';
+import descriptor from './OnnxDescriptor.js';
+
+let bundledRoot = null;
+
+const toRoot = (schema) => {
+  if (schema instanceof protobuf.Root) return schema;
+  if (typeof schema === 'string') return protobuf.parse(schema).root;
+  return protobuf.Root.fromJSON(schema);
+};
+
+/**
+ * Returns the onnx.ModelProto type. `schema` may be .proto source text, a
+ * protobufjs JSON descriptor or a protobuf.Root; without one the bundled
+ * schema is used. Throws if the schema does not define onnx.ModelProto.
+ */
+export const getModelProto = (schema) => {
+  if (schema) return toRoot(schema).lookupType('onnx.ModelProto');
+  if (!bundledRoot) bundledRoot = protobuf.Root.fromJSON(descriptor);
+  return bundledRoot.lookupType('onnx.ModelProto');
+};
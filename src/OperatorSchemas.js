@@ -0,0 +1,250 @@
+// Bundled operator table for the standard domains. For each op, `since` lists
+// the opset versions in which it was introduced or redefined; `required`
+// names attributes without defaults, optionally only below a given opset.
+
+const S = (since, extra = {}) => ({ since, ...extra });
+
+const AI_ONNX = {
+  Abs: S([1, 6, 13]),
+  Acos: S([7, 22]),
+  Acosh: S([9, 22]),
+  Add: S([1, 6, 7, 13, 14]),
+  AffineGrid: S([20]),
+  And: S([1, 7]),
+  ArgMax: S([1, 11, 12, 13]),
+  ArgMin: S([1, 11, 12, 13]),
+  Asin: S([7, 22]),
+  Asinh: S([9, 22]),
+  Atan: S([7, 22]),
+  Atanh: S([9, 22]),
+  AveragePool: S([1, 7, 10, 11, 19, 22], { required: ['kernel_shape'] }),
+  BatchNormalization: S([1, 6, 7, 9, 14, 15]),
+  Bernoulli: S([15, 22]),
+  BitShift: S([11], { required: ['direction'] }),
+  BitwiseAnd: S([18]),
+  BitwiseNot: S([18]),
+  BitwiseOr: S([18]),
+  BitwiseXor: S([18]),
+  BlackmanWindow: S([17]),
+  Cast: S([1, 6, 9, 13, 19, 21], { required: ['to'] }),
+  CastLike: S([15, 19, 21]),
+  Ceil: S([1, 6, 13]),
+  Celu: S([12]),
+  CenterCropPad: S([18]),
+  Clip: S([1, 6, 11, 12, 13]),
+  Col2Im: S([18]),
+  Compress: S([9, 11]),
+  Concat: S([1, 4, 11, 13], { required: ['axis'] }),
+  ConcatFromSequence: S([11], { required: ['axis'] }),
+  Constant: S([1, 9, 11, 12, 13, 19, 21]),
+  ConstantOfShape: S([9, 20, 21]),
+  Conv: S([1, 11, 22]),
+  ConvInteger: S([10]),
+  ConvTranspose: S([1, 11, 22]),
+  Cos: S([7, 22]),
+  Cosh: S([9, 22]),
+  CumSum: S([11, 14]),
+  DFT: S([17, 20]),
+  DeformConv: S([19, 22]),
+  DepthToSpace: S([1, 11, 13], { required: ['blocksize'] }),
+  DequantizeLinear: S([10, 13, 19, 21]),
+  Det: S([11, 22]),
+  Div: S([1, 6, 7, 13, 14]),
+  Dropout: S([1, 6, 7, 10, 12, 13, 22]),
+  DynamicQuantizeLinear: S([11]),
+  Einsum: S([12], { required: ['equation'] }),
+  Elu: S([1, 6, 22]),
+  Equal: S([1, 7, 11, 13, 19]),
+  Erf: S([9, 13]),
+  Exp: S([1, 6, 13]),
+  Expand: S([8, 13]),
+  EyeLike: S([9, 22]),
+  Flatten: S([1, 9, 11, 13, 21]),
+  Floor: S([1, 6, 13]),
+  GRU: S([1, 3, 7, 14, 22]),
+  Gather: S([1, 11, 13]),
+  GatherElements: S([11, 13]),
+  GatherND: S([11, 12, 13]),
+  Gelu: S([20]),
+  Gemm: S([1, 6, 7, 9, 11, 13]),
+  GlobalAveragePool: S([1, 22]),
+  GlobalLpPool: S([1, 2, 22]),
+  GlobalMaxPool: S([1, 22]),
+  Greater: S([1, 7, 9, 13]),
+  GreaterOrEqual: S([12, 16]),
+  GridSample: S([16, 20, 22]),
+  GroupNormalization: S([18, 21], { required: ['num_groups'] }),
+  HammingWindow: S([17]),
+  HannWindow: S([17]),
+  HardSigmoid: S([1, 6, 22]),
+  HardSwish: S([14, 22]),
+  Hardmax: S([1, 11, 13]),
+  Identity: S([1, 13, 14, 16, 19, 21]),
+  If: S([1, 11, 13, 16, 19, 21], { required: ['then_branch', 'else_branch'] }),
+  ImageDecoder: S([20]),
+  InstanceNormalization: S([1, 6, 22]),
+  IsInf: S([10, 20]),
+  IsNaN: S([9, 13, 20]),
+  LRN: S([1, 13], { required: ['size'] }),
+  LSTM: S([1, 7, 14, 22]),
+  LayerNormalization: S([17]),
+  LeakyRelu: S([1, 6, 16]),
+  Less: S([1, 7, 9, 13]),
+  LessOrEqual: S([12, 16]),
+  Log: S([1, 6, 13]),
+  LogSoftmax: S([1, 11, 13]),
+  Loop: S([1, 11, 13, 16, 19, 21], { required: ['body'] }),
+  LpNormalization: S([1, 22]),
+  LpPool: S([1, 2, 11, 18, 22], { required: ['kernel_shape'] }),
+  MatMul: S([1, 9, 13]),
+  MatMulInteger: S([10]),
+  Max: S([1, 6, 8, 12, 13]),
+  MaxPool: S([1, 8, 10, 11, 12, 22], { required: ['kernel_shape'] }),
+  MaxRoiPool: S([1, 22], { required: ['pooled_shape'] }),
+  MaxUnpool: S([9, 11, 22], { required: ['kernel_shape'] }),
+  Mean: S([1, 6, 8, 13]),
+  MeanVarianceNormalization: S([9, 13]),
+  MelWeightMatrix: S([17]),
+  Min: S([1, 6, 8, 12, 13]),
+  Mish: S([18, 22]),
+  Mod: S([10, 13]),
+  Mul: S([1, 6, 7, 13, 14]),
+  Multinomial: S([7, 22]),
+  Neg: S([1, 6, 13]),
+  NegativeLogLikelihoodLoss: S([12, 13, 22]),
+  NonMaxSuppression: S([10, 11]),
+  NonZero: S([9, 13]),
+  Not: S([1]),
+  OneHot: S([9, 11]),
+  Optional: S([15]),
+  OptionalGetElement: S([15, 18]),
+  OptionalHasElement: S([15, 18]),
+  Or: S([1, 7]),
+  PRelu: S([1, 6, 7, 9, 16]),
+  Pad: S([1, 2, 11, 13, 18, 19, 21]),
+  Pow: S([1, 7, 12, 13, 15]),
+  QLinearConv: S([10]),
+  QLinearMatMul: S([10, 21]),
+  QuantizeLinear: S([10, 13, 19, 21]),
+  RNN: S([1, 7, 14, 22]),
+  RandomNormal: S([1, 22], { required: ['shape'] }),
+  RandomNormalLike: S([1, 22]),
+  RandomUniform: S([1, 22], { required: ['shape'] }),
+  RandomUniformLike: S([1, 22]),
+  Range: S([11]),
+  Reciprocal: S([1, 6, 13]),
+  ReduceL1: S([1, 11, 13, 18]),
+  ReduceL2: S([1, 11, 13, 18]),
+  ReduceLogSum: S([1, 11, 13, 18]),
+  ReduceLogSumExp: S([1, 11, 13, 18]),
+  ReduceMax: S([1, 11, 12, 13, 18, 20]),
+  ReduceMean: S([1, 11, 13, 18]),
+  ReduceMin: S([1, 11, 12, 13, 18, 20]),
+  ReduceProd: S([1, 11, 13, 18]),
+  ReduceSum: S([1, 11, 13]),
+  ReduceSumSquare: S([1, 11, 13, 18]),
+  RegexFullMatch: S([20]),
+  Relu: S([1, 6, 13, 14]),
+  Reshape: S([1, 5, 13, 14, 19, 21]),
+  Resize: S([10, 11, 13, 18, 19]),
+  ReverseSequence: S([10]),
+  RoiAlign: S([10, 16, 22]),
+  Round: S([11, 22]),
+  STFT: S([17]),
+  Scan: S([8, 9, 11, 16, 19, 21], { required: ['body', 'num_scan_inputs'] }),
+  Scatter: S([9, 11], { deprecated: 11, replacement: 'ScatterElements' }),
+  ScatterElements: S([11, 13, 16, 18]),
+  ScatterND: S([11, 13, 16, 18]),
+  Selu: S([1, 6, 22]),
+  SequenceAt: S([11]),
+  SequenceConstruct: S([11]),
+  SequenceEmpty: S([11]),
+  SequenceErase: S([11]),
+  SequenceInsert: S([11]),
+  SequenceLength: S([11]),
+  SequenceMap: S([17], { required: ['body'] }),
+  Shape: S([1, 13, 15, 19, 21]),
+  Shrink: S([9]),
+  Sigmoid: S([1, 6, 13]),
+  Sign: S([9, 13]),
+  Sin: S([7, 22]),
+  Sinh: S([9, 22]),
+  Size: S([1, 13, 19, 21]),
+  Slice: S([1, 10, 11, 13], { required: [['starts', 10], ['ends', 10]] }),
+  Softmax: S([1, 11, 13]),
+  SoftmaxCrossEntropyLoss: S([12, 13]),
+  Softplus: S([1, 22]),
+  Softsign: S([1, 22]),
+  SpaceToDepth: S([1, 13], { required: ['blocksize'] }),
+  Split: S([1, 2, 11, 13, 18]),
+  SplitToSequence: S([11]),
+  Sqrt: S([1, 6, 13]),
+  Squeeze: S([1, 11, 13, 21]),
+  StringConcat: S([20]),
+  StringNormalizer: S([10]),
+  StringSplit: S([20]),
+  Sub: S([1, 6, 7, 13, 14]),
+  Sum: S([1, 6, 8, 13]),
+  Tan: S([7, 22]),
+  Tanh: S([1, 6, 13]),
+  TfIdfVectorizer: S([9], { required: ['max_gram_length', 'max_skip_count', 'min_gram_length', 'mode', 'ngram_counts', 'ngram_indexes'] }),
+  ThresholdedRelu: S([10, 22]),
+  Tile: S([1, 6, 13]),
+  TopK: S([1, 10, 11]),
+  Transpose: S([1, 13, 21]),
+  Trilu: S([14]),
+  Unique: S([11]),
+  Unsqueeze: S([1, 11, 13, 21], { required: [['axes', 13]] }),
+  Upsample: S([7, 9, 10], { deprecated: 10, replacement: 'Resize' }),
+  Where: S([9, 16]),
+  Xor: S([1, 7]),
+};
+
+const AI_ONNX_ML = {
+  ArrayFeatureExtractor: S([1]),
+  Binarizer: S([1]),
+  CastMap: S([1]),
+  CategoryMapper: S([1]),
+  DictVectorizer: S([1]),
+  FeatureVectorizer: S([1]),
+  Imputer: S([1]),
+  LabelEncoder: S([1, 2, 4]),
+  LinearClassifier: S([1], { required: ['coefficients'] }),
+  LinearRegressor: S([1]),
+  Normalizer: S([1]),
+  OneHotEncoder: S([1]),
+  SVMClassifier: S([1]),
+  SVMRegressor: S([1]),
+  Scaler: S([1]),
+  TreeEnsemble: S([5]),
+  TreeEnsembleClassifier: S([1, 3], { deprecated: 5, replacement: 'TreeEnsemble' }),
+  TreeEnsembleRegressor: S([1, 3], { deprecated: 5, replacement: 'TreeEnsemble' }),
+  ZipMap: S([1]),
+};
+
+export const OPERATOR_SCHEMAS = {
+  '': AI_ONNX,
+  'ai.onnx.ml': AI_ONNX_ML,
+};
+
+// 'ai.onnx' is an alias of the default domain
+export const normalizeDomain = (domain) => (!domain || domain === 'ai.onnx' ? '' : domain);
+
+export const isStandardDomain = (domain) => normalizeDomain(domain) in OPERATOR_SCHEMAS;
+
+/**
+ * Resolves `opType` for an imported opset version. Returns null for ops the
+ * bundled table does not know, otherwise { version, schema } where version
+ * is the definition in effect (0 when the op is newer than the opset).
+ */
+export const resolveSchema = (domain, opType, opsetVersion) => {
+  const schema = OPERATOR_SCHEMAS[normalizeDomain(domain)]?.[opType];
+  if (!schema) return null;
+  const version = schema.since.filter((v) => v <= opsetVersion).pop() || 0;
+  return { version, schema };
+};
+
+export const requiredAttributes = (schema, opsetVersion) =>
+  (schema.required || [])
+    .filter((entry) => !Array.isArray(entry) || opsetVersion < entry[1])
+    .map((entry) => (Array.isArray(entry) ? entry[0] : entry));
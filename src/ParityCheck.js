@@ -0,0 +1,187 @@
+// Numeric parity between two models: the same feeds go through both in the
+// local runtime and outputs are compared by name. When intermediate tensor
+// names line up too, the walk goes layer by layer to find where the two
+// first diverge.
+import { captureActivations } from './Activations.js';
+import { createSession, runSession } from './InferenceRunner.js';
+import { encodeModel } from './ModelSerializer.js';
+
+export const DEFAULT_TOLERANCES = { atol: 1e-5, rtol: 1e-3 };
+
+// keeps relative error finite where the reference is (near) zero
+const REL_FLOOR = 1e-12;
+
+/**
+ * Element-wise comparison of two runner outputs ({ dtype, shape, data }).
+ * An element passes when |a - b| <= atol + rtol * |a| (numpy's allclose,
+ * `reference` as a); NaNs pass only against NaNs. Returns { shapeMatch,
+ * maxAbs, maxRel, meanAbs, cosine, argmaxAgreement, mismatches, pass }.
+ * `argmaxAgreement` is the share of last-axis rows with the same argmax,
+ * null for outputs that have no class axis.
+ */
+export const compareTensors = (reference, candidate, { atol, rtol } = DEFAULT_TOLERANCES) => {
+  const shapeMatch =
+    reference.shape.length === candidate.shape.length && reference.shape.every((d, i) => d === candidate.shape[i]);
+  const empty = { shapeMatch, maxAbs: null, maxRel: null, meanAbs: null, cosine: null, argmaxAgreement: null };
+  if (!shapeMatch || reference.data.length !== candidate.data.length) {
+    return { ...empty, shapeMatch: false, mismatches: null, pass: false };
+  }
+  if (reference.dtype === 'string' || candidate.dtype === 'string') {
+    const mismatches = Array.from(reference.data).filter((v, i) => v !== candidate.data[i]).length;
+    return { ...empty, mismatches, pass: mismatches === 0 };
+  }
+
+  let maxAbs = 0;
+  let maxRel = 0;
+  let sumAbs = 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let mismatches = 0;
+  const count = reference.data.length;
+  for (let i = 0; i < count; i++) {
+    const a = Number(reference.data[i]);
+    const b = Number(candidate.data[i]);
+    if (Number.isNaN(a) || Number.isNaN(b)) {
+      if (Number.isNaN(a) !== Number.isNaN(b)) mismatches++;
+      continue;
+    }
+    const diff = a === b ? 0 : Math.abs(a - b);
+    if (diff > maxAbs) maxAbs = diff;
+    const rel = diff / Math.max(Math.abs(a), REL_FLOOR);
+    if (rel > maxRel) maxRel = rel;
+    sumAbs += diff;
+    if (diff > atol + rtol * Math.abs(a)) mismatches++;
+    if (Number.isFinite(a) && Number.isFinite(b)) {
+      dot += a * b;
+      normA += a * a;
+      normB += b * b;
+    }
+  }
+
+  let cosine = 1;
+  if (normA && normB) cosine = dot / Math.sqrt(normA * normB);
+  else if (normA || normB) cosine = 0;
+
+  return {
+    shapeMatch,
+    maxAbs,
+    maxRel,
+    meanAbs: count ? sumAbs / count : 0,
+    cosine,
+    argmaxAgreement: argmaxAgreement(reference, candidate),
+    mismatches,
+    pass: mismatches === 0,
+  };
+};
+
+const argmaxOf = (data, start, length) => {
+  let best = start;
+  for (let i = start + 1; i < start + length; i++) {
+    if (Number(data[i]) > Number(data[best])) best = i;
+  }
+  return best - start;
+};
+
+const argmaxAgreement = (reference, candidate) => {
+  const classes = reference.shape[reference.shape.length - 1];
+  if (!(classes >= 2)) return null;
+  const rows = reference.data.length / classes;
+  if (!rows) return null;
+  let agree = 0;
+  for (let row = 0; row < rows; row++) {
+    if (argmaxOf(reference.data, row * classes, classes) === argmaxOf(candidate.data, row * classes, classes)) agree++;
+  }
+  return agree / rows;
+};
+
+// names the model expects to be fed: graph inputs that no initializer backs
+const feedNames = (model) => {
+  const initializers = new Set((model.graph.initializer || []).map((tensor) => tensor.name));
+  return (model.graph.input || []).map((value) => value.name).filter((name) => !initializers.has(name));
+};
+
+const feedsFor = (model, feeds, label) => {
+  const selected = {};
+  for (const name of feedNames(model)) {
+    if (!feeds[name]) throw new Error(`The ${label} model expects input "${name}", which the other model does not have.`);
+    selected[name] = feeds[name];
+  }
+  return selected;
+};
+
+// { outputs, activations } for one model; activations only with `layerwise`
+const execute = async (model, feeds, { layerwise, externalFiles }) => {
+  if (layerwise) return captureActivations(model, feeds, { externalFiles });
+  const { session } = await createSession(encodeModel(model), { model, externalFiles });
+  try {
+    const run = await runSession(session, feeds);
+    return { outputs: run.outputs, activations: null };
+  } finally {
+    await session.release();
+  }
+};
+
+/**
+ * Runs `reference` and `candidate` (editable models) on the same `feeds`
+ * and compares them. Options: tolerances `atol` / `rtol`, `layerwise` to
+ * also compare intermediates with matching names, and per-model
+ * `externalFiles` ([reference files, candidate files]).
+ *
+ * Returns a report: { pass, tolerances, inputs, outputs, unmatched,
+ * layers, firstDivergence }. `outputs` and `layers` hold compareTensors
+ * results with the tensor name (and producing node for layers); `layers`
+ * is null without `layerwise`. Passing needs at least one output matched
+ * by name and every matched output within tolerance.
+ */
+export const checkParity = async (
+  reference,
+  candidate,
+  feeds,
+  { atol = DEFAULT_TOLERANCES.atol, rtol = DEFAULT_TOLERANCES.rtol, layerwise = false, externalFiles = [[], []] } = {}
+) => {
+  const tolerances = { atol, rtol };
+  const a = await execute(reference, feedsFor(reference, feeds, 'reference'), { layerwise, externalFiles: externalFiles[0] });
+  const b = await execute(candidate, feedsFor(candidate, feeds, 'candidate'), { layerwise, externalFiles: externalFiles[1] });
+
+  const candidateOutputs = new Map(b.outputs.map((output) => [output.name, output]));
+  const outputs = a.outputs
+    .filter((output) => candidateOutputs.has(output.name))
+    .map((output) => ({ name: output.name, ...compareTensors(output, candidateOutputs.get(output.name), tolerances) }));
+  const referenceNames = new Set(a.outputs.map((output) => output.name));
+  const unmatched = {
+    reference: a.outputs.filter((output) => !candidateOutputs.has(output.name)).map((output) => output.name),
+    candidate: b.outputs.filter((output) => !referenceNames.has(output.name)).map((output) => output.name),
+  };
+
+  let layers = null;
+  let firstDivergence = null;
+  if (layerwise) {
+    layers = [];
+    const seen = new Set();
+    for (const node of reference.graph.node || []) {
+      for (const name of node.output || []) {
+        if (!name || seen.has(name) || !a.activations[name] || !b.activations[name]) continue;
+        seen.add(name);
+        const layer = {
+          name,
+          opType: node.opType,
+          nodeName: node.name || '',
+          ...compareTensors(a.activations[name], b.activations[name], tolerances),
+        };
+        layers.push(layer);
+        if (!layer.pass && !firstDivergence) firstDivergence = { name, opType: node.opType, nodeName: layer.nodeName };
+      }
+    }
+  }
+
+  return {
+    pass: outputs.length > 0 && outputs.every((output) => output.pass),
+    tolerances,
+    inputs: Object.entries(feeds).map(([name, feed]) => ({ name, dtype: feed.dtype, shape: feed.shape })),
+    outputs,
+    unmatched,
+    layers,
+    firstDivergence,
+  };
+};
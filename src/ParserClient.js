@@ -0,0 +1,48 @@
+// Main-thread side of ParserWorker: wraps a parse in a promise with progress
+// callbacks and AbortSignal cancellation.
+import { parseONNXModelComplete } from './ONNXParser.js';
+
+const abortError = () => new DOMException('Parsing cancelled.', 'AbortError');
+
+/**
+ * Parses `file` in a module worker. Aborting `signal` terminates the worker
+ * and rejects with an AbortError. `schema` must be cloneable here (.proto
+ * text or a JSON descriptor), as must custom `patterns` (plain pattern
+ * objects, see Patterns.js). Falls back to parsing on the main thread
+ * where workers are unavailable.
+ */
+export const parseInWorker = (file, externalFiles = [], { onProgress, signal, schema, patterns } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return parseONNXModelComplete(file, externalFiles, { onProgress, signal, schema, patterns });
+  }
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./ParserWorker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data);
+        return;
+      }
+      finish();
+      if (data.type === 'result') resolve(data.data);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Parser worker failed.'));
+    };
+
+    worker.postMessage({ file, externalFiles, schema, patterns });
+  });
+};
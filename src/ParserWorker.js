@@ -0,0 +1,29 @@
+// Runs parseONNXModelComplete off the main thread. Posts { type: 'progress' }
+// messages while parsing and a final { type: 'result' } or { type: 'error' }.
+import { parseONNXModelComplete } from './ONNXParser.js';
+
+// Unique ArrayBuffers behind every typed array in the result, so tensor
+// payloads move to the main thread without a copy.
+const collectTransferables = (value, buffers = new Set(), seen = new Set()) => {
+  if (!value || typeof value !== 'object' || seen.has(value)) return buffers;
+  seen.add(value);
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+    return buffers;
+  }
+  for (const child of Object.values(value)) collectTransferables(child, buffers, seen);
+  return buffers;
+};
+
+self.onmessage = async ({ data: { file, externalFiles, schema, patterns } }) => {
+  try {
+    const result = await parseONNXModelComplete(file, externalFiles, {
+      schema,
+      patterns,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+    });
+    self.postMessage({ type: 'result', data: result }, [...collectTransferables(result)]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,326 @@
+// Recognizes architectural motifs (attention, normalization written out as
+// elementwise ops, residual connections, ...) as labelled subgraphs.
+//
+// Patterns are plain data, so they can be passed to the parser worker:
+//
+//   { name, category, description, dynamic: ['$name', ...], nodes: [spec, ...] }
+//
+// Captures listed in `dynamic` bind only to tensors computed at run time (a
+// node output or a graph input), never to an initializer or a Constant's
+// output, so shared weights and constants do not read as activations.
+//
+// Each spec matches one graph node:
+//   id            key other specs refer to
+//   op            opType, list of opTypes, or '*' for any
+//   from          keys of what must feed this node, each through a different
+//                 input in any order: another spec's id (some output of that
+//                 node) or a '$name' capture (a tensor; every use of the same
+//                 capture must be the same tensor)
+//   descendantOf  { key, maxDepth = 8, through }: the node is downstream of
+//                 an earlier key within maxDepth hops, and when `through`
+//                 (opTypes) is given the path passes one of them
+// Specs are matched in order and no graph node fills two specs, so list an
+// anchor first and refer only to keys bound by earlier specs (ids named in an
+// earlier `from` count as bound).
+
+export const PATTERNS = [
+  {
+    name: 'Multi-head attention',
+    category: 'attention',
+    description: 'MatMul(Q, Kᵀ) → scale/mask → Softmax → MatMul(·, V)',
+    nodes: [
+      { id: 'scores', op: 'MatMul', from: ['keys'] },
+      { id: 'keys', op: 'Transpose' },
+      { id: 'softmax', op: 'Softmax', descendantOf: { key: 'scores', maxDepth: 4 } },
+      { id: 'context', op: 'MatMul', from: ['softmax'] },
+    ],
+  },
+  {
+    name: 'LayerNorm (decomposed)',
+    category: 'normalization',
+    description: '(x − mean(x)) / sqrt(var(x) + ε) from elementwise ops',
+    nodes: [
+      { id: 'mean', op: 'ReduceMean', from: ['$x'] },
+      { id: 'center', op: 'Sub', from: ['$x', 'mean'] },
+      { id: 'square', op: ['Pow', 'Mul'], from: ['center'] },
+      { id: 'variance', op: 'ReduceMean', from: ['square'] },
+      { id: 'epsilon', op: 'Add', from: ['variance'] },
+      { id: 'std', op: 'Sqrt', from: ['epsilon'] },
+      { id: 'normalize', op: 'Div', from: ['center', 'std'] },
+    ],
+  },
+  {
+    name: 'GELU (erf)',
+    category: 'activation',
+    description: '0.5 · x · (1 + erf(x / √2))',
+    nodes: [
+      { id: 'scale', op: ['Div', 'Mul'], from: ['$x'] },
+      { id: 'erf', op: 'Erf', from: ['scale'] },
+      { id: 'shift', op: 'Add', from: ['erf'] },
+      { id: 'gate', op: 'Mul', from: ['shift'] },
+    ],
+  },
+  {
+    name: 'GELU (tanh approximation)',
+    category: 'activation',
+    description: '0.5 · x · (1 + tanh(√(2/π) · (x + 0.044715 · x³)))',
+    nodes: [
+      { id: 'cube', op: 'Pow', from: ['$x'] },
+      { id: 'coefficient', op: 'Mul', from: ['cube'] },
+      { id: 'inner', op: 'Add', from: ['$x', 'coefficient'] },
+      { id: 'scale', op: 'Mul', from: ['inner'] },
+      { id: 'tanh', op: 'Tanh', from: ['scale'] },
+      { id: 'shift', op: 'Add', from: ['tanh'] },
+      { id: 'gate', op: 'Mul', from: ['shift'] },
+    ],
+  },
+  {
+    name: 'GELU (sigmoid approximation)',
+    category: 'activation',
+    description: 'x · sigmoid(1.702 · x)',
+    nodes: [
+      { id: 'scale', op: 'Mul', from: ['$x'] },
+      { id: 'sigmoid', op: 'Sigmoid', from: ['scale'] },
+      { id: 'gate', op: 'Mul', from: ['$x', 'sigmoid'] },
+    ],
+  },
+  {
+    name: 'Residual block',
+    category: 'structure',
+    description: 'x + f(x), with f containing a Conv, MatMul or Gemm',
+    dynamic: ['$x'],
+    nodes: [
+      { id: 'add', op: 'Add', from: ['$x', 'body'] },
+      { id: 'body', op: '*', descendantOf: { key: '$x', maxDepth: 32, through: ['Conv', 'MatMul', 'Gemm'] } },
+    ],
+  },
+  {
+    name: 'Conv-BN-ReLU',
+    category: 'convolution',
+    description: 'Conv → BatchNormalization → ReLU (or Clip/LeakyReLU)',
+    nodes: [
+      { id: 'conv', op: 'Conv' },
+      { id: 'norm', op: 'BatchNormalization', from: ['conv'] },
+      { id: 'activation', op: ['Relu', 'Clip', 'LeakyRelu'], from: ['norm'] },
+    ],
+  },
+  {
+    name: 'Squeeze-excitation',
+    category: 'convolution',
+    description: 'x · sigmoid(fc(pool(x))): channel gating from a global pool',
+    nodes: [
+      { id: 'pool', op: ['GlobalAveragePool', 'ReduceMean'], from: ['$x'] },
+      { id: 'gate', op: ['Sigmoid', 'HardSigmoid'], descendantOf: { key: 'pool', maxDepth: 6, through: ['Conv', 'Gemm', 'MatMul'] } },
+      { id: 'scale', op: 'Mul', from: ['$x', 'gate'] },
+    ],
+  },
+  {
+    name: 'Q/DQ pair',
+    category: 'quantization',
+    description: 'QuantizeLinear → DequantizeLinear (fake quantization)',
+    nodes: [
+      { id: 'quantize', op: 'QuantizeLinear' },
+      { id: 'dequantize', op: 'DequantizeLinear', from: ['quantize'] },
+    ],
+  },
+];
+
+const isCapture = (key) => key.startsWith('$');
+
+/**
+ * Throws if `pattern` is malformed: missing fields, duplicate ids, or a
+ * reference to a key no earlier spec binds.
+ */
+export const validatePattern = (pattern) => {
+  const fail = (message) => {
+    throw new Error(`Pattern "${pattern?.name || '?'}": ${message}`);
+  };
+  if (!pattern?.name) fail('a name is required.');
+  if (!Array.isArray(pattern.nodes) || !pattern.nodes.length) fail('at least one node spec is required.');
+
+  const ids = new Set(pattern.nodes.map((spec) => spec.id));
+  if (ids.size !== pattern.nodes.length) fail('node ids must be present and unique.');
+  const bound = new Set();
+  pattern.nodes.forEach((spec) => {
+    if (!spec.op || (Array.isArray(spec.op) && !spec.op.length)) fail(`node "${spec.id}" needs an op.`);
+    if (isCapture(spec.id)) fail(`node id "${spec.id}" must not start with "$".`);
+    bound.add(spec.id);
+    for (const key of spec.from || []) {
+      if (!isCapture(key) && !ids.has(key)) fail(`node "${spec.id}" reads from unknown node "${key}".`);
+      bound.add(key);
+    }
+    const key = spec.descendantOf?.key;
+    if (spec.descendantOf && (!bound.has(key) || key === spec.id)) {
+      fail(`node "${spec.id}" is a descendant of "${key}", which no earlier node binds.`);
+    }
+  });
+  for (const key of pattern.dynamic || []) {
+    if (!isCapture(key) || !bound.has(key)) fail(`dynamic "${key}" is not a capture any node reads from.`);
+  }
+};
+
+const opMatches = (spec, opType) => spec.op === '*' || (Array.isArray(spec.op) ? spec.op.includes(opType) : spec.op === opType);
+
+const buildIndex = (nodes, initializers) => {
+  const producers = new Map();
+  const consumers = new Map();
+  const byOp = new Map();
+  // tensors fixed before the graph runs
+  const constants = new Set(initializers.map((tensor) => tensor.name));
+  nodes.forEach((node, index) => {
+    (node.output || []).forEach((name) => name && producers.set(name, index));
+    if (node.opType === 'Constant') (node.output || []).forEach((name) => constants.add(name));
+    for (const name of node.input || []) {
+      if (!name) continue;
+      if (!consumers.has(name)) consumers.set(name, []);
+      consumers.get(name).push(index);
+    }
+    if (!byOp.has(node.opType)) byOp.set(node.opType, []);
+    byOp.get(node.opType).push(index);
+  });
+  return { producers, consumers, byOp, constants };
+};
+
+// Nodes reading the tensors of a bound key: a capture's tensor or a node's outputs
+const readersOf = (nodes, { consumers }, key, value) => {
+  const tensors = isCapture(key) ? [value] : nodes[value].output || [];
+  return [...new Set(tensors.flatMap((name) => consumers.get(name) || []))];
+};
+
+// Nodes that could fill `spec`: those reading what an already bound `from`
+// key produces, or those within reach of a bound `descendantOf` key, else
+// every node of the spec's op
+const candidatesFor = (nodes, graphIndex, spec, bound) => {
+  if (bound.has(spec.id)) return [bound.get(spec.id)];
+  const anchor = (spec.from || []).find((key) => bound.has(key));
+  if (anchor !== undefined) return readersOf(nodes, graphIndex, anchor, bound.get(anchor));
+  const { key, maxDepth = 8 } = spec.descendantOf || {};
+  if (bound.has(key)) {
+    const reached = new Set();
+    let frontier = readersOf(nodes, graphIndex, key, bound.get(key));
+    for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+      frontier = frontier.filter((index) => !reached.has(index));
+      frontier.forEach((index) => reached.add(index));
+      frontier = frontier.flatMap((index) => readersOf(nodes, graphIndex, '', index));
+    }
+    return [...reached];
+  }
+  const { byOp } = graphIndex;
+  if (spec.op === '*') return nodes.map((_, index) => index);
+  return (Array.isArray(spec.op) ? spec.op : [spec.op]).flatMap((op) => byOp.get(op) || []);
+};
+
+// Whether node `target` is downstream of `start` (a node index or a tensor
+// name) within `maxDepth` hops, passing a `through` op when given; searched
+// backwards from the target, whose own op counts as passed.
+const isDescendant = (nodes, { producers }, target, start, { maxDepth = 8, through } = {}) => {
+  const passes = (index) => !through || through.includes(nodes[index].opType);
+  const visited = new Set();
+  let frontier = [[target, passes(target)]];
+  for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+    const next = [];
+    for (const [index, passed] of frontier) {
+      for (const input of nodes[index].input || []) {
+        if (!input) continue;
+        if (input === start && passed) return true;
+        const producer = producers.get(input);
+        if (producer === undefined) continue;
+        if (producer === start && passed) return true;
+        const state = [producer, passed || passes(producer)];
+        if (visited.has(state.join())) continue;
+        visited.add(state.join());
+        next.push(state);
+      }
+    }
+    frontier = next;
+  }
+  return false;
+};
+
+// Every way of feeding `keys` through distinct inputs of node `index`,
+// as extensions of `bound` (key -> node index, or tensor name for captures);
+// `dynamic` captures skip constant tensors
+function* bindInputs(nodes, graphIndex, index, keys, bound, dynamic, taken = new Set()) {
+  if (!keys.length) {
+    yield bound;
+    return;
+  }
+  const [key, ...rest] = keys;
+  const inputs = nodes[index].input || [];
+  for (let slot = 0; slot < inputs.length; slot++) {
+    const tensor = inputs[slot];
+    if (!tensor || taken.has(slot)) continue;
+    let value = tensor;
+    if (isCapture(key)) {
+      if (dynamic.includes(key) && graphIndex.constants.has(tensor)) continue;
+    } else {
+      value = graphIndex.producers.get(tensor);
+      if (value === undefined) continue;
+      // a graph node fills one spec only
+      if (!bound.has(key) && [...bound].some(([other, used]) => !isCapture(other) && used === value)) continue;
+    }
+    if (bound.has(key) && bound.get(key) !== value) continue;
+    yield* bindInputs(nodes, graphIndex, index, rest, new Map(bound).set(key, value), dynamic, new Set(taken).add(slot));
+  }
+}
+
+const matchPattern = (nodes, graphIndex, pattern) => {
+  const matches = new Map();
+  const search = (position, bound) => {
+    if (position === pattern.nodes.length) {
+      const roles = Object.fromEntries(pattern.nodes.map((spec) => [spec.id, bound.get(spec.id)]));
+      const members = Object.values(roles).sort((a, b) => a - b);
+      const key = members.join();
+      if (!matches.has(key)) matches.set(key, { pattern: pattern.name, category: pattern.category || '', nodes: members, roles });
+      return;
+    }
+    const spec = pattern.nodes[position];
+    for (const index of candidatesFor(nodes, graphIndex, spec, bound)) {
+      if (!opMatches(spec, nodes[index].opType)) continue;
+      if (!bound.has(spec.id) && [...bound].some(([key, used]) => !isCapture(key) && used === index)) continue;
+      const withNode = new Map(bound).set(spec.id, index);
+      for (const next of bindInputs(nodes, graphIndex, index, spec.from || [], withNode, pattern.dynamic || [])) {
+        const ancestry = spec.descendantOf;
+        if (ancestry && !isDescendant(nodes, graphIndex, index, next.get(ancestry.key), ancestry)) continue;
+        search(position + 1, next);
+      }
+    }
+  };
+  search(0, new Map());
+  return [...matches.values()];
+};
+
+/**
+ * Finds every occurrence of `patterns` (see PATTERNS; custom ones are
+ * checked with validatePattern) among one graph's `nodes`; its
+ * `initializers` (objects with a name) keep `dynamic` captures off constant
+ * tensors. Returns { matches, summary }: matches are { pattern, category,
+ * nodes, roles } with `nodes` the matched node indices and `roles` spec id ->
+ * node index, and summary lists { name, category, description, count } per
+ * pattern name found, most frequent first.
+ */
+export const recognizePatterns = (nodes, patterns = PATTERNS, initializers = []) => {
+  patterns.forEach(validatePattern);
+  const graphIndex = buildIndex(nodes, initializers);
+  const matches = patterns.flatMap((pattern) => matchPattern(nodes, graphIndex, pattern));
+
+  const summary = new Map();
+  for (const pattern of patterns) {
+    const count = matches.filter((match) => match.pattern === pattern.name).length;
+    if (!count || summary.has(pattern.name)) continue;
+    summary.set(pattern.name, { name: pattern.name, category: pattern.category || '', description: pattern.description || '', count });
+  }
+  return { matches, summary: [...summary.values()].sort((a, b) => b.count - a.count) };
+};
+
+/** Node index -> names of the patterns it is part of. */
+export const patternLabels = (matches) => {
+  const labels = new Map();
+  for (const match of matches || []) {
+    for (const index of match.nodes) {
+      const names = labels.get(index) || [];
+      if (!names.includes(match.pattern)) labels.set(index, [...names, match.pattern]);
+    }
+  }
+  return labels;
+};
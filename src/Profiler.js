@@ -0,0 +1,184 @@
+// Per-operator latency profiles. onnxruntime writes Chrome-trace JSON: one
+// "model_run" event per run and a "<node>_kernel_time" event per executed
+// node. Traces are recorded live from the WASM runtime or imported from a
+// native run, and reduced to per-node and per-op-type timings.
+import { createSession, runSession } from './InferenceRunner.js';
+import { encodeModel } from './ModelSerializer.js';
+
+const KERNEL_SUFFIX = '_kernel_time';
+
+const traceEvents = (trace) => {
+  const events = Array.isArray(trace) ? trace : trace?.traceEvents;
+  if (!Array.isArray(events)) throw new Error('Not an onnxruntime profile: expected a JSON array of trace events.');
+  return events.filter((event) => event && event.ph === 'X' && typeof event.dur === 'number');
+};
+
+/**
+ * Reduces an onnxruntime trace (the event array, or { traceEvents }) to a
+ * profile, leaving out the first `skipRuns` runs as warmup. Returns
+ * { runs, runMs, totalMs, nodes, operators }: `nodes` are
+ * { name, nodeIndex, opType, provider, meanMs, share } sorted slowest first,
+ * `operators` the same per op type with a node count. Times are means per
+ * run; `share` is the fraction of the summed node time.
+ */
+export const parseProfileTrace = (trace, { skipRuns = 0 } = {}) => {
+  const events = traceEvents(trace);
+  const runs = events
+    .filter((event) => event.cat === 'Session' && event.name === 'model_run')
+    .sort((a, b) => a.ts - b.ts)
+    .slice(skipRuns);
+  const inRun = (event) => !runs.length || runs.some((run) => event.ts >= run.ts && event.ts <= run.ts + run.dur);
+
+  const nodes = new Map();
+  for (const event of events) {
+    if (event.cat !== 'Node' || !event.name.endsWith(KERNEL_SUFFIX) || !inRun(event)) continue;
+    const name = event.name.slice(0, -KERNEL_SUFFIX.length);
+    const nodeIndex = event.args?.node_index !== undefined ? Number(event.args.node_index) : null;
+    const key = name || `#${nodeIndex}`;
+    const entry = nodes.get(key) || {
+      name,
+      nodeIndex,
+      opType: event.args?.op_name || '',
+      provider: event.args?.provider || '',
+      calls: 0,
+      totalUs: 0,
+    };
+    entry.calls++;
+    entry.totalUs += event.dur;
+    nodes.set(key, entry);
+  }
+  if (!nodes.size) throw new Error('The trace has no node timings. Was it recorded with profiling on?');
+
+  const runCount = runs.length || Math.max(...[...nodes.values()].map((entry) => entry.calls));
+  const perNode = [...nodes.values()].map(({ calls, totalUs, ...entry }) => ({ ...entry, calls, meanMs: totalUs / runCount / 1000 }));
+  const totalMs = perNode.reduce((sum, entry) => sum + entry.meanMs, 0);
+  perNode.forEach((entry) => (entry.share = totalMs ? entry.meanMs / totalMs : 0));
+
+  const operators = new Map();
+  for (const entry of perNode) {
+    const op = operators.get(entry.opType) || { opType: entry.opType, nodes: 0, meanMs: 0, share: 0 };
+    op.nodes++;
+    op.meanMs += entry.meanMs;
+    op.share += entry.share;
+    operators.set(entry.opType, op);
+  }
+
+  return {
+    runs: runCount,
+    runMs: runs.length ? runs.reduce((sum, run) => sum + run.dur, 0) / runs.length / 1000 : null,
+    totalMs,
+    nodes: perNode.sort((a, b) => b.meanMs - a.meanMs),
+    operators: [...operators.values()].sort((a, b) => b.meanMs - a.meanMs),
+  };
+};
+
+// The runtime prints the trace as "[", one event per line, "]"
+const traceFromOutput = (lines) => {
+  const start = lines.lastIndexOf('[');
+  const end = lines.indexOf(']', start);
+  if (start < 0 || end < 0) throw new Error('The runtime did not print a profile.');
+  return JSON.parse(lines.slice(start, end + 1).join('\n'));
+};
+
+// onnxruntime-web has no API that returns the trace: the WASM module prints
+// it on its stdout, synchronously within session.endProfiling(). `redirect`
+// points that stdout at a collector and returns the undo, so nothing but that
+// one call's output is diverted, and concurrent profiles cannot interleave.
+const endProfilingOutput = (session, redirect) => {
+  const lines = [];
+  const restore = redirect((text) => lines.push(...text.replace(/\n$/, '').split('\n')));
+  try {
+    session.endProfiling();
+  } finally {
+    restore();
+  }
+  return lines;
+};
+
+// Under Node the module writes its stdout with fs.writeSync(1)
+const redirectNodeStdout = (collect) => {
+  const fs = globalThis.process.getBuiltinModule('fs');
+  const { writeSync } = fs;
+  fs.writeSync = (fd, data, ...rest) => {
+    if (fd !== 1 || typeof data !== 'string') return writeSync.call(fs, fd, data, ...rest);
+    collect(data);
+    return new TextEncoder().encode(data).length;
+  };
+  return () => {
+    fs.writeSync = writeSync;
+  };
+};
+
+/**
+ * The session side of profileModel, run where the runtime's stdout can be
+ * redirected (see ProfilerWorker): `redirect(collect)` sends what the
+ * runtime prints to `collect(text)` until the function it returns is called.
+ */
+export const recordProfile = async (model, feeds, options, redirect) => {
+  const { iterations = 10, warmup = 2, optimize = false, externalFiles = [] } = options;
+  const { session } = await createSession(encodeModel(model), {
+    model,
+    externalFiles,
+    sessionOptions: { enableProfiling: true, graphOptimizationLevel: optimize ? 'all' : 'disabled' },
+  });
+  const wall = [];
+  let lines;
+  try {
+    for (let i = 0; i < warmup + iterations; i++) {
+      const { runMs } = await runSession(session, feeds);
+      if (i >= warmup) wall.push(runMs);
+    }
+    lines = endProfilingOutput(session, redirect);
+  } finally {
+    await session.release();
+  }
+  return {
+    ...parseProfileTrace(traceFromOutput(lines), { skipRuns: warmup }),
+    wallMs: wall.reduce((sum, ms) => sum + ms, 0) / wall.length,
+  };
+};
+
+/**
+ * Profiles `model` in the WASM runtime: `warmup` untimed runs, then
+ * `iterations` profiled ones on `feeds`. Graph optimizations are off unless
+ * `optimize` is set, so every timing maps back to a node of the model as
+ * written. Returns the parsed profile plus `wallMs`, the mean run time
+ * measured around session.run. Runs in a worker of its own (ProfilerWorker),
+ * or on the current thread under Node.
+ */
+export const profileModel = (model, feeds, options = {}) => {
+  // not `typeof Worker`: under Node onnxruntime installs a global Worker itself
+  if (globalThis.process?.versions?.node) return recordProfile(model, feeds, options, redirectNodeStdout);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./ProfilerWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.type === 'result') resolve(data.data);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Profiler worker failed.'));
+    };
+    worker.postMessage({ model, feeds, options });
+  });
+};
+
+/**
+ * Mean milliseconds per parsed graph node index. Timings match nodes by
+ * name, or by onnxruntime's node index for unnamed nodes. Nodes the runtime
+ * fused away or never ran have no entry.
+ */
+export const nodeLatencies = (profile, graphNodes) => {
+  const byName = new Map();
+  graphNodes.forEach((node, index) => {
+    if (node.name && !byName.has(node.name)) byName.set(node.name, index);
+  });
+  const latencies = {};
+  for (const entry of profile.nodes) {
+    const index = entry.name ? byName.get(entry.name) : entry.nodeIndex;
+    if (index !== undefined && index !== null && graphNodes[index]) latencies[index] = entry.meanMs;
+  }
+  return latencies;
+};
@@ -0,0 +1,25 @@
+// Runs recordProfile for profileModel. In a browser the WASM module prints
+// its profiling trace through the console.log it binds when it starts; this
+// worker has a runtime of its own and routes its own console.log through
+// `collect` before loading it, so the trace is read back without touching the
+// page's console. Output outside session.endProfiling() still gets logged.
+import { recordProfile } from './Profiler.js';
+
+const log = console.log;
+let collect = null;
+console.log = (...args) => (collect ? collect(args.join(' ')) : log(...args));
+
+const redirectConsole = (target) => {
+  collect = target;
+  return () => {
+    collect = null;
+  };
+};
+
+self.onmessage = async ({ data: { model, feeds, options } }) => {
+  try {
+    self.postMessage({ type: 'result', data: await recordProfile(model, feeds, options, redirectConsole) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,397 @@
+// Quantization report: where scales and zero points live, which parts of
+// the graph run in integer arithmetic, suspicious quantization parameters
+// and the weight size saved against an all-float32 model.
+import { TENSOR_TYPES, decodeTensorObject } from './TensorDecoder.js';
+import { getAttribute } from './NodeAttributes.js';
+import { topologicalSort } from './GraphUtils.js';
+
+// Quantized operands of each op: the input slot (or output slot) holding
+// the integer tensor and the input slots of its scale and zero point. `axis`
+// is the channel axis of per-channel parameters when the op has no attribute
+// for it; `blocked` ops store per-block scales as a flat list.
+const QUANT_OPS = {
+  QuantizeLinear: [{ output: 0, scale: 1, zeroPoint: 2 }],
+  DequantizeLinear: [{ input: 0, scale: 1, zeroPoint: 2 }],
+  DynamicQuantizeLinear: [],
+  QLinearConv: [
+    { input: 0, scale: 1, zeroPoint: 2 },
+    { input: 3, scale: 4, zeroPoint: 5, axis: 0 },
+    { output: 0, scale: 6, zeroPoint: 7 },
+  ],
+  QLinearMatMul: [
+    { input: 0, scale: 1, zeroPoint: 2 },
+    { input: 3, scale: 4, zeroPoint: 5, axis: -1 },
+    { output: 0, scale: 6, zeroPoint: 7 },
+  ],
+  MatMulInteger: [{ input: 0, zeroPoint: 2 }, { input: 1, zeroPoint: 3, axis: -1 }],
+  ConvInteger: [{ input: 0, zeroPoint: 2 }, { input: 1, zeroPoint: 3, axis: 0 }],
+  // com.microsoft contrib ops
+  QGemm: [
+    { input: 0, scale: 1, zeroPoint: 2 },
+    { input: 3, scale: 4, zeroPoint: 5, axis: -1 },
+    { output: 0, scale: 7, zeroPoint: 8 },
+  ],
+  QLinearAdd: [
+    { input: 0, scale: 1, zeroPoint: 2 },
+    { input: 3, scale: 4, zeroPoint: 5 },
+    { output: 0, scale: 6, zeroPoint: 7 },
+  ],
+  QLinearMul: [
+    { input: 0, scale: 1, zeroPoint: 2 },
+    { input: 3, scale: 4, zeroPoint: 5 },
+    { output: 0, scale: 6, zeroPoint: 7 },
+  ],
+  QLinearSigmoid: [{ input: 0, scale: 1, zeroPoint: 2 }, { output: 0, scale: 3, zeroPoint: 4 }],
+  QLinearLeakyRelu: [{ input: 0, scale: 1, zeroPoint: 2 }, { output: 0, scale: 3, zeroPoint: 4 }],
+  QLinearSoftmax: [{ input: 0, scale: 1, zeroPoint: 2 }, { output: 0, scale: 3, zeroPoint: 4 }],
+  QLinearGlobalAveragePool: [{ input: 0, scale: 1, zeroPoint: 2 }, { output: 0, scale: 3, zeroPoint: 4 }],
+  QLinearAveragePool: [{ input: 0, scale: 1, zeroPoint: 2 }, { output: 0, scale: 3, zeroPoint: 4 }],
+  MatMulIntegerToFloat: [{ input: 0, scale: 2, zeroPoint: 4 }, { input: 1, scale: 3, zeroPoint: 5, axis: -1 }],
+  DynamicQuantizeMatMul: [{ input: 1, scale: 2, zeroPoint: 3, axis: -1 }],
+  MatMulNBits: [{ input: 1, scale: 2, zeroPoint: 3, blocked: true }],
+};
+
+// Conversions between float and integer tensors
+const CONVERT_OPS = new Set(['QuantizeLinear', 'DequantizeLinear', 'DynamicQuantizeLinear']);
+// Integer ops whose activations stay float; only the weights are quantized
+const WEIGHT_ONLY_OPS = new Set(['MatMulNBits', 'DynamicQuantizeMatMul', 'MatMulIntegerToFloat']);
+// Ops that move or select elements, so run on integer tensors unchanged
+const LAYOUT_OPS = new Set([
+  'Reshape', 'Transpose', 'Squeeze', 'Unsqueeze', 'Flatten', 'Concat', 'Split', 'Slice', 'Gather',
+  'Identity', 'MaxPool', 'Pad', 'Resize', 'DepthToSpace', 'SpaceToDepth', 'Tile', 'Expand',
+]);
+const HALF_TYPES = new Set(['float16', 'bfloat16']);
+const FLOAT_TYPES = new Set(['float32', 'float64', 'float16', 'bfloat16']);
+
+// Scale bounds outside which a scale is reported as suspicious, and the
+// largest ratio tolerated between the channels of one per-channel scale
+const TINY_SCALE = 1e-8;
+const HUGE_SCALE = 1e3;
+const MAX_CHANNEL_SPREAD = 1e4;
+
+/** Precisions a node can run at, as reported per node by analyzeQuantization. */
+export const PRECISIONS = ['quantized', 'weight-only', 'half', 'float', 'convert'];
+
+const nodeLabel = (node, index) => node.name || `${node.opType} #${index}`;
+
+const finding = (severity, code, message, suggestion, nodeIndex, node) => ({
+  severity,
+  code,
+  message,
+  suggestion,
+  ...(nodeIndex !== undefined ? { nodeIndex, node: nodeLabel(node, nodeIndex) } : {}),
+});
+
+// Constant tensors by name: initializers plus Constant node outputs
+const collectConstants = (nodes, initializers) => {
+  const constants = new Map(initializers.map((tensor) => [tensor.name, tensor]));
+  for (const node of nodes) {
+    if (node.opType !== 'Constant' || !node.output[0]) continue;
+    const value = getAttribute(node, 'value');
+    if (value) constants.set(node.output[0], decodeTensorObject(value));
+    const float = getAttribute(node, 'value_float');
+    if (float !== undefined) constants.set(node.output[0], { dtype: 'float32', shape: [], elementCount: 1, data: [float] });
+    const floats = getAttribute(node, 'value_floats');
+    if (floats) constants.set(node.output[0], { dtype: 'float32', shape: [floats.length], elementCount: floats.length, data: floats });
+  }
+  return constants;
+};
+
+const sameValues = (a, b) => {
+  if (!a?.data || !b?.data) return a === b;
+  if (a.data.length !== b.data.length) return false;
+  for (let i = 0; i < a.data.length; i++) if (Number(a.data[i]) !== Number(b.data[i])) return false;
+  return true;
+};
+
+const scaleRange = (scale) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of scale.data) {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  }
+  return { min, max };
+};
+
+// Decoded scale and zero-point tensors of each parameter entry, kept out of
+// the entries themselves so the report stays small
+const tensorsOf = new WeakMap();
+
+// Quantization parameters of every quantized operand in the graph
+const collectParameters = (nodes, constants, valueInfo) =>
+  nodes.flatMap((node, index) =>
+    (QUANT_OPS[node.opType] || []).flatMap((operand) => {
+      const tensor = operand.output !== undefined ? node.output[operand.output] : node.input[operand.input];
+      if (!tensor) return [];
+      const scaleName = operand.scale !== undefined ? node.input[operand.scale] || null : null;
+      const zeroPointName = node.input[operand.zeroPoint] || null;
+      const scale = scaleName && constants.get(scaleName);
+      const zeroPoint = zeroPointName && constants.get(zeroPointName);
+      const outputType = getAttribute(node, 'output_dtype', 0);
+      const quantType =
+        zeroPoint?.dtype ||
+        constants.get(tensor)?.dtype ||
+        (outputType ? TENSOR_TYPES[outputType]?.dtype : null) ||
+        (valueInfo[tensor] && !FLOAT_TYPES.has(valueInfo[tensor].dtype) ? valueInfo[tensor].dtype : null) ||
+        'uint8';
+
+      let granularity = 'per-tensor';
+      if (scaleName && !scale?.data) granularity = 'dynamic';
+      else if (operand.blocked || (scale && scale.shape.length > 1)) granularity = 'per-block';
+      else if (scale && scale.elementCount > 1) granularity = 'per-channel';
+      const rank = constants.get(tensor)?.shape.length ?? valueInfo[tensor]?.shape?.length;
+      const axisValue = getAttribute(node, 'axis', operand.axis ?? 1);
+      const axis = granularity === 'per-channel' ? (axisValue < 0 && rank ? axisValue + rank : axisValue) : null;
+
+      const entry = {
+        nodeIndex: index,
+        node: nodeLabel(node, index),
+        opType: node.opType,
+        tensor,
+        kind: constants.has(tensor) ? 'weight' : 'activation',
+        scale: scaleName,
+        zeroPoint: zeroPointName,
+        quantType,
+        granularity,
+        axis,
+        channels: granularity === 'per-tensor' || granularity === 'dynamic' ? 1 : scale?.elementCount ?? 1,
+        ...(scale?.data ? scaleRange(scale) : { min: null, max: null }),
+      };
+      tensorsOf.set(entry, { scale, zeroPoint });
+      return [entry];
+    })
+  );
+
+const checkScales = (parameters, nodes) => {
+  const findings = [];
+  const checked = new Set();
+  for (const p of parameters) {
+    const { scale } = tensorsOf.get(p);
+    if (!scale?.data || checked.has(p.scale)) continue;
+    checked.add(p.scale);
+    const values = Array.from(scale.data, Number);
+    const node = nodes[p.nodeIndex];
+    const where = `Scale "${p.scale}" of "${p.tensor}"`;
+    if (values.some((v) => !Number.isFinite(v))) {
+      findings.push(finding('error', 'SCALE_NOT_FINITE', `${where} holds NaN or Inf.`, 'Recalibrate; the calibration data probably produced an empty or infinite range.', p.nodeIndex, node));
+    } else if (values.some((v) => v < 0)) {
+      findings.push(finding('error', 'SCALE_NEGATIVE', `${where} is negative.`, 'Scales must be positive; recalibrate or fix the exporter.', p.nodeIndex, node));
+    } else if (values.some((v) => v === 0)) {
+      const zeros = values.filter((v) => v === 0).length;
+      findings.push(finding('error', 'SCALE_ZERO', `${where} is zero${values.length > 1 ? ` in ${zeros} of ${values.length} channels` : ''}.`, 'A zero scale divides by zero when quantizing; give dead channels a small positive scale.', p.nodeIndex, node));
+    } else {
+      if (p.min < TINY_SCALE) {
+        findings.push(finding('warning', 'SCALE_TINY', `${where} goes down to ${p.min.toExponential(2)}.`, 'Such a small range usually means a dead channel or a calibration problem.', p.nodeIndex, node));
+      }
+      if (p.max > HUGE_SCALE) {
+        findings.push(finding('warning', 'SCALE_HUGE', `${where} goes up to ${p.max.toExponential(2)}, so one step is larger than most values.`, 'Check the calibration range for outliers; consider per-channel quantization or clipping.', p.nodeIndex, node));
+      }
+      if (p.granularity === 'per-channel' && p.max / p.min > MAX_CHANNEL_SPREAD) {
+        findings.push(finding('warning', 'SCALE_SPREAD', `${where} spans ${p.min.toExponential(2)} to ${p.max.toExponential(2)} across channels.`, 'Channels this far apart often point at outlier channels worth inspecting.', p.nodeIndex, node));
+      }
+    }
+  }
+  return findings;
+};
+
+// A tensor written with one scale/zero point and read with another is
+// dequantized wrongly
+const checkMismatches = (parameters, nodes) => {
+  const findings = [];
+  const byTensor = new Map();
+  for (const p of parameters) {
+    if (!tensorsOf.get(p).scale?.data) continue;
+    if (!byTensor.has(p.tensor)) byTensor.set(p.tensor, []);
+    byTensor.get(p.tensor).push(p);
+  }
+  for (const [tensor, uses] of byTensor) {
+    const [first, ...rest] = uses;
+    const a = tensorsOf.get(first);
+    for (const other of rest) {
+      const b = tensorsOf.get(other);
+      if (sameValues(a.scale, b.scale) && sameValues(a.zeroPoint, b.zeroPoint)) continue;
+      findings.push(
+        finding(
+          'warning',
+          'SCALE_MISMATCH',
+          `"${tensor}" is quantized with ${first.scale}/${first.zeroPoint || 'default'} at ${first.node} but with ${other.scale}/${other.zeroPoint || 'default'} at ${other.node}.`,
+          'Both sides of a quantized tensor must agree on scale and zero point.',
+          other.nodeIndex,
+          nodes[other.nodeIndex]
+        )
+      );
+    }
+  }
+  return findings;
+};
+
+// DequantizeLinear feeding QuantizeLinear directly: a round trip through
+// float that is a no-op when the parameters match, a requantization otherwise
+const findRedundantPairs = (nodes, parameters, consumers) => {
+  const paramsOf = (index) => parameters.find((p) => p.nodeIndex === index);
+  const pairs = [];
+  nodes.forEach((node, index) => {
+    if (node.opType !== 'DequantizeLinear') return;
+    for (const next of consumers.get(node.output[0]) || []) {
+      if (nodes[next].opType !== 'QuantizeLinear') continue;
+      const a = tensorsOf.get(paramsOf(index));
+      const b = tensorsOf.get(paramsOf(next));
+      const identical = !!a.scale?.data && sameValues(a.scale, b.scale) && sameValues(a.zeroPoint, b.zeroPoint);
+      pairs.push({ dequantize: index, quantize: next, identical });
+    }
+  });
+  return pairs;
+};
+
+// Per-node precision, in graph order so integer tensors can be followed
+// through layout ops
+const assignPrecision = (nodes, constants, valueInfo, consumers, producers) => {
+  const precision = nodes.map(() => 'float');
+  const integerTensors = new Set();
+  const isDequantizedWeight = (name) => {
+    const producer = producers.get(name);
+    return producer !== undefined && nodes[producer].opType === 'DequantizeLinear' && constants.has(nodes[producer].input[0]);
+  };
+  const { order, cyclic } = topologicalSort(nodes);
+
+  for (const index of [...order, ...cyclic]) {
+    const node = nodes[index];
+    const op = node.opType;
+    const activations = node.input.filter((name) => name && !constants.has(name) && !isDequantizedWeight(name));
+    const outputs = node.output.filter(Boolean);
+    const sandwiched =
+      activations.length > 0 &&
+      activations.every((name) => nodes[producers.get(name)]?.opType === 'DequantizeLinear') &&
+      outputs.length > 0 &&
+      outputs.every((name) => (consumers.get(name) || []).length && consumers.get(name).every((c) => nodes[c].opType === 'QuantizeLinear'));
+
+    if (CONVERT_OPS.has(op)) {
+      precision[index] = 'convert';
+      if (op !== 'DequantizeLinear') integerTensors.add(node.output[0]);
+    } else if (WEIGHT_ONLY_OPS.has(op)) {
+      precision[index] = 'weight-only';
+    } else if (QUANT_OPS[op]) {
+      precision[index] = 'quantized';
+      if (op.startsWith('QLinear') || op === 'QGemm') outputs.forEach((name) => integerTensors.add(name));
+    } else if (LAYOUT_OPS.has(op) && integerTensors.has(node.input[0])) {
+      precision[index] = 'quantized';
+      outputs.forEach((name) => integerTensors.add(name));
+    } else if (sandwiched) {
+      // QDQ format: runtimes fuse DQ → op → Q into the integer kernel
+      precision[index] = 'quantized';
+    } else if (node.input.some(isDequantizedWeight)) {
+      precision[index] = 'weight-only';
+    } else if (outputs.some((name) => HALF_TYPES.has(valueInfo[name]?.dtype))) {
+      precision[index] = 'half';
+    }
+  }
+  return precision;
+};
+
+// Connected runs of nodes at the same precision, conversions left out
+const findRegions = (nodes, precision, consumers) => {
+  const parent = nodes.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  nodes.forEach((node, index) => {
+    if (precision[index] === 'convert') return;
+    for (const name of node.output) {
+      for (const next of consumers.get(name) || []) {
+        if (precision[next] === precision[index]) parent[find(next)] = find(index);
+      }
+    }
+  });
+  const regions = new Map();
+  nodes.forEach((_, index) => {
+    if (precision[index] === 'convert') return;
+    const root = find(index);
+    if (!regions.has(root)) regions.set(root, { precision: precision[index], nodes: [] });
+    regions.get(root).nodes.push(index);
+  });
+  return [...regions.values()];
+};
+
+// Stored weight bytes against the same weights in float32; scales and zero
+// points only exist because of quantization and count as overhead
+const estimateSize = (initializers, parameters) => {
+  const overheadNames = new Set(parameters.flatMap((p) => [p.scale, p.zeroPoint]).filter(Boolean));
+  const reduced = (dtype) => !['float32', 'float64', 'int32', 'int64', 'uint32', 'uint64', 'bool', 'string', 'complex64', 'complex128'].includes(dtype);
+  let actualBytes = 0;
+  let fp32Bytes = 0;
+  let overheadBytes = 0;
+  for (const tensor of initializers) {
+    actualBytes += tensor.byteSize;
+    if (overheadNames.has(tensor.name)) overheadBytes += tensor.byteSize;
+    else fp32Bytes += reduced(tensor.dtype) ? tensor.elementCount * 4 : tensor.byteSize;
+  }
+  return { actualBytes, fp32Bytes, overheadBytes, savedBytes: fp32Bytes - actualBytes, ratio: fp32Bytes ? actualBytes / fp32Bytes : 1 };
+};
+
+/**
+ * Quantization report for one graph. `nodes` are NodeProto objects,
+ * `initializers` come from TensorDecoder and `valueInfo` from
+ * ShapeInference. Returns:
+ *   quantized   whether any quantization op or reduced-precision weight exists
+ *   ops         opType -> count for the quantization ops found
+ *   parameters  one entry per quantized operand: { nodeIndex, node, opType,
+ *               tensor, kind ('weight' | 'activation'), scale, zeroPoint,
+ *               quantType, granularity ('per-tensor' | 'per-channel' |
+ *               'per-block' | 'dynamic'), axis, channels, min, max }
+ *   precision   per node, one of PRECISIONS
+ *   counts      precision -> number of nodes
+ *   regions     [{ precision, nodes }] connected runs at one precision
+ *   pairs       DequantizeLinear → QuantizeLinear pairs { dequantize,
+ *               quantize, identical }; identical ones are no-ops
+ *   findings    suspicious scales, in ModelChecker's finding format
+ *   size        { actualBytes, fp32Bytes, overheadBytes, savedBytes, ratio }
+ */
+export const analyzeQuantization = (nodes, initializers, valueInfo = {}) => {
+  const constants = collectConstants(nodes, initializers);
+  const producers = new Map();
+  const consumers = new Map();
+  nodes.forEach((node, index) => {
+    node.output.forEach((name) => name && producers.set(name, index));
+    for (const name of new Set(node.input)) {
+      if (!name) continue;
+      if (!consumers.has(name)) consumers.set(name, []);
+      consumers.get(name).push(index);
+    }
+  });
+
+  const ops = {};
+  for (const node of nodes) {
+    if (QUANT_OPS[node.opType]) ops[node.opType] = (ops[node.opType] || 0) + 1;
+  }
+  const parameters = collectParameters(nodes, constants, valueInfo);
+  const precision = assignPrecision(nodes, constants, valueInfo, consumers, producers);
+  const pairs = findRedundantPairs(nodes, parameters, consumers);
+  const findings = [...checkScales(parameters, nodes), ...checkMismatches(parameters, nodes)];
+  const identical = pairs.filter((pair) => pair.identical).length;
+  if (identical) {
+    findings.push(
+      finding(
+        'info',
+        'REDUNDANT_DQ_Q',
+        `${identical} DequantizeLinear → QuantizeLinear pair(s) round-trip through float with the same parameters.`,
+        'Remove the pair and connect the integer tensor directly.'
+      )
+    );
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  findings.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  const counts = Object.fromEntries(PRECISIONS.map((p) => [p, precision.filter((q) => q === p).length]));
+  const size = estimateSize(initializers, parameters);
+  return {
+    quantized: Object.keys(ops).length > 0 || size.fp32Bytes > size.actualBytes,
+    ops,
+    parameters,
+    precision,
+    counts,
+    regions: findRegions(nodes, precision, consumers),
+    pairs,
+    findings,
+    size,
+  };
+};
@@ -0,0 +1,687 @@
+// Static dtype/shape inference over the main graph. A dim is a number (static),
+// a string (symbolic, e.g. 'batch' or 'batch*3') or null (unknown); a shape
+// of null means even the rank is unknown.
+import { TENSOR_TYPES, decodeTensorObject } from './TensorDecoder.js';
+import { getAttribute } from './NodeAttributes.js';
+import { topologicalSort } from './GraphUtils.js';
+
+// Small integer tensors keep their values so Shape -> Gather -> Reshape
+// chains can be followed.
+const MAX_TRACKED_VALUES = 64;
+
+const UNKNOWN = { dtype: 'undefined', shape: null };
+
+export const dtypeName = (elemType) => TENSOR_TYPES[Number(elemType)]?.dtype || 'undefined';
+
+const isStatic = (d) => typeof d === 'number';
+
+export const formatShape = (shape) =>
+  shape ? `[${shape.map((d) => (d === null ? '?' : d)).join('×')}]` : '[?]';
+
+const parseDim = (dim) => {
+  if (dim.dimValue !== undefined && dim.dimValue !== null) return Number(dim.dimValue);
+  return dim.dimParam || null;
+};
+
+/** Reads a TypeProto (toObject form) into { kind, dtype, shape }. */
+export const parseTypeProto = (type) => {
+  const tensor = type?.tensorType || type?.sparseTensorType;
+  if (tensor) {
+    return {
+      kind: type.tensorType ? 'tensor' : 'sparse_tensor',
+      dtype: dtypeName(tensor.elemType),
+      shape: tensor.shape ? tensor.shape.dim.map(parseDim) : null,
+    };
+  }
+  if (type?.sequenceType) return { kind: 'sequence', ...UNKNOWN };
+  if (type?.mapType) return { kind: 'map', ...UNKNOWN };
+  if (type?.optionalType) return { kind: 'optional', ...UNKNOWN };
+  return { kind: 'unknown', ...UNKNOWN };
+};
+
+// --- dim arithmetic ---------------------------------------------------------
+
+const factor = (dims) => {
+  let product = 1;
+  const symbols = [];
+  for (const d of dims) {
+    if (d === null) return null;
+    if (isStatic(d)) {
+      product *= d;
+      continue;
+    }
+    for (const part of d.split('*')) {
+      if (/^\d+$/.test(part)) product *= Number(part);
+      else symbols.push(part);
+    }
+  }
+  return { product, symbols };
+};
+
+const mulDims = (dims) => {
+  const f = factor(dims);
+  if (!f) return null;
+  if (!f.symbols.length || f.product === 0) return f.product;
+  return [...(f.product !== 1 ? [f.product] : []), ...f.symbols].join('*');
+};
+
+const divideDims = (numerator, denominator) => {
+  const n = factor(numerator);
+  const d = factor(denominator);
+  if (!n || !d || d.product === 0 || n.product % d.product) return null;
+  const symbols = [...n.symbols];
+  for (const s of d.symbols) {
+    const index = symbols.indexOf(s);
+    if (index === -1) return null;
+    symbols.splice(index, 1);
+  }
+  return mulDims([n.product / d.product, ...symbols]);
+};
+
+const addDims = (a, b) => (isStatic(a) && isStatic(b) ? a + b : null);
+
+const broadcastDim = (a, b) => {
+  if (a === 1) return b;
+  if (b === 1 || a === b) return a;
+  if (isStatic(a) && !isStatic(b)) return a;
+  if (isStatic(b) && !isStatic(a)) return b;
+  return null;
+};
+
+const broadcastShapes = (shapes) => {
+  if (shapes.some((s) => !s)) return null;
+  const rank = Math.max(...shapes.map((s) => s.length));
+  return Array.from({ length: rank }, (_, i) =>
+    shapes.map((s) => s[s.length - rank + i] ?? 1).reduce(broadcastDim)
+  );
+};
+
+const normalizeAxis = (axis, rank) => (axis < 0 ? axis + rank : axis);
+
+const elementCount = (dims) => dims.reduce((a, b) => a * b, 1);
+
+// Row-major values of `inputs` joined along `axis`: for each index of the
+// dims before it, one block from every input in turn. Undefined unless every
+// input's value and static shape are known.
+const concatValues = (inputs, axis) => {
+  const complete = (i) => i.value && i.shape.every(isStatic) && i.value.length === elementCount(i.shape);
+  if (!inputs.every(complete)) return undefined;
+  const blocks = inputs.map((i) => elementCount(i.shape.slice(axis)));
+  const value = [];
+  for (let outer = 0; outer < elementCount(inputs[0].shape.slice(0, axis)); outer++) {
+    inputs.forEach((input, k) => value.push(...input.value.slice(outer * blocks[k], (outer + 1) * blocks[k])));
+  }
+  return value;
+};
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+const sliceIndices = (dim, start, end, step) => {
+  if (start < 0) start += dim;
+  if (end < 0) end += dim;
+  const indices = [];
+  if (step > 0) {
+    for (let i = clamp(start, 0, dim); i < clamp(end, 0, dim); i += step) indices.push(i);
+  } else {
+    for (let i = clamp(start, 0, dim - 1); i > clamp(end, -1, dim - 1); i += step) indices.push(i);
+  }
+  return indices;
+};
+
+const sliceLength = (dim, start, end, step) => {
+  if (isStatic(dim)) return sliceIndices(dim, start, end, step).length;
+  return start === 0 && end >= 2 ** 31 - 1 && step === 1 ? dim : null;
+};
+
+// kernel/stride/pad arithmetic shared by Conv and the pooling ops
+const spatialOutput = (inDim, kernel, stride, dilation, padBegin, padEnd, autoPad, ceilMode) => {
+  if (!isStatic(inDim) || !isStatic(kernel)) return null;
+  const effective = (kernel - 1) * dilation + 1;
+  if (autoPad === 'SAME_UPPER' || autoPad === 'SAME_LOWER') return Math.ceil(inDim / stride);
+  if (autoPad === 'VALID') return Math.floor((inDim - effective) / stride) + 1;
+  const round = ceilMode ? Math.ceil : Math.floor;
+  return round((inDim + padBegin + padEnd - effective) / stride) + 1;
+};
+
+const windowedShape = (ctx, x, kernel, channels) => {
+  if (!x.shape || !kernel) return null;
+  const spatial = x.shape.length - 2;
+  const strides = ctx.attr('strides', Array(spatial).fill(1));
+  const dilations = ctx.attr('dilations', Array(spatial).fill(1));
+  const pads = ctx.attr('pads', Array(spatial * 2).fill(0));
+  const autoPad = ctx.attr('auto_pad', 'NOTSET');
+  const ceilMode = ctx.attr('ceil_mode', 0) === 1;
+  return [
+    x.shape[0],
+    channels,
+    ...x.shape
+      .slice(2)
+      .map((d, i) =>
+        spatialOutput(d, kernel[i], strides[i], dilations[i], pads[i], pads[i + spatial], autoPad, ceilMode)
+      ),
+  ];
+};
+
+// --- constant value helpers -------------------------------------------------
+
+const tensorInfo = (decoded) => {
+  const info = { dtype: decoded.dtype, shape: decoded.shape };
+  if (decoded.data && decoded.elementCount <= MAX_TRACKED_VALUES && decoded.dtype !== 'string') {
+    info.value = Array.from(decoded.data, Number);
+  }
+  return info;
+};
+
+const elementwiseValue = (a, b, fn) => {
+  if (!a || !b || a.some((v) => !isStatic(v)) || b.some((v) => !isStatic(v))) return undefined;
+  if (a.length !== b.length && a.length !== 1 && b.length !== 1) return undefined;
+  const length = Math.max(a.length, b.length);
+  return Array.from({ length }, (_, i) => fn(a[a.length === 1 ? 0 : i], b[b.length === 1 ? 0 : i]));
+};
+
+const arithmetic = (fn) => (ctx) => {
+  const [a, b] = [ctx.input(0), ctx.input(1)];
+  const out = { dtype: a.dtype, shape: broadcastShapes([a.shape, b.shape]) };
+  const value = elementwiseValue(a.value, b.value, fn);
+  if (value) out.value = a.dtype.startsWith('int') || a.dtype.startsWith('uint') ? value.map(Math.trunc) : value;
+  return [out];
+};
+
+// --- operator rules ---------------------------------------------------------
+
+const same = (ctx) => [{ dtype: ctx.input(0).dtype, shape: ctx.input(0).shape }];
+const broadcast = (ctx) => [{ dtype: ctx.input(0).dtype, shape: broadcastShapes(ctx.inputs().map((i) => i.shape)) }];
+const compare = (ctx) => [{ dtype: 'bool', shape: broadcastShapes(ctx.inputs().map((i) => i.shape)) }];
+
+const reduce = (ctx) => {
+  const x = ctx.input(0);
+  if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+  const keepdims = ctx.attr('keepdims', 1) === 1;
+  if (ctx.node.input[1] && !ctx.value(1)) return [{ dtype: x.dtype, shape: null }];
+  let axes = ctx.value(1) ?? ctx.attr('axes');
+  if (!axes || !axes.length) {
+    if (ctx.attr('noop_with_empty_axes', 0) === 1) return [{ dtype: x.dtype, shape: x.shape }];
+    axes = x.shape.map((_, i) => i);
+  }
+  const reduced = new Set(axes.map((a) => normalizeAxis(a, x.shape.length)));
+  const shape = [];
+  x.shape.forEach((d, i) => {
+    if (!reduced.has(i)) shape.push(d);
+    else if (keepdims) shape.push(1);
+  });
+  return [{ dtype: x.dtype, shape }];
+};
+
+const argReduce = (ctx) => {
+  const x = ctx.input(0);
+  if (!x.shape) return [{ dtype: 'int64', shape: null }];
+  const axis = normalizeAxis(ctx.attr('axis', 0), x.shape.length);
+  const keepdims = ctx.attr('keepdims', 1) === 1;
+  const shape = keepdims ? x.shape.map((d, i) => (i === axis ? 1 : d)) : x.shape.filter((_, i) => i !== axis);
+  return [{ dtype: 'int64', shape }];
+};
+
+const pool = (ctx) => {
+  const x = ctx.input(0);
+  const shape = windowedShape(ctx, x, ctx.attr('kernel_shape'), x.shape?.[1] ?? null);
+  return [
+    { dtype: x.dtype, shape },
+    { dtype: 'int64', shape },
+  ];
+};
+
+const globalPool = (ctx) => {
+  const x = ctx.input(0);
+  return [{ dtype: x.dtype, shape: x.shape ? [x.shape[0], x.shape[1], ...x.shape.slice(2).map(() => 1)] : null }];
+};
+
+const matmulShape = (a, b) => {
+  if (!a || !b) return null;
+  const left = a.length === 1 ? [1, a[0]] : a;
+  const right = b.length === 1 ? [b[0], 1] : b;
+  const batch = broadcastShapes([left.slice(0, -2), right.slice(0, -2)]);
+  const shape = [...batch, left[left.length - 2], right[right.length - 1]];
+  if (a.length === 1) shape.splice(shape.length - 2, 1);
+  if (b.length === 1) shape.pop();
+  return shape;
+};
+
+const SHAPE_RULES = {
+  Identity: (ctx) => [{ ...ctx.input(0) }],
+  Cast: (ctx) => {
+    const x = ctx.input(0);
+    const dtype = dtypeName(ctx.attr('to'));
+    const out = { dtype, shape: x.shape };
+    if (x.value && x.value.every(isStatic)) {
+      out.value = dtype.startsWith('int') || dtype.startsWith('uint') ? x.value.map(Math.trunc) : x.value;
+    }
+    return [out];
+  },
+  CastLike: (ctx) => [{ dtype: ctx.input(1).dtype, shape: ctx.input(0).shape }],
+
+  Add: arithmetic((a, b) => a + b),
+  Sub: arithmetic((a, b) => a - b),
+  Mul: arithmetic((a, b) => a * b),
+  Div: arithmetic((a, b) => a / b),
+  Pow: broadcast,
+  Mod: broadcast,
+  Max: broadcast,
+  Min: broadcast,
+  Sum: broadcast,
+  Mean: broadcast,
+  PRelu: broadcast,
+  BitShift: broadcast,
+  Equal: compare,
+  Less: compare,
+  LessOrEqual: compare,
+  Greater: compare,
+  GreaterOrEqual: compare,
+  And: compare,
+  Or: compare,
+  Xor: compare,
+  Not: (ctx) => [{ dtype: 'bool', shape: ctx.input(0).shape }],
+  IsNaN: (ctx) => [{ dtype: 'bool', shape: ctx.input(0).shape }],
+  IsInf: (ctx) => [{ dtype: 'bool', shape: ctx.input(0).shape }],
+  Where: (ctx) => [{ dtype: ctx.input(1).dtype, shape: broadcastShapes(ctx.inputs().map((i) => i.shape)) }],
+
+  BatchNormalization: same,
+  InstanceNormalization: same,
+  LayerNormalization: same,
+  GroupNormalization: same,
+  LpNormalization: same,
+  MeanVarianceNormalization: same,
+  Dropout: (ctx) => [same(ctx)[0], { dtype: 'bool', shape: ctx.input(0).shape }],
+  QuantizeLinear: (ctx) => [{ dtype: ctx.input(2)?.dtype !== 'undefined' ? ctx.input(2).dtype : 'uint8', shape: ctx.input(0).shape }],
+  DequantizeLinear: (ctx) => [{ dtype: ctx.input(1).dtype !== 'undefined' ? ctx.input(1).dtype : 'float32', shape: ctx.input(0).shape }],
+  DynamicQuantizeLinear: (ctx) => [
+    { dtype: 'uint8', shape: ctx.input(0).shape },
+    { dtype: 'float32', shape: [] },
+    { dtype: 'uint8', shape: [] },
+  ],
+
+  Conv: (ctx) => {
+    const x = ctx.input(0);
+    const w = ctx.input(1);
+    const kernel = ctx.attr('kernel_shape', w.shape?.slice(2));
+    return [{ dtype: x.dtype, shape: windowedShape(ctx, x, kernel, w.shape?.[0] ?? null) }];
+  },
+  ConvTranspose: (ctx) => {
+    const x = ctx.input(0);
+    const w = ctx.input(1);
+    if (!x.shape || !w.shape) return [{ dtype: x.dtype, shape: null }];
+    const spatial = x.shape.length - 2;
+    const channels = isStatic(w.shape[1]) ? w.shape[1] * ctx.attr('group', 1) : null;
+    const explicit = ctx.attr('output_shape');
+    if (explicit) return [{ dtype: x.dtype, shape: [x.shape[0], channels, ...explicit.slice(-spatial)] }];
+    const kernel = ctx.attr('kernel_shape', w.shape.slice(2));
+    const strides = ctx.attr('strides', Array(spatial).fill(1));
+    const dilations = ctx.attr('dilations', Array(spatial).fill(1));
+    const pads = ctx.attr('pads', Array(spatial * 2).fill(0));
+    const outputPadding = ctx.attr('output_padding', Array(spatial).fill(0));
+    const autoPad = ctx.attr('auto_pad', 'NOTSET');
+    const dims = x.shape.slice(2).map((d, i) => {
+      if (!isStatic(d) || !isStatic(kernel[i])) return null;
+      if (autoPad === 'SAME_UPPER' || autoPad === 'SAME_LOWER') return d * strides[i];
+      const effective = (kernel[i] - 1) * dilations[i] + 1;
+      return strides[i] * (d - 1) + outputPadding[i] + effective - pads[i] - pads[i + spatial];
+    });
+    return [{ dtype: x.dtype, shape: [x.shape[0], channels, ...dims] }];
+  },
+  MaxPool: pool,
+  AveragePool: pool,
+  LpPool: pool,
+  GlobalAveragePool: globalPool,
+  GlobalMaxPool: globalPool,
+  GlobalLpPool: globalPool,
+
+  MatMul: (ctx) => [{ dtype: ctx.input(0).dtype, shape: matmulShape(ctx.input(0).shape, ctx.input(1).shape) }],
+  MatMulInteger: (ctx) => [{ dtype: 'int32', shape: matmulShape(ctx.input(0).shape, ctx.input(1).shape) }],
+  Gemm: (ctx) => {
+    const a = ctx.input(0).shape;
+    const b = ctx.input(1).shape;
+    const m = a ? a[ctx.attr('transA', 0) ? 1 : 0] : null;
+    const n = b ? b[ctx.attr('transB', 0) ? 0 : 1] : null;
+    return [{ dtype: ctx.input(0).dtype, shape: [m ?? null, n ?? null] }];
+  },
+
+  Shape: (ctx) => {
+    const shape = ctx.input(0).shape;
+    if (!shape) return [{ dtype: 'int64', shape: [null] }];
+    const start = normalizeAxis(ctx.attr('start', 0), shape.length);
+    const end = normalizeAxis(ctx.attr('end', shape.length), shape.length);
+    const dims = shape.slice(clamp(start, 0, shape.length), clamp(end, 0, shape.length));
+    return [{ dtype: 'int64', shape: [dims.length], value: dims }];
+  },
+  Size: (ctx) => {
+    const shape = ctx.input(0).shape;
+    const size = shape ? mulDims(shape) : null;
+    return [{ dtype: 'int64', shape: [], ...(size !== null ? { value: [size] } : {}) }];
+  },
+  Constant: (ctx) => {
+    const tensor = ctx.attr('value');
+    if (tensor) return [tensorInfo(decodeTensorObject(tensor))];
+    const scalars = [
+      ['value_float', 'float32', false],
+      ['value_int', 'int64', false],
+      ['value_floats', 'float32', true],
+      ['value_ints', 'int64', true],
+    ];
+    for (const [name, dtype, list] of scalars) {
+      const v = ctx.attr(name);
+      if (v !== undefined) return [{ dtype, shape: list ? [v.length] : [], value: list ? v : [v] }];
+    }
+    if (ctx.attr('value_string') !== undefined) return [{ dtype: 'string', shape: [] }];
+    const strings = ctx.attr('value_strings');
+    if (strings) return [{ dtype: 'string', shape: [strings.length] }];
+    return [UNKNOWN];
+  },
+  ConstantOfShape: (ctx) => {
+    const tensor = ctx.attr('value');
+    const dtype = tensor ? dtypeName(tensor.dataType) : 'float32';
+    const target = ctx.value(0);
+    if (target) return [{ dtype, shape: [...target] }];
+    const rank = ctx.input(0).shape?.[0];
+    return [{ dtype, shape: isStatic(rank) ? Array(rank).fill(null) : null }];
+  },
+  Range: (ctx) => {
+    const [start, limit, delta] = [ctx.value(0), ctx.value(1), ctx.value(2)];
+    const known = start && limit && delta && [start[0], limit[0], delta[0]].every(isStatic);
+    return [{ dtype: ctx.input(0).dtype, shape: [known ? Math.max(0, Math.ceil((limit[0] - start[0]) / delta[0])) : null] }];
+  },
+
+  Reshape: (ctx) => {
+    const x = ctx.input(0);
+    const target = ctx.value(1);
+    if (!target) {
+      const rank = ctx.input(1).shape?.[0];
+      return [{ dtype: x.dtype, shape: isStatic(rank) ? Array(rank).fill(null) : null }];
+    }
+    const allowzero = ctx.attr('allowzero', 0) === 1;
+    const shape = target.map((d, i) => (d === 0 && !allowzero ? (x.shape?.[i] ?? null) : d));
+    const inferAt = shape.indexOf(-1);
+    if (inferAt !== -1) {
+      shape[inferAt] = x.shape ? divideDims(x.shape, shape.filter((_, i) => i !== inferAt)) : null;
+    }
+    return [{ dtype: x.dtype, shape, ...(x.value ? { value: x.value } : {}) }];
+  },
+  Flatten: (ctx) => {
+    const x = ctx.input(0);
+    if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+    const axis = normalizeAxis(ctx.attr('axis', 1), x.shape.length);
+    return [{ dtype: x.dtype, shape: [mulDims(x.shape.slice(0, axis)), mulDims(x.shape.slice(axis))] }];
+  },
+  Transpose: (ctx) => {
+    const x = ctx.input(0);
+    if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+    const perm = ctx.attr('perm', x.shape.map((_, i) => x.shape.length - 1 - i));
+    return [{ dtype: x.dtype, shape: perm.map((p) => x.shape[p] ?? null) }];
+  },
+  Squeeze: (ctx) => {
+    const x = ctx.input(0);
+    if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+    const axes = ctx.value(1) ?? ctx.attr('axes');
+    const drop = axes
+      ? new Set(axes.map((a) => normalizeAxis(a, x.shape.length)))
+      : new Set(x.shape.map((d, i) => (d === 1 ? i : -1)));
+    return [{ dtype: x.dtype, shape: x.shape.filter((_, i) => !drop.has(i)), ...(x.value ? { value: x.value } : {}) }];
+  },
+  Unsqueeze: (ctx) => {
+    const x = ctx.input(0);
+    const axes = ctx.value(1) ?? ctx.attr('axes');
+    if (!x.shape || !axes) return [{ dtype: x.dtype, shape: null }];
+    const rank = x.shape.length + axes.length;
+    const inserted = new Set(axes.map((a) => normalizeAxis(a, rank)));
+    const rest = [...x.shape];
+    const shape = Array.from({ length: rank }, (_, i) => (inserted.has(i) ? 1 : rest.shift() ?? null));
+    return [{ dtype: x.dtype, shape, ...(x.value ? { value: x.value } : {}) }];
+  },
+  Concat: (ctx) => {
+    const inputs = ctx.inputs();
+    const dtype = inputs[0].dtype;
+    const known = inputs.map((i) => i.shape).filter(Boolean);
+    if (known.length !== inputs.length) return [{ dtype, shape: known[0] ? known[0].map(() => null) : null }];
+    const axis = normalizeAxis(ctx.attr('axis', 0), known[0].length);
+    const shape = known[0].map((d, i) =>
+      i === axis ? known.map((s) => s[i]).reduce(addDims) : known.map((s) => s[i]).reduce(broadcastDim)
+    );
+    const value = concatValues(inputs, axis);
+    return [{ dtype, shape, ...(value ? { value } : {}) }];
+  },
+  Split: (ctx) => {
+    const x = ctx.input(0);
+    const count = ctx.node.output.length;
+    if (!x.shape) return Array(count).fill({ dtype: x.dtype, shape: null });
+    const axis = normalizeAxis(ctx.attr('axis', 0), x.shape.length);
+    let sizes = ctx.value(1) ?? ctx.attr('split');
+    if (!sizes) {
+      const dim = x.shape[axis];
+      const chunk = isStatic(dim) ? Math.ceil(dim / count) : null;
+      sizes = Array.from({ length: count }, (_, i) =>
+        chunk === null ? null : Math.min(chunk, dim - chunk * i)
+      );
+    }
+    return sizes.map((size) => ({ dtype: x.dtype, shape: x.shape.map((d, i) => (i === axis ? size : d)) }));
+  },
+  Slice: (ctx) => {
+    const x = ctx.input(0);
+    const fromInputs = ctx.node.input.length > 1;
+    const starts = fromInputs ? ctx.value(1) : ctx.attr('starts');
+    const ends = fromInputs ? ctx.value(2) : ctx.attr('ends');
+    if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+    if (!starts || !ends || !starts.every(isStatic) || !ends.every(isStatic)) {
+      return [{ dtype: x.dtype, shape: x.shape.map(() => null) }];
+    }
+    const axes = (fromInputs ? ctx.value(3) : ctx.attr('axes')) ?? starts.map((_, i) => i);
+    const steps = (fromInputs ? ctx.value(4) : null) ?? starts.map(() => 1);
+    const shape = [...x.shape];
+    axes.forEach((a, i) => {
+      const axis = normalizeAxis(a, x.shape.length);
+      shape[axis] = sliceLength(x.shape[axis], starts[i], ends[i], steps[i]);
+    });
+    const out = { dtype: x.dtype, shape };
+    if (x.value && x.shape.length === 1 && axes.length === 1) {
+      out.value = sliceIndices(x.value.length, starts[0], ends[0], steps[0]).map((i) => x.value[i]);
+    }
+    return [out];
+  },
+  Gather: (ctx) => {
+    const data = ctx.input(0);
+    const indices = ctx.input(1);
+    if (!data.shape || !indices.shape) return [{ dtype: data.dtype, shape: null }];
+    const axis = normalizeAxis(ctx.attr('axis', 0), data.shape.length);
+    const shape = [...data.shape.slice(0, axis), ...indices.shape, ...data.shape.slice(axis + 1)];
+    const out = { dtype: data.dtype, shape };
+    if (data.value && indices.value && data.shape.length === 1 && indices.value.every(isStatic)) {
+      out.value = indices.value.map((i) => data.value[normalizeAxis(i, data.value.length)] ?? null);
+    }
+    return [out];
+  },
+  GatherElements: (ctx) => [{ dtype: ctx.input(0).dtype, shape: ctx.input(1).shape }],
+  Expand: (ctx) => {
+    const target = ctx.value(1);
+    return [{ dtype: ctx.input(0).dtype, shape: target ? broadcastShapes([ctx.input(0).shape, target]) : null }];
+  },
+  Tile: (ctx) => {
+    const x = ctx.input(0);
+    const repeats = ctx.value(1);
+    return [{
+      dtype: x.dtype,
+      shape: x.shape && repeats ? x.shape.map((d, i) => (isStatic(d) && isStatic(repeats[i]) ? d * repeats[i] : null)) : null,
+    }];
+  },
+  Pad: (ctx) => {
+    const x = ctx.input(0);
+    const pads = ctx.node.input.length > 1 ? ctx.value(1) : ctx.attr('pads');
+    if (!x.shape || !pads) return [{ dtype: x.dtype, shape: x.shape ? x.shape.map(() => null) : null }];
+    const axes = ctx.value(3) ?? x.shape.map((_, i) => i);
+    const shape = [...x.shape];
+    axes.forEach((a, i) => {
+      const axis = normalizeAxis(a, x.shape.length);
+      shape[axis] = isStatic(shape[axis]) ? shape[axis] + pads[i] + pads[i + axes.length] : null;
+    });
+    return [{ dtype: x.dtype, shape }];
+  },
+  Resize: (ctx) => {
+    const x = ctx.input(0);
+    if (!x.shape) return [{ dtype: x.dtype, shape: null }];
+    const sizes = ctx.value(3);
+    if (sizes) return [{ dtype: x.dtype, shape: sizes }];
+    const scales = ctx.node.input.length > 2 ? ctx.value(2) : ctx.value(1);
+    if (!scales?.length) return [{ dtype: x.dtype, shape: x.shape.map(() => null) }];
+    return [{ dtype: x.dtype, shape: x.shape.map((d, i) => (isStatic(d) ? Math.floor(d * scales[i]) : scales[i] === 1 ? d : null)) }];
+  },
+  Upsample: (ctx) => {
+    const x = ctx.input(0);
+    const scales = ctx.value(1) ?? ctx.attr('scales');
+    if (!x.shape || !scales) return [{ dtype: x.dtype, shape: null }];
+    return [{ dtype: x.dtype, shape: x.shape.map((d, i) => (isStatic(d) ? Math.floor(d * scales[i]) : scales[i] === 1 ? d : null)) }];
+  },
+  TopK: (ctx) => {
+    const x = ctx.input(0);
+    const k = ctx.value(1)?.[0] ?? ctx.attr('k') ?? null;
+    const shape = x.shape ? [...x.shape] : null;
+    if (shape) shape[normalizeAxis(ctx.attr('axis', -1), shape.length)] = k;
+    return [
+      { dtype: x.dtype, shape },
+      { dtype: 'int64', shape },
+    ];
+  },
+  ArgMax: argReduce,
+  ArgMin: argReduce,
+  NonZero: (ctx) => [{ dtype: 'int64', shape: [ctx.input(0).shape?.length ?? null, null] }],
+  OneHot: (ctx) => {
+    const indices = ctx.input(0);
+    const depth = ctx.value(1)?.[0] ?? null;
+    if (!indices.shape) return [{ dtype: ctx.input(2).dtype, shape: null }];
+    const shape = [...indices.shape];
+    shape.splice(normalizeAxis(ctx.attr('axis', -1), shape.length + 1), 0, depth);
+    return [{ dtype: ctx.input(2).dtype, shape }];
+  },
+  Einsum: (ctx) => [{ dtype: ctx.input(0).dtype, shape: null }],
+};
+
+const UNARY_OPS = [
+  'Abs', 'Acos', 'Asin', 'Atan', 'Ceil', 'Celu', 'Clip', 'Cos', 'Cosh', 'CumSum', 'Elu', 'Erf', 'Exp',
+  'Floor', 'Gelu', 'HardSigmoid', 'HardSwish', 'Hardmax', 'LeakyRelu', 'Log', 'LogSoftmax', 'LRN',
+  'Mish', 'Neg', 'Reciprocal', 'Relu', 'Round', 'Selu', 'Shrink', 'Sigmoid', 'Sign', 'Sin', 'Sinh',
+  'Softmax', 'Softplus', 'Softsign', 'Sqrt', 'Tan', 'Tanh', 'ThresholdedRelu', 'Trilu',
+];
+UNARY_OPS.forEach((op) => {
+  SHAPE_RULES[op] = same;
+});
+
+[
+  'ReduceMean', 'ReduceSum', 'ReduceMax', 'ReduceMin', 'ReduceProd', 'ReduceL1', 'ReduceL2',
+  'ReduceLogSum', 'ReduceLogSumExp', 'ReduceSumSquare',
+].forEach((op) => {
+  SHAPE_RULES[op] = reduce;
+});
+
+export const SUPPORTED_OPS = Object.keys(SHAPE_RULES);
+
+// Combines inferred and declared info dim by dim, preferring static values.
+// Returns the merged info and whether the two disagreed on a static dim.
+const mergeInfo = (inferred, declared) => {
+  if (!declared) return { info: inferred, conflict: false };
+  if (!inferred || (!inferred.shape && inferred.dtype === 'undefined')) {
+    return { info: inferred?.value ? { ...declared, value: inferred.value } : declared, conflict: false };
+  }
+  const dtype = inferred.dtype !== 'undefined' ? inferred.dtype : declared.dtype;
+  if (!inferred.shape || !declared.shape || inferred.shape.length !== declared.shape.length) {
+    const conflict = Boolean(inferred.shape && declared.shape);
+    return { info: { ...inferred, dtype, shape: declared.shape ?? inferred.shape }, conflict };
+  }
+  let conflict = false;
+  const shape = inferred.shape.map((d, i) => {
+    const other = declared.shape[i];
+    if (isStatic(d) && isStatic(other) && d !== other) conflict = true;
+    if (isStatic(other)) return other;
+    return d ?? other;
+  });
+  return { info: { ...inferred, dtype, shape }, conflict };
+};
+
+/**
+ * Runs inference over `graph` (ModelProto.graph in toObject form) using the
+ * decoded initializers from TensorDecoder. Returns a map of tensor name to
+ * { dtype, shape, source } plus diagnostics for conflicts and failures.
+ */
+export const inferShapes = (graph, initializers = []) => {
+  const known = new Map();
+  const diagnostics = [];
+  const nodes = graph?.node || [];
+
+  for (const input of graph?.input || []) {
+    const { dtype, shape } = parseTypeProto(input.type);
+    known.set(input.name, { dtype, shape, source: 'input' });
+  }
+  for (const tensor of initializers) {
+    known.set(tensor.name, { ...tensorInfo(tensor), source: 'initializer' });
+  }
+
+  const declared = new Map();
+  for (const vi of [...(graph?.valueInfo || []), ...(graph?.output || [])]) {
+    const { dtype, shape } = parseTypeProto(vi.type);
+    declared.set(vi.name, { dtype, shape });
+  }
+
+  const unsupported = new Set();
+  const { order, cyclic } = topologicalSort(nodes);
+
+  for (const index of [...order, ...cyclic]) {
+    const node = nodes[index];
+    const rule = SHAPE_RULES[node.opType];
+    const input = (i) => (node.input[i] ? known.get(node.input[i]) ?? UNKNOWN : undefined);
+    const ctx = {
+      node,
+      input: (i) => input(i) ?? UNKNOWN,
+      inputs: () => node.input.filter(Boolean).map((name) => known.get(name) ?? UNKNOWN),
+      value: (i) => input(i)?.value,
+      attr: (name, fallback) => getAttribute(node, name, fallback),
+    };
+
+    let outputs = [];
+    if (!rule || (node.domain && node.domain !== 'ai.onnx')) {
+      unsupported.add(node.domain ? `${node.domain}::${node.opType}` : node.opType);
+    } else {
+      try {
+        outputs = rule(ctx);
+      } catch (err) {
+        diagnostics.push({
+          severity: 'warning',
+          source: 'shape-inference',
+          node: node.name || `#${index}`,
+          nodeIndex: index,
+          message: `Shape inference failed for ${node.opType} node "${node.name || `#${index}`}": ${err.message}`,
+        });
+      }
+    }
+
+    node.output.forEach((name, i) => {
+      if (!name) return;
+      const inferred = outputs[i] ? { ...outputs[i] } : null;
+      if (inferred?.value && inferred.value.length > MAX_TRACKED_VALUES) delete inferred.value;
+      const { info, conflict } = mergeInfo(inferred, declared.get(name));
+      if (conflict) {
+        diagnostics.push({
+          severity: 'warning',
+          source: 'shape-inference',
+          node: node.name || `#${index}`,
+          nodeIndex: index,
+          message: `Inferred shape ${formatShape(inferred.shape)} for "${name}" disagrees with the declared ${formatShape(declared.get(name).shape)}.`,
+        });
+      }
+      known.set(name, { ...(info || UNKNOWN), source: inferred ? 'inferred' : declared.has(name) ? 'value_info' : 'unknown' });
+    });
+  }
+
+  if (unsupported.size) {
+    diagnostics.push({
+      severity: 'info',
+      source: 'shape-inference',
+      message: `No shape rule for: ${[...unsupported].sort().join(', ')}. Their outputs use declared value_info only.`,
+    });
+  }
+
+  return { valueInfo: Object.fromEntries(known), diagnostics };
+};
@@ -0,0 +1,111 @@
+// Builds the nested graph tree for control-flow ops (If, Loop, Scan, ...)
+// whose bodies live in GRAPH/GRAPHS attributes, and resolves names a body
+// reads from enclosing scopes.
+import { attributeType } from './NodeAttributes.js';
+
+export const CONTROL_FLOW_OPS = new Set(['If', 'Loop', 'Scan', 'SequenceMap']);
+
+export const subgraphAttributes = (node) =>
+  (node.attribute || []).flatMap((attr) => {
+    const type = attributeType(attr);
+    if (type === 'GRAPH' && attr.g) return [{ attribute: attr.name, graph: attr.g }];
+    if (type === 'GRAPHS') return (attr.graphs || []).map((g, i) => ({ attribute: `${attr.name}[${i}]`, graph: g }));
+    return [];
+  });
+
+// Names a graph defines for its own nodes: formal inputs, initializers and
+// node outputs.
+const localNames = (graph) =>
+  new Set([
+    ...(graph.input || []).map((i) => i.name),
+    ...(graph.initializer || []).map((t) => t.name),
+    ...(graph.node || []).flatMap((n) => n.output || []),
+  ]);
+
+/**
+ * Returns { id, name, depth, nodes, inputs, outputs, initializers,
+ * outerReferences, unresolved, children } for `graph`. `children` hold one entry per
+ * subgraph attribute, keyed by the owning node's index. `scopes` is the
+ * chain of enclosing { id, names } used to resolve outer references.
+ */
+export const buildGraphTree = (graph, { id = 'main', depth = 0, scopes = [] } = {}) => {
+  const names = localNames(graph || {});
+  const nodes = graph?.node || [];
+  const chain = [{ id, names }, ...scopes];
+
+  const outerReferences = [];
+  const unresolved = [];
+  if (depth > 0) {
+    const seen = new Set();
+    for (const node of nodes) {
+      for (const input of node.input || []) {
+        if (!input || names.has(input) || seen.has(input)) continue;
+        seen.add(input);
+        const owner = scopes.find((scope) => scope.names.has(input));
+        if (owner) outerReferences.push({ name: input, scope: owner.id });
+        else unresolved.push(input);
+      }
+    }
+  }
+
+  const children = nodes.flatMap((node, nodeIndex) =>
+    subgraphAttributes(node).map(({ attribute, graph: body }) => {
+      const childId = `${id}/${node.name || `${node.opType}_${nodeIndex}`}:${attribute}`;
+      return {
+        nodeIndex,
+        opType: node.opType,
+        attribute,
+        graph: buildGraphTree(body, { id: childId, depth: depth + 1, scopes: chain }),
+      };
+    })
+  );
+
+  return {
+    id,
+    name: graph?.name || '',
+    depth,
+    nodes,
+    inputs: (graph?.input || []).map((i) => i.name),
+    outputs: (graph?.output || []).map((o) => o.name),
+    initializers: (graph?.initializer || []).map((t) => t.name),
+    outerReferences,
+    unresolved,
+    children,
+  };
+};
+
+/** Depth-first walk over a graph tree, calling `visit(tree)` for every graph. */
+export const walkGraphTree = (tree, visit) => {
+  visit(tree);
+  tree.children.forEach((child) => walkGraphTree(child.graph, visit));
+};
+
+/** Operator histogram and size statistics across all nested graphs. */
+export const summarizeGraphTree = (tree) => {
+  const operatorFrequency = {};
+  let totalNodes = 0;
+  let subgraphCount = -1;
+  let maxDepth = 0;
+  const diagnostics = [];
+
+  walkGraphTree(tree, (graph) => {
+    subgraphCount++;
+    maxDepth = Math.max(maxDepth, graph.depth);
+    totalNodes += graph.nodes.length;
+    for (const node of graph.nodes) {
+      const op = node.opType;
+      if (op) operatorFrequency[op] = (operatorFrequency[op] || 0) + 1;
+    }
+    if (graph.unresolved.length) {
+      diagnostics.push({
+        severity: 'error',
+        source: 'subgraph',
+        message: `Subgraph "${graph.id}" reads ${graph.unresolved
+          .map((n) => `"${n}"`)
+          .join(', ')}, which no enclosing scope defines.`,
+      });
+    }
+  });
+
+  return { operatorFrequency, totalNodes, subgraphCount, maxDepth, diagnostics };
+};
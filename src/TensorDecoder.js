@@ -0,0 +1,263 @@
+// Decodes onnx.TensorProto messages into typed arrays with summary statistics.
+
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const toNumber = (v) => (typeof v === 'number' ? v : Number(String(v)));
+const toBigInt = (v) => BigInt(String(v));
+
+const halfToFloat = (h) => {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const frac = h & 0x3ff;
+  if (exp === 0) return sign * 2 ** -14 * (frac / 1024);
+  if (exp === 0x1f) return frac ? NaN : sign * Infinity;
+  return sign * 2 ** (exp - 15) * (1 + frac / 1024);
+};
+
+const bfloatScratch = new Float32Array(1);
+const bfloatBits = new Uint32Array(bfloatScratch.buffer);
+const bfloatToFloat = (h) => {
+  bfloatBits[0] = h << 16;
+  return bfloatScratch[0];
+};
+
+// Small IEEE-like formats (float8 / float4). `special` returns NaN/Infinity
+// for the bit patterns each variant reserves, or undefined for ordinary values.
+const minifloat = (expBits, manBits, bias, special) => (bits) => {
+  const reserved = special(bits);
+  if (reserved !== undefined) return reserved;
+  const sign = bits & (1 << (expBits + manBits)) ? -1 : 1;
+  const exp = (bits >> manBits) & ((1 << expBits) - 1);
+  const man = (bits & ((1 << manBits) - 1)) / (1 << manBits);
+  if (exp === 0) return sign * 2 ** (1 - bias) * man;
+  return sign * 2 ** (exp - bias) * (1 + man);
+};
+
+const float8e4m3fn = minifloat(4, 3, 7, (b) => ((b & 0x7f) === 0x7f ? NaN : undefined));
+const float8e4m3fnuz = minifloat(4, 3, 8, (b) => (b === 0x80 ? NaN : undefined));
+const float8e5m2 = minifloat(5, 2, 15, (b) => {
+  if ((b & 0x7f) === 0x7c) return b & 0x80 ? -Infinity : Infinity;
+  return (b & 0x7f) > 0x7c ? NaN : undefined;
+});
+const float8e5m2fnuz = minifloat(5, 2, 16, (b) => (b === 0x80 ? NaN : undefined));
+const float4e2m1 = minifloat(2, 1, 1, () => undefined);
+
+// Keyed by TensorProto.DataType. `field` is where the value lives when
+// raw_data is absent; `size` is bytes per stored element in raw_data.
+export const TENSOR_TYPES = {
+  1: { dtype: 'float32', array: Float32Array, size: 4, field: 'floatData' },
+  2: { dtype: 'uint8', array: Uint8Array, size: 1, field: 'int32Data' },
+  3: { dtype: 'int8', array: Int8Array, size: 1, field: 'int32Data' },
+  4: { dtype: 'uint16', array: Uint16Array, size: 2, field: 'int32Data' },
+  5: { dtype: 'int16', array: Int16Array, size: 2, field: 'int32Data' },
+  6: { dtype: 'int32', array: Int32Array, size: 4, field: 'int32Data' },
+  7: { dtype: 'int64', array: BigInt64Array, size: 8, field: 'int64Data' },
+  8: { dtype: 'string', field: 'stringData' },
+  9: { dtype: 'bool', array: Uint8Array, size: 1, field: 'int32Data' },
+  10: { dtype: 'float16', array: Uint16Array, size: 2, field: 'int32Data', decode: halfToFloat },
+  11: { dtype: 'float64', array: Float64Array, size: 8, field: 'doubleData' },
+  12: { dtype: 'uint32', array: Uint32Array, size: 4, field: 'uint64Data' },
+  13: { dtype: 'uint64', array: BigUint64Array, size: 8, field: 'uint64Data' },
+  14: { dtype: 'complex64', array: Float32Array, size: 4, components: 2, field: 'floatData' },
+  15: { dtype: 'complex128', array: Float64Array, size: 8, components: 2, field: 'doubleData' },
+  16: { dtype: 'bfloat16', array: Uint16Array, size: 2, field: 'int32Data', decode: bfloatToFloat },
+  17: { dtype: 'float8e4m3fn', array: Uint8Array, size: 1, field: 'int32Data', decode: float8e4m3fn },
+  18: { dtype: 'float8e4m3fnuz', array: Uint8Array, size: 1, field: 'int32Data', decode: float8e4m3fnuz },
+  19: { dtype: 'float8e5m2', array: Uint8Array, size: 1, field: 'int32Data', decode: float8e5m2 },
+  20: { dtype: 'float8e5m2fnuz', array: Uint8Array, size: 1, field: 'int32Data', decode: float8e5m2fnuz },
+  21: { dtype: 'uint4', packed: true, field: 'int32Data' },
+  22: { dtype: 'int4', packed: true, signed: true, field: 'int32Data' },
+  23: { dtype: 'float4e2m1', packed: true, field: 'int32Data', decode: float4e2m1 },
+};
+
+const EXTERNAL_LOCATION = 1;
+
+// external_data is a list of key/value pairs; offset and length are decimal strings.
+const parseExternalData = (entries = []) => {
+  const info = {};
+  for (const { key, value } of entries) {
+    if (key === 'offset' || key === 'length') info[key] = Number(value);
+    else info[key] = value;
+  }
+  return info;
+};
+
+const storedLength = (spec, count) => count * (spec.components || 1);
+
+export const expectedByteSize = (spec, count) => {
+  if (spec.packed) return Math.ceil(count / 2);
+  return storedLength(spec, count) * spec.size;
+};
+
+// Two 4-bit values per byte, low nibble first.
+const unpackNibbles = (bytes, count, signed) => {
+  const out = signed ? new Int8Array(count) : new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    const nibble = (bytes[i >> 1] >> ((i & 1) * 4)) & 0x0f;
+    out[i] = signed && nibble & 0x08 ? nibble - 16 : nibble;
+  }
+  return out;
+};
+
+const finish = (spec, storage) => (spec.decode ? Float32Array.from(storage, spec.decode) : storage);
+
+const fromRawBytes = (bytes, spec, count) => {
+  if (spec.packed) return finish(spec, unpackNibbles(bytes, count, spec.signed));
+
+  const length = storedLength(spec, count);
+  // Node Buffers alias a shared pool on slice(), so copy explicitly.
+  const copy = Uint8Array.prototype.slice.call(bytes, 0, length * spec.size);
+  if (!IS_LITTLE_ENDIAN && spec.size > 1) {
+    for (let i = 0; i < copy.length; i += spec.size) {
+      copy.subarray(i, i + spec.size).reverse();
+    }
+  }
+  return finish(spec, new spec.array(copy.buffer, 0, length));
+};
+
+const fromTypedField = (values, spec, count) => {
+  if (spec.packed) {
+    const bytes = Uint8Array.from(values, (v) => toNumber(v) & 0xff);
+    return finish(spec, unpackNibbles(bytes, count, spec.signed));
+  }
+  const convert = spec.array === BigInt64Array || spec.array === BigUint64Array ? toBigInt : toNumber;
+  return finish(spec, spec.array.from(values, convert));
+};
+
+/**
+ * Decodes the payload of a tensor given as raw bytes (raw_data or an external
+ * file range). Throws when the buffer is shorter than the tensor requires.
+ */
+export const decodeTensorBytes = (bytes, dataType, shape) => {
+  const spec = TENSOR_TYPES[dataType];
+  if (!spec || spec.dtype === 'string') {
+    throw new Error(`Unsupported tensor data type ${dataType} for raw data`);
+  }
+  const count = shape.reduce((a, b) => a * b, 1);
+  const required = expectedByteSize(spec, count);
+  if (bytes.length < required) {
+    throw new Error(`Tensor data holds ${bytes.length} bytes, expected ${required}`);
+  }
+  return fromRawBytes(bytes, spec, count);
+};
+
+/**
+ * Single-pass min/max/mean/std plus NaN, Inf and zero counts. Works on any
+ * typed array (including BigInt arrays) or plain array of numbers.
+ */
+export const computeTensorStats = (data) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let mean = 0;
+  let m2 = 0;
+  let finite = 0;
+  let nanCount = 0;
+  let infCount = 0;
+  let zeroCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const v = Number(data[i]);
+    if (Number.isNaN(v)) {
+      nanCount++;
+      continue;
+    }
+    if (!Number.isFinite(v)) {
+      infCount++;
+      continue;
+    }
+    if (v === 0) zeroCount++;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    finite++;
+    const delta = v - mean;
+    mean += delta / finite;
+    m2 += delta * (v - mean);
+  }
+
+  return {
+    min: finite ? min : null,
+    max: finite ? max : null,
+    mean: finite ? mean : null,
+    std: finite ? Math.sqrt(m2 / finite) : null,
+    nanCount,
+    infCount,
+    zeroCount,
+    sparsity: data.length ? zeroCount / data.length : 0,
+  };
+};
+
+/**
+ * Turns a decoded onnx.TensorProto message (not its toObject form) into
+ * { name, dtype, shape, elementCount, byteSize, data, stats }. Decoding
+ * problems are reported in `error` rather than thrown, so one bad tensor
+ * does not hide the rest of the model.
+ */
+export const decodeTensor = (tensor) => {
+  const shape = (tensor.dims || []).map(toNumber);
+  const elementCount = shape.reduce((a, b) => a * b, 1);
+  const dataType = tensor.dataType || 0;
+  const spec = TENSOR_TYPES[dataType];
+
+  const result = {
+    name: tensor.name || '',
+    dataType,
+    dtype: spec?.dtype || 'undefined',
+    shape,
+    elementCount,
+    byteSize: 0,
+    dataLocation: tensor.dataLocation === EXTERNAL_LOCATION ? 'EXTERNAL' : 'DEFAULT',
+    docString: tensor.docString || '',
+    data: null,
+    stats: null,
+  };
+
+  if (!spec) {
+    result.error = `Unsupported tensor data type ${dataType}`;
+    return result;
+  }
+
+  if (spec.dtype === 'string') {
+    const decoder = new TextDecoder();
+    result.data = (tensor.stringData || []).map((s) => decoder.decode(s));
+    result.byteSize = (tensor.stringData || []).reduce((sum, s) => sum + s.length, 0);
+    return result;
+  }
+
+  result.byteSize = expectedByteSize(spec, elementCount);
+  if (result.dataLocation === 'EXTERNAL') {
+    result.external = parseExternalData(tensor.externalData);
+    return result;
+  }
+
+  try {
+    const raw = tensor.rawData;
+    if (raw && raw.length) {
+      result.data = decodeTensorBytes(raw, dataType, shape);
+    } else {
+      const values = tensor[spec.field] || [];
+      const expected = spec.packed ? Math.ceil(elementCount / 2) : storedLength(spec, elementCount);
+      if (values.length < expected) {
+        throw new Error(`${spec.field} holds ${values.length} values, expected ${expected}`);
+      }
+      result.data = fromTypedField(values, spec, elementCount);
+    }
+    result.stats = computeTensorStats(result.data);
+  } catch (err) {
+    result.error = err.message;
+  }
+
+  return result;
+};
+
+export const base64ToBytes = (value) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+/**
+ * Decodes a TensorProto in its toObject form (bytes as base64 strings, longs
+ * as strings), e.g. the `t` of a Constant node's attribute.
+ */
+export const decodeTensorObject = (tensor) =>
+  decodeTensor({
+    ...tensor,
+    rawData: typeof tensor.rawData === 'string' ? base64ToBytes(tensor.rawData) : tensor.rawData,
+    stringData: (tensor.stringData || []).map((s) => (typeof s === 'string' ? base64ToBytes(s) : s)),
+  });
@@ -0,0 +1,135 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { featureMapPlane, histogram, isFeatureMap } from '../Activations';
+import { formatShape } from '../ShapeInference';
+
+// viridis-like stops for the heatmap; NaN/Inf pixels are drawn red
+const COLOR_STOPS = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37]
+];
+
+const colorAt = (t) => {
+  const scaled = Math.min(1, Math.max(0, t)) * (COLOR_STOPS.length - 1);
+  const i = Math.min(COLOR_STOPS.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  return COLOR_STOPS[i].map((c, k) => Math.round(c + (COLOR_STOPS[i + 1][k] - c) * f));
+};
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '–';
+  return Math.abs(value) >= 1e4 || (value !== 0 && Math.abs(value) < 1e-3) ? value.toExponential(3) : value.toFixed(4);
+};
+
+const Histogram = ({ data }) => {
+  const { min, max, counts } = useMemo(() => histogram(data), [data]);
+  if (min === null) return <p className="text-xs opacity-70">No finite values.</p>;
+  const peak = Math.max(...counts);
+  const barWidth = 240 / counts.length;
+  return (
+    <div>
+      <svg width="240" height="60" className="block">
+        {counts.map((count, i) => {
+          const height = peak ? (count / peak) * 58 : 0;
+          return <rect key={i} x={i * barWidth} y={60 - height} width={barWidth - 1} height={height} fill="currentColor" opacity="0.7" />;
+        })}
+      </svg>
+      <div className="flex justify-between text-xs opacity-70 w-60">
+        <span>{formatNumber(min)}</span>
+        <span>{formatNumber(max)}</span>
+      </div>
+    </div>
+  );
+};
+
+const Heatmap = ({ activation }) => {
+  const [, channels] = activation.shape;
+  const [channel, setChannel] = useState(0);
+  const canvasRef = useRef();
+  const plane = useMemo(() => featureMapPlane(activation, 0, Math.min(channel, channels - 1)), [activation, channel, channels]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(plane.width, plane.height);
+    const range = plane.max - plane.min || 1;
+    plane.values.forEach((v, i) => {
+      const [r, g, b] = Number.isFinite(v) ? colorAt((v - plane.min) / range) : [255, 0, 0];
+      image.data.set([r, g, b, 255], i * 4);
+    });
+    context.putImageData(image, 0, 0);
+  }, [plane]);
+
+  const scale = Math.max(1, Math.floor(160 / Math.max(plane.width, plane.height)));
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-xs">
+        Channel
+        <input
+          type="range"
+          min="0"
+          max={channels - 1}
+          value={Math.min(channel, channels - 1)}
+          onChange={(e) => setChannel(Number(e.target.value))}
+        />
+        <span className="font-mono">
+          {Math.min(channel, channels - 1)} / {channels - 1}
+        </span>
+      </label>
+      <canvas
+        ref={canvasRef}
+        width={plane.width}
+        height={plane.height}
+        className="mt-1 border border-gray-500"
+        style={{ width: plane.width * scale, height: plane.height * scale, imageRendering: 'pixelated' }}
+      />
+      <p className="text-xs opacity-70">
+        batch 0 · {formatNumber(plane.min)} … {formatNumber(plane.max)}
+      </p>
+    </div>
+  );
+};
+
+// Runtime value of one tensor from an activation capture: stats with NaN/Inf
+// flagged, a histogram, and a channel heatmap for 4-D feature maps. Colors
+// follow the surrounding text so it works on light and dark panels.
+const ActivationView = ({ name, activation }) => {
+  if (!activation) {
+    return <p className="text-xs opacity-70">No captured value for "{name}". Run the model with activation capture on.</p>;
+  }
+  const { stats } = activation;
+  const broken = stats && (stats.nanCount || stats.infCount);
+
+  return (
+    <div className="space-y-2 text-sm">
+      <p>
+        <span className="font-mono font-semibold">{name}</span>{' '}
+        <span className="opacity-70">
+          {activation.dtype} {formatShape(activation.shape)}
+        </span>
+      </p>
+      {stats && (
+        <div className="grid grid-cols-4 gap-2 text-xs">
+          {['min', 'max', 'mean', 'std'].map((key) => (
+            <div key={key}>
+              <div className="opacity-70">{key}</div>
+              {formatNumber(stats[key])}
+            </div>
+          ))}
+        </div>
+      )}
+      {broken ? (
+        <p className="text-xs font-semibold text-red-500">
+          Contains {stats.nanCount} NaN and {stats.infCount} Inf value(s).
+        </p>
+      ) : null}
+      {stats && <Histogram data={activation.data} />}
+      {isFeatureMap(activation) && <Heatmap key={name} activation={activation} />}
+    </div>
+  );
+};
+
+export default ActivationView;
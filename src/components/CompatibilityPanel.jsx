@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { checkTarget, parseTarget, TARGETS } from '../Compatibility';
+import ValidationPanel from './ValidationPanel';
+
+const fieldClass = 'border border-gray-300 rounded px-2 py-1 text-sm';
+const buttonClass = 'px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100';
+
+const domainName = (domain) => domain || 'ai.onnx';
+
+const formatRange = (min, max) => (min === null ? '–' : min > max ? 'none' : min === max ? `${min}` : `${min}–${max}`);
+
+// Opset and runtime compatibility of the parsed model (analysis.compatibility,
+// see Compatibility): the opset range the graph is valid for as written, and
+// the op types a chosen target runtime, bundled or loaded from an allowlist
+// JSON, has no kernel for.
+const CompatibilityPanel = ({ report, onFocusNode }) => {
+  const [targetId, setTargetId] = useState('ort-wasm');
+  const [custom, setCustom] = useState(null);
+  const [error, setError] = useState(null);
+  const target = targetId === 'custom' ? custom : TARGETS[targetId];
+  const check = useMemo(() => checkTarget(report, target), [report, target]);
+  const findings = [...check.findings, ...report.findings];
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      setCustom(parseTarget(JSON.parse(await file.text()), file.name));
+      setTargetId('custom');
+    } catch (err) {
+      setError(`Could not load "${file.name}": ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm text-gray-700">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-normal py-1">Domain</th>
+            <th className="font-normal">Imported</th>
+            <th className="font-normal">Valid as written</th>
+            <th className="font-normal">Newest known</th>
+            <th className="font-normal">Limited by</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.opsets.map((range) => (
+            <tr key={range.domain} className="border-t border-gray-100">
+              <td className="py-1 font-mono">{domainName(range.domain)}</td>
+              <td>{range.imported}</td>
+              <td>{range.standard ? formatRange(range.min, range.max) : 'custom domain'}</td>
+              <td>{range.latest ?? '–'}</td>
+              <td>{[range.limits.min, range.limits.max].filter(Boolean).map((l) => l.reason).join('; ') || '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1">
+          Target
+          <select className={fieldClass} value={targetId} onChange={(e) => setTargetId(e.target.value)}>
+            {Object.entries(TARGETS).map(([id, t]) => (
+              <option key={id} value={id}>
+                {t.name}
+              </option>
+            ))}
+            {custom && <option value="custom">{custom.name}</option>}
+          </select>
+        </label>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Load allowlist…
+          <input
+            type="file"
+            accept=".json"
+            className="hidden"
+            onChange={(e) => {
+              handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {error && <p className="text-red-700">{error}</p>}
+
+      <div className={`p-3 rounded ${check.compatible ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+        {check.compatible ? (
+          <p>
+            All {report.operators.length} op type(s) and the imported opsets are supported by {target.name}.
+          </p>
+        ) : (
+          <>
+            <p>
+              {check.unsupported.length} of {report.operators.length} op type(s) unsupported by {target.name}
+              {check.opsets.some((o) => !o.supported) && ', and the imported opset is out of its range'}.
+            </p>
+            {check.unsupported.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {check.unsupported.map((op) => (
+                  <button
+                    key={`${op.domain}::${op.opType}`}
+                    type="button"
+                    className="bg-white px-2 py-1 rounded border border-red-200 hover:shadow disabled:cursor-default"
+                    disabled={!op.nodes.length}
+                    onClick={() => onFocusNode(op.nodes[0].index)}
+                  >
+                    {op.domain && <span className="text-gray-500">{op.domain}.</span>}
+                    {op.opType} × {op.count}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div>
+        <h3 className="font-medium mb-2">Findings</h3>
+        <ValidationPanel
+          validation={{
+            findings,
+            errorCount: findings.filter((f) => f.severity === 'error').length,
+            warningCount: findings.filter((f) => f.severity === 'warning').length,
+          }}
+          onFocusNode={onFocusNode}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CompatibilityPanel;
@@ -0,0 +1,119 @@
+import React from 'react';
+
+const KIND_STYLES = {
+  added: 'border-green-500 bg-green-50 text-green-800',
+  removed: 'border-red-500 bg-red-50 text-red-800',
+  changed: 'border-yellow-500 bg-yellow-50 text-yellow-800',
+};
+
+const KIND_MARKS = { added: '+', removed: '−', changed: '~' };
+
+const SECTIONS = [
+  ['opsets', 'Opsets'],
+  ['inputs', 'Inputs'],
+  ['outputs', 'Outputs'],
+  ['initializers', 'Initializers'],
+  ['nodes', 'Nodes'],
+];
+
+const formatDelta = ({ maxAbs, meanAbs, changedElements, elements }) =>
+  `${changedElements}/${elements} values differ · max |Δ| ${maxAbs.toPrecision(4)} · mean |Δ| ${meanAbs.toPrecision(4)}`;
+
+// Flattens a { added, removed, changed } section into display rows.
+const rows = (section) => [
+  ...section.removed.map((entry) => ({ kind: 'removed', entry })),
+  ...section.added.map((entry) => ({ kind: 'added', entry })),
+  ...section.changed.map((entry) => ({ kind: 'changed', entry })),
+];
+
+// Shows a diffModels() result. Node rows call onFocusNode(side, index) so the
+// canvas can switch to the model that contains the node.
+const DiffPanel = ({ diff, beforeName, afterName, onFocusNode }) => {
+  if (!diff) return null;
+
+  const focus = (kind, entry) => {
+    if (!onFocusNode) return undefined;
+    if (kind === 'removed') return () => onFocusNode('before', entry.beforeIndex);
+    return () => onFocusNode('after', entry.afterIndex);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        <span className="font-mono">{beforeName}</span> → <span className="font-mono">{afterName}</span>:{' '}
+        {diff.changeCount === 0 ? 'no structural differences.' : `${diff.changeCount} change(s)`}
+      </p>
+
+      {SECTIONS.map(([key, title]) => {
+        const list = rows(diff[key]);
+        if (!list.length) return null;
+        return (
+          <div key={key}>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">
+              {title} ({list.length})
+            </h3>
+            <ul className="space-y-1 max-h-80 overflow-auto">
+              {list.map(({ kind, entry }, index) => {
+                const onClick = key === 'nodes' ? focus(kind, entry) : undefined;
+                return (
+                  <li
+                    key={index}
+                    className={`border-l-4 px-3 py-2 rounded text-sm ${KIND_STYLES[kind]} ${onClick ? 'cursor-pointer hover:shadow' : ''}`}
+                    onClick={onClick}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-mono">
+                        {KIND_MARKS[kind]} {entry.name}
+                      </span>
+                      <span className="font-mono text-xs">
+                        {kind === 'changed' && entry.before !== entry.after
+                          ? `${entry.before} → ${entry.after}`
+                          : entry.after ?? entry.before}
+                      </span>
+                    </div>
+                    {entry.attributes?.map((attr) => (
+                      <p key={attr.name} className="font-mono text-xs mt-1">
+                        {attr.name}: {attr.before ?? '(unset)'} → {attr.after ?? '(unset)'}
+                      </p>
+                    ))}
+                    {entry.rename && (
+                      <p className="font-mono text-xs mt-1">
+                        name: {entry.rename.before ?? '(unnamed)'} → {entry.rename.after ?? '(unnamed)'}
+                      </p>
+                    )}
+                    {entry.inputs?.map((input) => (
+                      <p key={input.index} className="font-mono text-xs mt-1">
+                        input {input.index}: {input.before ?? '(none)'} → {input.after ?? '(none)'}
+                      </p>
+                    ))}
+                    {entry.delta && <p className="font-mono text-xs mt-1">{formatDelta(entry.delta)}</p>}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        );
+      })}
+
+      {diff.operators.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Operator counts</h3>
+          <table className="text-sm">
+            <tbody>
+              {diff.operators.map(({ op, before, after }) => (
+                <tr key={op}>
+                  <td className="pr-6 font-mono">{op}</td>
+                  <td className="pr-2 text-right">{before}</td>
+                  <td className="pr-2">→</td>
+                  <td className="text-right">{after}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffPanel;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { defaultFeedConfig } from '../InferenceRunner';
+import { formatShape } from '../ShapeInference';
+
+const SOURCES = [
+  ['random', 'Random'],
+  ['zeros', 'Zeros'],
+  ['file', '.npy / JSON file'],
+  ['image', 'Image']
+];
+
+const fieldClass = 'border border-gray-300 rounded px-2 py-1 text-sm';
+
+const parseList = (text) =>
+  text
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '')
+    .map(Number);
+
+const ImageOptions = ({ options, onChange }) => {
+  const set = (key, value) => onChange({ ...options, [key]: value });
+  return (
+    <div className="grid grid-cols-4 gap-2 mt-2 text-xs text-gray-700">
+      <label className="flex flex-col">
+        Width
+        <input type="number" min="1" className={fieldClass} value={options.width} onChange={(e) => set('width', Number(e.target.value))} />
+      </label>
+      <label className="flex flex-col">
+        Height
+        <input type="number" min="1" className={fieldClass} value={options.height} onChange={(e) => set('height', Number(e.target.value))} />
+      </label>
+      <label className="flex flex-col">
+        Layout
+        <select className={fieldClass} value={options.layout} onChange={(e) => set('layout', e.target.value)}>
+          <option>NCHW</option>
+          <option>NHWC</option>
+        </select>
+      </label>
+      <label className="flex flex-col">
+        Channels
+        <select className={fieldClass} value={options.channelOrder} onChange={(e) => set('channelOrder', e.target.value)}>
+          <option>RGB</option>
+          <option>BGR</option>
+        </select>
+      </label>
+      <label className="flex flex-col col-span-2">
+        Mean
+        <input className={fieldClass} defaultValue={options.mean.join(', ')} onBlur={(e) => set('mean', parseList(e.target.value))} />
+      </label>
+      <label className="flex flex-col">
+        Std
+        <input className={fieldClass} defaultValue={options.std.join(', ')} onBlur={(e) => set('std', parseList(e.target.value))} />
+      </label>
+      <label className="flex items-center gap-1 mt-4">
+        <input type="checkbox" checked={options.rescale} onChange={(e) => set('rescale', e.target.checked)} />
+        Divide by 255
+      </label>
+    </div>
+  );
+};
+
+// Per-input feed configuration (see InferenceRunner.buildFeeds). `configs`
+// maps input names to configs; inputs without one use the default.
+const FeedInputs = ({ inputs, configs, onChange }) => {
+  const configOf = (input) => configs[input.name] ?? defaultFeedConfig(input);
+  const update = (input, changes) => onChange({ ...configs, [input.name]: { ...configOf(input), ...changes } });
+
+  return (
+    <>
+      {inputs.map((input) => {
+        const config = configOf(input);
+        return (
+          <div key={input.name} className="border border-gray-200 rounded p-3">
+            <div className="flex justify-between items-center text-sm">
+              <span>
+                <span className="font-mono font-semibold text-gray-800">{input.name}</span>{' '}
+                <span className="text-gray-600">
+                  {input.dtype} {formatShape(input.shape)}
+                </span>
+              </span>
+              <select className={fieldClass} value={config.source} onChange={(e) => update(input, { source: e.target.value, file: null })}>
+                {SOURCES.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {(config.source === 'random' || config.source === 'zeros') && (
+              <label className="flex items-center gap-2 mt-2 text-xs text-gray-700">
+                Shape
+                <input className={`${fieldClass} flex-1`} value={config.shape} onChange={(e) => update(input, { shape: e.target.value })} />
+              </label>
+            )}
+            {(config.source === 'file' || config.source === 'image') && (
+              <input
+                key={config.source}
+                type="file"
+                accept={config.source === 'image' ? 'image/*' : '.npy,.json'}
+                className="mt-2 text-xs"
+                onChange={(e) => update(input, { file: e.target.files[0] || null })}
+              />
+            )}
+            {config.source === 'image' && <ImageOptions options={config.image} onChange={(image) => update(input, { image })} />}
+          </div>
+        );
+      })}
+    </>
+  );
+};
+
+export default FeedInputs;
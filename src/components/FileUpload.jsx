@@ -1,17 +1,30 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+// Accepts a single .onnx file, or the model plus its external-data files
+// (several files or a whole folder). The first .onnx found is the model;
+// everything else is passed along as companion files. `id` keeps the input
+// ids unique when several upload areas share a page.
+const FileUpload = ({ onFileUpload, id = 'dropzone' }) => {
+  const [message, setMessage] = useState(null);
 
-const FileUpload = ({ onFileUpload }) => {
   const handleFileChange = async (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      onFileUpload(file);
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const model = files.find((f) => f.name.toLowerCase().endsWith('.onnx'));
+    if (!model) {
+      setMessage('No .onnx file in the selection.');
+      return;
     }
+    setMessage(files.length > 1 ? `${model.name} + ${files.length - 1} companion file(s)` : null);
+    onFileUpload(model, files.filter((f) => f !== model));
   };
 
   return (
-    <div className="flex items-center justify-center w-full">
+    <div className="flex flex-col items-center justify-center w-full">
       <label
-        htmlFor="dropzone-file"
+        htmlFor={`${id}-file`}
         className="flex flex-col items-center justify-center w-full h-64 border-2 border-gray-300 border-dashed rounded-lg cursor-pointer bg-gray-50 hover:bg-gray-100"
       >
         <div className="flex flex-col items-center justify-center pt-5 pb-6">
@@ -33,16 +46,30 @@ const FileUpload = ({ onFileUpload }) => {
           <p className="mb-2 text-sm text-gray-500">
             <span className="font-semibold">Click to upload</span> or drag and drop
           </p>
-          <p className="text-xs text-gray-500">ONNX model file</p>
+          <p className="text-xs text-gray-500">ONNX model file, optionally with its external data files</p>
         </div>
         <input
-          id="dropzone-file"
+          id={`${id}-file`}
           type="file"
           className="hidden"
-          accept=".onnx"
+          multiple
           onChange={handleFileChange}
         />
       </label>
+      <div className="flex items-center justify-between w-full mt-2 text-xs text-gray-500">
+        <span>{message}</span>
+        <label htmlFor={`${id}-folder`} className="cursor-pointer text-blue-600 hover:underline">
+          Select a model folder
+        </label>
+        <input
+          id={`${id}-folder`}
+          type="file"
+          className="hidden"
+          webkitdirectory=""
+          multiple
+          onChange={handleFileChange}
+        />
+      </div>
     </div>
   );
 };
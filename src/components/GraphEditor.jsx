@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import { attributeType } from '../NodeAttributes';
+import { dtypeName } from '../ShapeInference';
+import {
+  attributeFromText,
+  attributeToText,
+  deleteNode,
+  insertNodeOnEdge,
+  isEditableAttribute,
+  removeAttribute,
+  renameNode,
+  renameTensor,
+  setAttribute,
+  setValueShape
+} from '../ModelEditor';
+
+const NEW_ATTRIBUTE_TYPES = ['INT', 'FLOAT', 'STRING', 'INTS', 'FLOATS', 'STRINGS'];
+
+const inputClass = 'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white text-sm w-full';
+const buttonClass = 'px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white';
+
+// Text input that commits on Enter or blur, and only when the text changed
+const CommitInput = ({ value, onCommit, placeholder }) => {
+  const [text, setText] = useState(value);
+  const commit = () => text !== value && onCommit(text);
+  return (
+    <input
+      className={inputClass}
+      value={text}
+      placeholder={placeholder}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+    />
+  );
+};
+
+const Section = ({ title, children }) => (
+  <div className="mt-3">
+    <h4 className="text-xs uppercase tracking-wide text-blue-300 mb-1">{title}</h4>
+    {children}
+  </div>
+);
+
+const formatDims = (value) =>
+  (value.type?.tensorType?.shape?.dim || [])
+    .map((d) => (d.dimValue !== undefined ? String(d.dimValue) : d.dimParam || '?'))
+    .join(', ');
+
+// "batch, 3, ?, 224" -> ['batch', 3, null, 224]
+const parseDims = (text) =>
+  text
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '')
+    .map((item) => (item === '?' ? null : /^\d+$/.test(item) ? Number(item) : item));
+
+// Tensor rename field; with `onPickTensor`, also offers the tensor as a cut
+// point for subgraph extraction.
+const TensorName = ({ name, onApply, onPickTensor }) => (
+  <div>
+    <CommitInput key={name} value={name} onCommit={(to) => onApply((m) => renameTensor(m, name, to))} />
+    {onPickTensor && (
+      <div className="flex justify-end space-x-1 mt-1">
+        <button className={buttonClass} onClick={() => onPickTensor(name, 'inputs')}>
+          Cut as input
+        </button>
+        <button className={buttonClass} onClick={() => onPickTensor(name, 'outputs')}>
+          Cut as output
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+const NodeEditor = ({ model, nodeIndex, onApply, onPickTensor, clearSelection }) => {
+  const node = model.graph.node[nodeIndex];
+  const [newAttribute, setNewAttribute] = useState({ name: '', type: 'INT', value: '' });
+  const [reconnect, setReconnect] = useState(true);
+  if (!node) return null;
+
+  return (
+    <>
+      <h3 className="text-white font-semibold">
+        {node.domain ? `${node.domain}.` : ''}
+        {node.opType} <span className="text-xs text-blue-300">#{nodeIndex}</span>
+      </h3>
+
+      <Section title="Name">
+        <CommitInput
+          key={`${nodeIndex}:${node.name || ''}`}
+          value={node.name || ''}
+          placeholder="(unnamed)"
+          onCommit={(name) => onApply((m) => renameNode(m, nodeIndex, name))}
+        />
+      </Section>
+
+      <Section title="Inputs">
+        <p className="text-sm text-blue-100 font-mono break-all">{(node.input || []).map((i) => i || '∅').join(', ')}</p>
+      </Section>
+
+      <Section title="Outputs">
+        <div className="space-y-1">
+          {(node.output || []).map((output, i) => (
+            <TensorName key={i} name={output} onApply={onApply} onPickTensor={onPickTensor} />
+          ))}
+        </div>
+      </Section>
+
+      <Section title="Attributes">
+        <div className="space-y-2">
+          {(node.attribute || []).map((attr) => (
+            <div key={attr.name}>
+              <div className="flex items-center justify-between text-xs text-blue-200">
+                <span>
+                  {attr.name} <span className="opacity-60">{attributeType(attr)}</span>
+                </span>
+                <button className="text-red-300 hover:text-red-200" onClick={() => onApply((m) => removeAttribute(m, nodeIndex, attr.name))}>
+                  remove
+                </button>
+              </div>
+              {isEditableAttribute(attr) ? (
+                <CommitInput
+                  key={`${nodeIndex}:${attr.name}:${attributeToText(attr)}`}
+                  value={attributeToText(attr)}
+                  onCommit={(text) =>
+                    onApply((m) => setAttribute(m, nodeIndex, attributeFromText(attr.name, attributeType(attr), text, attr)))
+                  }
+                />
+              ) : (
+                <p className="text-xs text-gray-400">Not editable here.</p>
+              )}
+            </div>
+          ))}
+          <div className="flex space-x-1">
+            <input
+              className={inputClass}
+              placeholder="name"
+              value={newAttribute.name}
+              onChange={(e) => setNewAttribute({ ...newAttribute, name: e.target.value })}
+            />
+            <select
+              className={inputClass}
+              value={newAttribute.type}
+              onChange={(e) => setNewAttribute({ ...newAttribute, type: e.target.value })}
+            >
+              {NEW_ATTRIBUTE_TYPES.map((type) => (
+                <option key={type}>{type}</option>
+              ))}
+            </select>
+            <input
+              className={inputClass}
+              placeholder="value"
+              value={newAttribute.value}
+              onChange={(e) => setNewAttribute({ ...newAttribute, value: e.target.value })}
+            />
+            <button
+              className={buttonClass}
+              disabled={!newAttribute.name}
+              onClick={() => {
+                onApply((m) => setAttribute(m, nodeIndex, attributeFromText(newAttribute.name, newAttribute.type, newAttribute.value)));
+                setNewAttribute({ name: '', type: newAttribute.type, value: '' });
+              }}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      </Section>
+
+      <Section title="Delete">
+        <div className="flex items-center justify-between">
+          <label className="flex items-center space-x-1 text-xs text-blue-200">
+            <input type="checkbox" checked={reconnect} onChange={(e) => setReconnect(e.target.checked)} />
+            <span>Reconnect consumers to its first input</span>
+          </label>
+          <button
+            className="px-2 py-1 text-xs rounded bg-red-700 hover:bg-red-600 text-white"
+            onClick={() => {
+              onApply((m) => deleteNode(m, nodeIndex, { reconnect }));
+              clearSelection();
+            }}
+          >
+            Delete node
+          </button>
+        </div>
+      </Section>
+    </>
+  );
+};
+
+const ValueEditor = ({ model, kind, index, onApply, onPickTensor }) => {
+  const value = model.graph[kind]?.[index];
+  if (!value) return null;
+  const dims = formatDims(value);
+
+  return (
+    <>
+      <h3 className="text-white font-semibold">
+        Graph {kind} <span className="text-xs text-blue-300">{dtypeName(value.type?.tensorType?.elemType)}</span>
+      </h3>
+      <Section title="Name">
+        <TensorName name={value.name} onApply={onApply} onPickTensor={onPickTensor} />
+      </Section>
+      {value.type?.tensorType && (
+        <Section title="Shape (numbers, symbolic names for dynamic dims, ? for unknown)">
+          <CommitInput
+            key={`${value.name}:${dims}`}
+            value={dims}
+            placeholder="batch, 3, 224, 224"
+            onCommit={(text) => onApply((m) => setValueShape(m, kind, index, parseDims(text)))}
+          />
+        </Section>
+      )}
+    </>
+  );
+};
+
+const EdgeEditor = ({ tensor, target, onApply, onPickTensor, clearSelection }) => {
+  const [insert, setInsert] = useState({ opType: '', domain: '' });
+
+  return (
+    <>
+      <h3 className="text-white font-semibold">Edge</h3>
+      <Section title="Tensor">
+        <TensorName name={tensor} onApply={onApply} onPickTensor={onPickTensor} />
+      </Section>
+      <Section title="Insert a node on this edge">
+        <div className="flex space-x-1">
+          <input
+            className={inputClass}
+            placeholder="op type, e.g. Identity"
+            value={insert.opType}
+            onChange={(e) => setInsert({ ...insert, opType: e.target.value })}
+          />
+          <input
+            className={inputClass}
+            placeholder="domain (optional)"
+            value={insert.domain}
+            onChange={(e) => setInsert({ ...insert, domain: e.target.value })}
+          />
+          <button
+            className={buttonClass}
+            disabled={!insert.opType}
+            onClick={() => {
+              onApply((m) => insertNodeOnEdge(m, tensor, target, insert).model);
+              clearSelection();
+            }}
+          >
+            Insert
+          </button>
+        </div>
+      </Section>
+    </>
+  );
+};
+
+// Editor for the canvas selection. `onApply(edit)` runs edit(model) and
+// records the result for undo; it throws when the edit is rejected.
+// `onPickTensor(name, 'inputs' | 'outputs')` feeds subgraph extraction.
+const GraphEditor = ({ model, selection, onApply, onPickTensor, clearSelection }) => {
+  const [error, setError] = useState(null);
+  if (!model?.graph) return null;
+
+  const apply = (edit) => {
+    try {
+      onApply(edit);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="text-sm w-96">
+      {selection.kind === 'node' && (
+        <NodeEditor
+          key={selection.nodeIndex}
+          model={model}
+          nodeIndex={selection.nodeIndex}
+          onApply={apply}
+          onPickTensor={onPickTensor}
+          clearSelection={clearSelection}
+        />
+      )}
+      {(selection.kind === 'input' || selection.kind === 'output') && (
+        <ValueEditor model={model} kind={selection.kind} index={selection.index} onApply={apply} onPickTensor={onPickTensor} />
+      )}
+      {selection.kind === 'edge' && (
+        <EdgeEditor
+          key={`${selection.tensor}:${JSON.stringify(selection.target)}`}
+          tensor={selection.tensor}
+          target={selection.target}
+          onApply={apply}
+          onPickTensor={onPickTensor}
+          clearSelection={clearSelection}
+        />
+      )}
+      {error && <p className="mt-3 text-xs text-red-300">{error}</p>}
+    </div>
+  );
+};
+
+export default GraphEditor;
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef } from 'react';
+
+const MAX_WIDTH = 220;
+const MAX_HEIGHT = 140;
+
+// Overview of the whole laid-out graph: `boxes` ({ x, y, width, height,
+// fill } in graph coordinates) drawn once to a canvas, with the visible
+// `viewport` outlined on top. Clicking or dragging calls `onNavigate` with
+// the graph point to center on.
+const Minimap = ({ boxes, width, height, viewport, onNavigate }) => {
+  const canvasRef = useRef();
+  const draggingRef = useRef(false);
+  const ratio = Math.min(MAX_WIDTH / (width || 1), MAX_HEIGHT / (height || 1));
+  const canvasWidth = Math.max(1, Math.round(width * ratio));
+  const canvasHeight = Math.max(1, Math.round(height * ratio));
+
+  useEffect(() => {
+    const context = canvasRef.current?.getContext('2d');
+    if (!context) return;
+    context.clearRect(0, 0, canvasWidth, canvasHeight);
+    for (const box of boxes) {
+      context.fillStyle = box.fill;
+      context.fillRect(box.x * ratio, box.y * ratio, Math.max(1, box.width * ratio), Math.max(1, box.height * ratio));
+    }
+  }, [boxes, ratio, canvasWidth, canvasHeight]);
+
+  const navigate = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    onNavigate((e.clientX - rect.left) / ratio, (e.clientY - rect.top) / ratio);
+  };
+
+  // the outline is clipped to the map so it stays visible when zoomed out
+  const left = Math.max(0, viewport.x * ratio);
+  const top = Math.max(0, viewport.y * ratio);
+  const right = Math.min(canvasWidth, (viewport.x + viewport.width) * ratio);
+  const bottom = Math.min(canvasHeight, (viewport.y + viewport.height) * ratio);
+
+  return (
+    <div className="relative bg-black bg-opacity-70 rounded-lg p-2">
+      <canvas
+        ref={canvasRef}
+        width={canvasWidth}
+        height={canvasHeight}
+        className="block cursor-pointer"
+        onPointerDown={(e) => {
+          draggingRef.current = true;
+          e.currentTarget.setPointerCapture(e.pointerId);
+          navigate(e);
+        }}
+        onPointerMove={(e) => draggingRef.current && navigate(e)}
+        onPointerUp={() => (draggingRef.current = false)}
+      />
+      {right > left && bottom > top && (
+        <div
+          className="absolute border-2 border-yellow-400 pointer-events-none"
+          style={{ left: 8 + left, top: 8 + top, width: right - left, height: bottom - top }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Minimap;
@@ -1,4 +1,4 @@
-import React, { useMemo, useEffect } from "react";
+import React, { useMemo, useEffect, useState } from "react";
 import JSONPretty from "react-json-pretty";
 import "react-json-pretty/themes/monikai.css";
 import ReactFlow, {
@@ -9,11 +9,93 @@ import ReactFlow, {
   useEdgesState,
 } from "reactflow";
 import "reactflow/dist/style.css";
+import { formatShape } from "../ShapeInference";
+import { buildScopeTree, collapsedOwners, groupSize } from "../NameScopes";
+import { patternLabels } from "../Patterns";
+import { loadExternalTensor } from "../ExternalData";
+import ActivationView from "./ActivationView";
 
-const ModelViewer = ({ modelData }) => {
+// Typed arrays and BigInts can't go through JSON.stringify as-is; summarize them.
+// The editable ModelProto repeats the graph, so it is left out.
+const jsonReplacer = (key, value) => {
+  if (key === "editableModel") return undefined;
+  if (ArrayBuffer.isView(value)) return `${value.constructor.name}(${value.length})`;
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Blob) return undefined;
+  return value;
+};
+
+const formatCount = (value) => {
+  const units = ["", "K", "M", "G", "T"];
+  let i = 0;
+  while (value >= 1000 && i < units.length - 1) {
+    value /= 1000;
+    i++;
+  }
+  return `${i ? value.toFixed(2) : value}${units[i]}`;
+};
+
+const formatBytes = (value) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${i ? value.toFixed(2) : value} ${units[i]}`;
+};
+
+const formatStat = (value) => {
+  if (value === null || value === undefined) return "–";
+  return Math.abs(value) >= 1e4 || (value !== 0 && Math.abs(value) < 1e-3)
+    ? value.toExponential(3)
+    : value.toFixed(4);
+};
+
+// `activations` (tensor name -> captured value, see Activations) makes the
+// graph's edges clickable for runtime inspection; `operatorLatency` (per
+// op type, see Profiler) is listed beside the operator frequency.
+const ModelViewer = ({ modelData, activations, operatorLatency }) => {
+  const [selectedTensor, setSelectedTensor] = useState(null);
+  // expanded name-scope groups, id -> title; groups start collapsed
+  const [expandedScopes, setExpandedScopes] = useState(() => new Map());
+  // external initializers being read, by name; loadExternalTensor keeps the
+  // values on the tensor, so finishing only needs a re-render
+  const [loadingExternal, setLoadingExternal] = useState(() => new Set());
   const operatorFrequency = modelData?.analysis?.operatorFrequency || {};
+  const initializers = modelData?.graph?.initializers || [];
+  const diagnostics = modelData?.diagnostics || [];
+  const cost = modelData?.analysis?.cost;
+  const domains = modelData?.analysis?.domains || [];
+  const functions = modelData?.functions || [];
+  const patterns = modelData?.analysis?.patterns;
+
+  const scopeTree = useMemo(
+    () => (Array.isArray(modelData?.graph?.nodes) ? buildScopeTree(modelData.graph.nodes) : null),
+    [modelData]
+  );
+  useEffect(() => setExpandedScopes(new Map()), [scopeTree]);
+
+  const toggleScope = (id, title) =>
+    setExpandedScopes((current) => {
+      const next = new Map(current);
+      if (next.has(id)) next.delete(id);
+      else next.set(id, title);
+      return next;
+    });
 
-  // Build nodes and edges from modelData.graph.nodes or fallback to sample data
+  const handleLoadExternal = async (tensor) => {
+    setLoadingExternal((current) => new Set(current).add(tensor.name));
+    await loadExternalTensor(tensor);
+    setLoadingExternal((current) => {
+      const next = new Set(current);
+      next.delete(tensor.name);
+      return next;
+    });
+  };
+
+  // Build nodes and edges from modelData.graph.nodes or fallback to sample data.
+  // Nodes in a collapsed name-scope group are drawn as one node for the group.
   const { nodes: initialNodes, edges: initialEdges } = useMemo(() => {
     if (!modelData?.graph?.nodes || !Array.isArray(modelData.graph.nodes)) {
       // Sample data fallback
@@ -48,9 +130,15 @@ const ModelViewer = ({ modelData }) => {
 
     const nodes = [];
     const edges = [];
+    const valueInfo = modelData.graph.valueInfo || {};
     const nameToId = new Map();
     const processedInputs = new Set();
+    const owners = collapsedOwners(scopeTree, (id) => expandedScopes.has(id));
+    const labels = patternLabels(modelData.analysis?.patterns?.matches);
+    const placedGroups = new Set();
+    const edgeIds = new Set();
     let uid = 1;
+    let slot = 0;
 
     const getId = (name) => {
       if (!nameToId.has(name)) {
@@ -59,6 +147,14 @@ const ModelViewer = ({ modelData }) => {
       return nameToId.get(name);
     };
 
+    // Tensors produced inside a collapsed group come from the group's node
+    owners.forEach((group, index) => {
+      modelData.graph.nodes[index].output?.forEach((output) => {
+        nameToId.set(output, `group-${group.id}`);
+        processedInputs.add(output);
+      });
+    });
+
     // Create input nodes first
     modelData.graph.nodes.forEach((node) => {
       if (node.input && Array.isArray(node.input)) {
@@ -68,7 +164,7 @@ const ModelViewer = ({ modelData }) => {
             nodes.push({
               id: inputId,
               type: "input",
-              position: { x: 50, y: 50 + processedInputs.size * 100 },
+              position: { x: 50, y: 50 + nodes.length * 100 },
               data: {
                 label: input.length > 20 ? input.substring(0, 20) + "..." : input,
               },
@@ -80,37 +176,65 @@ const ModelViewer = ({ modelData }) => {
     });
 
     // Create operation nodes and edges
+    const position = () => {
+      const at = slot++;
+      return { x: 300 + (at % 4) * 200, y: 100 + Math.floor(at / 4) * 150 };
+    };
     modelData.graph.nodes.forEach((node, index) => {
+      const group = owners.get(index);
       const outputName = node.output?.[0] || node.name || `node-${index}`;
-      const nodeId = getId(outputName);
-
-      nodes.push({
-        id: nodeId,
-        type: "default",
-        position: {
-          x: 300 + (index % 4) * 200,
-          y: 100 + Math.floor(index / 4) * 150,
-        },
-        data: {
-          label: node.opType || node.op_type || node.type || `Node ${index}`,
-        },
-      });
+      const nodeId = group ? `group-${group.id}` : getId(outputName);
+
+      if (!group) {
+        const opLabel = node.opType || node.op_type || node.type || `Node ${index}`;
+        nodes.push({
+          id: nodeId,
+          type: "default",
+          position: position(),
+          data: {
+            label: labels.has(index) ? (
+              <>
+                {opLabel}
+                <div className="text-[10px] text-indigo-600">{labels.get(index).join(", ")}</div>
+              </>
+            ) : (
+              opLabel
+            ),
+          },
+        });
+      } else if (!placedGroups.has(group)) {
+        // the group takes the place of its first node
+        placedGroups.add(group);
+        const title = group.repeat ? `${group.name} ×${group.repeat}` : group.name;
+        nodes.push({
+          id: nodeId,
+          type: "default",
+          position: position(),
+          data: { label: `${title} (${groupSize(group)} nodes)`, scope: { id: group.id, title } },
+          style: { background: group.repeat ? "#dbeafe" : "#f3f4f6", fontWeight: 600 },
+        });
+      }
 
       if (node.input && Array.isArray(node.input)) {
         node.input.forEach((input) => {
           const inputId = getId(input);
+          // edges inside a collapsed group, and repeats between two boxes, are dropped
+          if (inputId === nodeId || edgeIds.has(`e-${inputId}-${nodeId}`)) return;
+          edgeIds.add(`e-${inputId}-${nodeId}`);
           edges.push({
             id: `e-${inputId}-${nodeId}`,
             source: inputId,
             target: nodeId,
             animated: true,
+            label: valueInfo[input] ? formatShape(valueInfo[input].shape) : undefined,
+            data: { tensor: input },
           });
         });
       }
     });
 
     return { nodes, edges };
-  }, [modelData]);
+  }, [modelData, scopeTree, expandedScopes]);
 
   // Initialize React Flow state with empty arrays first
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
@@ -132,11 +256,26 @@ const ModelViewer = ({ modelData }) => {
 
   return (
     <div className="space-y-6">
+      {diagnostics.length > 0 && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Diagnostics</h3>
+          <ul className="space-y-1 text-sm">
+            {diagnostics.map((d, index) => (
+              <li key={index} className={d.severity === "error" ? "text-red-700" : "text-yellow-800"}>
+                <span className="font-semibold uppercase text-xs mr-2">{d.severity}</span>
+                {d.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="bg-gray-800 rounded-lg p-4 overflow-auto max-h-96">
         <h3 className="text-lg font-medium text-white mb-2">Complete Model Structure</h3>
         <JSONPretty
           id="json-pretty"
           data={modelData}
+          replacer={jsonReplacer}
           className="text-sm"
           style={{
             overflow: "auto",
@@ -165,6 +304,8 @@ const ModelViewer = ({ modelData }) => {
                 inputs: modelData.graph.inputs.length,
                 outputs: modelData.graph.outputs.length,
                 initializers: modelData.graph.initializers.length,
+                subgraphs: modelData.analysis.subgraphCount || 0,
+                nodesIncludingSubgraphs: modelData.analysis.totalNodesRecursive,
               },
               null,
               2
@@ -173,24 +314,258 @@ const ModelViewer = ({ modelData }) => {
         </div>
       </div>
 
-      <div className="bg-gray-100 p-4 rounded-lg">
-        <h3 className="font-medium mb-2">Operator Frequency</h3>
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-          {Object.keys(operatorFrequency).length > 0 ? (
-            Object.entries(operatorFrequency).map(([op, count]) => (
-              <div key={op} className="bg-white p-2 rounded shadow-sm">
-                <span className="font-medium">{op}:</span> {count}
-              </div>
-            ))
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-gray-100 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Operator Frequency</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {Object.keys(operatorFrequency).length > 0 ? (
+              Object.entries(operatorFrequency).map(([op, count]) => (
+                <div key={op} className="bg-white p-2 rounded shadow-sm">
+                  <span className="font-medium">{op}:</span> {count}
+                </div>
+              ))
+            ) : (
+              <p className="text-sm text-gray-500">No operator frequency data available.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-gray-100 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Architecture Patterns</h3>
+          {patterns?.summary.length > 0 ? (
+            <div className="space-y-1 text-sm">
+              {patterns.summary.map((pattern) => (
+                <div key={pattern.name} className="bg-white p-2 rounded shadow-sm" title={pattern.description}>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium flex-1">{pattern.name}</span>
+                    {pattern.category && (
+                      <span className="text-xs px-2 py-0.5 rounded bg-indigo-100 text-indigo-800">{pattern.category}</span>
+                    )}
+                    <span className="w-12 text-right">×{pattern.count}</span>
+                  </div>
+                  {pattern.description && <p className="text-xs text-gray-500">{pattern.description}</p>}
+                </div>
+              ))}
+            </div>
           ) : (
-            <p className="text-sm text-gray-500">No operator frequency data available.</p>
+            <p className="text-sm text-gray-500">No known patterns recognized.</p>
+          )}
+        </div>
+
+        {operatorLatency && (
+          <div className="bg-gray-100 p-4 rounded-lg">
+            <h3 className="font-medium mb-2">Operator Latency</h3>
+            <div className="space-y-1 text-sm">
+              {operatorLatency.map((op) => (
+                <div key={op.opType} className="bg-white p-2 rounded shadow-sm flex items-center gap-2">
+                  <span className="font-medium w-40 truncate">{op.opType}</span>
+                  <span className="text-xs text-gray-500 w-16">{op.nodes} node(s)</span>
+                  <span className="w-20 text-right">{op.meanMs >= 10 ? op.meanMs.toFixed(1) : op.meanMs.toFixed(3)} ms</span>
+                  <div className="flex-1">
+                    <div className="h-2 bg-red-400 rounded" style={{ width: `${op.share * 100}%` }} />
+                  </div>
+                  <span className="text-xs w-12 text-right">{(op.share * 100).toFixed(1)}%</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {domains.some((d) => !d.standard) && (
+        <div className="bg-gray-100 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Operator Domains</h3>
+          <div className="space-y-3">
+            {domains.map((d) => (
+              <div key={d.domain}>
+                <p className="text-sm font-medium mb-1">
+                  {d.domain}{" "}
+                  <span
+                    className={`text-xs px-2 py-0.5 rounded ${
+                      d.standard ? "bg-green-100 text-green-800" : "bg-orange-100 text-orange-800"
+                    }`}
+                  >
+                    {d.standard ? "standard" : "custom"}
+                  </span>{" "}
+                  <span className="text-xs text-gray-500">{d.nodeCount} node(s)</span>
+                </p>
+                <div className="flex flex-wrap gap-2 text-xs">
+                  {Object.entries(d.operators).map(([op, info]) => (
+                    <span key={op} className="bg-white px-2 py-1 rounded shadow-sm">
+                      {info.isFunction && <span title="Local function">ƒ </span>}
+                      {op}: {info.count}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {functions.length > 0 && (
+        <div className="bg-gray-100 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Local Functions</h3>
+          <ul className="space-y-2 text-sm">
+            {functions.map((fn) => (
+              <li key={fn.key} className="bg-white p-2 rounded shadow-sm">
+                <p className="font-mono text-xs break-all">{fn.signature}</p>
+                <p className="text-xs text-gray-500">
+                  {fn.nodes.length} node(s)
+                  {fn.attributes.length > 0 && ` · attributes: ${fn.attributes.map((a) => a.name).join(", ")}`}
+                  {fn.opsetImport.length > 0 &&
+                    ` · opsets: ${fn.opsetImport.map((o) => `${o.domain || "ai.onnx"}@${o.version}`).join(", ")}`}
+                </p>
+                {fn.docString && <p className="text-xs mt-1">{fn.docString}</p>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {cost && (
+        <div className="bg-gray-100 p-4 rounded-lg">
+          <h3 className="font-medium mb-2">Compute Cost</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4 text-sm">
+            {[
+              ["FLOPs", formatCount(cost.totals.flops)],
+              ["MACs", formatCount(cost.totals.macs)],
+              ["Parameters", formatCount(cost.totals.params)],
+              ["Weights", formatBytes(cost.totals.weightBytes)],
+              ["Peak activations", formatBytes(cost.totals.peakActivationBytes)],
+              ["Est. memory", formatBytes(cost.totals.memoryBytes)],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white p-2 rounded shadow-sm">
+                <span className="font-medium">{label}:</span> {value}
+              </div>
+            ))}
+          </div>
+          {cost.topLayers.length > 0 && (
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="p-1">Node</th>
+                  <th className="p-1">Op</th>
+                  <th className="p-1">FLOPs</th>
+                  <th className="p-1">MACs</th>
+                  <th className="p-1">Params</th>
+                  <th className="p-1">Activations</th>
+                  <th className="p-1">Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cost.topLayers.map((layer) => (
+                  <tr key={layer.index} className="bg-white border-t border-gray-100">
+                    <td className="p-1 font-mono break-all">{layer.name}</td>
+                    <td className="p-1">{layer.opType}</td>
+                    <td className="p-1">{formatCount(layer.flops)}</td>
+                    <td className="p-1">{formatCount(layer.macs)}</td>
+                    <td className="p-1">{formatCount(layer.params)}</td>
+                    <td className="p-1">{formatBytes(layer.activationBytes)}</td>
+                    <td className="p-1">{(layer.share * 100).toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {cost.unresolved.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              {cost.unresolved.length} node(s) have unknown shapes and are not counted. Symbolic dims are
+              evaluated as {cost.assumptions.symbolValue}.
+            </p>
           )}
         </div>
+      )}
+
+      <div className="bg-gray-100 p-4 rounded-lg">
+        <h3 className="font-medium mb-2">Initializers</h3>
+        {initializers.length > 0 ? (
+          <div className="overflow-auto max-h-96">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="p-1">Name</th>
+                  <th className="p-1">Type</th>
+                  <th className="p-1">Shape</th>
+                  <th className="p-1">Bytes</th>
+                  <th className="p-1">Min</th>
+                  <th className="p-1">Max</th>
+                  <th className="p-1">Mean</th>
+                  <th className="p-1">Std</th>
+                  <th className="p-1">NaN/Inf</th>
+                  <th className="p-1">Sparsity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {initializers.map((tensor, index) => (
+                  <tr key={`${tensor.name}-${index}`} className="bg-white border-t border-gray-100">
+                    <td className="p-1 font-mono break-all">{tensor.name}</td>
+                    <td className="p-1">{tensor.dtype}</td>
+                    <td className="p-1">[{tensor.shape.join(", ")}]</td>
+                    <td className="p-1">{tensor.byteSize}</td>
+                    {tensor.stats ? (
+                      <>
+                        <td className="p-1">{formatStat(tensor.stats.min)}</td>
+                        <td className="p-1">{formatStat(tensor.stats.max)}</td>
+                        <td className="p-1">{formatStat(tensor.stats.mean)}</td>
+                        <td className="p-1">{formatStat(tensor.stats.std)}</td>
+                        <td
+                          className={`p-1 ${
+                            tensor.stats.nanCount || tensor.stats.infCount ? "text-red-600 font-medium" : ""
+                          }`}
+                        >
+                          {tensor.stats.nanCount}/{tensor.stats.infCount}
+                        </td>
+                        <td className="p-1">{(tensor.stats.sparsity * 100).toFixed(1)}%</td>
+                      </>
+                    ) : (
+                      <td colSpan={6} className="p-1 text-gray-500">
+                        {tensor.error ||
+                          (tensor.external?.source ? (
+                            <button
+                              className="text-blue-600 hover:underline disabled:text-gray-500 disabled:no-underline"
+                              disabled={loadingExternal.has(tensor.name)}
+                              onClick={() => handleLoadExternal(tensor)}
+                            >
+                              {loadingExternal.has(tensor.name)
+                                ? "Reading…"
+                                : `Read ${formatBytes(tensor.byteSize)} from ${tensor.external.file}`}
+                            </button>
+                          ) : (
+                            "No statistics"
+                          ))}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No initializers in this model.</p>
+        )}
       </div>
 
       {/* React Flow Diagram Section */}
       <div className="bg-white p-4 rounded-lg shadow">
         <h3 className="font-medium mb-2">Graph Visualization</h3>
+        {scopeTree && (
+          <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+            <span className="text-gray-500">
+              Nodes are grouped by name scope; click a group to expand it.
+            </span>
+            {[...expandedScopes].map(([id, title]) => (
+              <button
+                key={id}
+                onClick={() => toggleScope(id, title)}
+                className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 rounded"
+                title="Collapse"
+              >
+                {title} −
+              </button>
+            ))}
+          </div>
+        )}
         <div style={{ height: "400px", width: "100%" }}>
           <ReactFlowProvider>
             <ReactFlow
@@ -198,6 +573,8 @@ const ModelViewer = ({ modelData }) => {
               edges={edges}
               onNodesChange={onNodesChange}
               onEdgesChange={onEdgesChange}
+              onEdgeClick={(_, edge) => setSelectedTensor(edge.data?.tensor ?? null)}
+              onNodeClick={(_, node) => node.data?.scope && toggleScope(node.data.scope.id, node.data.scope.title)}
               fitView
               attributionPosition="top-right"
             >
@@ -206,6 +583,11 @@ const ModelViewer = ({ modelData }) => {
             </ReactFlow>
           </ReactFlowProvider>
         </div>
+        {activations && selectedTensor && (
+          <div className="mt-4 border-t pt-4 text-gray-800">
+            <ActivationView name={selectedTensor} activation={activations[selectedTensor]} />
+          </div>
+        )}
       </div>
     </div>
   );
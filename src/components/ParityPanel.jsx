@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { buildFeeds, feedSignature } from '../InferenceRunner';
+import { DEFAULT_TOLERANCES, checkParity } from '../ParityCheck';
+import { downloadBlob } from '../GraphExport';
+import FeedInputs from './FeedInputs';
+
+const fieldClass = 'border border-gray-300 rounded px-2 py-1 text-sm';
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '–';
+  return Math.abs(value) >= 1e4 || (value !== 0 && Math.abs(value) < 1e-3) ? value.toExponential(3) : value.toFixed(4);
+};
+
+const formatShare = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const ComparisonTable = ({ rows, layerwise }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr className="text-left text-gray-500">
+        <th className="font-normal py-1">Tensor</th>
+        {layerwise && <th className="font-normal">Op</th>}
+        <th className="font-normal">Max abs</th>
+        <th className="font-normal">Max rel</th>
+        <th className="font-normal">Cosine</th>
+        <th className="font-normal">Argmax</th>
+        <th className="font-normal">Mismatches</th>
+        <th className="font-normal" />
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row) => (
+        <tr key={row.name} className={`border-t border-gray-100 ${row.pass ? '' : 'bg-red-50'}`}>
+          <td className="font-mono py-1">{row.name}</td>
+          {layerwise && <td>{row.opType}</td>}
+          {row.shapeMatch ? (
+            <>
+              <td>{formatNumber(row.maxAbs)}</td>
+              <td>{formatNumber(row.maxRel)}</td>
+              <td>{formatNumber(row.cosine)}</td>
+              <td>{formatShare(row.argmaxAgreement)}</td>
+              <td>{row.mismatches}</td>
+            </>
+          ) : (
+            <td colSpan={5} className="text-red-700">
+              Shapes differ
+            </td>
+          )}
+          <td className={row.pass ? 'text-green-700' : 'text-red-700 font-semibold'}>{row.pass ? 'ok' : 'fail'}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Numeric parity between the loaded base model (as edited) and the compare
+// model: one set of feeds through both in the local runtime, outputs matched
+// by name and, optionally, intermediates layer by layer.
+const ParityPanel = ({ modelData, reference, candidate, referenceName, candidateName, externalFiles }) => {
+  const inputs = feedSignature(modelData);
+  const [configs, setConfigs] = useState({});
+  const [tolerances, setTolerances] = useState({ atol: String(DEFAULT_TOLERANCES.atol), rtol: String(DEFAULT_TOLERANCES.rtol) });
+  const [layerwise, setLayerwise] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleRun = async () => {
+    const atol = Number(tolerances.atol);
+    const rtol = Number(tolerances.rtol);
+    if (!(atol >= 0) || !(rtol >= 0)) {
+      setError('Tolerances must be non-negative numbers.');
+      return;
+    }
+    setRunning(true);
+    setError(null);
+    try {
+      const feeds = await buildFeeds(inputs, configs);
+      setReport(await checkParity(reference, candidate, feeds, { atol, rtol, layerwise, externalFiles }));
+    } catch (err) {
+      setReport(null);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = () => {
+    const json = JSON.stringify({ reference: referenceName, candidate: candidateName, ...report }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'parity-report.json');
+  };
+
+  return (
+    <div className="space-y-4">
+      <FeedInputs inputs={inputs} configs={configs} onChange={setConfigs} />
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        {['atol', 'rtol'].map((key) => (
+          <label key={key} className="flex items-center gap-1">
+            {key}
+            <input
+              className={`${fieldClass} w-24`}
+              value={tolerances[key]}
+              onChange={(e) => setTolerances({ ...tolerances, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={layerwise} onChange={(e) => setLayerwise(e.target.checked)} />
+          Compare matching intermediates
+        </label>
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={running}
+          className="px-4 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {running ? 'Checking…' : 'Check parity'}
+        </button>
+        {report && (
+          <button
+            type="button"
+            onClick={handleExport}
+            className="px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            Export JSON
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {report && (
+        <div className="space-y-3">
+          <div
+            className={`border-l-4 p-3 rounded text-sm ${
+              report.pass ? 'border-green-500 bg-green-50 text-green-900' : 'border-red-500 bg-red-50 text-red-800'
+            }`}
+          >
+            <p className="font-semibold">{report.pass ? 'PASS' : 'FAIL'}</p>
+            <p className="mt-1">
+              {report.outputs.length} output(s) compared at atol {report.tolerances.atol}, rtol {report.tolerances.rtol}.
+              {report.firstDivergence &&
+                ` First divergence: "${report.firstDivergence.name}" (${report.firstDivergence.opType}${
+                  report.firstDivergence.nodeName ? ` ${report.firstDivergence.nodeName}` : ''
+                }).`}
+            </p>
+            {(report.unmatched.reference.length > 0 || report.unmatched.candidate.length > 0) && (
+              <p className="mt-1 text-xs">
+                Unmatched outputs: {[...report.unmatched.reference, ...report.unmatched.candidate].join(', ')}
+              </p>
+            )}
+          </div>
+
+          {report.outputs.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-1">Outputs</h3>
+              <ComparisonTable rows={report.outputs} />
+            </div>
+          )}
+
+          {report.layers && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-1">Layers ({report.layers.length} with matching names)</h3>
+              <div className="max-h-72 overflow-auto">
+                <ComparisonTable rows={report.layers} layerwise />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParityPanel;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { buildFeeds, feedSignature } from '../InferenceRunner';
+import { parseProfileTrace, profileModel } from '../Profiler';
+import FeedInputs from './FeedInputs';
+
+const fieldClass = 'border border-gray-300 rounded px-2 py-1 text-sm';
+const buttonClass = 'px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '–' : ms >= 10 ? `${ms.toFixed(1)} ms` : `${ms.toFixed(3)} ms`);
+
+// rows shown before "Show all"
+const TOP_NODES = 20;
+
+// Latency profiling of the current (edited) model: `iterations` profiled
+// runs after `warmup` in the WASM runtime, or a trace imported from a native
+// onnxruntime run. The profile goes up through `onProfile`; `heatmap`
+// toggles the latency coloring on the canvas.
+const ProfilePanel = ({ modelData, model, externalFiles, profile, onProfile, heatmap, onHeatmapChange }) => {
+  const inputs = feedSignature(modelData);
+  const [configs, setConfigs] = useState({});
+  const [settings, setSettings] = useState({ iterations: '10', warmup: '2', optimize: false });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const handleProfile = async () => {
+    const iterations = Number(settings.iterations);
+    const warmup = Number(settings.warmup);
+    if (!Number.isInteger(iterations) || iterations < 1 || !Number.isInteger(warmup) || warmup < 0) {
+      setError('Iterations must be a positive integer and warmup a non-negative one.');
+      return;
+    }
+    setRunning(true);
+    setError(null);
+    try {
+      const feeds = await buildFeeds(inputs, configs);
+      onProfile({ source: 'WASM', ...(await profileModel(model, feeds, { iterations, warmup, optimize: settings.optimize, externalFiles })) });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      onProfile({ source: file.name, ...parseProfileTrace(JSON.parse(await file.text())) });
+    } catch (err) {
+      setError(`Could not import "${file.name}": ${err.message}`);
+    }
+  };
+
+  const nodes = profile ? (showAll ? profile.nodes : profile.nodes.slice(0, TOP_NODES)) : [];
+
+  return (
+    <div className="space-y-4">
+      <FeedInputs inputs={inputs} configs={configs} onChange={setConfigs} />
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        {[
+          ['iterations', 'Iterations'],
+          ['warmup', 'Warmup'],
+        ].map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1">
+            {label}
+            <input
+              className={`${fieldClass} w-16`}
+              value={settings[key]}
+              onChange={(e) => setSettings({ ...settings, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-1" title="Fused nodes are timed under the name of the node they replace">
+          <input
+            type="checkbox"
+            checked={settings.optimize}
+            onChange={(e) => setSettings({ ...settings, optimize: e.target.checked })}
+          />
+          Graph optimizations
+        </label>
+        <button
+          type="button"
+          onClick={handleProfile}
+          disabled={running}
+          className="px-4 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {running ? 'Profiling…' : 'Profile'}
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import trace…
+          <input
+            type="file"
+            accept=".json"
+            className="hidden"
+            onChange={(e) => {
+              handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {profile && (
+          <>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={heatmap} onChange={(e) => onHeatmapChange(e.target.checked)} />
+              Heatmap on canvas
+            </label>
+            <button type="button" className={buttonClass} onClick={() => onProfile(null)}>
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {profile && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            {profile.source} · {profile.runs} run(s) · node time {formatMs(profile.totalMs)} per run
+            {profile.runMs !== null && ` · model_run ${formatMs(profile.runMs)}`}
+            {profile.wallMs !== undefined && ` · wall clock ${formatMs(profile.wallMs)}`}
+          </p>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-normal py-1">#</th>
+                <th className="font-normal">Node</th>
+                <th className="font-normal">Op</th>
+                <th className="font-normal">Mean</th>
+                <th className="font-normal w-1/3">Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {nodes.map((node, i) => (
+                <tr key={node.name || `#${node.nodeIndex}`} className="border-t border-gray-100">
+                  <td className="py-1 text-gray-500">{i + 1}</td>
+                  <td className="font-mono">{node.name || `(node ${node.nodeIndex})`}</td>
+                  <td>{node.opType}</td>
+                  <td>{formatMs(node.meanMs)}</td>
+                  <td>
+                    <div className="flex items-center gap-2">
+                      <div className="h-2 bg-red-400 rounded" style={{ width: `${node.share * 100}%` }} />
+                      <span>{(node.share * 100).toFixed(1)}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {profile.nodes.length > TOP_NODES && (
+            <button type="button" className="text-xs text-blue-700 hover:underline" onClick={() => setShowAll(!showAll)}>
+              {showAll ? `Show top ${TOP_NODES}` : `Show all ${profile.nodes.length} nodes`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfilePanel;
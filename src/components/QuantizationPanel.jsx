@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import ValidationPanel from './ValidationPanel';
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(2)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  return `${bytes} B`;
+};
+
+const formatScale = (value) => (value === null ? '–' : value.toExponential(2));
+
+// rows shown before "Show all"
+const TOP_PARAMETERS = 25;
+
+// The quantization report of the parsed model (analysis.quantization, see
+// QuantAnalysis): quantization ops, per-operand scales and zero points,
+// which nodes run quantized, suspicious parameters and the weight size
+// against float32. `overlay` toggles precision coloring on the canvas.
+const QuantizationPanel = ({ report, overlay, onOverlayChange, onFocusNode }) => {
+  const [showAll, setShowAll] = useState(false);
+  const { ops, parameters, counts, regions, pairs, findings, size } = report;
+  const shown = showAll ? parameters : parameters.slice(0, TOP_PARAMETERS);
+  const regionCount = (precision) => regions.filter((region) => region.precision === precision).length;
+  const identicalPairs = pairs.filter((pair) => pair.identical).length;
+
+  return (
+    <div className="space-y-4 text-sm text-gray-700">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(ops).map(([op, count]) => (
+          <span key={op} className="bg-gray-100 px-2 py-1 rounded">
+            {op}: {count}
+          </span>
+        ))}
+        <label className="flex items-center gap-1 ml-auto">
+          <input type="checkbox" checked={overlay} onChange={(e) => onOverlayChange(e.target.checked)} />
+          Precision on canvas
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-50 p-3 rounded">
+          <h3 className="font-medium mb-1">Precision</h3>
+          {Object.entries(counts)
+            .filter(([, count]) => count)
+            .map(([precision, count]) => (
+              <p key={precision}>
+                <span className="capitalize">{precision}</span>: {count} node(s)
+                {precision !== 'convert' && `, ${regionCount(precision)} region(s)`}
+              </p>
+            ))}
+        </div>
+        <div className="bg-gray-50 p-3 rounded">
+          <h3 className="font-medium mb-1">Weight size</h3>
+          <p>
+            {formatBytes(size.actualBytes)} stored vs {formatBytes(size.fp32Bytes)} in float32
+          </p>
+          <p>
+            {size.savedBytes > 0 ? `saves ${formatBytes(size.savedBytes)} (${((1 - size.ratio) * 100).toFixed(1)}%)` : 'no saving'}
+            {size.overheadBytes > 0 && `, including ${formatBytes(size.overheadBytes)} of scales and zero points`}
+          </p>
+        </div>
+        <div className="bg-gray-50 p-3 rounded">
+          <h3 className="font-medium mb-1">DQ → Q pairs</h3>
+          <p>
+            {pairs.length} pair(s){pairs.length > 0 && `, ${identicalPairs} with identical parameters (removable)`}
+          </p>
+        </div>
+      </div>
+
+      {parameters.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-medium">Scales and zero points</h3>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-normal py-1">Tensor</th>
+                <th className="font-normal">Kind</th>
+                <th className="font-normal">Node</th>
+                <th className="font-normal">Type</th>
+                <th className="font-normal">Granularity</th>
+                <th className="font-normal">Scale</th>
+                <th className="font-normal">Zero point</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((p) => (
+                <tr
+                  key={`${p.nodeIndex}:${p.tensor}`}
+                  className="border-t border-gray-100 cursor-pointer hover:bg-gray-50"
+                  onClick={() => onFocusNode(p.nodeIndex)}
+                >
+                  <td className="py-1 font-mono">{p.tensor}</td>
+                  <td>{p.kind}</td>
+                  <td>
+                    {p.opType} <span className="text-gray-500 font-mono">{p.node}</span>
+                  </td>
+                  <td>{p.quantType}</td>
+                  <td>
+                    {p.granularity}
+                    {p.axis !== null && ` (axis ${p.axis}, ${p.channels})`}
+                  </td>
+                  <td className="font-mono">
+                    {p.min === p.max ? formatScale(p.min) : `${formatScale(p.min)} … ${formatScale(p.max)}`}
+                  </td>
+                  <td className="font-mono">{p.zeroPoint || '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {parameters.length > TOP_PARAMETERS && (
+            <button type="button" className="text-xs text-blue-700 hover:underline" onClick={() => setShowAll(!showAll)}>
+              {showAll ? `Show first ${TOP_PARAMETERS}` : `Show all ${parameters.length}`}
+            </button>
+          )}
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-medium mb-2">Findings</h3>
+        <ValidationPanel
+          validation={{
+            findings,
+            errorCount: findings.filter((f) => f.severity === 'error').length,
+            warningCount: findings.filter((f) => f.severity === 'warning').length,
+          }}
+          onFocusNode={onFocusNode}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default QuantizationPanel;
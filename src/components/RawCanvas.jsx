@@ -1,6 +1,14 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react';
 import { Stage, Layer, Rect, Text, Line, Group, Arrow } from 'react-konva';
-import ELK from 'elkjs/lib/elk.bundled.js';
+import { formatShape } from '../ShapeInference';
+import { nodeFunctionKey } from '../ModelFunctions';
+import { isStandardDomain } from '../OperatorSchemas';
+import { buildScene, downloadBlob, renderPNGTiles, sceneToPDF, sceneToSVG } from '../GraphExport';
+import { buildGraphStructure, toDOT, toGraphML, toMermaid } from '../GraphFormats';
+import { layoutInWorker } from '../LayoutClient';
+import { buildScopeTree, collapsedOwners, groupSize } from '../NameScopes';
+import { patternLabels } from '../Patterns';
+import Minimap from './Minimap';
 
 const NODE_WIDTH = 200;
 const NODE_HEIGHT = 120;
@@ -39,20 +47,422 @@ const getNodeColor = (nodeType) => {
     'Dropout': { fill: '#95a5a6', shadow: '#7f8c8d' },
     'Input': { fill: '#2ecc71', shadow: '#27ae60' },
     'Output': { fill: '#e67e22', shadow: '#d35400' },
+    'If': { fill: '#8e44ad', shadow: '#6c3483' },
+    'Loop': { fill: '#8e44ad', shadow: '#6c3483' },
+    'Scan': { fill: '#8e44ad', shadow: '#6c3483' },
+    'Subgraph': { fill: '#2c3e50', shadow: '#1b2631' },
+    'Function': { fill: '#16a085', shadow: '#117864' },
+    'Custom': { fill: '#d35400', shadow: '#a04000' },
+    'Scope': { fill: '#5d6d7e', shadow: '#424949' },
+    'Repeat': { fill: '#2874a6', shadow: '#1b4f72' },
     'default': { fill: '#34495e', shadow: '#2c3e50' }
   };
   return colors[nodeType] || colors.default;
 };
 
-const ModernCanvas = ({ modelData }) => {
+// Latency heatmap, fast to slow. A few nodes usually take most of the time,
+// so the scale is logarithmic in the fraction of the slowest node.
+const LATENCY_STOPS = [
+  [44, 123, 182],
+  [255, 255, 191],
+  [215, 25, 28]
+];
+const UNTIMED_COLORS = { fill: '#7f8c8d', shadow: '#616a6b' };
+
+const latencyColor = (fraction) => {
+  const t = Math.log10(1 + 9 * Math.min(1, Math.max(0, fraction))) * (LATENCY_STOPS.length - 1);
+  const i = Math.min(LATENCY_STOPS.length - 2, Math.floor(t));
+  const rgb = LATENCY_STOPS[i].map((c, k) => Math.round(c + (LATENCY_STOPS[i + 1][k] - c) * (t - i)));
+  // hex, since the exporters blend node colors
+  const hex = (channels) => `#${channels.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+  return { fill: hex(rgb), shadow: hex(rgb.map((c) => Math.round(c * 0.75))) };
+};
+
+// Per-node precision from the quantization report (see QuantAnalysis)
+const PRECISION_COLORS = {
+  quantized: { fill: '#16a085', shadow: '#117864' },
+  'weight-only': { fill: '#8e44ad', shadow: '#6c3483' },
+  half: { fill: '#2980b9', shadow: '#1f618d' },
+  float: { fill: '#7f8c8d', shadow: '#616a6b' },
+  convert: { fill: '#f39c12', shadow: '#b9770e' }
+};
+
+const formatMs = (ms) => (ms >= 10 ? `${ms.toFixed(1)} ms` : `${ms.toFixed(3)} ms`);
+
+// Structure-only formats: { extension, mime, serialize }
+const TEXT_FORMATS = {
+  dot: { extension: 'dot', mime: 'text/vnd.graphviz', serialize: toDOT },
+  mermaid: { extension: 'mmd', mime: 'text/plain', serialize: toMermaid },
+  graphml: { extension: 'graphml', mime: 'application/xml', serialize: toGraphML }
+};
+
+// Outline colors for nodes that differ from the compared model
+const DIFF_COLORS = {
+  added: '#2ecc71',
+  removed: '#e74c3c',
+  changed: '#f1c40f'
+};
+
+// Zoom levels below which nodes lose their detail lines, then their labels
+// and shadows, and are drawn as plain colored boxes
+const LOD_LABELS = 0.6;
+const LOD_BOXES = 0.3;
+
+const detailLevel = (scale) => (scale < LOD_BOXES ? 'boxes' : scale < LOD_LABELS ? 'labels' : 'full');
+
+// Share of the viewport's size drawn beyond each of its edges, so a pan
+// doesn't show blank space before the next cull
+const CULL_MARGIN = 0.5;
+
+const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+// Node and edge ids of a laid-out graph mapped to their layout entries;
+// nodes carry absolute positions since nested scopes are laid out relative
+// to their container.
+const indexLayout = (graph) => {
+  const nodes = new Map();
+  const edges = new Map();
+  const visit = (container, dx, dy) => {
+    for (const edge of container.edges || []) edges.set(edge.id, edge);
+    for (const child of container.children || []) {
+      const x = dx + child.x;
+      const y = dy + child.y;
+      nodes.set(child.id, { node: child, x, y });
+      visit(child, x, y);
+    }
+  };
+  if (graph) visit(graph, 0, 0);
+  return { nodes, edges };
+};
+
+const ToggleButton = ({ node, onToggle }) => (
+  <Group
+    x={node.width - 34}
+    y={10}
+    onClick={(e) => {
+      e.cancelBubble = true;
+      onToggle(node.id);
+    }}
+  >
+    <Rect width={24} height={24} cornerRadius={6} fill="rgba(0,0,0,0.35)" />
+    <Text text={node.expanded ? '−' : '+'} width={24} height={24} align="center" verticalAlign="middle" fontSize={18} fill="#ffffff" />
+  </Group>
+);
+
+const DiffBadge = ({ node, status }) => (
+  <Group x={node.width - 30} y={node.height - 30} listening={false}>
+    <Rect width={22} height={22} cornerRadius={11} fill={DIFF_COLORS[status]} />
+    <Text
+      text={status === 'added' ? '+' : status === 'removed' ? '−' : '~'}
+      width={22}
+      height={22}
+      align="center"
+      verticalAlign="middle"
+      fontSize={16}
+      fontStyle="bold"
+      fill="#1b2631"
+    />
+  </Group>
+);
+
+// A compound node (expanded control flow, function call or body graph);
+// `children` are the already-rendered contents of its scope.
+const ContainerShape = ({ node, colors, diff, detail, isSelected, onSelect, onHover, onToggle, children }) => (
+  <Group
+    x={node.x}
+    y={node.y}
+    onMouseEnter={() => onHover(node.id)}
+    onMouseLeave={() => onHover(null)}
+    onClick={(e) => {
+      e.cancelBubble = true;
+      onSelect(node.id);
+    }}
+  >
+    <Rect
+      width={node.width}
+      height={node.height}
+      fill={colors.fill}
+      opacity={node.nodeType === 'Subgraph' ? 0.35 : 0.25}
+      cornerRadius={15}
+      stroke={isSelected ? '#ffffff' : colors.fill}
+      strokeWidth={isSelected ? 3 : 2}
+      dash={node.nodeType === 'Subgraph' ? [8, 4] : undefined}
+    />
+    {detail !== 'boxes' && (
+      <Text
+        text={node.labels.map((label) => label.text).join('  ')}
+        x={15}
+        y={14}
+        fontSize={node.nodeType === 'Subgraph' ? 13 : 16}
+        fontFamily="Arial, sans-serif"
+        fontStyle="bold"
+        fill="#ffffff"
+        listening={false}
+      />
+    )}
+    {node.expandable && detail !== 'boxes' && <ToggleButton node={node} onToggle={onToggle} />}
+    {diff && <DiffBadge node={node} status={diff} />}
+    {children}
+  </Group>
+);
+
+// One operator, input or output box at the given level of detail
+const NodeShape = React.memo(({ node, colors, ms, diff, detail, isHovered, isSelected, onSelect, onHover, onToggle }) => {
+  const handlers = {
+    onMouseEnter: () => onHover(node.id),
+    onMouseLeave: () => onHover(null),
+    onClick: (e) => {
+      e.cancelBubble = true;
+      onSelect(node.id);
+    }
+  };
+
+  if (detail === 'boxes') {
+    return (
+      <Rect
+        x={node.x}
+        y={node.y}
+        width={node.width}
+        height={node.height}
+        fill={colors.fill}
+        cornerRadius={8}
+        stroke={isSelected ? '#ffffff' : diff ? DIFF_COLORS[diff] : undefined}
+        strokeWidth={isSelected || diff ? 6 : 0}
+        perfectDrawEnabled={false}
+        {...handlers}
+      />
+    );
+  }
+
+  const full = detail === 'full';
+  const shadowOffset = isHovered ? 8 : 4;
+  const shadowBlur = isHovered ? 15 : 10;
+  return (
+    <Group x={node.x} y={node.y} {...handlers}>
+      {/* Shadow */}
+      {full && (
+        <Rect
+          width={node.width}
+          height={node.height}
+          fill={colors.shadow}
+          cornerRadius={15}
+          x={shadowOffset}
+          y={shadowOffset}
+          opacity={0.3}
+          blur={shadowBlur}
+          listening={false}
+        />
+      )}
+
+      {/* Diff outline */}
+      {diff && (
+        <Rect
+          x={-6}
+          y={-6}
+          width={node.width + 12}
+          height={node.height + 12}
+          cornerRadius={19}
+          stroke={DIFF_COLORS[diff]}
+          strokeWidth={4}
+          dash={diff === 'removed' ? [10, 6] : undefined}
+          listening={false}
+        />
+      )}
+
+      {/* Main rectangle */}
+      <Rect
+        width={node.width}
+        height={node.height}
+        fill={colors.fill}
+        cornerRadius={15}
+        stroke={isSelected ? '#ffffff' : isHovered ? '#ecf0f1' : 'transparent'}
+        strokeWidth={isSelected ? 3 : isHovered ? 2 : 0}
+        shadowColor={colors.shadow}
+        shadowBlur={5}
+        shadowOpacity={0.6}
+        shadowEnabled={full}
+      />
+
+      {/* Gradient overlay */}
+      {full && (
+        <Rect
+          width={node.width}
+          height={node.height}
+          fillLinearGradientStartPoint={{ x: 0, y: 0 }}
+          fillLinearGradientEndPoint={{ x: 0, y: node.height }}
+          fillLinearGradientColorStops={[0, 'rgba(255,255,255,0.2)', 1, 'rgba(0,0,0,0.1)']}
+          cornerRadius={15}
+          listening={false}
+        />
+      )}
+
+      {/* Text content: the op type alone until zoomed in */}
+      {(full ? node.labels : node.labels.slice(0, 1)).map((label, i) => (
+        <Text
+          key={i}
+          text={label.text}
+          x={15}
+          y={15 + i * 18}
+          fontSize={i === 0 ? 16 : 12}
+          fontFamily="Arial, sans-serif"
+          fontStyle={i === 0 ? 'bold' : 'normal'}
+          fill="#ffffff"
+          shadowColor="rgba(0,0,0,0.5)"
+          shadowBlur={2}
+          shadowOffset={{ x: 1, y: 1 }}
+          shadowEnabled={full}
+          listening={false}
+        />
+      ))}
+      {node.patterns && (
+        <Text
+          text={node.patterns.join(' · ')}
+          y={-16}
+          width={ms !== undefined ? node.width - 70 : node.width}
+          wrap="none"
+          ellipsis
+          fontSize={11}
+          fontStyle="italic"
+          fontFamily="Arial, sans-serif"
+          fill="#d7bde2"
+          listening={false}
+        />
+      )}
+      {ms !== undefined && (
+        <Text
+          text={formatMs(ms)}
+          y={-16}
+          width={node.width}
+          align="right"
+          fontSize={11}
+          fontFamily="Arial, sans-serif"
+          fill="#ecf0f1"
+          listening={false}
+        />
+      )}
+      {node.expandable && <ToggleButton node={node} onToggle={onToggle} />}
+      {diff && <DiffBadge node={node} status={diff} />}
+    </Group>
+  );
+});
+
+// Orthogonal arrow from the right side of one box to the left side of
+// another, given in the coordinates of the scope the edge belongs to
+const EdgeShape = React.memo(({ edge, fromX, fromY, toX, toY, detail, isHovered, isSelected, onSelect }) => {
+  const midX = (fromX + toX) / 2;
+  const points = [fromX, fromY, midX, fromY, midX, toY, toX, toY];
+  const color = isSelected ? '#f1c40f' : isHovered ? '#3498db' : '#ecf0f1';
+
+  if (detail === 'boxes') {
+    return <Line points={points} stroke={color} strokeWidth={isSelected ? 6 : 3} listening={false} perfectDrawEnabled={false} />;
+  }
+
+  const full = detail === 'full';
+  return (
+    <Group
+      onClick={(e) => {
+        e.cancelBubble = true;
+        onSelect(edge.id);
+      }}
+    >
+      <Arrow
+        points={points}
+        stroke={color}
+        strokeWidth={isHovered || isSelected ? 3 : 2}
+        fill={color}
+        hitStrokeWidth={12}
+        pointerLength={12}
+        pointerWidth={8}
+        tension={0.3}
+        shadowColor="rgba(0,0,0,0.3)"
+        shadowBlur={5}
+        shadowOpacity={0.6}
+        shadowEnabled={full}
+      />
+      {full && edge.shapeLabel && (
+        <Text
+          text={edge.shapeLabel}
+          x={midX + 6}
+          y={toY - 16}
+          fontSize={11}
+          fontFamily="monospace"
+          fill={isHovered ? '#3498db' : '#bdc3c7'}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+});
+
+// `renderDetails(selection, { clearSelection })`, when given, replaces the
+// default details box; selection is { kind: 'node', nodeIndex }, { kind:
+// 'input' | 'output', index } or { kind: 'edge', tensor, target } for the
+// top-level graph, and { kind: 'other', node } for anything nested.
+// `latency` (node index -> mean ms, from a profile) recolors operator nodes
+// as a heatmap in place of the layer-type palette; failing that, `precision`
+// (per node index, see QuantAnalysis) colors them by numeric precision.
+const ModernCanvas = ({ modelData, focusRequest, diffStatus, latency, precision, renderDetails }) => {
   const [graph, setGraph] = useState(null);
   const [selectedNode, setSelectedNode] = useState(null);
+  const [selectedEdge, setSelectedEdge] = useState(null);
   const [hoveredNode, setHoveredNode] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+  // expansion ids are positional, so they only hold for the model they were
+  // made on; a new modelData starts collapsed
+  const [expandedFor, setExpandedFor] = useState(modelData);
+  if (expandedFor !== modelData) {
+    setExpandedFor(modelData);
+    setExpanded(new Set());
+  }
+  const [groupScopes, setGroupScopes] = useState(true);
   const [scale, setScale] = useState(1);
   const [position, setPosition] = useState({ x: 0, y: 0 });
+  const [exportOptions, setExportOptions] = useState({
+    format: 'svg',
+    theme: 'dark',
+    shapeLabels: true,
+    pixelRatio: 2,
+    collapseConstants: true
+  });
+  const [exporting, setExporting] = useState(false);
   const stageRef = useRef();
   const containerRef = useRef();
   const [dimensions, setDimensions] = useState({ width: 1200, height: 800 });
+  const layoutRef = useRef(null);
+  const [layingOut, setLayingOut] = useState(false);
+  const dragFrameRef = useRef(null);
+  const latencyMax = useMemo(() => (latency ? Math.max(0, ...Object.values(latency)) : 0), [latency]);
+  const layoutIndex = useMemo(() => indexLayout(graph), [graph]);
+
+  const colorOf = useCallback(
+    (node) => {
+      if (node.nodeIndex !== undefined && !latency && precision) return PRECISION_COLORS[precision[node.nodeIndex]];
+      if (!latency || node.nodeIndex === undefined) return getNodeColor(node.colorKey || node.nodeType);
+      const ms = latency[node.nodeIndex];
+      return ms === undefined ? UNTIMED_COLORS : latencyColor(latencyMax ? ms / latencyMax : 0);
+    },
+    [latency, latencyMax, precision]
+  );
+  // one colors object per node, so memoized shapes see stable props
+  const nodeColors = useMemo(
+    () => new Map([...layoutIndex.nodes.values()].map(({ node }) => [node.id, colorOf(node)])),
+    [layoutIndex, colorOf]
+  );
+  const minimapBoxes = useMemo(
+    () =>
+      [...layoutIndex.nodes.values()]
+        .filter(({ node }) => !node.children)
+        .map(({ node, x, y }) => ({ x, y, width: node.width, height: node.height, fill: nodeColors.get(node.id).fill })),
+    [layoutIndex, nodeColors]
+  );
+
+  useEffect(
+    () => () => {
+      layoutRef.current?.abort();
+      cancelAnimationFrame(dragFrameRef.current);
+    },
+    []
+  );
 
   useEffect(() => {
     const updateDimensions = () => {
@@ -70,6 +480,220 @@ const ModernCanvas = ({ modelData }) => {
     return () => window.removeEventListener('resize', updateDimensions);
   }, []);
 
+  // Builds ELK children/edges for one graph scope. Control-flow nodes and
+  // local-function calls listed in `expanded` become compound nodes holding
+  // one child per body graph. With `groupScopes`, nodes are also grouped by
+  // name scope (see NameScopes): a collapsed group is one box standing in for
+  // all its nodes, an expanded one a compound node around them.
+  const buildScope = useCallback((scope, prefix, context) => {
+    const { valueInfo, functions, patterns } = context;
+    const shapeLabel = (tensor) => (valueInfo[tensor] ? formatShape(valueInfo[tensor].shape) : null);
+    const producerId = new Map();
+
+    // nodes are keyed by position so renaming tensors keeps the selection
+    const nodeId = (index) => `${prefix}node:${index}`;
+    const groupId = (group) => `${prefix}${group.id}`;
+    const scopeTree = groupScopes ? buildScopeTree(scope.nodes) : null;
+    const owners = collapsedOwners(scopeTree, (id) => expanded.has(`${prefix}${id}`));
+    // the box a node's edges attach to: its own, or its collapsed group's
+    const visibleId = (index) => (owners.has(index) ? groupId(owners.get(index)) : nodeId(index));
+
+    const inputs = scope.inputs.map((name, index) => {
+      const id = `${prefix}input:${index}`;
+      producerId.set(name, id);
+      return {
+        id,
+        ioIndex: prefix ? undefined : index,
+        width: INPUT_NODE_WIDTH,
+        height: INPUT_NODE_HEIGHT,
+        labels: [{ text: name }],
+        nodeType: 'Input'
+      };
+    });
+
+    // tensor names are free text, so these get a namespace of their own
+    const outerInputs = (scope.outerReferences || []).map(({ name }) => {
+      const id = `${prefix}outer:${name}`;
+      producerId.set(name, id);
+      return {
+        id,
+        width: INPUT_NODE_WIDTH,
+        height: INPUT_NODE_HEIGHT,
+        labels: [{ text: `⤴ ${name}` }, { text: 'outer scope' }],
+        nodeType: 'Input'
+      };
+    });
+
+    const allNodes = scope.nodes.map((node, index) => {
+      const id = nodeId(index);
+      node.output.forEach((output) => producerId.set(output, visibleId(index)));
+      const fn = functions.get(nodeFunctionKey(node));
+      const bodies = [
+        ...scope.subgraphs.filter((sub) => sub.nodeIndex === index),
+        ...(fn
+          ? [{
+              attribute: `function ${fn.name}`,
+              isFunction: true,
+              graph: { inputs: fn.inputs, outputs: fn.outputs, nodes: fn.nodes, children: [], outerReferences: [] }
+            }]
+          : [])
+      ];
+      const custom = !fn && !isStandardDomain(node.domain);
+      const isConv = node.opType === 'Conv';
+      const lines = isConv ? [node.opType, ...getConvDetails(node)] : [node.opType];
+      if (node.domain) lines.push(`[${node.domain}]`);
+      const base = {
+        id,
+        nodeIndex: prefix ? undefined : index,
+        labels: lines.map((text) => ({ text })),
+        nodeType: node.opType,
+        colorKey: fn ? 'Function' : custom ? 'Custom' : undefined,
+        // recognized patterns (see Patterns.js) are only known for the top level
+        patterns: prefix ? undefined : patterns.get(index)
+      };
+
+      if (!bodies.length) return { ...base, width: NODE_WIDTH, height: NODE_HEIGHT };
+      if (!expanded.has(id)) {
+        return {
+          ...base,
+          width: NODE_WIDTH,
+          height: NODE_HEIGHT,
+          labels: [...base.labels, { text: fn ? 'ƒ local function' : `${bodies.length} body graph(s)` }],
+          expandable: true
+        };
+      }
+
+      return {
+        ...base,
+        expandable: true,
+        expanded: true,
+        layoutOptions: { 'elk.padding': '[top=50,left=20,bottom=20,right=20]' },
+        children: bodies.map((body) => {
+          const bodyId = `${id}::${body.attribute}`;
+          const contents = buildScope(
+            {
+              inputs: body.graph.inputs,
+              outputs: body.graph.outputs,
+              nodes: body.graph.nodes,
+              subgraphs: body.graph.children,
+              outerReferences: body.graph.outerReferences
+            },
+            `${bodyId}/`,
+            // tensor names inside a function body are local to it
+            body.isFunction ? { ...context, valueInfo: {} } : context
+          );
+          return {
+            id: bodyId,
+            labels: [{ text: body.attribute }],
+            nodeType: 'Subgraph',
+            layoutOptions: { 'elk.padding': '[top=40,left=20,bottom=20,right=20]' },
+            ...contents
+          };
+        })
+      };
+    });
+
+    const groupNode = (group) => {
+      const id = groupId(group);
+      const title = group.repeat ? `${group.name} ×${group.repeat}` : group.name;
+      const base = { id, nodeType: group.repeat ? 'Repeat' : 'Scope', expandable: true };
+      if (!expanded.has(id)) {
+        const size = groupSize(group);
+        return {
+          ...base,
+          // lets a focus request find the box hiding a top-level node
+          memberIndices: prefix ? undefined : [...owners].filter(([, owner]) => owner === group).map(([index]) => index),
+          width: NODE_WIDTH,
+          height: NODE_HEIGHT,
+          labels: [{ text: title }, { text: group.repeat ? `${size / group.repeat} nodes each` : `${size} nodes` }]
+        };
+      }
+      return {
+        ...base,
+        expanded: true,
+        labels: [{ text: title }],
+        layoutOptions: { 'elk.padding': '[top=50,left=20,bottom=20,right=20]' },
+        children: [...group.groups.map(groupNode), ...group.nodes.map((index) => allNodes[index])]
+      };
+    };
+    const operators = scopeTree ? [...scopeTree.groups.map(groupNode), ...scopeTree.nodes.map((index) => allNodes[index])] : allNodes;
+
+    const outputs = scope.outputs.map((name, index) => ({
+      id: `${prefix}output:${index}`,
+      tensor: name,
+      ioIndex: prefix ? undefined : index,
+      width: OUTPUT_NODE_WIDTH,
+      height: OUTPUT_NODE_HEIGHT,
+      labels: [{ text: name }],
+      nodeType: 'Output'
+    }));
+
+    // Initializers and names from other scopes have no box; skip their edges,
+    // and those inside a collapsed group. Edges into or across groups stay
+    // in this scope; ELK routes them through the compound nodes. There is one
+    // edge per tensor, so two tensors between the same boxes keep their own
+    // shape labels.
+    const edges = [];
+    const seen = new Set();
+    const connect = (tensor, target, consumer) => {
+      const source = producerId.get(tensor);
+      const id = `${source}->${target}:${tensor}`;
+      if (!source || source === target || seen.has(id)) return;
+      seen.add(id);
+      edges.push({
+        id,
+        sources: [source],
+        targets: [target],
+        tensor,
+        consumer: prefix || !consumer ? undefined : consumer,
+        shapeLabel: shapeLabel(tensor)
+      });
+    };
+    scope.nodes.forEach((node, index) => {
+      const target = visibleId(index);
+      // an edge into a collapsed group has no single consumer
+      const consumer = target === nodeId(index) ? { nodeIndex: index } : null;
+      node.input.forEach((input) => input && connect(input, target, consumer));
+    });
+    outputs.forEach((output) => connect(output.tensor, output.id, { output: output.tensor }));
+
+    return { children: [...inputs, ...outerInputs, ...operators, ...outputs], edges };
+  }, [expanded, groupScopes]);
+
+  // A newer layout (model change, expand/collapse) cancels the one running
+  const layoutGraph = useCallback(async (data) => {
+    layoutRef.current?.abort();
+    const controller = new AbortController();
+    layoutRef.current = controller;
+
+    const { children, edges } = buildScope(
+      {
+        inputs: data.graph.inputs.map((input) => input.name),
+        outputs: data.graph.outputs.map((output) => output.name),
+        nodes: data.graph.nodes,
+        subgraphs: data.graph.subgraphs || []
+      },
+      '',
+      {
+        valueInfo: data.graph.valueInfo || {},
+        functions: new Map((data.functions || []).map((fn) => [fn.key, fn])),
+        patterns: patternLabels(data.analysis?.patterns?.matches)
+      }
+    );
+
+    setLayingOut(true);
+    try {
+      setGraph(await layoutInWorker({ children, edges }, { signal: controller.signal }));
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Layout error:', error);
+    } finally {
+      if (layoutRef.current === controller) {
+        layoutRef.current = null;
+        setLayingOut(false);
+      }
+    }
+  }, [buildScope]);
+
   useEffect(() => {
     if (!modelData?.graph?.nodes) {
       // Create demo data if no model data provided
@@ -117,84 +741,111 @@ const ModernCanvas = ({ modelData }) => {
     }
 
     layoutGraph(modelData);
-  }, [modelData]);
-
-  const layoutGraph = async (data) => {
-    const elk = new ELK();
+  }, [modelData, layoutGraph]);
 
-    const allNodes = data.graph.nodes.map((node) => {
-      const isConv = node.opType === 'Conv';
-      const lines = isConv ? [node.opType, ...getConvDetails(node)] : [node.opType];
-      return {
-        id: node.output[0],
-        width: NODE_WIDTH,
-        height: NODE_HEIGHT,
-        labels: lines.map((text) => ({ text })),
-        nodeType: node.opType,
-        originalNode: node
-      };
+  const toggleExpanded = useCallback((id) => {
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
     });
+  }, []);
 
-    const inputs = data.graph.inputs.map((input) => ({
-      id: input.name,
-      width: INPUT_NODE_WIDTH,
-      height: INPUT_NODE_HEIGHT,
-      labels: [{ text: input.name }],
-      nodeType: 'Input'
-    }));
+  const selectNode = useCallback((id) => {
+    setSelectedNode((current) => (current === id ? null : id));
+    setSelectedEdge(null);
+  }, []);
 
-    const outputs = data.graph.outputs.map((output) => ({
-      id: output.name,
-      width: OUTPUT_NODE_WIDTH,
-      height: OUTPUT_NODE_HEIGHT,
-      labels: [{ text: output.name }],
-      nodeType: 'Output'
-    }));
+  const selectEdge = useCallback((id) => {
+    setSelectedEdge((current) => (current === id ? null : id));
+    setSelectedNode(null);
+  }, []);
 
-    const allChildren = [...inputs, ...allNodes, ...outputs];
+  // the viewport as of the last render, which a focus request reads but
+  // does not follow: zooming or resizing must not refocus
+  const viewRef = useRef({ scale, dimensions });
+  useEffect(() => {
+    viewRef.current = { scale, dimensions };
+  }, [scale, dimensions]);
 
-    const edges = [];
-    data.graph.nodes.forEach((node) => {
-      node.input.forEach((input) => {
-        edges.push({
-          id: `${input}->${node.output[0]}`,
-          sources: [input],
-          targets: [node.output[0]],
-        });
-      });
+  // Center and select the node a validation finding points at
+  useEffect(() => {
+    if (!focusRequest || !graph) return;
+    // the node itself, or the collapsed group it is in
+    const target = [...layoutIndex.nodes.values()].find(
+      ({ node }) => node.nodeIndex === focusRequest.index || node.memberIndices?.includes(focusRequest.index)
+    );
+    if (!target) return;
+    const { scale, dimensions } = viewRef.current;
+    setSelectedNode(target.node.id);
+    setSelectedEdge(null);
+    setPosition({
+      x: dimensions.width / 2 - (target.x + target.node.width / 2) * scale,
+      y: dimensions.height / 2 - (target.y + target.node.height / 2) * scale,
     });
+    containerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focusRequest, graph, layoutIndex]);
 
-    data.graph.outputs.forEach((output) => {
-      const lastNode = data.graph.nodes.find(n => n.output.includes(output.name));
-      if (lastNode) {
-        edges.push({
-          id: `${lastNode.output[0]}->${output.name}`,
-          sources: [lastNode.output[0]],
-          targets: [output.name],
-        });
-      }
+  // Exports the whole laid-out graph, independent of the current viewport;
+  // DOT/Mermaid/GraphML carry the graph structure without a layout
+  const handleExport = async () => {
+    const { format, theme, shapeLabels, pixelRatio, collapseConstants } = exportOptions;
+    const base = (modelData?.file?.name || 'graph').replace(/\.onnx$/i, '');
+    const text = TEXT_FORMATS[format];
+    if (text) {
+      if (!modelData?.graph) return;
+      const structure = buildGraphStructure(modelData, { collapseConstants });
+      downloadBlob(new Blob([text.serialize(structure)], { type: text.mime }), `${base}.${text.extension}`);
+      return;
+    }
+
+    const scene = buildScene(graph, {
+      theme,
+      shapeLabels,
+      colorOf
     });
 
+    setExporting(true);
     try {
-      const layoutedGraph = await elk.layout({
-        id: 'root',
-        layoutOptions: {
-          'elk.algorithm': 'layered',
-          'elk.direction': 'RIGHT',
-          'elk.spacing.nodeNode': '80',
-          'elk.layered.spacing.nodeNodeBetweenLayers': '100',
-          'elk.spacing.edgeNode': '40',
-          'elk.layered.crossingMinimization.strategy': 'LAYER_SWEEP'
-        },
-        children: allChildren,
-        edges,
-      });
-      setGraph(layoutedGraph);
+      if (format === 'svg') {
+        downloadBlob(new Blob([sceneToSVG(scene)], { type: 'image/svg+xml' }), `${base}.svg`);
+      } else if (format === 'pdf') {
+        downloadBlob(new Blob([sceneToPDF(scene)], { type: 'application/pdf' }), `${base}.pdf`);
+      } else {
+        const tiles = await renderPNGTiles(scene, { pixelRatio });
+        tiles.forEach(({ row, col, blob }) =>
+          downloadBlob(blob, tiles.length === 1 ? `${base}.png` : `${base}-r${row + 1}-c${col + 1}.png`)
+        );
+      }
     } catch (error) {
-      console.error('Layout error:', error);
+      console.error('Export error:', error);
+    } finally {
+      setExporting(false);
     }
   };
 
+  const clearSelection = () => {
+    setSelectedNode(null);
+    setSelectedEdge(null);
+  };
+
+  // What the details box describes, in model terms (see renderDetails)
+  const describeSelection = () => {
+    if (!graph) return null;
+    if (selectedEdge) {
+      const edge = layoutIndex.edges.get(selectedEdge);
+      if (!edge) return null;
+      return edge.consumer ? { kind: 'edge', tensor: edge.tensor, target: edge.consumer } : { kind: 'other', edge };
+    }
+    const node = selectedNode && layoutIndex.nodes.get(selectedNode)?.node;
+    if (!node) return null;
+    if (node.nodeIndex !== undefined) return { kind: 'node', nodeIndex: node.nodeIndex };
+    if (node.ioIndex !== undefined) return { kind: node.nodeType === 'Input' ? 'input' : 'output', index: node.ioIndex };
+    return { kind: 'other', node };
+  };
+  const selection = describeSelection();
+
   const handleWheel = (e) => {
     e.evt.preventDefault();
     const scaleBy = 1.1;
@@ -206,7 +857,7 @@ const ModernCanvas = ({ modelData }) => {
     };
 
     const newScale = e.evt.deltaY > 0 ? oldScale / scaleBy : oldScale * scaleBy;
-    const clampedScale = Math.max(0.1, Math.min(3, newScale));
+    const clampedScale = Math.max(minScale, Math.min(3, newScale));
     
     setScale(clampedScale);
     setPosition({
@@ -215,103 +866,112 @@ const ModernCanvas = ({ modelData }) => {
     });
   };
 
-  const NodeComponent = ({ node, isHovered, isSelected }) => {
-    const colors = getNodeColor(node.nodeType);
-    const shadowOffset = isHovered ? 8 : 4;
-    const shadowBlur = isHovered ? 15 : 10;
-    
-    return (
-      <Group
-        x={node.x}
-        y={node.y}
-        onMouseEnter={() => setHoveredNode(node.id)}
-        onMouseLeave={() => setHoveredNode(null)}
-        onClick={() => setSelectedNode(selectedNode === node.id ? null : node.id)}
-        style={{ cursor: 'pointer' }}
-      >
-        {/* Shadow */}
-        <Rect
-          width={node.width}
-          height={node.height}
-          fill={colors.shadow}
-          cornerRadius={15}
-          x={shadowOffset}
-          y={shadowOffset}
-          opacity={0.3}
-          blur={shadowBlur}
-        />
-        
-        {/* Main rectangle */}
-        <Rect
-          width={node.width}
-          height={node.height}
-          fill={colors.fill}
-          cornerRadius={15}
-          stroke={isSelected ? '#ffffff' : isHovered ? '#ecf0f1' : 'transparent'}
-          strokeWidth={isSelected ? 3 : isHovered ? 2 : 0}
-          shadowColor={colors.shadow}
-          shadowBlur={5}
-          shadowOpacity={0.6}
-        />
-        
-        {/* Gradient overlay */}
-        <Rect
-          width={node.width}
-          height={node.height}
-          fillLinearGradientStartPoint={{ x: 0, y: 0 }}
-          fillLinearGradientEndPoint={{ x: 0, y: node.height }}
-          fillLinearGradientColorStops={[0, 'rgba(255,255,255,0.2)', 1, 'rgba(0,0,0,0.1)']}
-          cornerRadius={15}
-        />
-        
-        {/* Text content */}
-        {node.labels.map((label, i) => (
-          <Text
-            key={i}
-            text={label.text}
-            x={15}
-            y={15 + i * 18}
-            fontSize={i === 0 ? 16 : 12}
-            fontFamily="Arial, sans-serif"
-            fontStyle={i === 0 ? 'bold' : 'normal'}
-            fill="#ffffff"
-            shadowColor="rgba(0,0,0,0.5)"
-            shadowBlur={2}
-            shadowOffset={{ x: 1, y: 1 }}
-          />
-        ))}
-      </Group>
-    );
+  // Follows a pan while it happens, at most once per frame, so culling
+  // keeps up with the drag
+  const handleDragMove = (e) => {
+    const stage = e.target;
+    if (stage !== stageRef.current || dragFrameRef.current) return;
+    dragFrameRef.current = requestAnimationFrame(() => {
+      dragFrameRef.current = null;
+      setPosition({ x: stage.x(), y: stage.y() });
+    });
   };
 
-  const ArrowComponent = ({ edge, fromNode, toNode }) => {
-    if (!fromNode || !toNode) return null;
+  const centerOn = (x, y) => setPosition({ x: dimensions.width / 2 - x * scale, y: dimensions.height / 2 - y * scale });
+
+  // Edges and nodes of one scope that fall inside `cullRect`; (dx, dy) is
+  // the scope's absolute offset, its children being placed relative to it.
+  // An edge may end inside a nested group, so its ends are placed from
+  // absolute positions.
+  const renderScope = (container, dx, dy) => {
+    const inView = (x, y, width, height) => intersects({ x: dx + x, y: dy + y, width, height }, cullRect);
 
-    const fromX = fromNode.x + fromNode.width;
-    const fromY = fromNode.y + fromNode.height / 2;
-    const toX = toNode.x;
-    const toY = toNode.y + toNode.height / 2;
+    const edges = [];
+    for (const edge of container.edges || []) {
+      const from = layoutIndex.nodes.get(edge.sources[0]);
+      const to = layoutIndex.nodes.get(edge.targets[0]);
+      if (!from || !to) continue;
+      const fromX = from.x - dx + from.node.width;
+      const toX = to.x - dx;
+      const fromY = from.y - dy;
+      const toY = to.y - dy;
+      const x1 = Math.min(fromX, toX);
+      const x2 = Math.max(fromX, toX);
+      const y1 = Math.min(fromY, toY);
+      const y2 = Math.max(fromY + from.node.height, toY + to.node.height);
+      if (!inView(x1, y1, x2 - x1 + 1, y2 - y1)) continue;
+      edges.push(
+        <EdgeShape
+          key={edge.id}
+          edge={edge}
+          fromX={fromX}
+          fromY={fromY + from.node.height / 2}
+          toX={toX}
+          toY={toY + to.node.height / 2}
+          detail={detail}
+          isHovered={hoveredNode === from.node.id || hoveredNode === to.node.id}
+          isSelected={selectedEdge === edge.id}
+          onSelect={selectEdge}
+        />
+      );
+    }
 
-    const midX = (fromX + toX) / 2;
-    const isHovered = hoveredNode === fromNode.id || hoveredNode === toNode.id;
+    const nodes = [];
+    for (const node of container.children || []) {
+      if (!inView(node.x, node.y, node.width, node.height)) continue;
+      const diff = node.nodeIndex !== undefined ? diffStatus?.[node.nodeIndex] : undefined;
+      const shared = {
+        node,
+        colors: nodeColors.get(node.id),
+        diff,
+        detail,
+        isSelected: selectedNode === node.id,
+        onSelect: selectNode,
+        onHover: setHoveredNode,
+        onToggle: toggleExpanded
+      };
+      nodes.push(
+        node.children ? (
+          <ContainerShape key={node.id} {...shared}>
+            {renderScope(node, dx + node.x, dy + node.y)}
+          </ContainerShape>
+        ) : (
+          <NodeShape
+            key={node.id}
+            {...shared}
+            ms={latency && node.nodeIndex !== undefined ? latency[node.nodeIndex] : undefined}
+            isHovered={hoveredNode === node.id}
+          />
+        )
+      );
+    }
 
+    // arrows first, behind the nodes
     return (
-      <Arrow
-        key={edge.id}
-        points={[fromX, fromY, midX, fromY, midX, toY, toX, toY]}
-        stroke={isHovered ? '#3498db' : '#ecf0f1'}
-        strokeWidth={isHovered ? 3 : 2}
-        fill={isHovered ? '#3498db' : '#ecf0f1'}
-        pointerLength={12}
-        pointerWidth={8}
-        tension={0.3}
-        shadowColor="rgba(0,0,0,0.3)"
-        shadowBlur={5}
-        shadowOpacity={0.6}
-      />
+      <>
+        {edges}
+        {nodes}
+      </>
     );
   };
 
+  const detail = detailLevel(scale);
+  // what the stage shows, in layout coordinates, and the area drawn around it
+  const viewport = {
+    x: -position.x / scale,
+    y: -position.y / scale,
+    width: dimensions.width / scale,
+    height: dimensions.height / scale
+  };
+  const cullRect = {
+    x: viewport.x - viewport.width * CULL_MARGIN,
+    y: viewport.y - viewport.height * CULL_MARGIN,
+    width: viewport.width * (1 + 2 * CULL_MARGIN),
+    height: viewport.height * (1 + 2 * CULL_MARGIN)
+  };
+  // zooming out stops once the whole graph fits, or at 10%
+  const minScale = graph?.width ? Math.min(0.1, 0.9 * Math.min(dimensions.width / graph.width, dimensions.height / graph.height)) : 0.1;
+
   if (!graph) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-purple-900">
@@ -336,8 +996,78 @@ const ModernCanvas = ({ modelData }) => {
             <p className="text-blue-200">Interactive model architecture explorer</p>
           </div>
           <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-2 text-sm text-white">
+              <select
+                value={exportOptions.format}
+                onChange={(e) => setExportOptions({ ...exportOptions, format: e.target.value })}
+                className="bg-gray-800 border border-gray-600 rounded px-2 py-1"
+                title="Export format"
+              >
+                <option value="svg">SVG</option>
+                <option value="png">PNG</option>
+                <option value="pdf">PDF</option>
+                <option value="dot">DOT</option>
+                <option value="mermaid">Mermaid</option>
+                <option value="graphml">GraphML</option>
+              </select>
+              {!TEXT_FORMATS[exportOptions.format] && (
+                <select
+                  value={exportOptions.theme}
+                  onChange={(e) => setExportOptions({ ...exportOptions, theme: e.target.value })}
+                  className="bg-gray-800 border border-gray-600 rounded px-2 py-1"
+                  title="Export theme"
+                >
+                  <option value="dark">Dark</option>
+                  <option value="light">Light</option>
+                </select>
+              )}
+              {exportOptions.format === 'png' && (
+                <select
+                  value={exportOptions.pixelRatio}
+                  onChange={(e) => setExportOptions({ ...exportOptions, pixelRatio: Number(e.target.value) })}
+                  className="bg-gray-800 border border-gray-600 rounded px-2 py-1"
+                  title="PNG resolution (large graphs are split into tiles)"
+                >
+                  {[1, 2, 3, 4].map((ratio) => (
+                    <option key={ratio} value={ratio}>{ratio}×</option>
+                  ))}
+                </select>
+              )}
+              {TEXT_FORMATS[exportOptions.format] ? (
+                <label className="flex items-center space-x-1" title="Fold initializers and Constant nodes into their consumers">
+                  <input
+                    type="checkbox"
+                    checked={exportOptions.collapseConstants}
+                    onChange={(e) => setExportOptions({ ...exportOptions, collapseConstants: e.target.checked })}
+                  />
+                  <span>Collapse constants</span>
+                </label>
+              ) : (
+                <label className="flex items-center space-x-1">
+                  <input
+                    type="checkbox"
+                    checked={exportOptions.shapeLabels}
+                    onChange={(e) => setExportOptions({ ...exportOptions, shapeLabels: e.target.checked })}
+                  />
+                  <span>Shapes</span>
+                </label>
+              )}
+              <button
+                onClick={handleExport}
+                disabled={exporting}
+                className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+              >
+                {exporting ? 'Exporting…' : 'Export'}
+              </button>
+            </div>
+            <label className="flex items-center space-x-1 text-sm text-white" title="Group nodes by name scope and fold repeated blocks">
+              <input type="checkbox" checked={groupScopes} onChange={(e) => setGroupScopes(e.target.checked)} />
+              <span>Group scopes</span>
+            </label>
             <div className="text-white text-sm">
-              <span className="opacity-75">Zoom: {Math.round(scale * 100)}%</span>
+              <span className="opacity-75">
+                Zoom: {Math.round(scale * 100)}%{layingOut && ' · Laying out…'}
+              </span>
             </div>
             <button
               onClick={() => {
@@ -354,31 +1084,85 @@ const ModernCanvas = ({ modelData }) => {
 
       {/* Legend */}
       <div className="absolute top-20 right-4 z-10 bg-black bg-opacity-70 backdrop-blur-sm rounded-lg p-4 max-w-xs">
-        <h3 className="text-white font-semibold mb-3">Layer Types</h3>
-        <div className="space-y-2 text-sm">
-          {['Conv', 'ReLU', 'MaxPool', 'Linear', 'Input', 'Output'].map(type => {
-            const colors = getNodeColor(type);
-            return (
-              <div key={type} className="flex items-center space-x-2">
-                <div 
-                  className="w-4 h-4 rounded"
-                  style={{ backgroundColor: colors.fill }}
-                ></div>
-                <span className="text-white">{type}</span>
-              </div>
-            );
-          })}
-        </div>
+        {latency ? (
+          <>
+            <h3 className="text-white font-semibold mb-3">Latency</h3>
+            <div
+              className="h-3 w-48 rounded"
+              style={{
+                background: `linear-gradient(to right, ${[0, 0.025, 0.1, 0.3, 1].map((f) => latencyColor(f).fill).join(', ')})`
+              }}
+            ></div>
+            <div className="flex justify-between w-48 text-xs text-white opacity-75 mt-1">
+              <span>0</span>
+              <span>{formatMs(latencyMax)}</span>
+            </div>
+            <div className="flex items-center space-x-2 text-sm mt-2">
+              <div className="w-4 h-4 rounded" style={{ backgroundColor: UNTIMED_COLORS.fill }}></div>
+              <span className="text-white">Not timed</span>
+            </div>
+          </>
+        ) : precision ? (
+          <>
+            <h3 className="text-white font-semibold mb-3">Precision</h3>
+            <div className="space-y-2 text-sm">
+              {Object.entries(PRECISION_COLORS).map(([name, colors]) => (
+                <div key={name} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded" style={{ backgroundColor: colors.fill }}></div>
+                  <span className="text-white capitalize">{name}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <>
+            <h3 className="text-white font-semibold mb-3">Layer Types</h3>
+            <div className="space-y-2 text-sm">
+              {['Conv', 'ReLU', 'MaxPool', 'Linear', 'Input', 'Output', 'Function', 'Custom', 'Scope', 'Repeat'].map(type => {
+                const colors = getNodeColor(type);
+                return (
+                  <div key={type} className="flex items-center space-x-2">
+                    <div 
+                      className="w-4 h-4 rounded"
+                      style={{ backgroundColor: colors.fill }}
+                    ></div>
+                    <span className="text-white">{type}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+        {diffStatus && (
+          <>
+            <h3 className="text-white font-semibold mt-4 mb-3">Diff</h3>
+            <div className="space-y-2 text-sm">
+              {Object.entries(DIFF_COLORS).map(([status, color]) => (
+                <div key={status} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded border-2" style={{ borderColor: color }}></div>
+                  <span className="text-white capitalize">{status}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
       </div>
 
       {/* Selected Node Details */}
-      {selectedNode && (
-        <div className="absolute bottom-4 left-4 z-10 bg-black bg-opacity-80 backdrop-blur-sm rounded-lg p-4 max-w-md">
-          <h3 className="text-white font-semibold mb-2">Node Details</h3>
-          <div className="text-sm text-blue-200">
-            <p><strong>ID:</strong> {selectedNode}</p>
-            <p><strong>Type:</strong> {graph.children.find(n => n.id === selectedNode)?.nodeType}</p>
-          </div>
+      {selection && (
+        <div className="absolute bottom-4 left-4 z-10 bg-black bg-opacity-80 backdrop-blur-sm rounded-lg p-4 max-w-md max-h-[70%] overflow-auto">
+          {renderDetails && selection.kind !== 'other' ? (
+            renderDetails(selection, { clearSelection })
+          ) : (
+            <>
+              <h3 className="text-white font-semibold mb-2">{selectedEdge ? 'Edge Details' : 'Node Details'}</h3>
+              <div className="text-sm text-blue-200">
+                <p><strong>ID:</strong> {selectedEdge || selectedNode}</p>
+                {selection.node && <p><strong>Type:</strong> {selection.node.nodeType}</p>}
+                {selection.edge && <p><strong>Tensor:</strong> {selection.edge.tensor}</p>}
+              </div>
+            </>
+          )}
         </div>
       )}
 
@@ -393,36 +1177,20 @@ const ModernCanvas = ({ modelData }) => {
         y={position.y}
         draggable
         onWheel={handleWheel}
+        onDragMove={handleDragMove}
         onDragEnd={(e) => setPosition({ x: e.target.x(), y: e.target.y() })}
         className="mt-20"
       >
         <Layer>
-          {/* Render arrows first (behind nodes) */}
-          {graph.edges.map((edge) => {
-            const fromNode = graph.children.find(n => n.id === edge.sources[0]);
-            const toNode = graph.children.find(n => n.id === edge.targets[0]);
-            return (
-              <ArrowComponent
-                key={edge.id}
-                edge={edge}
-                fromNode={fromNode}
-                toNode={toNode}
-              />
-            );
-          })}
-          
-          {/* Render nodes */}
-          {graph.children.map((node) => (
-            <NodeComponent
-              key={node.id}
-              node={node}
-              isHovered={hoveredNode === node.id}
-              isSelected={selectedNode === node.id}
-            />
-          ))}
+          {renderScope(graph, 0, 0)}
         </Layer>
       </Stage>
 
+      {/* Minimap */}
+      <div className="absolute bottom-16 right-4 z-10">
+        <Minimap boxes={minimapBoxes} width={graph.width} height={graph.height} viewport={viewport} onNavigate={centerOn} />
+      </div>
+
       {/* Controls */}
       <div className="absolute bottom-4 right-4 z-10 flex space-x-2">
         <button
@@ -433,7 +1201,7 @@ const ModernCanvas = ({ modelData }) => {
           <span className="text-lg">+</span>
         </button>
         <button
-          onClick={() => setScale(Math.max(0.1, scale / 1.2))}
+          onClick={() => setScale(Math.max(minScale, scale / 1.2))}
           className="w-10 h-10 bg-blue-600 hover:bg-blue-700 text-white rounded-full flex items-center justify-center transition-colors"
           title="Zoom Out"
         >
@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { captureActivations } from '../Activations';
+import { encodeModel } from '../ModelSerializer';
+import { formatShape } from '../ShapeInference';
+import { buildFeeds, createSession, feedSignature, runSession } from '../InferenceRunner';
+import FeedInputs from './FeedInputs';
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '–';
+  return Math.abs(value) >= 1e4 || (value !== 0 && Math.abs(value) < 1e-3) ? value.toExponential(3) : value.toFixed(4);
+};
+
+const OutputCard = ({ output }) => (
+  <div className="border border-gray-200 rounded p-3">
+    <div className="flex justify-between text-sm">
+      <span className="font-mono font-semibold text-gray-800">{output.name}</span>
+      <span className="text-gray-600">
+        {output.dtype} {formatShape(output.shape)}
+      </span>
+    </div>
+    {output.stats && (
+      <div className="grid grid-cols-5 gap-2 mt-2 text-xs text-gray-700">
+        {['min', 'max', 'mean', 'std'].map((key) => (
+          <div key={key}>
+            <div className="text-gray-500">{key}</div>
+            {formatNumber(output.stats[key])}
+          </div>
+        ))}
+        <div className={output.stats.nanCount || output.stats.infCount ? 'text-red-600 font-medium' : ''}>
+          <div className="text-gray-500">NaN/Inf</div>
+          {output.stats.nanCount}/{output.stats.infCount}
+        </div>
+      </div>
+    )}
+    {output.topK && (
+      <table className="mt-2 text-xs w-full">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-normal">Top {output.topK.length} class</th>
+            <th className="font-normal">Score</th>
+            <th className="font-normal">Probability</th>
+          </tr>
+        </thead>
+        <tbody>
+          {output.topK.map((entry) => (
+            <tr key={entry.index}>
+              <td className="font-mono">{entry.index}</td>
+              <td>{formatNumber(entry.score)}</td>
+              <td>{(entry.probability * 100).toFixed(2)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// "Run" panel: feeds built from the graph input signature, executed with
+// onnxruntime-web on the WASM backend against the current (edited) model.
+// With capture on, every intermediate tensor comes back too and is handed to
+// `onCapture(activations)` for the canvas and graph views.
+const RunPanel = ({ modelData, model, externalFiles, onCapture }) => {
+  const inputs = feedSignature(modelData);
+  const [configs, setConfigs] = useState({});
+  const [capture, setCapture] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // one session per model snapshot; edits create a new one
+  const sessionRef = useRef({ model: null, session: null });
+
+  useEffect(
+    () => () => {
+      sessionRef.current.session?.release();
+      sessionRef.current = { model: null, session: null };
+    },
+    []
+  );
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const feeds = await buildFeeds(inputs, configs);
+      if (capture) {
+        // a throwaway session: the exposed copy is only good for this run
+        const captured = await captureActivations(model, feeds, { externalFiles });
+        setResult(captured);
+        onCapture(captured.activations);
+        return;
+      }
+
+      let loadMs = null;
+      if (sessionRef.current.model !== model) {
+        await sessionRef.current.session?.release();
+        sessionRef.current = { model: null, session: null };
+        const created = await createSession(encodeModel(model), { model, externalFiles });
+        sessionRef.current = { model, session: created.session };
+        loadMs = created.loadMs;
+      }
+      const run = await runSession(sessionRef.current.session, feeds);
+      setResult({ ...run, loadMs });
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <FeedInputs inputs={inputs} configs={configs} onChange={setConfigs} />
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={running}
+          className="px-4 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {running ? 'Running…' : 'Run'}
+        </button>
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input type="checkbox" checked={capture} onChange={(e) => setCapture(e.target.checked)} />
+          Capture intermediate activations
+        </label>
+        {result && (
+          <span className="text-sm text-gray-600">
+            {result.loadMs !== null && `Session created in ${result.loadMs.toFixed(1)} ms · `}
+            Inference took {result.runMs.toFixed(1)} ms (WASM)
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {result?.activations && (
+        <p className="text-sm text-gray-600">
+          Captured {Object.keys(result.activations).length} tensors. Click an edge on the canvas or in the graph view to inspect one.
+        </p>
+      )}
+
+      {result && (
+        <div className="space-y-2">
+          {result.outputs.map((output) => (
+            <OutputCard key={output.name} output={output} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunPanel;
@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from 'react';
+import { tensorNames } from '../ModelEditor';
+import { extractSubgraph, foldConstants, fuseConvBatchNorm, fuseMatMulAdd, removeDeadNodes } from '../GraphTransforms';
+
+const TRANSFORMS = [
+  { label: 'Remove dead nodes', run: removeDeadNodes },
+  { label: 'Fold constants', run: foldConstants },
+  { label: 'Fuse Conv + BatchNormalization', run: fuseConvBatchNorm },
+  { label: 'Fuse MatMul + Add into Gemm', run: fuseMatMulAdd },
+];
+
+const buttonClass = 'px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+const TensorList = ({ title, names, onRemove, onAdd }) => {
+  const [text, setText] = useState('');
+  const add = () => {
+    if (text && !names.includes(text)) onAdd(text);
+    setText('');
+  };
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-1">{title}</h3>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {names.length === 0 && <span className="text-xs text-gray-500">Pick tensors on the canvas or type a name.</span>}
+        {names.map((name) => (
+          <span key={name} className="inline-flex items-center gap-1 px-2 py-0.5 rounded bg-blue-50 border border-blue-200 text-xs font-mono">
+            {name}
+            <button type="button" className="text-gray-500 hover:text-red-600" onClick={() => onRemove(name)}>
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <input
+        className="border border-gray-300 rounded px-2 py-1 text-sm w-full"
+        list="transform-tensor-names"
+        placeholder="tensor name"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && add()}
+        onBlur={add}
+      />
+    </div>
+  );
+};
+
+// Graph surgery on the edited model. Each transform goes through `onApply`,
+// so it lands in the undo history like any manual edit. `cut` holds the
+// { inputs, outputs } tensor names for subgraph extraction.
+const TransformPanel = ({ model, onApply, cut, onCutChange }) => {
+  const [report, setReport] = useState(null);
+  const names = useMemo(() => [...tensorNames(model)].sort(), [model]);
+
+  const run = (label, transform) => {
+    try {
+      onApply((current) => {
+        const outcome = transform(current);
+        setReport({ label, ...outcome });
+        return outcome.model;
+      });
+    } catch (err) {
+      setReport({ label, error: err.message });
+    }
+  };
+
+  const update = (role, next) => onCutChange({ ...cut, [role]: next });
+
+  return (
+    <div className="space-y-4">
+      <datalist id="transform-tensor-names">
+        {names.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      <div className="flex flex-wrap gap-2">
+        {TRANSFORMS.map(({ label, run: transform }) => (
+          <button key={label} type="button" className={buttonClass} onClick={() => run(label, transform)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="border border-gray-200 rounded p-4">
+        <h3 className="font-semibold text-gray-700 mb-3">Extract subgraph</h3>
+        <div className="grid grid-cols-2 gap-4">
+          {['inputs', 'outputs'].map((role) => (
+            <TensorList
+              key={role}
+              title={role === 'inputs' ? 'Inputs' : 'Outputs'}
+              names={cut[role]}
+              onAdd={(name) => update(role, [...cut[role], name])}
+              onRemove={(name) => update(role, cut[role].filter((n) => n !== name))}
+            />
+          ))}
+        </div>
+        <div className="flex justify-end gap-2 mt-3">
+          <button type="button" className={buttonClass} onClick={() => onCutChange({ inputs: [], outputs: [] })}>
+            Clear
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            disabled={!cut.outputs.length}
+            onClick={() => run('Extract subgraph', (m) => extractSubgraph(m, cut.inputs, cut.outputs))}
+          >
+            Extract
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div
+          className={`border-l-4 p-3 rounded text-sm ${
+            report.error ? 'border-red-500 bg-red-50 text-red-800' : 'border-blue-500 bg-blue-50 text-blue-900'
+          }`}
+        >
+          <p className="font-semibold">{report.label}</p>
+          <p className="mt-1">{report.error || report.summary}</p>
+          {report.changes?.length > 0 && (
+            <ul className="mt-2 max-h-48 overflow-auto text-xs font-mono space-y-0.5">
+              {report.changes.map((change, i) => (
+                <li key={i}>{change}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransformPanel;
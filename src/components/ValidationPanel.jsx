@@ -0,0 +1,49 @@
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  error: 'border-red-500 bg-red-50 text-red-800',
+  warning: 'border-yellow-500 bg-yellow-50 text-yellow-800',
+  info: 'border-gray-400 bg-gray-50 text-gray-700',
+};
+
+const ValidationPanel = ({ validation, onFocusNode }) => {
+  if (!validation) return null;
+
+  const { findings, errorCount, warningCount } = validation;
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        {findings.length === 0
+          ? 'No problems found.'
+          : `${errorCount} error(s), ${warningCount} warning(s)`}
+      </p>
+      <ul className="space-y-2 max-h-96 overflow-auto">
+        {findings.map((f, index) => {
+          const focusable = f.nodeIndex !== undefined && onFocusNode;
+          return (
+            <li
+              key={index}
+              className={`border-l-4 p-3 rounded text-sm ${SEVERITY_STYLES[f.severity]} ${
+                focusable ? 'cursor-pointer hover:shadow' : ''
+              }`}
+              onClick={focusable ? () => onFocusNode(f.nodeIndex) : undefined}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold">
+                  <span className="uppercase text-xs mr-2">{f.severity}</span>
+                  {f.code}
+                </span>
+                {f.node && <span className="font-mono text-xs">{f.node}</span>}
+              </div>
+              <p className="mt-1">{f.message}</p>
+              {f.suggestion && <p className="mt-1 text-xs opacity-80">Fix: {f.suggestion}</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ValidationPanel;
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { loadExternalTensor } from '../src/ExternalData.js';
+import { parseONNXModelComplete } from '../src/ONNXParser.js';
+import { encodeFixture } from './fixtures.js';
+
+// A companion file that records the byte ranges read from it
+const trackedFile = (values, name = 'weights.bin') => {
+  const file = new File([Float32Array.from(values)], name);
+  const reads = [];
+  const slice = file.slice.bind(file);
+  file.slice = (start, end) => {
+    reads.push([start, end]);
+    return slice(start, end);
+  };
+  return { file, reads };
+};
+
+const parse = (files) => parseONNXModelComplete(new File([encodeFixture('externalData')], 'model.onnx'), files);
+
+describe('external data', () => {
+  it('checks references while parsing without reading them', async () => {
+    const { file, reads } = trackedFile([1, 2, 3, 4]);
+    const result = await parse([file]);
+    const [scale] = result.graph.initializers;
+    expect(reads).toEqual([]);
+    expect(scale).toMatchObject({ data: null, stats: null, external: { location: 'weights.bin', file: 'weights.bin' } });
+    expect(result.diagnostics.filter((d) => d.source === 'external-data')).toEqual([]);
+  });
+
+  it('reads and decodes only the tensor range when asked', async () => {
+    const { file, reads } = trackedFile([1, 2, 3, 4, 99]);
+    const [scale] = (await parse([file])).graph.initializers;
+    await loadExternalTensor(scale);
+    expect(reads).toEqual([[0, 16]]);
+    expect(Array.from(scale.data)).toEqual([1, 2, 3, 4]);
+    expect(scale.stats).toMatchObject({ min: 1, max: 4, mean: 2.5 });
+    await loadExternalTensor(scale);
+    expect(reads).toHaveLength(1);
+  });
+
+  it('reports a truncated companion file up front', async () => {
+    const { file, reads } = trackedFile([1, 2]);
+    const result = await parse([file]);
+    const [scale] = result.graph.initializers;
+    expect(scale.error).toBe('"weights.bin" is truncated');
+    expect(result.diagnostics).toContainEqual(expect.objectContaining({ source: 'external-data', tensor: 'scale' }));
+    await loadExternalTensor(scale);
+    expect(reads).toEqual([]);
+  });
+
+  it('reports a missing companion file', async () => {
+    const result = await parse([]);
+    expect(result.graph.initializers[0].error).toBe('Missing external file "weights.bin"');
+    expect(result.diagnostics).toContainEqual(expect.objectContaining({ location: 'weights.bin', tensors: ['scale'] }));
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { foldConstants, fuseConvBatchNorm, removeDeadNodes } from '../src/GraphTransforms.js';
+
+const FLOAT = 1;
+const INT64 = 7;
+
+const floats = (name, dims, values) => ({ name, dims: dims.map(String), dataType: FLOAT, floatData: values });
+
+const tensorType = (elemType, dims) => ({ tensorType: { elemType, shape: { dim: dims.map((d) => ({ dimValue: String(d) })) } } });
+
+// Conv -> BatchNormalization -> y, next to an unused initializer and a dead
+// Neg node that no transform was asked to remove
+const convBn = () => ({
+  graph: {
+    input: [{ name: 'x', type: tensorType(FLOAT, [1, 2, 4, 4]) }],
+    output: [{ name: 'y', type: tensorType(FLOAT, [1, 2, 4, 4]) }],
+    initializer: [
+      floats('w', [2, 2, 1, 1], [1, 0, 0, 1]),
+      floats('scale', [2], [1, 2]),
+      floats('shift', [2], [0, 1]),
+      floats('mean', [2], [0, 0]),
+      floats('var', [2], [1, 1]),
+      floats('unused', [1], [7]),
+    ],
+    node: [
+      { name: 'conv', opType: 'Conv', input: ['x', 'w'], output: ['c'] },
+      { name: 'bn', opType: 'BatchNormalization', input: ['c', 'scale', 'shift', 'mean', 'var'], output: ['y'] },
+      { name: 'dead', opType: 'Neg', input: ['x'], output: ['n'] },
+    ],
+    valueInfo: [
+      { name: 'c', type: tensorType(FLOAT, [1, 2, 4, 4]) },
+      { name: 'n', type: tensorType(FLOAT, [1, 2, 4, 4]) },
+    ],
+  },
+});
+
+const names = (list) => list.map((item) => item.name);
+
+describe('fuseConvBatchNorm', () => {
+  it('prunes only what the fused pair read', () => {
+    const { model, changes } = fuseConvBatchNorm(convBn());
+    expect(names(model.graph.node)).toEqual(['conv', 'dead']);
+    expect(names(model.graph.initializer)).toEqual(['unused', 'w_bn', 'w_bn_bias']);
+    expect(changes).not.toContain('Removed initializer "unused"');
+  });
+
+  it('drops the value_info of the tensor the fusion removed', () => {
+    const { model } = fuseConvBatchNorm(convBn());
+    expect(names(model.graph.valueInfo)).toEqual(['n']);
+  });
+});
+
+describe('foldConstants', () => {
+  it('prunes only what the folded chain read', () => {
+    const model = {
+      graph: {
+        input: [{ name: 'x', type: tensorType(FLOAT, [2, 3]) }],
+        output: [{ name: 'y', type: tensorType(FLOAT, [3, 2]) }],
+        initializer: [
+          { name: 'order', dims: ['2'], dataType: INT64, int64Data: ['1', '0'] },
+          floats('unused', [1], [7]),
+        ],
+        node: [
+          { name: 'shape', opType: 'Shape', input: ['x'], output: ['s'] },
+          { name: 'flip', opType: 'Gather', input: ['s', 'order'], output: ['t'] },
+          { name: 'reshape', opType: 'Reshape', input: ['x', 't'], output: ['y'] },
+          { name: 'dead', opType: 'Neg', input: ['x'], output: ['n'] },
+        ],
+      },
+    };
+    const folded = foldConstants(model).model;
+    expect(folded.graph.node.map((n) => n.opType)).toEqual(['Constant', 'Reshape', 'Neg']);
+    expect(names(folded.graph.initializer)).toEqual(['unused']);
+  });
+
+  it('folds a Concat of 2-D constants along its axis', () => {
+    const model = {
+      graph: {
+        input: [],
+        output: [{ name: 'c', type: tensorType(INT64, [2, 3]) }],
+        initializer: [
+          { name: 'a', dims: ['2', '2'], dataType: INT64, int64Data: ['1', '2', '3', '4'] },
+          { name: 'b', dims: ['2', '1'], dataType: INT64, int64Data: ['5', '6'] },
+        ],
+        node: [{ name: 'concat', opType: 'Concat', input: ['a', 'b'], output: ['c'], attribute: [{ name: 'axis', type: 'INT', i: '1' }] }],
+      },
+    };
+    const [constant] = foldConstants(model).model.graph.node;
+    expect(constant.attribute[0].t).toMatchObject({ dims: ['2', '3'], int64Data: ['1', '2', '5', '3', '4', '6'] });
+  });
+});
+
+describe('removeDeadNodes', () => {
+  it('still sweeps the whole graph when asked', () => {
+    const { model } = removeDeadNodes(convBn());
+    expect(names(model.graph.node)).toEqual(['conv', 'bn']);
+    expect(names(model.graph.initializer)).not.toContain('unused');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { checkModel } from '../src/ModelChecker.js';
+import { decodeModel } from '../src/ModelSerializer.js';
+import { encodeFixture } from './fixtures.js';
+
+const codes = (model) => checkModel(model).findings.map((f) => f.code);
+
+// the If node's else_branch body of the subgraphs fixture
+const elseBranch = (model) => model.graph.node[0].attribute[1].g;
+
+describe('checkModel', () => {
+  it('counts an initializer read only inside a Loop body as used', () => {
+    expect(codes(decodeModel(encodeFixture('subgraphs')))).toEqual([]);
+  });
+
+  it('still reports an initializer nothing reads', () => {
+    const { findings } = checkModel(decodeModel(encodeFixture('stringAndInt64')));
+    expect(findings).toEqual([expect.objectContaining({ code: 'UNUSED_INITIALIZER', message: 'Initializer "raw_ids" is never used.' })]);
+  });
+
+  it('reports a dangling input inside a body against the owning node', () => {
+    const model = decodeModel(encodeFixture('subgraphs'));
+    elseBranch(model).node[0].input = ['missing'];
+    const { findings } = checkModel(model);
+    expect(findings).toEqual([
+      expect.objectContaining({ code: 'DANGLING_INPUT', nodeIndex: 0, node: 'main/branch:else_branch/negate' }),
+    ]);
+  });
+
+  it('checks operators and attributes of body nodes', () => {
+    const model = decodeModel(encodeFixture('subgraphs'));
+    elseBranch(model).node.push({ name: 'cast', opType: 'Cast', input: ['x'], output: ['c'] });
+    elseBranch(model).node.push({ name: 'typo', opType: 'Negg', input: ['x'], output: ['t'] });
+    expect(codes(model).sort()).toEqual(['MISSING_ATTRIBUTE', 'UNKNOWN_OPERATOR']);
+  });
+
+  it('checks function bodies against their own opset imports', () => {
+    const model = decodeModel(encodeFixture('functions'));
+    const [fn] = model.functions;
+    fn.node[1].opType = 'Relux';
+    fn.node[2].input = ['r', 'b'];
+    const { findings } = checkModel(model);
+    expect(findings.map((f) => [f.code, f.node, f.nodeIndex])).toEqual([
+      ['UNKNOWN_OPERATOR', 'custom::ScaledRelu/Relux #1', undefined],
+      ['DANGLING_INPUT', 'custom::ScaledRelu/Mul #2', undefined],
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { diffModels } from '../src/ModelDiff.js';
+import { parseONNXModelComplete } from '../src/ONNXParser.js';
+import { encodeFixture } from './fixtures.js';
+
+const parse = (name) => parseONNXModelComplete(new File([encodeFixture(name)], `${name}.onnx`));
+
+// The parts of a parse result diffModels reads, for a graph of unnamed nodes
+const parsed = (nodes) => ({
+  model: { opsetImport: [] },
+  graph: { inputs: [{ name: 'x' }], outputs: [], nodes, initializers: [] },
+  analysis: { operatorFrequency: {} },
+});
+
+describe('diffModels', () => {
+  it('does not pair different ops that write the same output name', async () => {
+    const { nodes } = diffModels(await parse('initializers'), await parse('functions'));
+    expect(nodes.removed).toEqual([{ name: 'conv', before: 'Conv', beforeIndex: 0 }]);
+    expect(nodes.added).toEqual([{ name: 'call', after: 'custom.ScaledRelu', afterIndex: 0 }]);
+    expect(nodes.changed).toEqual([]);
+  });
+
+  it('pairs renamed nodes through their already paired producers', () => {
+    const before = parsed([
+      { opType: 'Relu', input: ['x'], output: ['a'] },
+      { opType: 'Neg', input: ['a'], output: ['b'] },
+      { opType: 'Neg', input: ['x'], output: ['c'] },
+    ]);
+    const after = parsed([
+      { opType: 'Neg', input: ['x'], output: ['c2'] },
+      { opType: 'Relu', input: ['x'], output: ['a2'] },
+      { opType: 'Neg', input: ['a2'], output: ['b2'] },
+    ]);
+    const { nodes } = diffModels(before, after);
+    expect(nodes.added).toEqual([]);
+    expect(nodes.removed).toEqual([]);
+    expect(nodes.changed).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { deleteNode, insertNodeOnEdge } from '../src/ModelEditor.js';
+
+// x -> Relu -> r -> Identity -> y, with r also read by a Sigmoid
+const chain = () => ({
+  graph: {
+    input: [{ name: 'x' }],
+    output: [{ name: 'y' }, { name: 's' }],
+    node: [
+      { name: 'relu', opType: 'Relu', input: ['x'], output: ['r'] },
+      { name: 'id', opType: 'Identity', input: ['r'], output: ['y'] },
+      { name: 'sig', opType: 'Sigmoid', input: ['r'], output: ['s'] },
+    ],
+  },
+});
+
+describe('insertNodeOnEdge', () => {
+  it('keeps the graph output name when inserting on an output edge', () => {
+    const { model, nodeIndex } = insertNodeOnEdge(chain(), 'y', { output: 'y' }, { opType: 'Neg' });
+    expect(model.graph.output.map((v) => v.name)).toEqual(['y', 's']);
+    const inserted = model.graph.node[nodeIndex];
+    expect(inserted.output).toEqual(['y']);
+    expect(model.graph.node.find((n) => n.name === 'id').output).toEqual(inserted.input);
+  });
+
+  it('rewires only the chosen consumer', () => {
+    const { model, nodeIndex } = insertNodeOnEdge(chain(), 'r', { nodeIndex: 2 }, { opType: 'Neg' });
+    expect(model.graph.node[nodeIndex]).toMatchObject({ input: ['r'], output: ['r_neg'] });
+    expect(model.graph.node.find((n) => n.name === 'sig').input).toEqual(['r_neg']);
+    expect(model.graph.node.find((n) => n.name === 'id').input).toEqual(['r']);
+  });
+
+  it('refuses an output that no node produces', () => {
+    const model = { graph: { input: [{ name: 'x' }], output: [{ name: 'x' }], node: [] } };
+    expect(() => insertNodeOnEdge(model, 'x', { output: 'x' }, { opType: 'Neg' })).toThrow(/not produced by a node/);
+  });
+});
+
+describe('deleteNode', () => {
+  it('keeps the graph output name when bypassing the last node', () => {
+    const model = deleteNode(chain(), 1);
+    expect(model.graph.output.map((v) => v.name)).toEqual(['y', 's']);
+    expect(model.graph.node.find((n) => n.name === 'relu').output).toEqual(['y']);
+    expect(model.graph.node.find((n) => n.name === 'sig').input).toEqual(['y']);
+  });
+
+  it('rewires internal consumers to the bypassed input', () => {
+    const model = deleteNode(chain(), 0);
+    expect(model.graph.node.map((n) => n.input)).toEqual([['x'], ['x']]);
+  });
+
+  it('refuses to rename a graph input onto an output', () => {
+    const model = { graph: { input: [{ name: 'x' }], output: [{ name: 'y' }], node: [{ opType: 'Identity', input: ['x'], output: ['y'] }] } };
+    expect(() => deleteNode(model, 0)).toThrow(/graph output/);
+    expect(deleteNode(model, 0, { reconnect: false }).graph.output).toEqual([{ name: 'y' }]);
+  });
+});
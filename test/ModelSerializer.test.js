@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { checkRoundTrip, compareEncodedModels, decodeModel, encodeModel } from '../src/ModelSerializer.js';
+import { encodeFixture, FIXTURES } from './fixtures.js';
+
+describe('checkRoundTrip', () => {
+  for (const name of Object.keys(FIXTURES)) {
+    it(`re-encodes the ${name} fixture byte for byte`, () => {
+      const bytes = encodeFixture(name);
+      const result = checkRoundTrip(bytes);
+      expect(result.difference).toBeNull();
+      expect(result.encodedSize).toBe(bytes.length);
+      expect(result.identicalBytes).toBe(true);
+    });
+  }
+});
+
+describe('compareEncodedModels', () => {
+  it('reports the first field that differs', () => {
+    const bytes = encodeFixture('initializers');
+    const model = decodeModel(bytes);
+    model.graph.node[0].attribute[1].ints = ['2', '2'];
+    const difference = compareEncodedModels(bytes, encodeModel(model));
+    expect(difference).toMatchObject({ path: expect.stringContaining('graph.node[0].attribute[1].ints') });
+  });
+});
+
+describe('decodeModel', () => {
+  it('keeps int64 values beyond 2^53 exact', () => {
+    const model = decodeModel(encodeFixture('stringAndInt64'));
+    const offsets = model.graph.initializer.find((t) => t.name === 'offsets');
+    expect(offsets.int64Data).toEqual(['-1', '0', '9007199254740993']);
+  });
+
+  it('keeps string tensors as bytes', () => {
+    const model = decodeModel(encodeFixture('stringAndInt64'));
+    const vocab = model.graph.initializer.find((t) => t.name === 'vocab');
+    expect(vocab.stringData.map((s) => new TextDecoder().decode(s))).toEqual(['cat', 'dog', 'ünïcødé']);
+  });
+
+  it('keeps external data references', () => {
+    const model = decodeModel(encodeFixture('externalData'));
+    const [scale] = model.graph.initializer;
+    expect(scale.dataLocation).toBe('EXTERNAL');
+    expect(scale.externalData.map((e) => e.key)).toEqual(['location', 'offset', 'length']);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { parseONNXModelComplete } from '../src/ONNXParser.js';
+import { encodeFixture } from './fixtures.js';
+
+const modelFile = () => new File([encodeFixture('initializers')], 'model.onnx');
+
+describe('parseONNXModelComplete', () => {
+  it('keeps the decoded model when one analysis throws', async () => {
+    const invalid = { name: 'Neg', dynamic: ['$y'], nodes: [{ id: 'neg', op: 'Neg', from: ['$x'] }] };
+    const result = await parseONNXModelComplete(modelFile(), [], { patterns: [invalid] });
+    expect(result.error).toBeUndefined();
+    expect(result.graph.nodes.map((node) => node.name)).toEqual(['conv']);
+    expect(result.analysis.patterns).toEqual({ matches: [], summary: [] });
+    expect(result.analysis.cost.totals.params).toBe(9);
+    expect(result.validation.errorCount).toBe(0);
+    expect(result.diagnostics).toContainEqual(
+      expect.objectContaining({ severity: 'error', source: 'analysis', message: expect.stringMatching(/^Pattern recognition failed: /) })
+    );
+  });
+
+  it('cancels the file stream when aborted', async () => {
+    const file = modelFile();
+    const stream = file.stream.bind(file);
+    const cancelled = [];
+    file.stream = () => {
+      const body = stream();
+      const getReader = body.getReader.bind(body);
+      body.getReader = () => {
+        const reader = getReader();
+        const cancel = reader.cancel.bind(reader);
+        reader.cancel = (reason) => {
+          cancelled.push(reason.name);
+          return cancel(reason);
+        };
+        return reader;
+      };
+      return body;
+    };
+    const controller = new AbortController();
+    controller.abort();
+    await expect(parseONNXModelComplete(file, [], { signal: controller.signal })).rejects.toThrow();
+    expect(cancelled).toEqual(['AbortError']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { recognizePatterns, validatePattern } from '../src/Patterns.js';
+
+// Pre-norm transformer encoder, 32 nodes a layer. The LayerNorm epsilon and
+// exponent and the GELU constants are shared by every layer, as exporters
+// emit them: initializers, and a Constant node for the GELU's + 1.
+const transformer = (layers) => {
+  const nodes = [{ name: 'one', opType: 'Constant', input: [], output: ['one'] }];
+  const add = (opType, input, name) => {
+    nodes.push({ name, opType, input, output: [name] });
+    return name;
+  };
+  const layerNorm = (x, p) => {
+    const mean = add('ReduceMean', [x], `${p}_mean`);
+    const center = add('Sub', [x, mean], `${p}_center`);
+    const square = add('Pow', [center, 'two'], `${p}_square`);
+    const variance = add('ReduceMean', [square], `${p}_variance`);
+    const epsilon = add('Add', [variance, 'epsilon'], `${p}_epsilon`);
+    const std = add('Sqrt', [epsilon], `${p}_std`);
+    return add('Div', [center, std], `${p}_normalize`);
+  };
+  let x = 'input';
+  for (let layer = 0; layer < layers; layer++) {
+    const p = `layer${layer}`;
+    const h = layerNorm(x, `${p}_ln1`);
+    const q = add('MatMul', [h, `${p}_wq`], `${p}_q`);
+    const k = add('MatMul', [h, `${p}_wk`], `${p}_k`);
+    const v = add('MatMul', [h, `${p}_wv`], `${p}_v`);
+    const kt = add('Transpose', [k], `${p}_kt`);
+    const scores = add('MatMul', [q, kt], `${p}_scores`);
+    const scaled = add('Div', [scores, 'scale'], `${p}_scaled`);
+    const probs = add('Softmax', [scaled], `${p}_probs`);
+    const context = add('MatMul', [probs, v], `${p}_context`);
+    const attention = add('MatMul', [context, `${p}_wo`], `${p}_attention`);
+    x = add('Add', [x, attention], `${p}_residual1`);
+
+    const m = layerNorm(x, `${p}_ln2`);
+    const up = add('MatMul', [m, `${p}_w1`], `${p}_up`);
+    const erf = add('Erf', [add('Div', [up, 'sqrt2'], `${p}_gelu_scale`)], `${p}_gelu_erf`);
+    const gated = add('Mul', [up, add('Add', [erf, 'one'], `${p}_gelu_shift`)], `${p}_gelu_gate`);
+    const down = add('MatMul', [add('Mul', [gated, 'half'], `${p}_gelu_half`), `${p}_w2`], `${p}_down`);
+    x = add('Add', [x, down], `${p}_residual2`);
+  }
+  const initializers = ['two', 'epsilon', 'scale', 'sqrt2', 'half'].map((name) => ({ name }));
+  for (let layer = 0; layer < layers; layer++) {
+    for (const weight of ['wq', 'wk', 'wv', 'wo', 'w1', 'w2']) initializers.push({ name: `layer${layer}_${weight}` });
+  }
+  return { nodes, initializers };
+};
+
+const count = (summary, name) => summary.find((entry) => entry.name === name)?.count || 0;
+
+describe('recognizePatterns', () => {
+  it('finds two residual blocks a layer, not adds of shared constants', () => {
+    const { nodes, initializers } = transformer(12);
+    expect(nodes.length).toBe(1 + 12 * 32);
+    const { summary } = recognizePatterns(nodes, undefined, initializers);
+    expect(count(summary, 'Residual block')).toBe(24);
+    expect(count(summary, 'LayerNorm (decomposed)')).toBe(24);
+    expect(count(summary, 'GELU (erf)')).toBe(12);
+  });
+});
+
+describe('validatePattern', () => {
+  it('rejects a dynamic key no node reads from', () => {
+    const pattern = { name: 'Neg', dynamic: ['$y'], nodes: [{ id: 'neg', op: 'Neg', from: ['$x'] }] };
+    expect(() => validatePattern(pattern)).toThrow(/dynamic "\$y"/);
+  });
+});
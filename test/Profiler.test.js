@@ -0,0 +1,27 @@
+import { writeSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { decodeModel } from '../src/ModelSerializer.js';
+import { profileModel } from '../src/Profiler.js';
+import { encodeFixture } from './fixtures.js';
+
+const model = () => decodeModel(encodeFixture('initializers'));
+const feeds = { x: { dtype: 'float32', data: new Float32Array(32), shape: [1, 2, 4, 4] } };
+
+describe('profileModel', () => {
+  it('records the trace and leaves the console and stdout as it found them', async () => {
+    const log = console.log;
+    const profile = await profileModel(model(), feeds, { iterations: 2, warmup: 1 });
+    expect(profile.runs).toBe(2);
+    expect(profile.nodes.map((node) => node.name)).toEqual(['conv']);
+    expect(console.log).toBe(log);
+    expect((await import('node:fs')).default.writeSync).toBe(writeSync);
+  });
+
+  it('keeps concurrent profiles apart', async () => {
+    const profiles = await Promise.all([
+      profileModel(model(), feeds, { iterations: 3, warmup: 0 }),
+      profileModel(model(), feeds, { iterations: 1, warmup: 1 }),
+    ]);
+    expect(profiles.map((profile) => profile.runs)).toEqual([3, 1]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { decodeModel } from '../src/ModelSerializer.js';
+import { inferShapes } from '../src/ShapeInference.js';
+import { decodeTensorObject } from '../src/TensorDecoder.js';
+import { encodeFixture } from './fixtures.js';
+
+const FLOAT = 1;
+const INT64 = 7;
+
+const tensorType = (elemType, dims) => ({
+  tensorType: { elemType, shape: { dim: dims.map((d) => (typeof d === 'string' ? { dimParam: d } : { dimValue: String(d) })) } },
+});
+
+const int64s = (name, dims, values) => ({ name, dims: dims.map(String), dataType: INT64, int64Data: values.map(String) });
+
+const infer = (graph) => inferShapes(graph, (graph.initializer || []).map(decodeTensorObject));
+
+describe('inferShapes', () => {
+  it('carries symbolic dims through a Conv', () => {
+    const { graph } = decodeModel(encodeFixture('initializers'));
+    const { valueInfo, diagnostics } = infer(graph);
+    expect(valueInfo.y).toMatchObject({ dtype: 'float32', shape: ['batch', 3, 4, 4], source: 'inferred' });
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('tracks shape values through Shape, Gather and Concat into Reshape', () => {
+    const { valueInfo } = infer({
+      input: [{ name: 'x', type: tensorType(FLOAT, [2, 3, 4]) }],
+      output: [],
+      initializer: [int64s('last', [1], [2]), int64s('minus_one', [1], [-1])],
+      node: [
+        { opType: 'Shape', input: ['x'], output: ['s'] },
+        { opType: 'Gather', input: ['s', 'last'], output: ['d'] },
+        { opType: 'Concat', input: ['minus_one', 'd'], output: ['t'], attribute: [{ name: 'axis', type: 'INT', i: '0' }] },
+        { opType: 'Reshape', input: ['x', 't'], output: ['y'] },
+      ],
+    });
+    expect(valueInfo.s).toMatchObject({ dtype: 'int64', shape: [3], value: [2, 3, 4] });
+    expect(valueInfo.t).toMatchObject({ shape: [2], value: [-1, 4] });
+    expect(valueInfo.y.shape).toEqual([6, 4]);
+  });
+
+  it('concatenates tracked values along the given axis', () => {
+    const { valueInfo } = infer({
+      input: [],
+      output: [],
+      initializer: [int64s('a', [2, 2], [1, 2, 3, 4]), int64s('b', [2, 1], [5, 6])],
+      node: [
+        { opType: 'Concat', input: ['a', 'b'], output: ['rows'], attribute: [{ name: 'axis', type: 'INT', i: '1' }] },
+        { opType: 'Concat', input: ['a', 'a'], output: ['stacked'], attribute: [{ name: 'axis', type: 'INT', i: '0' }] },
+      ],
+    });
+    expect(valueInfo.rows).toMatchObject({ shape: [2, 3], value: [1, 2, 5, 3, 4, 6] });
+    expect(valueInfo.stacked).toMatchObject({ shape: [4, 2], value: [1, 2, 3, 4, 1, 2, 3, 4] });
+  });
+
+  it('reports an inferred shape that disagrees with the declared one', () => {
+    const { valueInfo, diagnostics } = infer({
+      input: [{ name: 'x', type: tensorType(FLOAT, [2, 3]) }],
+      output: [{ name: 'y', type: tensorType(FLOAT, [3, 3]) }],
+      node: [{ name: 'relu', opType: 'Relu', input: ['x'], output: ['y'] }],
+    });
+    expect(valueInfo.y.shape).toEqual([3, 3]);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ severity: 'warning', source: 'shape-inference', node: 'relu', nodeIndex: 0 }),
+    ]);
+  });
+
+  it('lists operators without a rule and leaves their outputs unknown', () => {
+    const { valueInfo, diagnostics } = infer({
+      input: [{ name: 'x', type: tensorType(FLOAT, [2]) }],
+      output: [],
+      node: [{ opType: 'Frobnicate', domain: 'custom', input: ['x'], output: ['y'] }],
+    });
+    expect(valueInfo.y).toMatchObject({ shape: null, source: 'unknown' });
+    expect(diagnostics).toEqual([expect.objectContaining({ severity: 'info', message: expect.stringContaining('custom::Frobnicate') })]);
+  });
+});
@@ -0,0 +1,216 @@
+// Small ONNX models for the tests, each exercising one corner of the schema.
+// They are built as ModelProto objects and encoded with the bundled schema,
+// so no binary files need to be checked in.
+import { getModelProto } from '../src/OnnxSchema.js';
+
+const FLOAT = 1;
+const INT64 = 7;
+const STRING = 8;
+
+const valueInfo = (name, elemType, dims) => ({
+  name,
+  type: {
+    tensorType: {
+      elemType,
+      shape: { dim: dims.map((d) => (typeof d === 'string' ? { dimParam: d } : { dimValue: d })) },
+    },
+  },
+});
+
+const floatTensor = (name, dims, values) => ({
+  name,
+  dims,
+  dataType: FLOAT,
+  rawData: new Uint8Array(Float32Array.from(values).buffer),
+});
+
+const model = (graph, extra = {}) => ({
+  irVersion: 9,
+  producerName: 'fixtures',
+  producerVersion: '1.0',
+  opsetImport: [{ domain: '', version: 17 }],
+  graph: { name: 'main', ...graph },
+  ...extra,
+});
+
+// Conv with raw float weights, a float_data bias and model metadata
+const initializers = () =>
+  model(
+    {
+      input: [valueInfo('x', FLOAT, ['batch', 2, 4, 4])],
+      output: [valueInfo('y', FLOAT, ['batch', 3, 4, 4])],
+      initializer: [
+        floatTensor('w', [3, 2, 1, 1], [0.5, -1, 2, 0.25, -0.125, 3]),
+        { name: 'b', dims: [3], dataType: FLOAT, floatData: [0.1, 0.2, 0.3] },
+      ],
+      node: [
+        {
+          name: 'conv',
+          opType: 'Conv',
+          input: ['x', 'w', 'b'],
+          output: ['y'],
+          attribute: [
+            { name: 'kernel_shape', type: 'INTS', ints: [1, 1] },
+            { name: 'strides', type: 'INTS', ints: [1, 1] },
+          ],
+        },
+      ],
+    },
+    { docString: 'initializer fixture', metadataProps: [{ key: 'author', value: 'tests' }] }
+  );
+
+// Weights stored in a companion file; only the references live in the model
+const externalData = () =>
+  model({
+    input: [valueInfo('x', FLOAT, [1, 4])],
+    output: [valueInfo('y', FLOAT, [1, 4])],
+    initializer: [
+      {
+        name: 'scale',
+        dims: [4],
+        dataType: FLOAT,
+        dataLocation: 'EXTERNAL',
+        externalData: [
+          { key: 'location', value: 'weights.bin' },
+          { key: 'offset', value: '0' },
+          { key: 'length', value: '16' },
+        ],
+      },
+    ],
+    node: [{ name: 'mul', opType: 'Mul', input: ['x', 'scale'], output: ['y'] }],
+  });
+
+// If with two branch graphs, one of them holding a Loop with its own body
+const subgraphs = () => {
+  const loopBody = {
+    name: 'loop_body',
+    input: [valueInfo('i', INT64, []), valueInfo('cond', 9, []), valueInfo('acc_in', FLOAT, [2])],
+    output: [valueInfo('cond_out', 9, []), valueInfo('acc_out', FLOAT, [2])],
+    node: [
+      { name: 'keep', opType: 'Identity', input: ['cond'], output: ['cond_out'] },
+      { name: 'double', opType: 'Add', input: ['acc_in', 'acc_in'], output: ['acc_out'] },
+    ],
+  };
+  return model({
+    input: [valueInfo('flag', 9, []), valueInfo('x', FLOAT, [2])],
+    output: [valueInfo('y', FLOAT, [2])],
+    initializer: [{ name: 'trips', dims: [], dataType: INT64, int64Data: ['3'] }],
+    node: [
+      {
+        name: 'branch',
+        opType: 'If',
+        input: ['flag'],
+        output: ['y'],
+        attribute: [
+          {
+            name: 'then_branch',
+            type: 'GRAPH',
+            g: {
+              name: 'then',
+              output: [valueInfo('then_y', FLOAT, [2])],
+              node: [
+                {
+                  name: 'loop',
+                  opType: 'Loop',
+                  input: ['trips', '', 'x'],
+                  output: ['then_y'],
+                  attribute: [{ name: 'body', type: 'GRAPH', g: loopBody }],
+                },
+              ],
+            },
+          },
+          {
+            name: 'else_branch',
+            type: 'GRAPH',
+            g: {
+              name: 'else',
+              output: [valueInfo('else_y', FLOAT, [2])],
+              node: [{ name: 'negate', opType: 'Neg', input: ['x'], output: ['else_y'] }],
+            },
+          },
+        ],
+      },
+    ],
+  });
+};
+
+// A model-local function called from the graph, with a defaulted attribute
+const functions = () =>
+  model(
+    {
+      input: [valueInfo('x', FLOAT, [4])],
+      output: [valueInfo('y', FLOAT, [4])],
+      node: [
+        {
+          name: 'call',
+          opType: 'ScaledRelu',
+          domain: 'custom',
+          input: ['x'],
+          output: ['y'],
+          attribute: [{ name: 'alpha', type: 'FLOAT', f: 0.5 }],
+        },
+      ],
+    },
+    {
+      opsetImport: [
+        { domain: '', version: 17 },
+        { domain: 'custom', version: 1 },
+      ],
+      functions: [
+        {
+          name: 'ScaledRelu',
+          domain: 'custom',
+          input: ['X'],
+          output: ['Y'],
+          attributeProto: [{ name: 'alpha', type: 'FLOAT', f: 1 }],
+          opsetImport: [{ domain: '', version: 17 }],
+          node: [
+            {
+              opType: 'Constant',
+              output: ['a'],
+              attribute: [{ name: 'value_float', type: 'FLOAT', refAttrName: 'alpha' }],
+            },
+            { opType: 'Relu', input: ['X'], output: ['r'] },
+            { opType: 'Mul', input: ['r', 'a'], output: ['Y'] },
+          ],
+        },
+      ],
+    }
+  );
+
+// String and int64 tensors, including int64 values beyond 2^53 and below 0
+const stringAndInt64 = () =>
+  model({
+    input: [valueInfo('ids', INT64, [3])],
+    output: [valueInfo('labels', STRING, [3])],
+    initializer: [
+      {
+        name: 'vocab',
+        dims: [3],
+        dataType: STRING,
+        stringData: ['cat', 'dog', 'ünïcødé'].map((s) => new TextEncoder().encode(s)),
+      },
+      { name: 'offsets', dims: [3], dataType: INT64, int64Data: ['-1', '0', '9007199254740993'] },
+      {
+        name: 'raw_ids',
+        dims: [2],
+        dataType: INT64,
+        rawData: new Uint8Array(BigInt64Array.from([-(2n ** 62n), 2n ** 62n + 1n]).buffer),
+      },
+    ],
+    node: [
+      { name: 'shift', opType: 'Add', input: ['ids', 'offsets'], output: ['shifted'] },
+      { name: 'lookup', opType: 'Gather', input: ['vocab', 'shifted'], output: ['labels'] },
+    ],
+  });
+
+export const FIXTURES = { initializers, externalData, subgraphs, functions, stringAndInt64 };
+
+/** Encodes the fixture `name` to .onnx bytes. */
+export const encodeFixture = (name) => {
+  const ModelProto = getModelProto();
+  const message = ModelProto.fromObject(FIXTURES[name]());
+  const problem = ModelProto.verify(message);
+  if (problem) throw new Error(`Fixture ${name}: ${problem}`);
+  return ModelProto.encode(message).finish();
+};
@@ -8,4 +8,8 @@ export default defineConfig({
   optimizeDeps: {
     exclude: ["onnxruntime-web"],
   },
+  // the profiler worker loads onnxruntime-web on demand, which needs chunks
+  worker: {
+    format: "es",
+  },
 });